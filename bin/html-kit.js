@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+/**
+ * html-kit 命令列入口，實作位於 src/cli.js
+ */
+
+import { runCli, EXIT_CODES } from '../src/cli.js';
+
+runCli(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+}).catch((error) => {
+  console.error(error.message);
+  process.exitCode = EXIT_CODES.ERROR;
+});
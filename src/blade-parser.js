@@ -0,0 +1,1284 @@
+/**
+ * Blade 指令解析器
+ *
+ * 將 Blade 風格的邏輯指令轉換為 Lodash Template 語法，分為三個階段：
+ * 1. tokenize - 掃描模板，切分為文字與指令 token（參數以括號配對解析，支援巢狀括號與多行）
+ * 2. parse    - 依開始 / 結束指令配對建立 AST，記錄未閉合或多餘的指令（含行號與欄位）
+ * 3. generate - 從 AST 產生 Lodash Template 程式碼
+ *
+ * 另外提供 validateBlade，在前處理之前檢查原始檔案中所有成對指令的結構
+ * （包含 @section、@push、@once、@verbatim、@markdown、@slot 等由其他階段處理的指令）。
+ *
+ * 處理的指令：
+ * - 條件：@if / @elseif / @else / @endif、@unless、@isset、@empty(...)
+ * - Switch：@switch / @case / @default / @break / @endswitch
+ * - 迴圈：@foreach / @endforeach、@forelse / @empty / @endforelse、@for / @endfor、@while / @endwhile
+ * - 迴圈控制：@break、@break(condition)、@continue、@continue(condition)
+ * - 輸出：@json、@lang、@choice、@svg
+ * - 屬性：@class、@style、@checked、@selected、@disabled、@readonly、@required
+ * - Include：@include、@includeIf、@includeWhen、@includeUnless、@includeFirst
+ *
+ * 其他指令（@section、@yield、@push、@once、@slot 等）由 index.js 的其他階段處理，
+ * 編譯時視為一般文字。
+ *
+ * 自訂指令（plugin 的 directives 選項）透過 createGrammars 加入語法表，與內建指令在同一次解析中處理。
+ * 語法表含有過濾器名稱時，{{ }} / {!! !!} 與 @json 中的管線語法（value | upper）會一併轉換。
+ *
+ * 指令名稱必須完整比對，email（admin@default.com）與 @elsewhere 之類的文字不會被誤判。
+ */
+
+// ====================================================================
+// 指令定義
+// ====================================================================
+
+/**
+ * 支援的指令與參數規則
+ * - required: 必須有 (...) 參數，沒有參數時視為一般文字
+ * - optional: 可以有參數（參數必須緊接在指令後，中間只能有空白或 tab）
+ * - none: 不接受參數
+ */
+const DIRECTIVES = {
+  if: 'required',
+  elseif: 'required',
+  else: 'none',
+  endif: 'none',
+  unless: 'required',
+  endunless: 'none',
+  isset: 'required',
+  endisset: 'none',
+  empty: 'optional',
+  endempty: 'none',
+  switch: 'required',
+  case: 'required',
+  default: 'none',
+  break: 'optional',
+  endswitch: 'none',
+  foreach: 'required',
+  endforeach: 'none',
+  forelse: 'required',
+  endforelse: 'none',
+  for: 'required',
+  endfor: 'none',
+  while: 'required',
+  endwhile: 'none',
+  continue: 'optional',
+  json: 'required',
+  lang: 'required',
+  choice: 'required',
+  svg: 'required',
+  include: 'required',
+  includeIf: 'required',
+  includeWhen: 'required',
+  includeUnless: 'required',
+  includeFirst: 'required',
+  class: 'required',
+  style: 'required',
+  checked: 'required',
+  selected: 'required',
+  disabled: 'required',
+  readonly: 'required',
+  required: 'required'
+};
+
+/**
+ * 區塊指令：結束指令與允許的分支指令
+ *
+ * 注意：@empty 有參數時是 @empty(...)...@endempty 區塊，
+ * 沒有參數時是 @forelse 的空資料分支
+ */
+const BLOCKS = {
+  if: { end: 'endif', branches: ['elseif', 'else'] },
+  unless: { end: 'endunless', branches: ['elseif', 'else'] },
+  isset: { end: 'endisset', branches: ['else'] },
+  empty: { end: 'endempty', branches: ['else'] },
+  switch: { end: 'endswitch', branches: ['case', 'default'] },
+  foreach: { end: 'endforeach', branches: [] },
+  forelse: { end: 'endforelse', branches: ['empty'] },
+  for: { end: 'endfor', branches: [] },
+  while: { end: 'endwhile', branches: [] }
+};
+
+// 迴圈區塊（@break / @continue 的作用對象）
+const LOOPS = ['foreach', 'forelse', 'for', 'while'];
+
+/**
+ * 結構檢查額外處理的指令
+ *
+ * 這些指令由 index.js 的其他階段處理（佈局、stack、@once、@verbatim、@markdown、@slot），
+ * 編譯時視為一般文字，只在 validateBlade 中檢查配對。
+ */
+const STRUCTURE_DIRECTIVES = {
+  section: 'required',
+  endsection: 'none',
+  push: 'required',
+  endpush: 'none',
+  prepend: 'required',
+  endprepend: 'none',
+  once: 'none',
+  endonce: 'none',
+  verbatim: 'none',
+  endverbatim: 'none',
+  markdown: 'none',
+  endmarkdown: 'none',
+  slot: 'required',
+  endslot: 'none'
+};
+
+/**
+ * 結構檢查額外處理的區塊
+ *
+ * - opens: 判斷指令是否開啟區塊（@section('name', 'content') 是不需要結束指令的簡寫）
+ * - optionalEnd: 沒有結束指令時不視為錯誤（組件中的 @slot('name') 是插槽佔位符）
+ */
+const STRUCTURE_BLOCKS = {
+  section: { end: 'endsection', branches: [], opens: args => splitTopLevel(args).length === 1 },
+  push: { end: 'endpush', branches: [] },
+  prepend: { end: 'endprepend', branches: [] },
+  once: { end: 'endonce', branches: [] },
+  verbatim: { end: 'endverbatim', branches: [] },
+  markdown: { end: 'endmarkdown', branches: [] },
+  slot: { end: 'endslot', branches: [], opens: args => splitTopLevel(args).length === 1, optionalEnd: true }
+};
+
+/**
+ * 建立 tokenize / parse 使用的語法表
+ *
+ * @param {Object} directives - 指令名稱 -> 參數規則
+ * @param {Object} blocks - 區塊指令定義
+ * @returns {{ directives: Object, lookup: Map, blocks: Object, closers: Object, branchParents: Object }}
+ */
+const createGrammar = (directives, blocks) => {
+  // 結束指令 -> 開始指令
+  const closers = Object.fromEntries(Object.entries(blocks).map(([name, block]) => [block.end, name]));
+
+  // 分支指令 -> 可以出現的區塊
+  const branchParents = {};
+  for (const [name, block] of Object.entries(blocks)) {
+    for (const branch of block.branches) {
+      (branchParents[branch] = branchParents[branch] || []).push(name);
+    }
+  }
+
+  return {
+    directives,
+    // 指令名稱不分大小寫（與原本的正則 /gi 行為一致）
+    lookup: new Map(Object.keys(directives).map(name => [name.toLowerCase(), name])),
+    blocks,
+    closers,
+    branchParents
+  };
+};
+
+// 編譯用：邏輯指令
+const LOGIC_GRAMMAR = createGrammar(DIRECTIVES, BLOCKS);
+
+// 結構檢查用：邏輯指令 + 佈局、stack、@once、@verbatim、@markdown、@slot
+const STRUCTURE_GRAMMAR = createGrammar(
+  { ...DIRECTIVES, ...STRUCTURE_DIRECTIVES },
+  { ...BLOCKS, ...STRUCTURE_BLOCKS }
+);
+
+// 由 index.js 以正則處理、不在語法表中的指令
+const PREPROCESSED_DIRECTIVES = ['extends', 'yield', 'stack', 'props'];
+
+/**
+ * 檢查指令名稱是否為內建指令（自訂指令不能使用）
+ *
+ * 比對不分大小寫，區塊型自訂指令的結束指令（@endname）也必須檢查。
+ *
+ * @param {string} name - 指令名稱（不含 @）
+ * @returns {boolean}
+ *
+ * @example
+ * isBuiltinDirective('foreach') // 返回: true
+ * isBuiltinDirective('icon') // 返回: false
+ */
+export const isBuiltinDirective = (name) =>
+  STRUCTURE_GRAMMAR.lookup.has(name.toLowerCase()) || PREPROCESSED_DIRECTIVES.includes(name.toLowerCase());
+
+/**
+ * 建立包含自訂指令的語法表
+ *
+ * 自訂指令一律接受選擇性參數（@icon、@icon('name')）；
+ * 區塊型自訂指令以 @end + 名稱結束，並加入結構檢查。
+ *
+ * @param {Object<string, { handler: Function, block: boolean }>} customDirectives - 自訂指令定義
+ * @param {string[]} [filterNames=[]] - 可以在管線語法中使用的過濾器名稱
+ * @returns {{ logic: Object, structure: Object }} 編譯用與結構檢查用的語法表
+ *
+ * @example
+ * const grammars = createGrammars({ card: { block: true, handler: (args, content) => `<div>${content}</div>` } });
+ * compileBlade('@card<p>A</p>@endcard', grammars.logic).code
+ * // 返回: '<div><p>A</p></div>'
+ */
+export const createGrammars = (customDirectives, filterNames = []) => {
+  const directives = {};
+  const blocks = {};
+
+  for (const [name, definition] of Object.entries(customDirectives)) {
+    directives[name] = 'optional';
+    if (definition.block) {
+      directives[`end${name}`] = 'none';
+      blocks[name] = { end: `end${name}`, branches: [] };
+    }
+  }
+
+  return {
+    logic: {
+      ...createGrammar({ ...DIRECTIVES, ...directives }, { ...BLOCKS, ...blocks }),
+      custom: customDirectives,
+      filters: new Set(filterNames)
+    },
+    structure: createGrammar(
+      { ...DIRECTIVES, ...STRUCTURE_DIRECTIVES, ...directives },
+      { ...BLOCKS, ...STRUCTURE_BLOCKS, ...blocks }
+    )
+  };
+};
+
+// 掃描時需要處理的位置：指令、Blade 註釋、輸出標籤與 Lodash 標籤
+const SCAN = /@|\{\{|\{!!|<%/g;
+
+// 指令名稱（從 @ 後面開始，使用 sticky 旗標）
+const DIRECTIVE_NAME = /[A-Za-z]\w*/y;
+
+// ====================================================================
+// 共用工具
+// ====================================================================
+
+/**
+ * 找出與開頭括號配對的結尾括號位置
+ *
+ * 會略過字串內的括號，支援 ()、[]、{} 混合巢狀。
+ *
+ * @param {string} str - 原始字串
+ * @param {number} openIndex - 開頭括號的位置
+ * @returns {number} 配對的結尾括號位置，找不到時返回 -1
+ *
+ * @example
+ * findClosingBracket("@props(['items' => []])", 6) // 返回: 22
+ */
+export const findClosingBracket = (str, openIndex) => {
+  const pairs = { '(': ')', '[': ']', '{': '}' };
+  const stack = [];
+  let quote = null;
+
+  for (let i = openIndex; i < str.length; i++) {
+    const char = str[i];
+
+    // 字串內的字元（含跳脫字元）不計入括號
+    if (quote) {
+      if (char === '\\') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+      continue;
+    }
+
+    if (char === '"' || char === "'" || char === '`') {
+      quote = char;
+    } else if (pairs[char]) {
+      stack.push(pairs[char]);
+    } else if (char === stack[stack.length - 1]) {
+      stack.pop();
+      if (stack.length === 0) {
+        return i;
+      }
+    }
+  }
+
+  return -1;
+};
+
+/**
+ * 以最外層的逗號分割字串（忽略括號與字串內的逗號）
+ *
+ * @param {string} str - 原始字串
+ * @returns {string[]} 分割後（已去除空白）的片段，不含空字串
+ *
+ * @example
+ * splitTopLevel("'title' => 'A, B', 'items' => [1, 2]")
+ * // 返回: ["'title' => 'A, B'", "'items' => [1, 2]"]
+ */
+export const splitTopLevel = (str) => {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < str.length; i++) {
+    const char = str[i];
+
+    if (quote) {
+      if (char === '\\') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+      continue;
+    }
+
+    if (char === '"' || char === "'" || char === '`') {
+      quote = char;
+    } else if ('([{'.includes(char)) {
+      depth++;
+    } else if (')]}'.includes(char)) {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(str.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(str.slice(start));
+
+  return parts.map(part => part.trim()).filter(Boolean);
+};
+
+// 模板中存取過濾器的變數名稱（由 index.js 透過 compilerOptions.imports 提供）
+export const FILTERS_VARIABLE = '__vphk_filters__';
+
+// 模板中 @json 使用的函式名稱（filters.js 的 toScriptJson，由 index.js 透過 compilerOptions.imports 提供）
+export const JSON_VARIABLE = '__vphk_json__';
+
+// 管線中的過濾器：name 或 name(args)
+const FILTER_CALL = /^([A-Za-z_$][\w$]*)\s*(\(([\s\S]*)\))?$/;
+
+/**
+ * 將表達式中的管線語法轉換為過濾器呼叫
+ *
+ * 以最外層（括號與字串之外）的單一 | 分割，|| 與 |= 不受影響。
+ * 只有每個 | 後面都是已註冊的過濾器時才轉換，
+ * 其他情況（例如位元運算 flags | 4、正規表示式 /a|b/）保留原始表達式。
+ *
+ * @param {string} expression - {{ }} 內的表達式
+ * @param {Set<string>} filterNames - 已註冊的過濾器名稱
+ * @returns {string} 轉換後的表達式（沒有管線時原樣返回）
+ *
+ * @example
+ * compilePipes('post.title | capitalize | truncate(40)', new Set(['capitalize', 'truncate']))
+ * // 返回: '__vphk_filters__.truncate(__vphk_filters__.capitalize(post.title), 40)'
+ *
+ * @example
+ * compilePipes('a || b', new Set(['upper'])) // 返回: 'a || b'
+ */
+export const compilePipes = (expression, filterNames) => {
+  if (!filterNames || filterNames.size === 0 || !expression.includes('|')) {
+    return expression;
+  }
+
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < expression.length; i++) {
+    const char = expression[i];
+
+    if (quote) {
+      if (char === '\\') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+      continue;
+    }
+
+    if (char === '"' || char === "'" || char === '`') {
+      quote = char;
+    } else if ('([{'.includes(char)) {
+      depth++;
+    } else if (')]}'.includes(char)) {
+      depth--;
+    } else if (char === '|' && depth === 0) {
+      if (expression[i + 1] === '|' || expression[i + 1] === '=') {
+        i++;
+        continue;
+      }
+      parts.push(expression.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(expression.slice(start));
+
+  if (parts.length === 1) {
+    return expression;
+  }
+
+  const [value, ...pipes] = parts.map(part => part.trim());
+  const calls = pipes.map(pipe => pipe.match(FILTER_CALL));
+  const isPipeline = value && calls.every(call =>
+    call && filterNames.has(call[1]) && (!call[2] || findClosingBracket(call[2], 0) === call[2].length - 1)
+  );
+
+  if (!isPipeline) {
+    return expression;
+  }
+
+  return calls.reduce((result, call) => {
+    const args = call[3] && call[3].trim() ? `, ${call[3].trim()}` : '';
+    return `${FILTERS_VARIABLE}.${call[1]}(${result}${args})`;
+  }, value);
+};
+
+/**
+ * 建立位置轉換函式：字元位置 -> 行號與欄位（皆從 1 開始）
+ *
+ * @param {string} template - 模板內容
+ * @returns {(offset: number) => { line: number, column: number }}
+ */
+export const createLocator = (template) => {
+  const lineStarts = [0];
+  for (let i = 0; i < template.length; i++) {
+    if (template[i] === '\n') {
+      lineStarts.push(i + 1);
+    }
+  }
+
+  return (offset) => {
+    // 二分搜尋 offset 所在的行
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+};
+
+// ====================================================================
+// 階段 1: Tokenize
+// ====================================================================
+
+/**
+ * 將模板切分為文字與指令 token
+ *
+ * 掃描規則：
+ * - {{-- --}} Blade 註釋直接移除（註釋內的指令不會被處理）
+ * - {{ }}、{!! !!}、<% %> 的內容視為文字，不解析其中的 @
+ * - @name 只有在 name 完整符合支援的指令時才視為指令（@elsewhere 不是 @else）
+ * - 看起來像 email 網域的 @（前面是英數字元、後面接 .xxx，例如 admin@default.com）視為文字
+ * - 指令參數以括號配對解析，因此 @if(fn(a, (b))) 與多行條件都能正確處理
+ *
+ * @param {string} template - 模板內容
+ * @param {Object} [grammar] - 語法表（預設為編譯用的邏輯指令）
+ * @returns {{ tokens: Array<Object>, errors: Array<Object> }}
+ *   tokens: { type: 'text', value } 或 { type: 'directive', name, args, raw, line, column }
+ *   errors: { type: 'arguments', message, directive, line, column }
+ *
+ * @example
+ * tokenize('@if(a)<p>{{ x }}</p>@endif').tokens
+ * // 返回: [
+ * //   { type: 'directive', name: 'if', args: 'a', raw: '@if(a)', line: 1, column: 1 },
+ * //   { type: 'text', value: '<p>{{ x }}</p>' },
+ * //   { type: 'directive', name: 'endif', args: null, raw: '@endif', line: 1, column: 21 }
+ * // ]
+ */
+export const tokenize = (template, grammar = LOGIC_GRAMMAR) => {
+  const tokens = [];
+  const errors = [];
+  const locate = createLocator(template);
+  let text = '';
+  let index = 0;
+
+  const flushText = () => {
+    if (text) {
+      tokens.push({ type: 'text', value: text });
+      text = '';
+    }
+  };
+
+  SCAN.lastIndex = 0;
+  let match;
+  while ((match = SCAN.exec(template)) !== null) {
+    const start = match.index;
+    text += template.slice(index, start);
+    index = start;
+
+    // ----------------------------------------
+    // Blade 註釋與輸出標籤
+    // ----------------------------------------
+    if (match[0] !== '@') {
+      const isComment = template.startsWith('{{--', start);
+      const closer = isComment ? '--}}' : { '{{': '}}', '{!!': '!!}', '<%': '%>' }[match[0]];
+      const end = template.indexOf(closer, start + match[0].length);
+
+      if (end === -1) {
+        // 沒有結尾標記：當作一般文字
+        text += match[0];
+        index = start + match[0].length;
+      } else {
+        if (!isComment) {
+          // {{ }} / {!! !!} 中的管線語法轉換為過濾器呼叫
+          const expression = template.slice(start + match[0].length, end);
+          const compiled = match[0] === '<%' ? expression : compilePipes(expression, grammar.filters);
+          text += compiled === expression
+            ? template.slice(start, end + closer.length)
+            : `${match[0]} ${compiled} ${closer}`;
+        }
+        index = end + closer.length;
+      }
+      SCAN.lastIndex = index;
+      continue;
+    }
+
+    // ----------------------------------------
+    // 指令
+    // ----------------------------------------
+    DIRECTIVE_NAME.lastIndex = start + 1;
+    const nameMatch = DIRECTIVE_NAME.exec(template);
+    const name = nameMatch && grammar.lookup.get(nameMatch[0].toLowerCase());
+
+    // email 網域：admin@default.com、info@else.org
+    const isEmail = name && start > 0 && /\w/.test(template[start - 1]) &&
+      /^\.\w/.test(template.slice(DIRECTIVE_NAME.lastIndex, DIRECTIVE_NAME.lastIndex + 2));
+
+    if (!name || isEmail) {
+      text += '@';
+      index = start + 1;
+      SCAN.lastIndex = index;
+      continue;
+    }
+
+    let end = start + 1 + nameMatch[0].length;
+    let args = null;
+    const argRule = grammar.directives[name];
+
+    if (argRule !== 'none') {
+      // 必要參數允許換行後才出現括號，選擇性參數必須在同一行
+      const whitespace = argRule === 'required' ? /\s*/y : /[ \t]*/y;
+      whitespace.lastIndex = end;
+      whitespace.exec(template);
+      const openIndex = whitespace.lastIndex;
+
+      if (template[openIndex] === '(') {
+        const closeIndex = findClosingBracket(template, openIndex);
+        if (closeIndex === -1) {
+          errors.push({ type: 'arguments', message: `@${name} 的括號沒有閉合`, directive: name, ...locate(start) });
+          text += '@';
+          index = start + 1;
+          SCAN.lastIndex = index;
+          continue;
+        }
+        args = template.slice(openIndex + 1, closeIndex).trim();
+        end = closeIndex + 1;
+      } else if (argRule === 'required') {
+        // 缺少必要參數：不是指令（例如文章中提到的 "@if"）
+        text += '@';
+        index = start + 1;
+        SCAN.lastIndex = index;
+        continue;
+      }
+    }
+
+    flushText();
+    tokens.push({ type: 'directive', name, args, raw: template.slice(start, end), ...locate(start) });
+    index = end;
+    SCAN.lastIndex = index;
+  }
+
+  text += template.slice(index);
+  flushText();
+
+  return { tokens, errors };
+};
+
+// ====================================================================
+// 階段 2: Parse
+// ====================================================================
+
+/**
+ * 依指令配對建立 AST
+ *
+ * AST 節點：
+ * - { type: 'text', value }
+ * - { type: 'directive', name, args, raw, line, column } - 行內指令（@json、@include 系列、@break、@continue）
+ * - { type: 'block', name, args, line, column, branches: [{ name, args, children }] }
+ *   第一個分支是區塊本身，其後為 @elseif / @else / @case / @default / @empty 分支
+ *
+ * 錯誤恢復：
+ * - 未閉合的區塊在遇到外層的結束指令或模板結尾時自動閉合
+ * - 多餘的結束指令與放錯位置的分支、迴圈控制指令會被忽略
+ * 所有問題都會記錄在 errors 中（含行號與欄位），其餘內容仍能正常輸出。
+ *
+ * 錯誤類型（type）：
+ * - unclosed: 區塊缺少結束指令（closer 為預期的結束指令）
+ * - unmatched: 多餘的結束指令（opener 為對應的開始指令）
+ * - misplaced: 分支指令或 @break / @continue 不在允許的區塊內（parents 為允許的區塊）
+ *
+ * @param {Array<Object>} tokens - tokenize 的結果
+ * @param {Object} [grammar] - 語法表（預設為編譯用的邏輯指令）
+ * @returns {{ ast: Array<Object>, errors: Array<Object> }}
+ *
+ * @example
+ * parse(tokenize('@if(a)A@else B@endif').tokens).ast
+ * // 返回: [{ type: 'block', name: 'if', args: 'a', line: 1, column: 1, branches: [
+ * //   { name: 'if', args: 'a', children: [{ type: 'text', value: 'A' }] },
+ * //   { name: 'else', args: null, children: [{ type: 'text', value: ' B' }] }
+ * // ] }]
+ */
+export const parse = (tokens, grammar = LOGIC_GRAMMAR) => {
+  const { blocks, closers, branchParents } = grammar;
+  const ast = [];
+  const errors = [];
+  const stack = [];
+  let children = ast;
+
+  // 未閉合的區塊（optionalEnd 的區塊視為行內指令，不是錯誤）
+  const reportUnclosed = (node) => {
+    const closer = blocks[node.name].end;
+    if (!blocks[node.name].optionalEnd) {
+      errors.push({
+        type: 'unclosed',
+        message: `@${node.name} 缺少對應的 @${closer}`,
+        directive: node.name,
+        closer,
+        line: node.line,
+        column: node.column
+      });
+    }
+  };
+
+  // 回到目前最內層區塊的最後一個分支
+  const restoreChildren = () => {
+    const parent = stack[stack.length - 1];
+    children = parent ? parent.branches[parent.branches.length - 1].children : ast;
+  };
+
+  for (const token of tokens) {
+    if (token.type === 'text') {
+      children.push(token);
+      continue;
+    }
+
+    const { name, args, line, column } = token;
+    const isForelseEmpty = name === 'empty' && args === null;
+
+    // ----------------------------------------
+    // 開始區塊
+    // ----------------------------------------
+    const block = blocks[name];
+    if (block && !isForelseEmpty && (!block.opens || block.opens(args))) {
+      const node = { type: 'block', name, args, line, column, branches: [{ name, args, children: [] }] };
+      children.push(node);
+      stack.push(node);
+      children = node.branches[0].children;
+      continue;
+    }
+
+    // ----------------------------------------
+    // 結束區塊
+    // ----------------------------------------
+    if (closers[name]) {
+      const opener = closers[name];
+      const openIndex = stack.map(node => node.name).lastIndexOf(opener);
+
+      if (openIndex === -1) {
+        errors.push({
+          type: 'unmatched',
+          message: `多餘的 @${name}，沒有對應的 @${opener}`,
+          directive: name,
+          opener,
+          line,
+          column
+        });
+        continue;
+      }
+
+      // 內層尚未閉合的區塊
+      for (let i = stack.length - 1; i > openIndex; i--) {
+        reportUnclosed(stack[i]);
+      }
+      stack.length = openIndex;
+      restoreChildren();
+      continue;
+    }
+
+    // ----------------------------------------
+    // 分支（@elseif、@else、@case、@default、@forelse 的 @empty）
+    // ----------------------------------------
+    if (branchParents[name]) {
+      const parent = stack[stack.length - 1];
+      if (!parent || !blocks[parent.name].branches.includes(name)) {
+        const parents = branchParents[name].map(parentName => `@${parentName}`).join(' / ');
+        errors.push({
+          type: 'misplaced',
+          message: `@${name} 必須位於 ${parents} 區塊內`,
+          directive: name,
+          parents,
+          line,
+          column
+        });
+        continue;
+      }
+
+      const branch = { name, args, children: [] };
+      parent.branches.push(branch);
+      children = branch.children;
+      continue;
+    }
+
+    // ----------------------------------------
+    // 迴圈控制（@break、@continue）
+    // ----------------------------------------
+    // 作用對象是最內層的迴圈；@break 最內層是 @switch 時屬於 switch，
+    // switch 以 if/else 產生，不需要 break，直接略過
+    if (name === 'break' || name === 'continue') {
+      const targets = name === 'break' ? [...LOOPS, 'switch'] : LOOPS;
+      let target = null;
+      for (let index = stack.length - 1; index >= 0 && !target; index--) {
+        if (targets.includes(stack[index].name)) {
+          target = stack[index];
+        }
+      }
+
+      if (!target) {
+        const parents = targets.map(parentName => `@${parentName}`).join(' / ');
+        errors.push({
+          type: 'misplaced',
+          message: `@${name} 必須位於 ${parents} 區塊內`,
+          directive: name,
+          parents,
+          line,
+          column
+        });
+        continue;
+      }
+      if (target.name !== 'switch') {
+        children.push(token);
+      }
+      continue;
+    }
+
+    // ----------------------------------------
+    // 行內指令
+    // ----------------------------------------
+    children.push(token);
+  }
+
+  // 模板結尾仍未閉合的區塊
+  for (const node of stack) {
+    reportUnclosed(node);
+  }
+
+  return { ast, errors };
+};
+
+// ====================================================================
+// 階段 3: Generate
+// ====================================================================
+
+/**
+ * 解析迴圈表達式
+ *
+ * @param {string} expression - @foreach / @forelse 的參數
+ * @returns {{ collection: string, item: string } | null} 無法解析時返回 null（視為原生 for 語法）
+ *
+ * @example
+ * parseLoopExpression('posts as post') // 返回: { collection: 'posts', item: 'post' }
+ * parseLoopExpression('const post of posts') // 返回: { collection: 'posts', item: 'post' }
+ */
+export const parseLoopExpression = (expression) => {
+  // Blade 風格: "items as item"（以最後一個 as 分割，集合表達式中可以出現 as）
+  const asIndex = expression.lastIndexOf(' as ');
+  if (asIndex !== -1) {
+    return {
+      collection: expression.slice(0, asIndex).trim(),
+      item: expression.slice(asIndex + 4).trim()
+    };
+  }
+
+  // JavaScript 風格: "item of items"
+  const ofIndex = expression.indexOf(' of ');
+  if (ofIndex !== -1) {
+    return {
+      collection: expression.slice(ofIndex + 4).trim(),
+      item: expression.slice(0, ofIndex).trim().replace(/^(let|const|var)\s+/, '')
+    };
+  }
+
+  return null;
+};
+
+/**
+ * 產生迴圈開頭的程式碼（不含 <% %>），需要以 "} }" 閉合
+ *
+ * 提供 loop 變數（index、iteration、remaining、count、first、last、even、odd、depth、parent），
+ * 巢狀迴圈透過 loop.parent 存取外層迴圈。
+ * 特殊變數名稱以 __vphk_ 開頭（vphk = vite-plugin-html-kit），避免與使用者代碼衝突。
+ *
+ * @param {string} expression - @foreach / @forelse 的參數
+ * @returns {string} 迴圈開頭程式碼
+ */
+const loopHeader = (expression) => {
+  const loop = parseLoopExpression(expression);
+
+  // 不符合兩種語法：假設是原生 for 迴圈語法（不支援 loop）
+  // 例如: @foreach(let i = 0; i < 10; i++)
+  if (!loop) {
+    return `{ for (${expression}) { `;
+  }
+
+  return `{ const __vphk_lp__ = typeof loop !== 'undefined' ? loop : null; ` +
+    `const __vphk_ld__ = __vphk_lp__ ? __vphk_lp__.depth + 1 : 1; ` +
+    `const __vphk_lc__ = ${loop.collection}; ` +
+    `const __vphk_ln__ = __vphk_lc__.length; ` +
+    `let __vphk_li__ = 0; ` +
+    `for (let ${loop.item} of __vphk_lc__) { ` +
+    `const loop = { index: __vphk_li__, iteration: __vphk_li__ + 1, ` +
+    `remaining: __vphk_ln__ - __vphk_li__ - 1, count: __vphk_ln__, ` +
+    `first: __vphk_li__ === 0, last: __vphk_li__ === __vphk_ln__ - 1, ` +
+    `even: (__vphk_li__ + 1) % 2 === 0, odd: (__vphk_li__ + 1) % 2 !== 0, ` +
+    `depth: __vphk_ld__, parent: __vphk_lp__ }; __vphk_li__++; `;
+};
+
+/**
+ * 將 @include 參數轉換為 HTML 屬性字串
+ *
+ * 每個值都以 {{ }} 包裹，在 resolveIncludes 階段求值並保留型別。
+ *
+ * @param {string} params - 參數字串，例如 "{ key: 'value' }" 或 "['key' => 'value']"
+ * @returns {string} HTML 屬性字串，例如 'key="{{ \'value\' }}"'
+ */
+const parseIncludeParams = (params) => {
+  if (!params || params.trim() === '') {
+    return '';
+  }
+
+  params = params.trim();
+
+  // 移除外層的 { } 或 [ ]
+  if ((params.startsWith('{') && params.endsWith('}')) ||
+      (params.startsWith('[') && params.endsWith(']'))) {
+    params = params.slice(1, -1).trim();
+  }
+
+  // 將 PHP 陣列語法 'key' => 'value' 轉換為 JS 物件語法 key: 'value'
+  // 支援單引號和雙引號
+  params = params.replace(/(['"])(\w+)\1\s*=>\s*/g, '$2: ');
+
+  // 解析參數對
+  // 支援字串、數字、布林值、變數和陣列
+  const paramPairs = [];
+  const paramRegex = /(\w+)\s*:\s*(?:(\[[\s\S]*?\])|(['"])((?:(?!\3).)*)\3|(true|false|\d+|[\w.]+))/g;
+  let paramMatch;
+
+  while ((paramMatch = paramRegex.exec(params)) !== null) {
+    const key = paramMatch[1];
+    const arrayValue = paramMatch[2];
+    const quote = paramMatch[3];
+    const stringValue = paramMatch[4];
+    const otherValue = paramMatch[5];
+
+    let value;
+    if (arrayValue !== undefined) {
+      // 陣列值：直接使用
+      value = arrayValue;
+    } else if (stringValue !== undefined) {
+      // 字串值：保留引號
+      value = `${quote}${stringValue}${quote}`;
+    } else {
+      // 變數、數字或布林值：不加引號
+      value = otherValue;
+    }
+
+    // 使用 {{ }} 包裹值，這樣在 include 處理時會被評估
+    paramPairs.push(`${key}="{{ ${value} }}"`);
+  }
+
+  return paramPairs.join(' ');
+};
+
+/**
+ * 取出引號包裹的字串內容
+ *
+ * @param {string} value - 例如 "'header.html'"
+ * @returns {string|null} 不是字串字面值時返回 null
+ */
+const unquote = (value) => {
+  const match = value && value.match(/^(['"])([^'"]+)\1$/);
+  return match ? match[2] : null;
+};
+
+/**
+ * 產生 <include> 標籤
+ *
+ * @param {string} filePath - partial 路徑
+ * @param {string} [params] - @include 參數
+ * @param {string} [extraAttributes] - 額外屬性（例如 data-include-if="true"）
+ * @returns {string}
+ */
+const includeTag = (filePath, params, extraAttributes) => {
+  const attributes = [extraAttributes, parseIncludeParams(params)].filter(Boolean).join(' ');
+  return attributes
+    ? `<include src="${filePath}" ${attributes} />`
+    : `<include src="${filePath}" />`;
+};
+
+// PHP 陣列的鍵值項目：'btn-primary' => isPrimary（鍵可以包含 - 與 :，例如 'md:flex'）
+const ARRAY_ENTRY = /^((['"])(?:\\.|(?!\2)[^\\])*\2)\s*=>\s*([\s\S]+)$/;
+
+/**
+ * 將 @class / @style 的參數轉換為 [值, 條件] 陣列的表達式
+ *
+ * - 陣列（PHP 或 JS 語法）：沒有鍵的項目一律輸出，'key' => condition 的項目依條件輸出
+ * - 其他表達式（JS 物件）：以 Object.entries 取得 [值, 條件]
+ *
+ * @param {string} args - 指令參數
+ * @returns {string} JavaScript 表達式
+ *
+ * @example
+ * conditionalEntries("['btn', 'btn-primary' => isPrimary]")
+ * // 返回: "[['btn', true], ['btn-primary', isPrimary]]"
+ *
+ * @example
+ * conditionalEntries("{ btn: true, 'btn-primary': isPrimary }")
+ * // 返回: "Object.entries({ btn: true, 'btn-primary': isPrimary })"
+ */
+const conditionalEntries = (args) => {
+  if (!args.startsWith('[') || findClosingBracket(args, 0) !== args.length - 1) {
+    return `Object.entries(${args})`;
+  }
+
+  const entries = splitTopLevel(args.slice(1, -1)).map(entry => {
+    const match = entry.match(ARRAY_ENTRY);
+    return match ? `[${match[1]}, ${match[3]}]` : `[${entry}, true]`;
+  });
+
+  return `[${entries.join(', ')}]`;
+};
+
+/**
+ * 產生只在條件成立時輸出的布林屬性（@checked、@disabled 等）
+ *
+ * @param {string} attribute - 屬性名稱
+ * @returns {(args: string) => string} 行內指令產生器
+ */
+const booleanAttribute = (attribute) => (args) => `<% if (${args}) { %>${attribute}<% } %>`;
+
+/**
+ * 行內指令的程式碼產生器
+ *
+ * 返回 null 表示參數格式不支援，保留原始文字（例如動態路徑的 @include(name)）
+ */
+const INLINE_GENERATORS = {
+  // @json(expression)        -> {!! __vphk_json__(expression) !!}
+  // @json(expression, true)  -> {!! __vphk_json__(expression, 2) !!}
+  // 使用 {!! !!} 原樣輸出：{{ }} 會把引號轉義為 &quot;，破壞 JSON
+  // __vphk_json__ 將 <、>、& 轉為 \u003c 等形式，資料中的 </script> 不會提早結束標籤
+  // 表達式可以使用管線語法：@json(posts | pluck('title'))
+  json: (args, grammar) => {
+    const parts = splitTopLevel(args);
+    const pretty = parts.length > 1 && /^(true|false)$/.test(parts[parts.length - 1])
+      ? parts.pop() === 'true'
+      : false;
+    const expression = compilePipes(parts.join(', '), grammar.filters);
+
+    return pretty
+      ? `{!! ${JSON_VARIABLE}(${expression}, 2) !!}`
+      : `{!! ${JSON_VARIABLE}(${expression}) !!}`;
+  },
+
+  // @lang('key', { name })  -> {!! __('key', { name }) !!}
+  // @choice('apples', count) -> {!! trans_choice('apples', count) !!}
+  // 與 Blade 相同原樣輸出（翻譯可以包含 HTML），需要轉義時使用 {{ __('key') }}
+  // __ 與 trans_choice 由 i18n 選項提供
+  lang: (args) => `{!! __(${args}) !!}`,
+  choice: (args) => `{!! trans_choice(${args}) !!}`,
+
+  // @svg('icons/close.svg', { class: 'w-4' }) -> {!! svg('icons/close.svg', { class: 'w-4' }) !!}
+  // svg 由渲染器提供（見 svg.js），返回行內的 <svg> 或 sprite 的 <use> 引用
+  svg: (args) => `{!! svg(${args}) !!}`,
+
+  // @include('file.html', { key: 'value' }) -> <include src="file.html" key="{{ 'value' }}" />
+  include: (args) => {
+    const [file, ...params] = splitTopLevel(args);
+    const filePath = unquote(file);
+    return filePath ? includeTag(filePath, params.join(', ')) : null;
+  },
+
+  // @includeIf('file.html') -> 加上 data-include-if，在 resolveIncludes 階段檢查檔案是否存在
+  includeIf: (args) => {
+    const [file, ...params] = splitTopLevel(args);
+    const filePath = unquote(file);
+    return filePath ? includeTag(filePath, params.join(', '), 'data-include-if="true"') : null;
+  },
+
+  // @includeWhen(condition, 'file.html') -> 條件包裹的 <include>
+  includeWhen: (args) => {
+    const [condition, file, ...params] = splitTopLevel(args);
+    const filePath = unquote(file);
+    return condition && filePath ? `<% if (${condition}) { %>${includeTag(filePath, params.join(', '))}<% } %>` : null;
+  },
+
+  // @includeUnless(condition, 'file.html') -> 否定條件包裹的 <include>
+  includeUnless: (args) => {
+    const [condition, file, ...params] = splitTopLevel(args);
+    const filePath = unquote(file);
+    return condition && filePath ? `<% if (!(${condition})) { %>${includeTag(filePath, params.join(', '))}<% } %>` : null;
+  },
+
+  // @includeFirst(['a.html', 'b.html']) -> 加上 data-include-first，在 resolveIncludes 階段找第一個存在的檔案
+  includeFirst: (args) => {
+    const [list, ...params] = splitTopLevel(args);
+    if (!list || !list.startsWith('[') || !list.endsWith(']')) {
+      return null;
+    }
+
+    const files = splitTopLevel(list.slice(1, -1)).map(file => file.replace(/^['"]|['"]$/g, ''));
+    const filesJson = JSON.stringify(files).replace(/"/g, '&quot;');
+
+    return includeTag(files[0] || '', params.join(', '), `data-include-first="${filesJson}"`);
+  },
+
+  // @class(['btn', 'active' => isActive]) -> class="btn active"
+  // 值與條件皆為真的項目以空白串接
+  class: (args) =>
+    `class="{{ ${conditionalEntries(args)}.filter(([name, on]) => name && on).map(([name]) => name).join(' ') }}"`,
+
+  // @style(['color: red', 'font-weight: bold' => isActive]) -> style="color: red; font-weight: bold;"
+  // 每條規則統一以一個分號結尾（與 Blade 相同）
+  style: (args) =>
+    `style="{{ ${conditionalEntries(args)}.filter(([rule, on]) => rule && on)` +
+    `.map(([rule]) => String(rule).trim().replace(/;+$/, '') + ';').join(' ') }}"`,
+
+  // @checked(condition) -> 條件成立時輸出 checked
+  checked: booleanAttribute('checked'),
+  selected: booleanAttribute('selected'),
+  disabled: booleanAttribute('disabled'),
+  readonly: booleanAttribute('readonly'),
+  required: booleanAttribute('required'),
+
+  // @break            -> <% break; %>
+  // @break(condition) -> <% if (condition) { break; } %>
+  // （@switch 中的 @break 在 parse 階段已略過）
+  break: (args) => (args ? `<% if (${args}) { break; } %>` : '<% break; %>'),
+
+  // @continue            -> <% continue; %>
+  // @continue(condition) -> <% if (condition) { continue; } %>
+  continue: (args) => (args ? `<% if (${args}) { continue; } %>` : '<% continue; %>')
+};
+
+/**
+ * 區塊指令的程式碼產生器
+ *
+ * 條件與 switch 使用 if/else 鏈：
+ * - 不需要 break，不會發生 fall-through（與 Blade 的行為一致）
+ * - @switch 以區塊作用域保存比較值 __vphk_sw__
+ */
+const BLOCK_GENERATORS = {
+  if: (node, generateBranch) => node.branches.map((branch, index) => {
+    if (index === 0) {
+      return `<% if (${branch.args}) { %>${generateBranch(branch)}`;
+    }
+    return branch.name === 'elseif'
+      ? `<% } else if (${branch.args}) { %>${generateBranch(branch)}`
+      : `<% } else { %>${generateBranch(branch)}`;
+  }).join('') + '<% } %>',
+
+  // @unless(condition) -> 條件取反，外層括號確保正確的優先級
+  unless: (node, generateBranch) => BLOCK_GENERATORS.if({
+    ...node,
+    branches: [{ ...node.branches[0], args: `!(${node.args})` }, ...node.branches.slice(1)]
+  }, generateBranch),
+
+  // @isset(variable) -> 變數已定義且不為 null（支援深層屬性，存取失敗視為未定義）
+  isset: (node, generateBranch) => BLOCK_GENERATORS.if({
+    ...node,
+    branches: [{
+      ...node.branches[0],
+      args: `(function() { try { const val = ${node.args}; return typeof val !== 'undefined' && val !== null; } catch (e) { return false; } })()`
+    }, ...node.branches.slice(1)]
+  }, generateBranch),
+
+  // @empty(variable) -> 變數為空：null、undefined、false、0、''、空陣列、空物件
+  empty: (node, generateBranch) => BLOCK_GENERATORS.if({
+    ...node,
+    branches: [{
+      ...node.branches[0],
+      args: `(function() { try { const val = ${node.args}; ` +
+        `return !val || (Array.isArray(val) && val.length === 0) || ` +
+        `(typeof val === 'object' && val !== null && Object.keys(val).length === 0); ` +
+        `} catch (e) { return true; } })()`
+    }, ...node.branches.slice(1)]
+  }, generateBranch),
+
+  // @switch 與第一個 @case 之間的內容放在 if (false) 中，不會輸出
+  switch: (node, generateBranch) => node.branches.map((branch, index) => {
+    if (index === 0) {
+      return `<% { const __vphk_sw__ = (${branch.args}); if (false) { %>${generateBranch(branch)}`;
+    }
+    return branch.name === 'case'
+      ? `<% } else if (__vphk_sw__ === (${branch.args})) { %>${generateBranch(branch)}`
+      : `<% } else { %>${generateBranch(branch)}`;
+  }).join('') + '<% } } %>',
+
+  foreach: (node, generateBranch) =>
+    `<% ${loopHeader(node.args)}%>${generateBranch(node.branches[0])}<% } } %>`,
+
+  // @forelse(items as item) ... @empty ... @endforelse
+  // -> if (有資料) { 迴圈 } else { 空資料內容 }
+  forelse: (node, generateBranch) => {
+    const loop = parseLoopExpression(node.args);
+    const condition = loop ? `${loop.collection} && ${loop.collection}.length > 0` : 'true';
+    const emptyBranch = node.branches.find(branch => branch.name === 'empty');
+
+    return `<% if (${condition}) { ${loopHeader(node.args)}%>${generateBranch(node.branches[0])}` +
+      (emptyBranch ? `<% } } } else { %>${generateBranch(emptyBranch)}<% } %>` : '<% } } } %>');
+  },
+
+  // @for(let i = 0; i < 10; i++) -> 原生 for 迴圈
+  // 省略 let 時（@for(i = 0; ...)）自動加上，避免在模板中建立全域變數
+  for: (node, generateBranch) => {
+    const expression = /^\s*[A-Za-z_$][\w$]*\s*=(?!=)/.test(node.args) ? `let ${node.args.trim()}` : node.args;
+    return `<% for (${expression}) { %>${generateBranch(node.branches[0])}<% } %>`;
+  },
+
+  while: (node, generateBranch) =>
+    `<% while (${node.args}) { %>${generateBranch(node.branches[0])}<% } %>`
+};
+
+/**
+ * 執行自訂指令的 handler
+ *
+ * - 行內指令：handler(args)，返回 null / undefined 時保留原始文字
+ * - 區塊指令：handler(args, content)，content 是區塊內容產生的程式碼，
+ *   返回 null / undefined 時只輸出內容
+ * handler 拋出錯誤時記錄到 errors（type: 'directive'），行內指令不輸出、區塊指令只輸出內容
+ * （不保留原始文字，避免 include 階段再次轉換時重複回報）。
+ *
+ * @param {Object} node - AST 節點
+ * @param {{ handler: Function, block: boolean }} definition - 自訂指令定義
+ * @param {string} content - 區塊內容的程式碼（行內指令為空字串）
+ * @param {Array<Object>} errors - 錯誤列表
+ * @returns {string}
+ */
+const runCustomDirective = (node, definition, content, errors) => {
+  try {
+    const result = definition.block
+      ? definition.handler(node.args, content)
+      : definition.handler(node.args);
+    if (result === null || result === undefined) {
+      return definition.block ? content : node.raw;
+    }
+    return String(result);
+  } catch (error) {
+    errors.push({
+      type: 'directive',
+      message: `@${node.name} 執行失敗: ${error.message}`,
+      directive: node.name,
+      line: node.line,
+      column: node.column,
+      error
+    });
+    return definition.block ? content : '';
+  }
+};
+
+/**
+ * 從 AST 產生 Lodash Template 程式碼
+ *
+ * @param {Array<Object>} nodes - parse 產生的 AST
+ * @param {Object} [grammar] - 語法表（含自訂指令時使用 createGrammars 的 logic）
+ * @param {Array<Object>} [errors] - 自訂指令 handler 的錯誤會加入這個列表
+ * @returns {string} Lodash Template 程式碼
+ *
+ * @example
+ * generate(parse(tokenize('@if(a)A@endif').tokens).ast)
+ * // 返回: '<% if (a) { %>A<% } %>'
+ */
+export const generate = (nodes, grammar = LOGIC_GRAMMAR, errors = []) => {
+  const generateBranch = branch => generate(branch.children, grammar, errors);
+
+  return nodes.map((node) => {
+    if (node.type === 'text') {
+      return node.value;
+    }
+
+    const custom = grammar.custom && grammar.custom[node.name];
+    if (custom) {
+      const content = node.type === 'block' ? generateBranch(node.branches[0]) : '';
+      return runCustomDirective(node, custom, content, errors);
+    }
+
+    if (node.type === 'block') {
+      return BLOCK_GENERATORS[node.name](node, generateBranch);
+    }
+
+    const code = INLINE_GENERATORS[node.name](node.args, grammar);
+    return code === null ? node.raw : code;
+  }).join('');
+};
+
+/**
+ * 將 Blade 邏輯指令編譯為 Lodash Template 程式碼
+ *
+ * @param {string} template - 模板內容
+ * @param {Object} [grammar] - 語法表（含自訂指令時使用 createGrammars 的 logic）
+ * @returns {{ code: string, errors: Array<{ message: string, directive: string, line: number, column: number }> }}
+ *   編譯結果與錯誤（結構錯誤與自訂指令 handler 的錯誤，依位置排序）
+ *
+ * @example
+ * compileBlade('@foreach(items as item)<li>{{ item }}</li>@endforeach').code
+ * // 返回: '<% { const __vphk_lp__ = ...; for (let item of __vphk_lc__) { ... %><li>{{ item }}</li><% } } %>'
+ *
+ * @example
+ * compileBlade('@if(a)\n  <p>A</p>\n').errors
+ * // 返回: [{ message: '@if 缺少對應的 @endif', directive: 'if', line: 1, column: 1 }]
+ */
+export const compileBlade = (template, grammar = LOGIC_GRAMMAR) => {
+  const { tokens, errors: tokenErrors } = tokenize(template, grammar);
+  const { ast, errors: parseErrors } = parse(tokens, grammar);
+  const directiveErrors = [];
+  const code = generate(ast, grammar, directiveErrors);
+
+  const errors = [...tokenErrors, ...parseErrors, ...directiveErrors]
+    .sort((a, b) => a.line - b.line || a.column - b.column);
+
+  return { code, errors };
+};
+
+// ====================================================================
+// 結構檢查
+// ====================================================================
+
+// @verbatim 區塊：內容不檢查（與 index.js 的 REGEX.VERBATIM 相同）
+const VERBATIM_BLOCK = /(@verbatim)([\s\S]*?)(@endverbatim)/gi;
+
+/**
+ * 檢查模板中所有成對指令的結構
+ *
+ * 除了邏輯指令（@if、@foreach、@switch 等），也檢查由其他階段處理的
+ * @section / @push / @prepend / @once / @verbatim / @markdown / @slot 是否正確配對。
+ * 應該在任何前處理之前，對原始檔案內容執行，回報的行號才會對應到原始檔案。
+ *
+ * - @verbatim 區塊的內容不檢查（以空白遮蔽，保留換行讓行號不變）
+ * - @section('name', 'content') 簡寫不需要 @endsection
+ * - 沒有 @endslot 的 @slot('name') 是組件中的插槽佔位符，不是錯誤
+ *
+ * @param {string} template - 原始模板內容
+ * @param {Object} [grammar] - 語法表（含自訂指令時使用 createGrammars 的 structure）
+ * @returns {Array<{ type: string, message: string, directive: string, line: number, column: number }>}
+ *   結構錯誤（依位置排序），type 為 unclosed / unmatched / misplaced / arguments
+ *
+ * @example
+ * validateBlade("@section('content')\n  @push('scripts')\n@endsection")
+ * // 返回: [{ type: 'unclosed', message: '@push 缺少對應的 @endpush', directive: 'push',
+ * //          closer: 'endpush', line: 2, column: 3 }]
+ */
+export const validateBlade = (template, grammar = STRUCTURE_GRAMMAR) => {
+  const masked = template.replace(VERBATIM_BLOCK, (match, open, content, close) =>
+    open + content.replace(/[^\n]/g, ' ') + close
+  );
+
+  const { tokens, errors: tokenErrors } = tokenize(masked, grammar);
+  const { errors: parseErrors } = parse(tokens, grammar);
+
+  return [...tokenErrors, ...parseErrors]
+    .sort((a, b) => a.line - b.line || a.column - b.column);
+};
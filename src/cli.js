@@ -0,0 +1,269 @@
+/**
+ * 命令列工具（html-kit）
+ *
+ * 讓不使用 Vite 的專案也能渲染模板，使用與 transformIndexHtml 相同的流程（createRenderer）：
+ *
+ *   html-kit render page.html --data data.json --partials partials/ > out.html
+ *   html-kit build src/ --out dist/
+ *   html-kit lint src/
+ *
+ * 模板錯誤以 PluginError.format() 的格式輸出到 stderr，結束代碼依錯誤等級決定：
+ * - 0：沒有錯誤
+ * - 1：有 error 等級的錯誤（或參數錯誤、檔案無法讀寫）
+ * - 2：只有 warning 等級的錯誤
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import yaml from 'js-yaml';
+import { createRenderer } from './index.js';
+import { findTemplateFiles } from './linter.js';
+import { ErrorCodes, createAndLogError, collectErrors, logBySeverity } from './error-handler.js';
+
+/**
+ * 結束代碼
+ */
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  WARNING: 2
+};
+
+const USAGE = `用法:
+  html-kit render <page.html> [--data <file>] [--partials <dir>] [--root <dir>]
+  html-kit build <srcDir> [--out <dir>] [--data <file>] [--partials <dir>]
+  html-kit lint <srcDir> [--data <file>] [--partials <dir>]
+
+指令:
+  render    渲染單一頁面，輸出到 stdout
+  build     渲染目錄中的所有 .html 頁面（partials 目錄除外），輸出到 --out 目錄
+  lint      不渲染，檢查目錄中的頁面與 partials（缺少的檔案、未使用的 section / stack / slot、未定義的變數等）
+
+選項:
+  --data <file>      全域資料檔（.json、.yaml、.yml、.js、.mjs）
+  --partials <dir>   partial、佈局與組件的目錄（預設：render 為 ./partials，build 與 lint 為 <srcDir>/partials）
+  --root <dir>       render 的專案根目錄（預設：目前目錄）
+  --out <dir>        build 的輸出目錄（預設：dist）
+  -h, --help         顯示說明
+
+結束代碼:
+  0  沒有錯誤
+  1  有 error 等級的模板錯誤（或 lint 問題），或參數錯誤
+  2  只有 warning 等級的模板錯誤（或 lint 問題）
+`;
+
+// 支援的指令
+const COMMANDS = ['render', 'build', 'lint'];
+
+// 需要值的選項（--name value 或 --name=value）
+const VALUE_OPTIONS = ['data', 'partials', 'root', 'out'];
+
+/**
+ * 解析命令列參數
+ *
+ * @param {string[]} argv - 命令列參數（不含 node 與腳本路徑）
+ * @returns {{ positionals: string[], options: Object<string, string|boolean> }}
+ * @throws {Error} 未知的選項或缺少選項的值時拋出
+ *
+ * @example
+ * parseArgs(['render', 'index.html', '--data=site.json'])
+ * // 返回: { positionals: ['render', 'index.html'], options: { data: 'site.json' } }
+ */
+const parseArgs = (argv) => {
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+      continue;
+    }
+
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (!VALUE_OPTIONS.includes(name)) {
+      throw new Error(`未知的選項: ${arg}`);
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined || value === '') {
+      throw new Error(`選項 --${name} 需要一個值`);
+    }
+    options[name] = value;
+  }
+
+  return { positionals, options };
+};
+
+/**
+ * 載入 --data 指定的全域資料檔
+ *
+ * - .json：JSON
+ * - .yaml / .yml：YAML
+ * - .js / .mjs：預設匯出的物件或（async）函式（與 data 選項相同）
+ *
+ * @param {string} file - 資料檔的絕對路徑
+ * @returns {Promise<Object|Function>} 全域資料
+ * @throws {Error} 檔案無法讀取或格式錯誤時拋出
+ */
+const loadDataFile = async (file) => {
+  const extension = path.extname(file).toLowerCase();
+
+  if (extension === '.js' || extension === '.mjs') {
+    const mod = await import(pathToFileURL(file).href);
+    return mod.default || {};
+  }
+
+  const source = fs.readFileSync(file, 'utf-8');
+  const parsed = extension === '.yaml' || extension === '.yml' ? yaml.load(source) : JSON.parse(source);
+  return parsed || {};
+};
+
+/**
+ * 依收集到的錯誤決定結束代碼
+ *
+ * @param {import('./error-handler.js').PluginError[]} errors
+ * @returns {number}
+ */
+const exitCodeFor = (errors) => {
+  if (errors.some(error => error.severity === 'error')) {
+    return EXIT_CODES.ERROR;
+  }
+  return errors.length > 0 ? EXIT_CODES.WARNING : EXIT_CODES.SUCCESS;
+};
+
+/**
+ * 執行命令列工具
+ *
+ * @param {string[]} [argv=process.argv.slice(2)] - 命令列參數
+ * @param {Object} [io={}] - 輸入輸出（測試時可替換）
+ * @param {{ write: Function }} [io.stdout=process.stdout] - 渲染結果與建置進度的輸出
+ * @param {{ write: Function }} [io.stderr=process.stderr] - 用法說明、參數錯誤與其他例外（例如無法寫入輸出）的輸出
+ * @param {string} [io.cwd=process.cwd()] - 解析相對路徑的目錄
+ * @returns {Promise<number>} 結束代碼（EXIT_CODES）
+ *
+ * @example
+ * const code = await runCli(['render', 'index.html', '--data', 'site.json']);
+ * process.exitCode = code;
+ */
+export async function runCli(argv = process.argv.slice(2), io = {}) {
+  const { stdout = process.stdout, stderr = process.stderr, cwd = process.cwd() } = io;
+
+  // ========================================
+  // 步驟 1: 解析參數
+  // ========================================
+  let positionals;
+  let options;
+  try {
+    ({ positionals, options } = parseArgs(argv));
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.ERROR;
+  }
+
+  const [command, input] = positionals;
+
+  if (options.help) {
+    stdout.write(USAGE);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  if (!COMMANDS.includes(command) || !input || positionals.length > 2) {
+    stderr.write(command && !COMMANDS.includes(command) ? `未知的指令: ${command}\n\n${USAGE}` : USAGE);
+    return EXIT_CODES.ERROR;
+  }
+
+  // 模板渲染期間建立的錯誤（已透過 PluginError.format() 輸出到 stderr）
+  const errors = [];
+
+  try {
+    return await collectErrors(errors, async () => {
+      // ========================================
+      // 步驟 2: 載入全域資料
+      // ========================================
+      let data = {};
+      if (options.data) {
+        const dataFile = path.resolve(cwd, options.data);
+        try {
+          data = await loadDataFile(dataFile);
+        } catch (error) {
+          createAndLogError(ErrorCodes.PAGE_DATA_LOAD_ERROR, [dataFile, error.message], {
+            file: dataFile,
+            originalError: error
+          });
+          return EXIT_CODES.ERROR;
+        }
+      }
+
+      // ========================================
+      // 步驟 3: 渲染
+      // ========================================
+      // partialsDir 與 Vite 相同預設為 root/partials，
+      // 但 --partials 是使用者在命令列輸入的路徑，因此相對於目前目錄解析
+      if (command === 'render') {
+        const pagePath = path.resolve(cwd, input);
+        if (!fs.existsSync(pagePath)) {
+          createAndLogError(ErrorCodes.FILE_READ_ERROR, [pagePath, '檔案不存在'], { file: pagePath });
+          return EXIT_CODES.ERROR;
+        }
+
+        const renderer = createRenderer({
+          root: path.resolve(cwd, options.root || '.'),
+          partialsDir: options.partials ? path.resolve(cwd, options.partials) : 'partials',
+          data
+        });
+        stdout.write(await renderer.renderFile(pagePath));
+        return exitCodeFor(errors);
+      }
+
+      const srcDir = path.resolve(cwd, input);
+      if (!fs.existsSync(srcDir) || !fs.statSync(srcDir).isDirectory()) {
+        createAndLogError(ErrorCodes.FILE_READ_ERROR, [srcDir, '目錄不存在'], { file: srcDir });
+        return EXIT_CODES.ERROR;
+      }
+
+      const partialsDir = options.partials ? path.resolve(cwd, options.partials) : path.join(srcDir, 'partials');
+      const renderer = createRenderer({ root: srcDir, partialsDir, data });
+
+      // ========================================
+      // 步驟 4: 靜態檢查（lint）
+      // ========================================
+      // 問題以與渲染錯誤相同的格式輸出，結束代碼同樣依等級決定
+      if (command === 'lint') {
+        const problems = await renderer.lint(findTemplateFiles(srcDir, [partialsDir]));
+        for (const problem of problems) {
+          logBySeverity(problem);
+          errors.push(problem);
+        }
+
+        stdout.write(problems.length > 0 ? `發現 ${problems.length} 個問題\n` : '沒有發現問題\n');
+        return exitCodeFor(errors);
+      }
+
+      const outDir = path.resolve(cwd, options.out || 'dist');
+      const pages = findTemplateFiles(srcDir, [partialsDir, outDir]);
+      for (const pagePath of pages) {
+        const outputPath = path.join(outDir, path.relative(srcDir, pagePath));
+        const html = await renderer.renderFile(pagePath);
+
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        fs.writeFileSync(outputPath, html);
+        stdout.write(`${path.relative(cwd, outputPath)}\n`);
+      }
+
+      stdout.write(`已建置 ${pages.length} 個頁面\n`);
+      return exitCodeFor(errors);
+    });
+  } catch (error) {
+    // 不是模板錯誤的例外（例如輸出目錄無法寫入）：輸出訊息而不是堆疊
+    stderr.write(`${error.message}\n`);
+    return EXIT_CODES.ERROR;
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * Content-Security-Policy 支援
+ *
+ * @json、@push('scripts') 與 partial 產生的行內 <script> / <style> 會被嚴格的 CSP 擋下。
+ * csp 選項開啟後，在最終輸出上：
+ *
+ * 1. nonce 模式 - 每個行內 <script> / <style> 加上 nonce 屬性（每次建構一個 nonce）
+ * 2. hash 模式  - 計算每個行內 <script> / <style> 內容的 sha256
+ *
+ * 兩種模式都會計算 hash，模板中的 {{ cspHashes }} 在輸出時替換為 hash 列表，
+ * 可以直接放進 <meta http-equiv="Content-Security-Policy">；{{ cspNonce }} 為 nonce 值。
+ * apply 返回的 directives（script-src / style-src）供插件寫入 manifest，給伺服器設定 header。
+ */
+
+import crypto from 'crypto';
+import { ErrorCodes, PluginError } from './error-handler.js';
+
+// {{ cspHashes }} 輸出的佔位符，apply 時替換為實際的 hash 列表
+// 只含英數字元與底線，{{ }} 轉義後不變
+export const CSP_HASHES_PLACEHOLDER = '__VPHK_CSP_HASHES__';
+
+// 行內 <script> 與 <style> 元素
+const INLINE_ELEMENT = /<(script|style)\b([^>]*)>([\s\S]*?)<\/\1\s*>/gi;
+
+// 開始標籤中的屬性名稱（跳過屬性值，值中的 src= 之類的文字不算）
+const ATTRIBUTE_NAME = /([^\s=/>"']+)(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?/g;
+
+const CSP_MODES = ['nonce', 'hash'];
+
+/**
+ * 計算內容的 CSP hash 來源表達式
+ *
+ * @param {string} content - 元素內容
+ * @returns {string} 例如 "'sha256-B2yPHKaXnvFWtRChIbabYmUBFZdVfKKXHbWtWidDVF8='"
+ */
+const hashSource = (content) => `'sha256-${crypto.createHash('sha256').update(content, 'utf8').digest('base64')}'`;
+
+/**
+ * 檢查開始標籤是否有指定的屬性
+ *
+ * 只比對完整的屬性名稱：data-src、data-nonce 不算 src、nonce。
+ *
+ * @param {string} attributes - 標籤名稱之後的屬性文字
+ * @param {string} name - 屬性名稱（小寫）
+ * @returns {boolean}
+ *
+ * @example
+ * hasAttribute(' data-src="x" defer', 'src')
+ * // 返回: false
+ */
+const hasAttribute = (attributes, name) => [...attributes.matchAll(ATTRIBUTE_NAME)]
+  .some(([, attribute]) => attribute.toLowerCase() === name);
+
+/**
+ * 產生隨機 nonce（128 位元，base64）
+ *
+ * @returns {string}
+ */
+export const createNonce = () => crypto.randomBytes(16).toString('base64');
+
+/**
+ * 建立 CSP 處理器
+ *
+ * @param {false|'nonce'|'hash'|{ mode?: 'nonce'|'hash', nonce?: string }} csp - csp 選項
+ * @returns {{ nonce: string|null, variables: Object, apply: Function }|null} 處理器，csp 未開啟時返回 null
+ * @throws {PluginError} mode 不是 'nonce' 或 'hash' 時拋出 E4014
+ *
+ * @example
+ * const policy = createCspPolicy('hash');
+ * policy.apply(`<meta content="script-src ${CSP_HASHES_PLACEHOLDER}"><script>go()</script>`);
+ * // 返回: {
+ * //   html: `<meta content="script-src 'sha256-...'"><script>go()</script>`,
+ * //   hashes: ["'sha256-...'"],
+ * //   directives: { 'script-src': ["'sha256-...'"], 'style-src': [] }
+ * // }
+ */
+export function createCspPolicy(csp) {
+  if (!csp) {
+    return null;
+  }
+
+  const { mode = 'hash', nonce: customNonce } = typeof csp === 'string' ? { mode: csp } : csp;
+  if (!CSP_MODES.includes(mode)) {
+    throw new PluginError(ErrorCodes.INVALID_CSP_OPTION, [mode], { mode });
+  }
+
+  const nonce = mode === 'nonce' ? customNonce || createNonce() : null;
+
+  /**
+   * 在輸出的 HTML 上套用 CSP
+   *
+   * - 計算行內 <script>（沒有 src）與 <style> 內容的 hash
+   * - nonce 模式：沒有 nonce 屬性的行內元素加上 nonce
+   * - 替換 {{ cspHashes }} 佔位符
+   *
+   * @param {string} html - 輸出的 HTML
+   * @returns {{ html: string, hashes: string[], directives: { 'script-src': string[], 'style-src': string[] } }}
+   */
+  const apply = (html) => {
+    const scripts = new Set();
+    const styles = new Set();
+
+    const output = html.replace(INLINE_ELEMENT, (match, tag, attributes, content) => {
+      const isScript = tag.toLowerCase() === 'script';
+      if (isScript && hasAttribute(attributes, 'src')) {
+        return match;
+      }
+
+      (isScript ? scripts : styles).add(hashSource(content));
+
+      if (!nonce || hasAttribute(attributes, 'nonce')) {
+        return match;
+      }
+      return match.replace(/^<\w+/, open => `${open} nonce="${nonce}"`);
+    });
+
+    const hashes = [...scripts, ...styles];
+    const directives = nonce
+      ? { 'script-src': [`'nonce-${nonce}'`], 'style-src': [`'nonce-${nonce}'`] }
+      : { 'script-src': [...scripts], 'style-src': [...styles] };
+
+    return {
+      html: output.split(CSP_HASHES_PLACEHOLDER).join(hashes.join(' ')),
+      hashes,
+      directives
+    };
+  };
+
+  return {
+    nonce,
+    variables: { cspNonce: nonce || '', cspHashes: CSP_HASHES_PLACEHOLDER },
+    apply
+  };
+}
@@ -7,8 +7,11 @@
  * - 詳細的錯誤上下文（檔案、行號等）
  * - 錯誤恢復建議
  * - 除錯模式下的詳細資訊
+ * - 收集渲染期間的錯誤（開發伺服器 overlay、build 失敗判斷）
  */
 
+import { AsyncLocalStorage } from 'async_hooks';
+
 // ====================================================================
 // 錯誤碼定義
 // ====================================================================
@@ -20,6 +23,7 @@
  * - E3xxx: 檔案系統相關錯誤
  * - E4xxx: 解析/求值相關錯誤
  * - E5xxx: 模板編譯/執行相關錯誤
+ * - E6xxx: 靜態檢查（lint）發現的問題
  */
 export const ErrorCodes = {
   // 循環引用錯誤 (E1xxx)
@@ -29,17 +33,39 @@ export const ErrorCodes = {
   // 安全性錯誤 (E2xxx)
   PATH_TRAVERSAL_LAYOUT: 'E2001',
   PATH_TRAVERSAL_INCLUDE: 'E2002',
+  SANDBOX_VIOLATION: 'E2003',
+  SANDBOX_TIMEOUT: 'E2004',
 
   // 檔案系統錯誤 (E3xxx)
   LAYOUT_FILE_NOT_FOUND: 'E3001',
   INCLUDE_FILE_NOT_FOUND: 'E3002',
   FILE_READ_ERROR: 'E3003',
+  PAGE_DATA_LOAD_ERROR: 'E3004',
+  COMPONENT_NOT_FOUND: 'E3005',
+  PARENT_PARTIAL_NOT_FOUND: 'E3006',
+  LOCALE_FILE_LOAD_ERROR: 'E3007',
+  SVG_FILE_NOT_FOUND: 'E3008',
+  INVALID_SVG_FILE: 'E3009',
+  SVG_ID_CONFLICT: 'E3010',
 
   // 解析/求值錯誤 (E4xxx)
   ATTRIBUTE_PARSE_ERROR: 'E4001',
   EXPRESSION_EVAL_ERROR: 'E4002',
   SECTION_PARSE_ERROR: 'E4003',
   ATTRIBUTE_EVAL_FAILED: 'E4004',
+  FRONT_MATTER_PARSE_ERROR: 'E4005',
+  DATA_FUNCTION_ERROR: 'E4006',
+  UNCLOSED_DIRECTIVE: 'E4007',
+  UNMATCHED_CLOSING_DIRECTIVE: 'E4008',
+  MISPLACED_DIRECTIVE: 'E4009',
+  UNCLOSED_DIRECTIVE_ARGUMENTS: 'E4010',
+  INVALID_CUSTOM_DIRECTIVE: 'E4011',
+  CUSTOM_DIRECTIVE_ERROR: 'E4012',
+  INVALID_FILTER: 'E4013',
+  INVALID_CSP_OPTION: 'E4014',
+  INVALID_I18N_OPTION: 'E4015',
+  INVALID_SVG_OPTION: 'E4016',
+  ASYNC_DATA_IN_SYNC_RENDER: 'E4017',
 
   // 模板編譯/執行錯誤 (E5xxx)
   TEMPLATE_COMPILE_ERROR: 'E5001',
@@ -47,6 +73,15 @@ export const ErrorCodes = {
   LODASH_SYNTAX_ERROR: 'E5003',
   LAYOUT_PROCESSING_ERROR: 'E5004',
   INCLUDE_PROCESSING_ERROR: 'E5005',
+  COMPONENT_PROCESSING_ERROR: 'E5006',
+
+  // 靜態檢查 (E6xxx)
+  UNFILLED_YIELD: 'E6001',
+  UNUSED_SECTION: 'E6002',
+  UNUSED_STACK_PUSH: 'E6003',
+  UNFILLED_STACK: 'E6004',
+  UNDECLARED_SLOT: 'E6005',
+  UNDEFINED_VARIABLE: 'E6006',
 };
 
 // ====================================================================
@@ -78,16 +113,28 @@ const ErrorMessages = {
     suggestion: 'Include 檔案路徑必須在 partials 目錄內，不允許使用 ../ 跳出目錄。',
     severity: 'error',
   },
+  [ErrorCodes.SANDBOX_VIOLATION]: {
+    title: '沙箱限制',
+    message: (name) => `沙箱模式下不允許使用 ${name}`,
+    suggestion: '沙箱模式的模板只能使用資料、輔助函式、過濾器與 Lodash；需要 Node.js 功能的邏輯請移到 data 選項或自訂過濾器中。',
+    severity: 'error',
+  },
+  [ErrorCodes.SANDBOX_TIMEOUT]: {
+    title: '沙箱執行逾時',
+    message: (timeout) => `模板執行超過 ${timeout}ms，已被中止`,
+    suggestion: '請檢查 @while、@for 等迴圈是否會無限執行；模板確實需要較長時間時，可以調高 sandbox.timeout。',
+    severity: 'error',
+  },
   [ErrorCodes.LAYOUT_FILE_NOT_FOUND]: {
     title: '佈局檔案不存在',
     message: (path) => `找不到佈局檔案: ${path}`,
-    suggestion: '請確認佈局檔案是否存在於 partials 目錄中，並檢查檔案路徑是否正確。',
+    suggestion: '請確認佈局檔案是否存在於 partials 目錄中，並檢查檔案路徑是否正確。使用 namespace 前綴（例如 ui::button.html）時，請確認 partialsDir 中有設定該 namespace。',
     severity: 'warning',
   },
   [ErrorCodes.INCLUDE_FILE_NOT_FOUND]: {
     title: 'Include 檔案不存在',
     message: (path) => `找不到 include 檔案: ${path}`,
-    suggestion: '請確認檔案是否存在於 partials 目錄中，並檢查檔案路徑是否正確。',
+    suggestion: '請確認檔案是否存在於 partials 目錄中，並檢查檔案路徑是否正確。使用 namespace 前綴（例如 ui::button.html）時，請確認 partialsDir 中有設定該 namespace。',
     severity: 'warning',
   },
   [ErrorCodes.FILE_READ_ERROR]: {
@@ -96,6 +143,48 @@ const ErrorMessages = {
     suggestion: '請檢查檔案權限，確保 Node.js 進程有讀取權限。',
     severity: 'error',
   },
+  [ErrorCodes.PAGE_DATA_LOAD_ERROR]: {
+    title: '頁面資料載入錯誤',
+    message: (path, error) => `載入頁面資料檔失敗: ${path} (${error})`,
+    suggestion: '請確認 .json 檔案為合法 JSON，.data.js 檔案以 export default 匯出物件或函式。',
+    severity: 'error',
+  },
+  [ErrorCodes.COMPONENT_NOT_FOUND]: {
+    title: '組件檔案不存在',
+    message: (name, path) => `找不到組件 <x-${name}>: ${path}`,
+    suggestion: '組件檔案應放在 partials/components 目錄中，例如 <x-card> 對應 components/card.html，<x-forms.input> 對應 components/forms/input.html。',
+    severity: 'warning',
+  },
+  [ErrorCodes.PARENT_PARTIAL_NOT_FOUND]: {
+    title: '@parent 檔案不存在',
+    message: (path) => `找不到 ${path} 的上一層檔案`,
+    suggestion: '@parent 會 include partialsDir 查找順序中下一個目錄的同名檔案，請確認後面的目錄中有這個檔案。',
+    severity: 'warning',
+  },
+  [ErrorCodes.LOCALE_FILE_LOAD_ERROR]: {
+    title: '語系檔載入錯誤',
+    message: (path, error) => `載入語系檔失敗: ${path} (${error})`,
+    suggestion: '請確認語系檔為合法 JSON，內容為「鍵 -> 翻譯」的物件（可以巢狀）。',
+    severity: 'error',
+  },
+  [ErrorCodes.SVG_FILE_NOT_FOUND]: {
+    title: 'SVG 圖示不存在',
+    message: (name) => `找不到 SVG 圖示: ${name}`,
+    suggestion: '@svg 的路徑相對於 svg 選項的圖示目錄（預設為 root），請確認檔案存在且沒有超出該目錄。',
+    severity: 'warning',
+  },
+  [ErrorCodes.INVALID_SVG_FILE]: {
+    title: 'SVG 圖示格式錯誤',
+    message: (name) => `圖示不是 SVG 檔案: ${name}`,
+    suggestion: '圖示檔案移除 XML 宣告與註釋後，必須以 <svg> 根元素開始並結束。',
+    severity: 'warning',
+  },
+  [ErrorCodes.SVG_ID_CONFLICT]: {
+    title: 'SVG 圖示 id 衝突',
+    message: (name, other, id) => `圖示 ${name} 與 ${other} 的 sprite id 相同: ${id}`,
+    suggestion: 'sprite id 由 icon- 加上圖示路徑組成，/、. 等符號都會換成 -，請重新命名其中一個檔案。衝突的圖示暫時以完整的 <svg> 輸出。',
+    severity: 'warning',
+  },
   [ErrorCodes.ATTRIBUTE_PARSE_ERROR]: {
     title: '屬性解析錯誤',
     message: (error) => `解析 HTML 屬性時發生錯誤: ${error}`,
@@ -114,6 +203,84 @@ const ErrorMessages = {
     suggestion: '請確認 @section 和 @endsection 是否成對出現。',
     severity: 'error',
   },
+  [ErrorCodes.FRONT_MATTER_PARSE_ERROR]: {
+    title: 'Front Matter 解析錯誤',
+    message: (path, error) => `解析 front matter 失敗: ${path} (${error})`,
+    suggestion: '請確認頁面開頭 --- 區塊內為合法的 YAML 或 JSON，且解析結果為物件。',
+    severity: 'warning',
+  },
+  [ErrorCodes.DATA_FUNCTION_ERROR]: {
+    title: '資料函式執行錯誤',
+    message: (source, error) => `執行資料函式失敗: ${source} (${error})`,
+    suggestion: '請檢查 data 選項或 .data.js 匯出的函式，確保返回物件（或 resolve 為物件的 Promise）。',
+    severity: 'error',
+  },
+  [ErrorCodes.UNCLOSED_DIRECTIVE]: {
+    title: '指令未閉合',
+    message: (directive, closer, line, column) => `@${directive} 缺少對應的 @${closer}（第 ${line} 行，第 ${column} 欄）`,
+    suggestion: '請加上對應的結束指令，並確認巢狀區塊依照開啟的相反順序結束。',
+    severity: 'error',
+  },
+  [ErrorCodes.UNMATCHED_CLOSING_DIRECTIVE]: {
+    title: '多餘的結束指令',
+    message: (directive, opener, line, column) => `多餘的 @${directive}，沒有對應的 @${opener}（第 ${line} 行，第 ${column} 欄）`,
+    suggestion: '請移除多餘的結束指令，或補上對應的開始指令。',
+    severity: 'error',
+  },
+  [ErrorCodes.MISPLACED_DIRECTIVE]: {
+    title: '指令位置錯誤',
+    message: (directive, parents, line, column) => `@${directive} 必須位於 ${parents} 區塊內（第 ${line} 行，第 ${column} 欄）`,
+    suggestion: '請確認分支指令（@else、@case 等）位於對應的區塊中，@break / @continue 位於迴圈中。',
+    severity: 'error',
+  },
+  [ErrorCodes.UNCLOSED_DIRECTIVE_ARGUMENTS]: {
+    title: '指令參數未閉合',
+    message: (directive, line, column) => `@${directive} 的括號沒有閉合（第 ${line} 行，第 ${column} 欄）`,
+    suggestion: '請檢查指令參數的括號與引號是否成對。',
+    severity: 'error',
+  },
+  [ErrorCodes.INVALID_CUSTOM_DIRECTIVE]: {
+    title: '自訂指令定義錯誤',
+    message: (name, reason) => `無法註冊自訂指令 @${name}: ${reason}`,
+    suggestion: '指令名稱只能包含英數字元與底線、以字母開頭，且不能與內建指令同名；handler 必須是函式。',
+    severity: 'error',
+  },
+  [ErrorCodes.CUSTOM_DIRECTIVE_ERROR]: {
+    title: '自訂指令執行錯誤',
+    message: (name, reason, line) => `自訂指令 @${name} 執行失敗: ${reason}${line ? `（第 ${line} 行）` : ''}`,
+    suggestion: '請檢查自訂指令的 handler 與傳入的參數，handler 應返回字串。',
+    severity: 'error',
+  },
+  [ErrorCodes.INVALID_FILTER]: {
+    title: '過濾器定義錯誤',
+    message: (name, reason) => `無法註冊過濾器 ${name}: ${reason}`,
+    suggestion: '過濾器名稱只能包含英數字元、底線與 $，且不能以數字開頭；值必須是 (value, ...args) => result 形式的函式。',
+    severity: 'error',
+  },
+  [ErrorCodes.INVALID_CSP_OPTION]: {
+    title: 'CSP 選項錯誤',
+    message: (mode) => `不支援的 csp 模式: ${mode}`,
+    suggestion: "csp 選項可以是 'nonce'、'hash'，或 { mode: 'nonce' | 'hash', nonce, manifest } 物件。",
+    severity: 'error',
+  },
+  [ErrorCodes.INVALID_I18N_OPTION]: {
+    title: 'i18n 選項錯誤',
+    message: (reason) => `i18n 選項不正確: ${reason}`,
+    suggestion: "i18n 選項可以是語系檔目錄（例如 'locales'），或 { dir, locales, defaultLocale } 物件；locales 為語系代碼陣列，defaultLocale 必須是其中之一。",
+    severity: 'error',
+  },
+  [ErrorCodes.INVALID_SVG_OPTION]: {
+    title: 'svg 選項錯誤',
+    message: (reason) => `svg 選項不正確: ${reason}`,
+    suggestion: "svg 選項可以是圖示目錄（例如 'src/icons'），或 { dir, sprite } 物件；sprite 為 true 或 false。",
+    severity: 'error',
+  },
+  [ErrorCodes.ASYNC_DATA_IN_SYNC_RENDER]: {
+    title: '同步渲染無法使用 async 資料',
+    message: (method, file) => `${method} 無法等待 async 資料: ${file}`,
+    suggestion: 'data 選項或 .data.js 資料檔返回 Promise 時，請改用 render / renderFile（返回 Promise）。',
+    severity: 'error',
+  },
   [ErrorCodes.TEMPLATE_COMPILE_ERROR]: {
     title: '模板編譯錯誤',
     message: (error) => `Lodash 模板編譯失敗: ${error}`,
@@ -150,6 +317,48 @@ const ErrorMessages = {
     suggestion: '請檢查 include 檔案的語法是否正確。',
     severity: 'error',
   },
+  [ErrorCodes.COMPONENT_PROCESSING_ERROR]: {
+    title: '組件處理錯誤',
+    message: (name) => `處理組件 <x-${name}> 時發生錯誤`,
+    suggestion: '請檢查組件檔案的語法，以及 @props 宣告與 : 開頭屬性的表達式是否正確。',
+    severity: 'error',
+  },
+  [ErrorCodes.UNFILLED_YIELD]: {
+    title: 'Yield 沒有對應的 section',
+    message: (name, page) => `@yield('${name}') 沒有預設值，${page} 也沒有定義 @section('${name}')`,
+    suggestion: '請在頁面中加上對應的 @section，或為 @yield 提供預設值：@yield(\'name\', \'預設內容\')。',
+    severity: 'warning',
+  },
+  [ErrorCodes.UNUSED_SECTION]: {
+    title: 'Section 沒有被使用',
+    message: (name) => `@section('${name}') 沒有對應的 @yield，內容不會輸出`,
+    suggestion: '請確認 section 名稱是否拼錯，或在佈局中加上 @yield。',
+    severity: 'warning',
+  },
+  [ErrorCodes.UNUSED_STACK_PUSH]: {
+    title: 'Stack 沒有被輸出',
+    message: (name, directive) => `@${directive}('${name}') 沒有對應的 @stack('${name}')，內容不會輸出`,
+    suggestion: '請確認 stack 名稱是否拼錯，或在佈局中加上 @stack。',
+    severity: 'warning',
+  },
+  [ErrorCodes.UNFILLED_STACK]: {
+    title: 'Stack 沒有內容',
+    message: (name) => `沒有任何模板 @push 或 @prepend 到 @stack('${name}')`,
+    suggestion: '如果不再需要這個 stack，可以將它移除；否則請確認 @push 的名稱是否正確。',
+    severity: 'warning',
+  },
+  [ErrorCodes.UNDECLARED_SLOT]: {
+    title: 'Slot 沒有被宣告',
+    message: (name, target) => `傳入的 slot「${name}」沒有在 ${target} 中使用，內容不會輸出`,
+    suggestion: 'Partial 需要以 @slot(\'name\') 宣告 slot，組件需要以 {{ name }} 輸出 slot；請確認名稱是否拼錯。',
+    severity: 'warning',
+  },
+  [ErrorCodes.UNDEFINED_VARIABLE]: {
+    title: '變數未定義',
+    message: (name) => `變數「${name}」沒有在 data、front matter、頁面資料檔或 include 屬性中定義`,
+    suggestion: '請確認變數名稱是否拼錯，或在 data 選項、front matter 中提供這個變數；可以使用 @isset(name) 處理可選的資料。',
+    severity: 'warning',
+  },
 };
 
 // ====================================================================
@@ -166,6 +375,7 @@ export class PluginError extends Error {
    * @param {Object} context - 錯誤上下文資訊
    * @param {string} [context.file] - 發生錯誤的檔案路徑
    * @param {number} [context.line] - 發生錯誤的行號
+   * @param {number} [context.column] - 發生錯誤的欄位
    * @param {string} [context.source] - 錯誤來源代碼片段
    * @param {Error} [context.originalError] - 原始錯誤物件
    */
@@ -216,6 +426,9 @@ export class PluginError extends Error {
       output += `  📄 檔案: ${this.context.file}`;
       if (this.context.line) {
         output += `:${this.context.line}`;
+        if (this.context.column) {
+          output += `:${this.context.column}`;
+        }
       }
       output += '\n';
     }
@@ -241,6 +454,39 @@ export class PluginError extends Error {
     return output;
   }
 
+  /**
+   * 轉換為 Vite 錯誤 payload，透過 server.ws.send({ type: 'error', err }) 顯示在瀏覽器 overlay
+   *
+   * @param {Object} [options]
+   * @param {string} [options.id] - 檔案絕對路徑（overlay 中可點擊開啟）
+   * @param {string} [options.source] - 檔案原始內容（用於產生程式碼片段）
+   * @returns {{ message: string, stack: string, plugin: string, pluginCode: string, id?: string, loc?: Object, frame?: string }}
+   *
+   * @example
+   * server.ws.send({ type: 'error', err: error.toViteError({ id: '/src/index.html', source }) });
+   */
+  toViteError({ id, source } = {}) {
+    const { file, line, column, originalError } = this.context;
+
+    let message = `[${this.code}] ${this.title}: ${this.message}`;
+    if (originalError && originalError.message) {
+      message += `\n${originalError.message}`;
+    }
+    if (this.suggestion) {
+      message += `\n💡 建議: ${this.suggestion}`;
+    }
+
+    return {
+      message,
+      stack: '',
+      plugin: 'vite-plugin-html-kit',
+      pluginCode: this.code,
+      id: id || file,
+      loc: line ? { file: id || file, line, column: column || 1 } : undefined,
+      frame: source && line ? createCodeFrame(source, line, column) : undefined
+    };
+  }
+
   /**
    * 生成 HTML 錯誤註釋
    * @returns {string}
@@ -285,19 +531,96 @@ export function logBySeverity(error) {
   }
 }
 
+// 目前收集錯誤的列表（透過 collectErrors 設定，會延續到 async 操作中）
+const errorScope = new AsyncLocalStorage();
+
 /**
  * 創建並記錄錯誤
+ *
+ * 在 collectErrors 範圍內時，錯誤也會加入收集列表
+ *
  * @param {string} code - 錯誤碼
  * @param {any[]} args - 訊息參數
  * @param {Object} context - 錯誤上下文
  * @returns {PluginError}
  */
 export function createAndLogError(code, args = [], context = {}) {
-  const error = new PluginError(code, args, context);
+  return logPluginError(new PluginError(code, args, context));
+}
+
+/**
+ * 記錄已建立的錯誤（例如在較深層拋出、由外層捕獲的錯誤）
+ *
+ * 在 collectErrors 範圍內時，錯誤也會加入收集列表
+ *
+ * @param {PluginError} error
+ * @returns {PluginError}
+ */
+export function logPluginError(error) {
   logBySeverity(error);
+
+  const collected = errorScope.getStore();
+  if (collected) {
+    collected.push(error);
+  }
+
   return error;
 }
 
+/**
+ * 收集函數執行期間建立的所有錯誤
+ *
+ * 使用 AsyncLocalStorage，函數返回的 Promise 中建立的錯誤也會被收集，
+ * 同時轉換多個頁面時各自的錯誤不會混在一起。
+ *
+ * @template T
+ * @param {PluginError[]} errors - 收集錯誤的列表
+ * @param {() => T} fn - 要執行的函數
+ * @returns {T} 函數的返回值
+ *
+ * @example
+ * const errors = [];
+ * const html = collectErrors(errors, () => renderPage(source));
+ * if (errors.some(error => error.severity === 'error')) { ... }
+ */
+export function collectErrors(errors, fn) {
+  return errorScope.run(errors, fn);
+}
+
+/**
+ * 產生錯誤位置前後的程式碼片段（與 Vite overlay 的 frame 格式相同）
+ *
+ * @param {string} source - 檔案內容
+ * @param {number} line - 行號（從 1 開始）
+ * @param {number} [column] - 欄位（從 1 開始），有值時在下一行標示 ^
+ * @param {number} [range=2] - 前後顯示的行數
+ * @returns {string}
+ *
+ * @example
+ * createCodeFrame('<main>\n  @if(a)\n</main>', 2, 3)
+ * // 返回:
+ * // 1 | <main>
+ * // 2 |   @if(a)
+ * //   |   ^
+ * // 3 | </main>
+ */
+export function createCodeFrame(source, line, column, range = 2) {
+  const lines = source.split(/\r?\n/);
+  const start = Math.max(1, line - range);
+  const end = Math.min(lines.length, line + range);
+  const width = String(end).length;
+
+  const output = [];
+  for (let current = start; current <= end; current++) {
+    output.push(`${String(current).padStart(width)} | ${lines[current - 1]}`);
+    if (current === line && column) {
+      output.push(`${' '.repeat(width)} | ${' '.repeat(column - 1)}^`);
+    }
+  }
+
+  return output.join('\n');
+}
+
 /**
  * 檢查是否為除錯模式
  * @returns {boolean}
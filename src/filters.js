@@ -0,0 +1,146 @@
+/**
+ * 模板過濾器
+ *
+ * 讓 {{ }} 中的表達式可以使用管線語法：
+ *   {{ post.title | capitalize | truncate(40) }}
+ * 編譯時由 blade-parser.js 的 compilePipes 轉換為
+ *   __vphk_filters__.truncate(__vphk_filters__.capitalize(post.title), 40)
+ * 執行時的 __vphk_filters__ 是 createFilters 建立的過濾器物件。
+ *
+ * 每個過濾器的第一個參數是管線左側的值，其餘參數是括號內的參數。
+ */
+
+import lodash from 'lodash';
+import { ErrorCodes, PluginError } from './error-handler.js';
+
+/**
+ * 將值轉為字串（null / undefined 視為空字串）
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+const toText = (value) => (value === null || value === undefined ? '' : String(value));
+
+/**
+ * 將值轉為 Date
+ *
+ * 只有日期的字串（'2026-01-02'）以本地時間解析，避免在 UTC 以西的時區顯示成前一天。
+ *
+ * @param {*} value - Date、時間戳記或日期字串
+ * @returns {Date}
+ */
+const toDate = (value) => {
+  const dateOnly = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (dateOnly) {
+    return new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]));
+  }
+  return value instanceof Date ? value : new Date(value);
+};
+
+// JSON 中會破壞 <script> 或 HTML 的字元：</script> 提早結束標籤、U+2028 / U+2029 在舊的 JS 中是換行
+const UNSAFE_JSON_CHARACTERS = /[<>&\u2028\u2029]/g;
+
+/**
+ * 將值轉為可以直接放進 <script> 或 HTML 的 JSON（@json 與 json 過濾器使用）
+ *
+ * <、>、&、U+2028、U+2029 以 \u003c 等形式輸出（與 Blade 預設的 JSON_HEX_TAG 相同），
+ * 解析後的值不變，但 CMS 內容中的 </script> 無法提早結束標籤。
+ *
+ * @param {*} value - 要輸出的值
+ * @param {number|string} [indent] - 縮排（JSON.stringify 的第三個參數）
+ * @returns {string|undefined} value 無法轉為 JSON（例如 undefined）時返回 undefined
+ *
+ * @example
+ * toScriptJson({ html: '</script>' })
+ * // 返回: '{"html":"\u003c/script\u003e"}'
+ */
+export const toScriptJson = (value, indent) => {
+  const json = JSON.stringify(value, null, indent);
+  return json === undefined
+    ? json
+    : json.replace(UNSAFE_JSON_CHARACTERS, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+};
+
+/**
+ * 內建過濾器
+ */
+export const BUILTIN_FILTERS = {
+  // {{ name | upper }} -> 'ALICE'
+  upper: (value) => toText(value).toUpperCase(),
+
+  // {{ name | lower }} -> 'alice'
+  lower: (value) => toText(value).toLowerCase(),
+
+  // {{ name | capitalize }} -> 'Alice'（其餘字母轉為小寫，與 _.capitalize 相同）
+  capitalize: (value) => lodash.capitalize(toText(value)),
+
+  // {{ text | truncate(40) }}、{{ text | truncate(40, '…') }}
+  truncate: (value, length = 30, omission = '...') => lodash.truncate(toText(value), { length, omission }),
+
+  // {{ post.date | date }} -> '2026-01-02'
+  // {{ post.date | date('YYYY/MM/DD HH:mm') }}（YYYY、MM、DD、HH、mm、ss，本地時間）
+  date: (value, format = 'YYYY-MM-DD') => {
+    const date = toDate(value);
+    if (Number.isNaN(date.getTime())) {
+      return toText(value);
+    }
+
+    const pad = (number) => String(number).padStart(2, '0');
+    const tokens = {
+      YYYY: String(date.getFullYear()),
+      MM: pad(date.getMonth() + 1),
+      DD: pad(date.getDate()),
+      HH: pad(date.getHours()),
+      mm: pad(date.getMinutes()),
+      ss: pad(date.getSeconds())
+    };
+    return format.replace(/YYYY|MM|DD|HH|mm|ss/g, token => tokens[token]);
+  },
+
+  // {{ price | currency }} -> '$1,234.50'
+  // {{ price | currency('TWD', 'zh-TW') }} -> '$1,234.50'（使用 Intl.NumberFormat）
+  currency: (value, currency = 'USD', locale = 'en-US') =>
+    new Intl.NumberFormat(locale, { style: 'currency', currency }).format(Number(value)),
+
+  // {!! config | json !!}、{!! config | json(2) !!}
+  // <、>、& 等字元轉為 \u003c，見 toScriptJson
+  json: (value, indent) => toScriptJson(value, indent),
+
+  // {!! comment | escape !!} -> HTML 轉義（{{ }} 已自動轉義，主要用於 {!! !!}）
+  escape: (value) => lodash.escape(toText(value)),
+
+  // {{ title | slug }} -> 'hello-world'
+  slug: (value) => lodash.kebabCase(toText(value)),
+
+  // {{ page.subtitle | default('無副標題') }} -> null、undefined 或空字串時使用預設值
+  default: (value, fallback = '') => (value === null || value === undefined || value === '' ? fallback : value),
+
+  // {!! comment | nl2br !!} -> 先轉義 HTML，再把換行轉為 <br>（結果含 HTML，需以 {!! !!} 輸出）
+  nl2br: (value) => lodash.escape(toText(value)).replace(/\r?\n/g, '<br>\n')
+};
+
+/**
+ * 建立模板使用的過濾器物件（內建過濾器 + 自訂過濾器）
+ *
+ * 自訂過濾器可以覆寫同名的內建過濾器。
+ *
+ * @param {Object<string, Function>} [customFilters={}] - 自訂過濾器
+ * @returns {Object<string, Function>} 過濾器物件
+ * @throws {PluginError} 名稱不是合法的識別字或過濾器不是函式時拋出 E4013
+ *
+ * @example
+ * const filters = createFilters({ excerpt: (value, words = 20) => value.split(' ').slice(0, words).join(' ') });
+ * filters.excerpt('a b c', 2) // 返回: 'a b'
+ */
+export const createFilters = (customFilters = {}) => {
+  for (const [name, filter] of Object.entries(customFilters)) {
+    if (!/^[A-Za-z_$][\w$]*$/.test(name)) {
+      throw new PluginError(ErrorCodes.INVALID_FILTER, [name, '名稱必須是合法的 JavaScript 識別字'], { filter: name });
+    }
+    if (typeof filter !== 'function') {
+      throw new PluginError(ErrorCodes.INVALID_FILTER, [name, '過濾器必須是函式'], { filter: name });
+    }
+  }
+
+  return { ...BUILTIN_FILTERS, ...customFilters };
+};
@@ -0,0 +1,274 @@
+/**
+ * 多語系支援（i18n 選項）
+ *
+ * 靜態網站在建構時就決定語言，因此 Blade 的 @lang / @choice 不需要伺服器：
+ *
+ * 1. 語系檔 - i18n.dir 中每個語系一個 JSON 檔（locales/en.json、locales/zh-TW.json），鍵可以巢狀
+ * 2. 翻譯   - __('nav.home')、@lang('welcome', { name })，翻譯中的 :name 替換為參數
+ * 3. 複數   - trans_choice('apples', count)、@choice('apples', count)，依語系的 Intl.PluralRules 選擇形式
+ *
+ * 目前語系找不到翻譯時，依序使用預設語系的翻譯與鍵本身。
+ * 插件為每個語系輸出一份頁面（/en/about.html、/zh-TW/about.html），見 index.js。
+ */
+
+import fs from 'fs';
+import path from 'path';
+import lodash from 'lodash';
+import { ErrorCodes, PluginError, createAndLogError } from './error-handler.js';
+
+// CLDR 複數類別的標準順序，'apple|apples' 形式的翻譯依此順序對應
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+// 複數形式開頭的明確數量：{0}、[1,19]、[20,*]
+const EXPLICIT_RANGE = /^\s*(?:\{(\d+)\}|\[(\d+|\*)\s*,\s*(\d+|\*)\])\s*/;
+
+// 語系檔快取：檔案路徑 -> { mtimeMs, messages }
+// 以修改時間判斷，開發時編輯語系檔後下一次渲染就會讀到新內容
+const messageCache = new Map();
+
+/**
+ * 建立 i18n 選項錯誤
+ *
+ * @param {string} reason - 錯誤原因
+ * @returns {PluginError}
+ */
+const invalidOption = (reason) => new PluginError(ErrorCodes.INVALID_I18N_OPTION, [reason], { reason });
+
+/**
+ * 讀取語系檔
+ *
+ * 檔案不存在時返回空物件；不是合法 JSON 或不是物件時記錄 E3007，並返回空物件。
+ *
+ * @param {string} file - 語系檔的絕對路徑
+ * @returns {Object} 翻譯（鍵 -> 翻譯，可以巢狀）
+ */
+const loadMessages = (file) => {
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+
+  const { mtimeMs } = fs.statSync(file);
+  const cached = messageCache.get(file);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.messages;
+  }
+
+  try {
+    const messages = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    if (!lodash.isPlainObject(messages)) {
+      throw new Error('內容必須是物件');
+    }
+    messageCache.set(file, { mtimeMs, messages });
+    return messages;
+  } catch (error) {
+    createAndLogError(ErrorCodes.LOCALE_FILE_LOAD_ERROR, [file, error.message], { file, originalError: error });
+    return {};
+  }
+};
+
+/**
+ * 取得翻譯：先找完整的鍵（'Welcome back'），再找巢狀路徑（'nav.home'）
+ *
+ * @param {Object} messages - 語系檔內容
+ * @param {string} key - 翻譯鍵
+ * @returns {*} 翻譯，找不到時返回 undefined
+ */
+const findMessage = (messages, key) => (Object.prototype.hasOwnProperty.call(messages, key)
+  ? messages[key]
+  : lodash.get(messages, key));
+
+/**
+ * 替換翻譯中的 :name 參數
+ *
+ * 較長的名稱先替換，:names 不會被 :name 截斷。
+ *
+ * @param {string} text - 翻譯
+ * @param {Object} [replace={}] - 參數
+ * @returns {string}
+ *
+ * @example
+ * replacePlaceholders('Hello, :name', { name: 'Ada' })
+ * // 返回: 'Hello, Ada'
+ */
+const replacePlaceholders = (text, replace = {}) => Object.keys(replace)
+  .sort((a, b) => b.length - a.length)
+  .reduce((result, name) => result.split(`:${name}`).join(String(replace[name])), String(text));
+
+/**
+ * 取得語系的複數規則
+ *
+ * @param {string} locale - 語系代碼
+ * @returns {Intl.PluralRules}
+ */
+const pluralRules = (locale) => {
+  try {
+    return new Intl.PluralRules(locale);
+  } catch (e) {
+    // 不合法的語系代碼（例如自訂的 'brand-a'）使用英文的規則
+    return new Intl.PluralRules('en');
+  }
+};
+
+/**
+ * 依數量選擇複數形式
+ *
+ * 支援兩種寫法：
+ * - 物件：{ "=0": "No apples", "one": ":count apple", "other": ":count apples" }
+ *   先找 =數量，再找複數類別，最後使用 other
+ * - 字串：'apple|apples' 或 '{0} No apples|[1,19] Some apples|[20,*] Many apples'（與 Laravel 相同）
+ *   先找符合的明確數量，否則依語系複數類別的順序（zero、one、two、few、many、other）對應沒有明確數量的形式
+ *
+ * @param {string|Object} message - 翻譯
+ * @param {number} count - 數量
+ * @param {string} locale - 語系代碼
+ * @returns {string} 選擇的形式
+ */
+const selectPluralForm = (message, count, locale) => {
+  const rules = pluralRules(locale);
+  const category = rules.select(count);
+
+  if (lodash.isPlainObject(message)) {
+    return message[`=${count}`] ?? message[category] ?? message.other ?? '';
+  }
+
+  const forms = String(message).split('|');
+  for (const form of forms) {
+    const match = form.match(EXPLICIT_RANGE);
+    if (!match) {
+      continue;
+    }
+    const [, exact, from, to] = match;
+    const inRange = exact !== undefined
+      ? count === Number(exact)
+      : (from === '*' || count >= Number(from)) && (to === '*' || count <= Number(to));
+    if (inRange) {
+      return form.slice(match[0].length);
+    }
+  }
+
+  // '{0} none|one apple|:count apples'：1 對應 'one apple'，而不是 {0} 的形式
+  // 全部都有明確數量時（都不符合），與 Laravel 相同依序使用所有形式
+  const implicitForms = forms.filter(form => !EXPLICIT_RANGE.test(form));
+  const candidates = implicitForms.length > 0 ? implicitForms : forms;
+  const categories = PLURAL_CATEGORIES.filter(name => rules.resolvedOptions().pluralCategories.includes(name));
+  const index = Math.min(Math.max(categories.indexOf(category), 0), candidates.length - 1);
+  return candidates[index].replace(EXPLICIT_RANGE, '');
+};
+
+/**
+ * 建立 i18n 處理器
+ *
+ * root 在呼叫時才傳入：插件在 configResolved 之後才知道 Vite 的 root。
+ *
+ * @param {false|string|{ dir?: string, locales?: string[], defaultLocale?: string }} i18n - i18n 選項
+ *   - 字串：語系檔目錄
+ *   - dir：語系檔目錄（相對於 root，預設 'locales'）
+ *   - locales：語系代碼，預設為目錄中所有 .json 檔案的名稱
+ *   - defaultLocale：預設語系（找不到翻譯時的備援），預設為 locales 的第一個
+ * @returns {{ locales: Function, defaultLocale: Function, translator: Function }|null} 處理器，i18n 未開啟時返回 null
+ * @throws {PluginError} 選項格式不正確時拋出 E4015
+ *
+ * @example
+ * const i18n = createI18n({ dir: 'locales', defaultLocale: 'en' });
+ * const { variables } = i18n.translator('/project', 'zh-TW');
+ *
+ * variables.__('nav.home');                  // 返回: '首頁'
+ * variables.trans_choice('apples', 3);       // 返回: '3 個蘋果'
+ */
+export function createI18n(i18n) {
+  if (!i18n) {
+    return null;
+  }
+
+  const { dir = 'locales', locales, defaultLocale } = typeof i18n === 'string' ? { dir: i18n } : i18n;
+
+  if (typeof dir !== 'string' || !dir) {
+    throw invalidOption('dir 必須是語系檔目錄的路徑');
+  }
+  if (locales !== undefined && (!Array.isArray(locales) || !locales.every(locale => typeof locale === 'string' && locale))) {
+    throw invalidOption('locales 必須是語系代碼陣列');
+  }
+  if (defaultLocale !== undefined && locales && !locales.includes(defaultLocale)) {
+    throw invalidOption(`defaultLocale ${defaultLocale} 不在 locales 中`);
+  }
+
+  /**
+   * 取得所有語系代碼
+   *
+   * @param {string} root - 專案根目錄
+   * @returns {string[]}
+   */
+  const resolveLocales = (root) => {
+    if (locales) {
+      return locales;
+    }
+    const localeDir = path.resolve(root, dir);
+    return fs.existsSync(localeDir)
+      ? fs.readdirSync(localeDir).filter(file => file.endsWith('.json')).map(file => file.slice(0, -5)).sort()
+      : [];
+  };
+
+  /**
+   * 取得預設語系
+   *
+   * @param {string} root - 專案根目錄
+   * @returns {string|undefined}
+   */
+  const resolveDefaultLocale = (root) => defaultLocale || resolveLocales(root)[0];
+
+  /**
+   * 建立某個語系的翻譯函式
+   *
+   * @param {string} root - 專案根目錄
+   * @param {string} [locale] - 語系代碼，預設為預設語系
+   * @returns {{ locale: string, files: string[], variables: Object }}
+   *   目前語系、用到的語系檔（HMR 依賴），以及模板變數 locale、__、trans_choice
+   */
+  const translator = (root, locale) => {
+    const fallbackLocale = resolveDefaultLocale(root);
+    const current = locale || fallbackLocale;
+    const files = [...new Set([current, fallbackLocale].filter(Boolean))]
+      .map(name => path.resolve(root, dir, `${name}.json`));
+    const catalogs = files.map(loadMessages);
+
+    const find = (key) => {
+      for (const messages of catalogs) {
+        const message = findMessage(messages, key);
+        if (message !== undefined && message !== null) {
+          return message;
+        }
+      }
+      return undefined;
+    };
+
+    /**
+     * 翻譯（找不到時返回鍵本身）
+     *
+     * @param {string} key - 翻譯鍵
+     * @param {Object} [replace={}] - :name 參數
+     * @returns {string}
+     */
+    const __ = (key, replace = {}) => {
+      const message = find(key);
+      return replacePlaceholders(typeof message === 'string' ? message : key, replace);
+    };
+
+    /**
+     * 依數量翻譯複數形式（:count 自動替換為數量）
+     *
+     * @param {string} key - 翻譯鍵
+     * @param {number} count - 數量
+     * @param {Object} [replace={}] - :name 參數
+     * @returns {string}
+     */
+    const transChoice = (key, count, replace = {}) => {
+      const message = find(key);
+      const form = message === undefined ? key : selectPluralForm(message, Number(count), current);
+      return replacePlaceholders(form, { count, ...replace });
+    };
+
+    return { locale: current, files, variables: { locale: current, __, trans_choice: transChoice } };
+  };
+
+  return { locales: resolveLocales, defaultLocale: resolveDefaultLocale, translator };
+}
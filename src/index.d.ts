@@ -1,4 +1,64 @@
-import { Plugin } from 'vite';
+import { Plugin, ViteDevServer } from 'vite';
+
+/**
+ * 傳給資料函式（data 選項、.data.js 預設匯出）的上下文
+ */
+export interface HtmlKitDataContext {
+  /** 當前處理的頁面絕對路徑 */
+  filename?: string;
+
+  /** Vite 模式（例如 'development'、'production'） */
+  mode?: string;
+
+  /** Vite 命令（'serve' | 'build'） */
+  command?: 'serve' | 'build';
+
+  /** 開發伺服器實例（僅開發模式） */
+  server?: ViteDevServer;
+
+  /** createRenderer 的 render(..., { context }) 傳入的其他欄位 */
+  [key: string]: any;
+}
+
+/**
+ * 資料函式，可以是同步或 async
+ */
+export type HtmlKitDataFunction = (
+  context: HtmlKitDataContext
+) => Record<string, any> | Promise<Record<string, any>>;
+
+/**
+ * 由 pages 選項產生的單一頁面
+ */
+export interface HtmlKitPageEntry {
+  /** 輸出路徑（相對於 root），例如 'blog/hello' 會產生 blog/hello.html */
+  path: string;
+
+  /** 頁面資料，優先於模板的 front matter */
+  data?: Record<string, any>;
+}
+
+/**
+ * 行內自訂指令的 handler
+ *
+ * @param args - 括號內的原始參數字串，沒有括號時為 null
+ * @returns 模板程式碼或 HTML；返回 null / undefined 時保留原始文字
+ */
+export type HtmlKitDirectiveHandler = (args: string | null) => string | null | undefined;
+
+/**
+ * 區塊自訂指令（@name ... @endname）
+ */
+export interface HtmlKitBlockDirective {
+  block: true;
+
+  /**
+   * @param args - 括號內的原始參數字串，沒有括號時為 null
+   * @param content - 區塊內容（已轉換為模板程式碼）
+   * @returns 模板程式碼或 HTML；返回 null / undefined 時只輸出內容
+   */
+  handler: (args: string | null, content: string) => string | null | undefined;
+}
 
 /**
  * Vite Plugin HTML Kit 配置選項
@@ -8,15 +68,27 @@ export interface VitePluginHtmlKitOptions {
    * 存放 HTML partial 檔案的目錄
    * - 相對路徑：相對於 vite.config 中的 root（預設為專案根目錄）
    * - 絕對路徑：支援絕對路徑（例如：path.resolve(__dirname, 'templates')）
+   * - 陣列：依順序查找的目錄（主題覆蓋），使用第一個存在的檔案；
+   *   覆蓋的 partial 或佈局中以 @parent 輸出下一個目錄的同名檔案
+   * - 物件：namespace -> 目錄（字串或陣列），以 'ui::button.html' 指定 namespace，
+   *   未指定 namespace 的路徑依物件順序查找，使用第一個存在的檔案
+   *
+   * @example
+   * partialsDir: ['themes/brandA', 'partials']
+   * partialsDir: { default: 'partials', ui: 'node_modules/@acme/ui/templates' }
+   *
    * @default 'partials'
    */
-  partialsDir?: string;
+  partialsDir?: string | string[] | Record<string, string | string[]>;
 
   /**
-   * 全域資料物件，所有模板都可以存取
+   * 全域資料，所有模板都可以存取
    *
    * 這些資料可以在任何 HTML 檔案或 partial 中使用
    *
+   * 也可以是（async）函式：每次轉換頁面時呼叫，
+   * 因此 HMR 重新載入時會取得最新資料
+   *
    * @default {}
    *
    * @example
@@ -30,15 +102,175 @@ export interface VitePluginHtmlKitOptions {
    *   }
    * }
    * ```
+   *
+   * @example
+   * ```typescript
+   * async ({ filename, command }) => ({
+   *   products: JSON.parse(await fs.promises.readFile('catalogue.json', 'utf-8'))
+   * })
+   * ```
    */
-  data?: Record<string, any>;
+  data?: Record<string, any> | HtmlKitDataFunction;
+
+  /**
+   * {{ }} 輸出是否自動進行 HTML 轉義
+   *
+   * - true：{{ }} 轉義輸出，{!! !!} 原樣輸出（與 Laravel Blade 相同）
+   * - false：{{ }} 與 {!! !!} 皆原樣輸出（舊版行為）
+   *
+   * 自訂 compilerOptions.interpolate 時，此選項不會生效
+   *
+   * @default true
+   */
+  autoEscape?: boolean;
+
+  /**
+   * 從單一模板產生多個頁面
+   *
+   * 鍵為模板路徑（相對於 root），值為頁面列表或返回頁面列表的（async）函式
+   *
+   * @default null
+   *
+   * @example
+   * ```typescript
+   * {
+   *   'templates/post.html': async () =>
+   *     (await getPosts()).map(post => ({ path: `blog/${post.slug}`, data: { post } }))
+   * }
+   * ```
+   */
+  pages?: Record<
+    string,
+    HtmlKitPageEntry[] | (() => HtmlKitPageEntry[] | Promise<HtmlKitPageEntry[]>)
+  > | null;
+
+  /**
+   * 執行 vite build 時，遇到任何 error 等級的模板錯誤（如 E4007 未閉合的指令）就中止建置
+   *
+   * 開發伺服器不受影響：錯誤一律透過 Vite 錯誤覆蓋層顯示
+   *
+   * @default false
+   */
+  failOnError?: boolean;
+
+  /**
+   * 執行 vite build 時，先靜態檢查 root 中的頁面與 partials，問題以建構警告輸出
+   *
+   * 檢查缺少的 include / 佈局 / 組件、沒有被填入或使用的 yield / section / stack、
+   * 沒有宣告的 slot、未閉合的指令與未定義的變數；不會中止建構
+   *
+   * @default false
+   */
+  lint?: boolean;
+
+  /**
+   * 自訂指令：名稱（不含 @）-> handler 或區塊指令定義
+   *
+   * 與內建指令在同一次解析中處理；名稱不能與內建指令同名
+   *
+   * @default {}
+   *
+   * @example
+   * ```typescript
+   * {
+   *   icon: (args) => `<svg class="icon"><use href="#icon-{{ ${args} }}"></use></svg>`,
+   *   card: {
+   *     block: true,
+   *     handler: (args, content) => `<section class="card"><h2>{{ ${args} }}</h2>${content}</section>`
+   *   }
+   * }
+   * ```
+   */
+  directives?: Record<string, HtmlKitDirectiveHandler | HtmlKitBlockDirective>;
+
+  /**
+   * 自訂過濾器，用於管線語法 {{ value | name(args) }}
+   *
+   * 第一個參數是管線左側的值，其餘是括號內的參數；可以覆寫同名的內建過濾器
+   * （upper、lower、capitalize、truncate、date、currency、json、escape、slug、default、nl2br）
+   *
+   * @default {}
+   *
+   * @example
+   * ```typescript
+   * {
+   *   excerpt: (value, words = 20) => String(value).split(/\s+/).slice(0, words).join(' ')
+   * }
+   * ```
+   */
+  filters?: Record<string, (value: any, ...args: any[]) => any>;
+
+  /**
+   * 在 vm 沙箱中執行模板表達式（{{ }}、<% %>、include 屬性、:prop 與 @props）
+   *
+   * 沙箱內無法使用 process、require、globalThis、Function、constructor、Promise 與 async / await（E2003），
+   * 單次編譯或執行超過 timeout 毫秒時中止（E2004）；資料、輔助函式、過濾器與 Lodash 照常使用，
+   * 資料以副本傳入、函式經過包裝，模板無法修改 Node.js 端的原型
+   *
+   * @default false
+   *
+   * @example
+   * ```typescript
+   * { sandbox: { timeout: 500 } }
+   * ```
+   */
+  sandbox?: boolean | { timeout?: number };
+
+  /**
+   * 為行內 <script> / <style> 產生 Content-Security-Policy 所需的 nonce 或 hash
+   *
+   * - 'nonce'：每個行內元素加上 nonce 屬性，模板中以 {{ cspNonce }} 取得
+   * - 'hash'：計算行內元素內容的 sha256，模板中的 {{ cspHashes }} 輸出 hash 列表
+   *
+   * 建構時以 Vite 處理後的最終 HTML 計算，並在 build.outDir 輸出 manifest（頁面 -> script-src / style-src）
+   *
+   * @default false
+   *
+   * @example
+   * ```html
+   * <meta http-equiv="Content-Security-Policy" content="script-src 'self' {{ cspHashes }}">
+   * ```
+   */
+  csp?: false | HtmlKitCspMode | HtmlKitCspOptions;
+
+  /**
+   * 多語系：語系檔目錄（字串）或 i18n 設定
+   *
+   * 模板中可以使用 {{ __('nav.home') }}、@lang('welcome', { name })、@choice('apples', count)、
+   * locale 與 alternates（每個語系的同一頁網址，用於 hreflang）。
+   * 建構時每個 HTML 入口依語系各輸出一份（/en/about.html、/zh-TW/about.html）
+   *
+   * @default false
+   *
+   * @example
+   * ```typescript
+   * { i18n: { dir: 'locales', defaultLocale: 'en' } }
+   * ```
+   */
+  i18n?: false | string | HtmlKitI18nOptions;
+
+  /**
+   * @svg 圖示：圖示目錄（字串）或 svg 設定
+   *
+   * @svg('icons/close.svg', { class: 'w-4' }) 讀取圖示目錄中的 SVG，移除 XML 宣告與註釋，
+   * 並將屬性合併到 <svg> 根元素。sprite 開啟時改為輸出 <svg><use href="#icon-..."></use></svg>，
+   * 用到的圖示合併為一個 <symbol> sprite，插入在頁面的 <body> 開頭（不同檔案產生相同 id 時回報 E3010）
+   *
+   * @default {}
+   *
+   * @example
+   * ```typescript
+   * { svg: { dir: 'src/assets', sprite: true } }
+   * ```
+   */
+  svg?: string | HtmlKitSvgOptions;
 
   /**
    * Lodash template 編譯器選項
    *
    * 可自訂插值、求值、轉義等語法的正則表達式
    *
-   * @default { interpolate: /{{([\s\S]+?)}}/g }
+   * @default { escape: /{{([\s\S]+?)}}/g, interpolate: /{!!([\s\S]+?)!!}/g }
    *
    * @see https://lodash.com/docs/4.17.15#template
    */
@@ -84,6 +316,245 @@ export interface VitePluginHtmlKitOptions {
   };
 }
 
+/**
+ * CSP 模式
+ */
+export type HtmlKitCspMode = 'nonce' | 'hash';
+
+/**
+ * csp 選項
+ */
+export interface HtmlKitCspOptions {
+  /** @default 'hash' */
+  mode?: HtmlKitCspMode;
+
+  /** nonce 模式使用的 nonce，預設每次建構隨機產生 */
+  nonce?: string;
+
+  /**
+   * manifest 的輸出檔名（相對於 build.outDir），false 時不輸出；只用於插件
+   * @default 'csp-manifest.json'
+   */
+  manifest?: string | false;
+}
+
+/**
+ * i18n 選項
+ */
+export interface HtmlKitI18nOptions {
+  /**
+   * 語系檔目錄（相對於 root），每個語系一個 JSON 檔（locales/en.json）
+   * @default 'locales'
+   */
+  dir?: string;
+
+  /** 語系代碼，預設為目錄中所有 JSON 檔的名稱 */
+  locales?: string[];
+
+  /** 找不到翻譯時的備援語系，預設為 locales 的第一個 */
+  defaultLocale?: string;
+}
+
+/**
+ * svg 選項
+ */
+export interface HtmlKitSvgOptions {
+  /**
+   * 圖示目錄（相對於 root），@svg 的路徑以此為基準
+   * @default '.'
+   */
+  dir?: string;
+
+  /**
+   * 以 <use> 引用 sprite 中的 <symbol>，而不是輸出完整的 <svg>
+   * 建構時 sprite 包含所有頁面用到的圖示
+   * @default false
+   */
+  sprite?: boolean;
+}
+
+/**
+ * 模板中的 alternates 項目
+ */
+export interface HtmlKitLocaleAlternate {
+  /** 語系代碼 */
+  locale: string;
+
+  /** 該語系的同一頁網址，例如 '/zh-TW/about.html' */
+  href: string;
+}
+
+/**
+ * applyCsp 的結果
+ */
+export interface HtmlKitCspResult {
+  /** 加上 nonce、替換 {{ cspHashes }} 後的 HTML */
+  html: string;
+
+  /** 行內 script 與 style 的 hash（'sha256-...'） */
+  hashes: string[];
+
+  /** 可以用於 Content-Security-Policy header 的來源列表 */
+  directives: { 'script-src'?: string[]; 'style-src'?: string[] };
+}
+
+/**
+ * createRenderer 配置選項（與插件相同，pages 除外）
+ */
+export interface HtmlKitRendererOptions extends Omit<VitePluginHtmlKitOptions, 'pages' | 'failOnError' | 'lint'> {
+  /**
+   * 專案根目錄，相對的 partialsDir 與 renderFile 路徑以此為基準
+   * @default process.cwd()
+   */
+  root?: string;
+
+  /**
+   * 遇到 error 等級的模板錯誤時拋出該錯誤（PluginError），而不是輸出降級內容
+   * @default false
+   */
+  failOnError?: boolean;
+}
+
+/**
+ * render / renderFile 的渲染選項
+ */
+export interface HtmlKitRenderOptions {
+  /** 模板的檔案路徑：用於錯誤訊息，並載入同名資料檔（about.json、about.data.js） */
+  filename?: string;
+
+  /** 額外傳給資料函式的上下文 */
+  context?: Record<string, any>;
+
+  /** 收集頁面依賴（資料檔、layout、partial 的絕對路徑）的集合 */
+  dependencies?: Set<string>;
+
+  /**
+   * 是否載入 filename 的同名資料檔
+   * @default true
+   */
+  loadDataFiles?: boolean;
+
+  /**
+   * 是否在輸出上套用 csp 選項
+   * @default true
+   */
+  applyCsp?: boolean;
+
+  /**
+   * sprite 模式中是否直接插入頁面用到的圖示（false 時插入佔位符，之後以 applySvgSprite 替換）
+   * @default true
+   */
+  applySvgSprite?: boolean;
+
+  /** 語系代碼（i18n 開啟時），預設為預設語系 */
+  locale?: string;
+
+  /**
+   * 網站的基本路徑，用於 alternates 的網址
+   * @default '/'
+   */
+  base?: string;
+}
+
+/**
+ * 模板渲染器
+ *
+ * render / renderFile 一律返回 Promise；renderSync / renderFileSync 返回字串，
+ * data 選項或 .data.js 資料檔是 async 時拋出 E4017
+ */
+export interface HtmlKitRenderer {
+  /**
+   * 渲染模板字串
+   *
+   * @param html - 模板內容（可含 front matter 與 @extends）
+   * @param data - 這次渲染的資料（優先於全域資料、資料檔與 front matter）
+   */
+  render(html: string, data?: Record<string, any>, options?: HtmlKitRenderOptions): Promise<string>;
+
+  /**
+   * 同步渲染模板字串（資料是 async 時拋出 E4017）
+   *
+   * @param html - 模板內容（可含 front matter 與 @extends）
+   * @param data - 這次渲染的資料
+   */
+  renderSync(html: string, data?: Record<string, any>, options?: HtmlKitRenderOptions): string;
+
+  /**
+   * 讀取並渲染模板檔案
+   *
+   * @param filePath - 模板檔案路徑（相對於 root 或絕對路徑）
+   * @param data - 這次渲染的資料
+   */
+  renderFile(
+    filePath: string,
+    data?: Record<string, any>,
+    options?: Omit<HtmlKitRenderOptions, 'filename'>
+  ): Promise<string>;
+
+  /**
+   * 同步讀取並渲染模板檔案（資料是 async 時拋出 E4017）
+   *
+   * @param filePath - 模板檔案路徑（相對於 root 或絕對路徑）
+   * @param data - 這次渲染的資料
+   */
+  renderFileSync(
+    filePath: string,
+    data?: Record<string, any>,
+    options?: Omit<HtmlKitRenderOptions, 'filename'>
+  ): string;
+
+  /**
+   * 靜態檢查模板（不渲染），返回發現的問題
+   *
+   * @param pages - 要檢查的頁面（相對於 root 或絕對路徑），預設為 root 中所有 partial 目錄以外的 .html；
+   *   `{ file, data }` 的 data 是渲染時傳入的資料，它的鍵視為已定義的變數
+   */
+  lint(pages?: Array<string | { file: string; data?: Record<string, any> }>): Promise<HtmlKitLintProblem[]>;
+
+  /** 註冊自訂指令（與 directives 選項相同） */
+  directive(name: string, definition: HtmlKitDirectiveHandler | HtmlKitBlockDirective): void;
+
+  /** 在 HTML 上套用 csp 選項（render 預設已套用） */
+  applyCsp(html: string): HtmlKitCspResult;
+
+  /** 將 sprite 佔位符替換為目前為止所有頁面用到的圖示（svg.sprite 開啟時） */
+  applySvgSprite(html: string): string;
+}
+
+/**
+ * lint 發現的問題（PluginError）
+ */
+export interface HtmlKitLintProblem extends Error {
+  /** 錯誤碼，例如 E3002（include 檔案不存在）、E6006（變數未定義） */
+  code: string;
+  title: string;
+  suggestion: string;
+  severity: 'error' | 'warning';
+  context: {
+    /** 相對於 root 的檔案路徑 */
+    file: string;
+    line?: number;
+    column?: number;
+  };
+  /** 格式化為終端機輸出的文字 */
+  format(verbose?: boolean): string;
+}
+
+/**
+ * 建立不依賴 Vite 的模板渲染器
+ *
+ * 可以在 Node 腳本或單元測試中渲染 HTML（例如電子郵件、組件快照）
+ *
+ * @example
+ * ```typescript
+ * import { createRenderer } from 'vite-plugin-html-kit';
+ *
+ * const renderer = createRenderer({ root: 'emails', data: { brand: 'Acme' } });
+ * const html = await renderer.renderFile('welcome.html', { user });
+ * ```
+ */
+export function createRenderer(options?: HtmlKitRendererOptions): HtmlKitRenderer;
+
 /**
  * Vite Plugin: HTML Include & Templating Logic
  *
@@ -145,4 +616,9 @@ export interface VitePluginHtmlKitOptions {
  */
 export default function vitePluginHtmlKit(
   options?: VitePluginHtmlKitOptions
-): Plugin;
+): Plugin & {
+  api: {
+    /** 註冊自訂指令（與 directives 選項相同） */
+    directive(name: string, definition: HtmlKitDirectiveHandler | HtmlKitBlockDirective): void;
+  };
+};
@@ -1,14 +1,49 @@
 import fs from 'fs';
 import path from 'path';
+import { pathToFileURL } from 'url';
 import lodash from 'lodash';
+import yaml from 'js-yaml';
 import { LRUCache } from 'lru-cache';
 import crypto from 'crypto';
 import {
   ErrorCodes,
   PluginError,
   createAndLogError,
+  logPluginError,
+  collectErrors,
+  createCodeFrame,
   logBySeverity
 } from './error-handler.js';
+import {
+  compileBlade,
+  validateBlade,
+  createGrammars,
+  isBuiltinDirective,
+  compilePipes,
+  FILTERS_VARIABLE,
+  JSON_VARIABLE,
+  findClosingBracket,
+  splitTopLevel,
+  tokenize,
+  createLocator,
+  parseLoopExpression
+} from './blade-parser.js';
+import { createFilters, toScriptJson } from './filters.js';
+import { createSandbox } from './sandbox.js';
+import { createCspPolicy } from './csp.js';
+import { createI18n } from './i18n.js';
+import { isMarkdownFile, renderMarkdown } from './markdown.js';
+import { SVG_SPRITE_PLACEHOLDER, createSvgIcons, insertSprite } from './svg.js';
+import { maskTemplate, analyzeExpression, findTemplateFiles } from './linter.js';
+import {
+  markSourceLines,
+  stripSourceMarkers,
+  sourceMarkerAt,
+  resumeSourceAfter,
+  sourceLocationAt,
+  locateTemplateError,
+  appendSourceCommentMap
+} from './source-locations.js';
 
 /**
  * 性能優化：LRU Cache
@@ -31,6 +66,23 @@ const transformCache = new LRUCache({
   updateAgeOnGet: true         // 取得時更新過期時間
 });
 
+/**
+ * 指令結構檢查結果的快取
+ *
+ * 鍵為原始內容，值為 validateBlade 的錯誤列表。
+ * 錯誤每次渲染都會重新記錄，只有檢查本身被快取。
+ */
+const validationCache = new LRUCache({
+  max: 100,
+  ttl: 1000 * 60 * 5,
+  updateAgeOnGet: true
+});
+
+// 已建立的語法表數量
+// 每個插件實例與每次註冊自訂指令都會產生新的快取鍵前綴，
+// 不同插件實例（自訂指令、過濾器不同）或註冊前後的轉換結果不會共用快取
+let grammarCount = 0;
+
 /**
  * 效能統計追蹤器
  *
@@ -194,32 +246,60 @@ const hash = (content) => {
  */
 const REGEX = {
   // ====================================================================
-  // 📌 Blade 註釋 (Blade Comments)
+  // 📌 Front Matter
   // ====================================================================
-  // Blade 註釋不會出現在最終 HTML 輸出中
+  // 頁面開頭的資料區塊，內容為 YAML 或 JSON
   //
-  // 語法：{{-- 註釋內容 --}}
+  // 語法：
+  // ---
+  // title: 關於我們
+  // tags: [vite, html]
+  // ---
+  // <h1>{{ title }}</h1>
+  //
+  // 正則說明：
+  // - ^\uFEFF? : 必須位於檔案最開頭（允許 BOM）
+  // - ---[ \t]*\r?\n : 開始標記
+  // - ([\s\S]*?) : 非貪婪匹配資料內容
+  // - \r?\n---[ \t]*(?:\r?\n|$) : 結束標記
+
+  /** 匹配頁面開頭的 --- front matter --- 區塊 */
+  FRONT_MATTER: /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/,
+
+  // ====================================================================
+  // 📌 輸出語法 (Echo Syntax)
+  // ====================================================================
+  // 與 Laravel Blade 相同的輸出語意
   //
-  // 特性：
-  // - 支援單行和多行註釋
-  // - 比 HTML 註釋 <!-- --> 更安全（不會洩露到前端）
-  // - 可包含任何字元，包括 {{ }}, @if 等 Blade 語法
+  // 語法：
+  // {{ expression }}   -> HTML 轉義後輸出（預設，防止 XSS）
+  // {!! expression !!} -> 原樣輸出（不轉義）
   //
   // 範例：
-  // {{-- 這是單行註釋 --}}
-  // {{--
-  //   這是多行註釋
-  //   可以包含多行內容
-  // --}}
+  // data: { html: '<b>粗體</b>' }
+  // {{ html }}   -> &lt;b&gt;粗體&lt;/b&gt;
+  // {!! html !!} -> <b>粗體</b>
   //
-  // 正則說明：
-  // - \{\{-- : 匹配開始標記 {{--
-  // - [\s\S]*? : 非貪婪匹配任意字元（包括換行）
-  // - --\}\} : 匹配結束標記 --}}
-  // - /g : 全域匹配（移除所有註釋）
+  // 這些正則會作為 Lodash template 的 escape / interpolate 選項使用
+
+  /** 匹配 {{ expression }}（轉義輸出） */
+  ESCAPED_ECHO: /{{([\s\S]+?)}}/g,
+
+  /** 匹配 {!! expression !!}（原樣輸出） */
+  RAW_ECHO: /{!!([\s\S]+?)!!}/g,
+
+  /**
+   * 匹配 {{ expression }} 或 {!! expression !!}（皆原樣輸出）
+   * 用於 autoEscape: false 的舊版相容模式
+   * 注意：只能有一個捕獲群組，Lodash 依群組位置取值
+   */
+  LEGACY_ECHO: /{(?:{|!!)([\s\S]+?)(?:}|!!)}/g,
 
-  /** 匹配 {{-- ... --}} Blade 註釋 */
-  BLADE_COMMENT: /\{\{--[\s\S]*?--\}\}/g,
+  /**
+   * 匹配整個屬性值為單一輸出表達式的情況
+   * 捕獲群組: $1={{ }} 內的表達式, $2={!! !!} 內的表達式
+   */
+  ATTR_EXPRESSION: /^(?:\{\{([\s\S]+?)\}\}|\{!!([\s\S]+?)!!\})$/,
 
   // ====================================================================
   // 📌 Verbatim 區塊 (Verbatim Blocks)
@@ -252,200 +332,6 @@ const REGEX = {
   /** 匹配 @verbatim...@endverbatim 區塊 */
   VERBATIM: /@verbatim([\s\S]*?)@endverbatim/gi,
 
-  // ====================================================================
-  // 📌 JSON 輸出 (JSON Output)
-  // ====================================================================
-  // 將 JavaScript 物件或變數轉換為 JSON 字串輸出
-  //
-  // 用途：
-  // - 在 <script> 標籤中安全地輸出資料
-  // - 將伺服器資料傳遞給前端 JavaScript
-  //
-  // 語法：
-  // @json(expression)           -> <%= JSON.stringify(expression) %>
-  // @json(expression, true)     -> <%= JSON.stringify(expression, null, 2) %>
-  // @json(expression, false)    -> <%= JSON.stringify(expression) %>
-  //
-  // 範例：
-  // <script>
-  //   const user = @json(user);
-  //   const config = @json(config, true);  // 格式化輸出
-  // </script>
-  //
-  // 正則說明：
-  // - @json\s* : 匹配 @json 和可選空白
-  // - \( : 匹配左括號
-  // - ([\s\S]*?) : 非貪婪匹配第一個參數（表達式）
-  // - (?:\s*,\s*(true|false))? : 可選的第二個參數（格式化標記）
-  // - \) : 匹配右括號
-  //
-  // 注意：支援巢狀括號，例如 @json(items.filter(x => x.active))
-
-  /** 匹配 @json(expression) 或 @json(expression, pretty) */
-  JSON: /@json\s*\(([\s\S]*?)(?:\s*,\s*(true|false))?\s*\)/gi,
-
-  // ====================================================================
-  // 📌 變數檢查 (Variable Checks)
-  // ====================================================================
-  // 檢查變數是否存在或為空
-  //
-  // 用途：
-  // - @isset: 檢查變數是否定義且不為 null
-  // - @empty: 檢查變數是否為空（false, 0, '', null, undefined, []）
-  //
-  // 語法：
-  // @isset(variable)...@endisset -> if (typeof variable !== 'undefined' && variable !== null)
-  // @empty(variable)...@endempty -> if (!variable || (Array.isArray(variable) && variable.length === 0))
-  //
-  // 範例：
-  // @isset(user.name)
-  //   <p>{{ user.name }}</p>
-  // @endisset
-  //
-  // @empty(users)
-  //   <p>沒有使用者</p>
-  // @endempty
-  //
-  // 正則說明：
-  // - @isset\s* : 匹配 @isset 和可選空白
-  // - \( : 匹配左括號
-  // - ([\s\S]*?) : 非貪婪匹配表達式
-  // - \) : 匹配右括號
-
-  /** 匹配 @isset(expression) */
-  ISSET: /@isset\s*\(([\s\S]*?)\)/gi,
-
-  /** 匹配 @endisset */
-  ENDISSET: /@endisset/gi,
-
-  /** 匹配 @empty(expression) - 變數檢查 */
-  EMPTY_CHECK: /@empty\s*\(([\s\S]*?)\)/gi,
-
-  /** 匹配 @endempty */
-  ENDEMPTY: /@endempty/gi,
-
-  // ====================================================================
-  // 📌 條件判斷語句 (Conditionals)
-  // ====================================================================
-  // 支援 Blade 風格的條件判斷語法
-  //
-  // 轉換規則：
-  // @if(condition)     -> <% if (condition) { %>
-  // @elseif(condition) -> <% } else if (condition) { %>
-  // @else              -> <% } else { %>
-  // @endif             -> <% } %>
-  // @unless(condition) -> <% if (!(condition)) { %>
-  // @endunless         -> <% } %>
-  //
-  // 範例：
-  // @if(user.isAdmin)
-  //   <p>管理員面板</p>
-  // @elseif(user.isEditor)
-  //   <p>編輯面板</p>
-  // @else
-  //   <p>一般用戶</p>
-  // @endif
-  //
-  // @unless(user.isGuest)
-  //   <p>歡迎回來</p>
-  // @endunless
-
-  /** 匹配 @if(condition) */
-  IF: /@if\s*\((.*?)\)/gi,
-
-  /** 匹配 @elseif(condition) */
-  ELSEIF: /@elseif\s*\((.*?)\)/gi,
-
-  /** 匹配 @else */
-  ELSE: /@else/gi,
-
-  /** 匹配 @endif */
-  ENDIF: /@endif/gi,
-
-  /** 匹配 @unless(condition) - 否定條件 */
-  UNLESS: /@unless\s*\((.*?)\)/gi,
-
-  /** 匹配 @endunless */
-  ENDUNLESS: /@endunless/gi,
-
-  // ====================================================================
-  // 📌 Switch 語句 (Switch Statements)
-  // ====================================================================
-  // 支援 Blade 風格的 switch 語法
-  //
-  // 轉換規則：
-  // @switch(value)  -> <% { const __vphk_sw__ = (value); if (false) { %>
-  // @case(val)      -> <% } else if (__vphk_sw__ === (val)) { %>
-  // @default        -> <% } else { %>
-  // @endswitch      -> <% } } %>
-  //
-  // 範例：
-  // @switch(status)
-  //   @case('active')
-  //     <span class="badge-green">啟用</span>
-  //   @case('inactive')
-  //     <span class="badge-gray">停用</span>
-  //   @default
-  //     <span>未知</span>
-  // @endswitch
-
-  /** 匹配 @switch(expression) */
-  SWITCH: /@switch\s*\((.*?)\)/gi,
-
-  /** 匹配 @case(value) */
-  CASE: /@case\s*\((.*?)\)/gi,
-
-  /** 匹配 @break (在 if/else 結構中不需要，會被移除) */
-  BREAK: /@break/gi,
-
-  /** 匹配 @default */
-  DEFAULT: /@default/gi,
-
-  /** 匹配 @endswitch */
-  ENDSWITCH: /@endswitch/gi,
-
-  // ====================================================================
-  // 📌 迴圈語句 (Loops)
-  // ====================================================================
-  // 支援兩種風格：
-  // 1. Blade 風格: @foreach(items as item)
-  // 2. JavaScript 風格: @foreach(item of items)
-  //
-  // 轉換規則：
-  // @foreach(...)  -> <% for (const item of items) { %>
-  // @endforeach    -> <% } %>
-  //
-  // @forelse 變體（帶空資料處理）：
-  // @forelse(items as item) -> <% if (items && items.length > 0) { for (...) { %>
-  // @empty                  -> <% } } else { %>
-  // @endforelse             -> <% } %>
-  //
-  // 範例：
-  // @foreach(products as product)
-  //   <div>{{ product.name }}</div>
-  // @endforeach
-  //
-  // @forelse(users as user)
-  //   <li>{{ user.name }}</li>
-  // @empty
-  //   <p>沒有使用者</p>
-  // @endforelse
-
-  /** 匹配 @foreach(expression) */
-  FOREACH: /@foreach\s*\((.*?)\)/gi,
-
-  /** 匹配 @endforeach */
-  ENDFOREACH: /@endforeach/gi,
-
-  /** 匹配 @forelse(expression) */
-  FORELSE: /@forelse\s*\((.*?)\)/gi,
-
-  /** 匹配 @empty（用於 @forelse） */
-  EMPTY: /@empty/gi,
-
-  /** 匹配 @endforelse */
-  ENDFORELSE: /@endforelse/gi,
-
   // ====================================================================
   // 📌 @once - 防止重複輸出
   // ====================================================================
@@ -467,6 +353,20 @@ const REGEX = {
   /** 匹配 @once...@endonce 區塊 */
   ONCE: /@once([\s\S]*?)@endonce/gi,
 
+  // ====================================================================
+  // 📌 @markdown - 行內 Markdown 區塊
+  // ====================================================================
+  // 語法：
+  // @markdown
+  //   ## {{ post.title }}
+  //   內容以 **Markdown** 撰寫
+  // @endmarkdown
+  //
+  // 區塊在 Blade 編譯前轉換為 HTML（見 markdown.js），其中的 {{ }} 與指令照常處理
+
+  /** 匹配 @markdown...@endmarkdown 區塊 */
+  MARKDOWN: /@markdown([\s\S]*?)@endmarkdown/gi,
+
   // ====================================================================
   // 📌 Include 標籤 (Partial Includes)
   // ====================================================================
@@ -489,59 +389,6 @@ const REGEX = {
   //   @slot('title')卡片標題@endslot
   // </include>
 
-  /**
-   * 匹配 Blade 風格的 @include 指令
-   *
-   * 語法：
-   * @include('file.html')
-   * @include('file.html', { key: 'value' })
-   * @include('file.html', ['key' => 'value'])  // PHP 風格陣列
-   *
-   * 正則說明：
-   * - @include\s* : 匹配 @include 和可選空白
-   * - \( : 匹配左括號
-   * - (['"])([^'"]+)\1 : 匹配引號包裹的檔案路徑（支援單雙引號）
-   * - (?:\s*,\s*([\s\S]*?))? : 可選的參數部分（逗號後的任意內容）
-   * - \) : 匹配右括號
-   */
-  BLADE_INCLUDE: /@include\s*\(\s*(['"])([^'"]+)\1\s*(?:,\s*([\s\S]*?))?\s*\)/gi,
-
-  /**
-   * 匹配 @includeIf 指令 - 只在檔案存在時 include
-   *
-   * 語法：
-   * @includeIf('file.html')
-   * @includeIf('file.html', { key: 'value' })
-   */
-  INCLUDE_IF: /@includeIf\s*\(\s*(['"])([^'"]+)\1\s*(?:,\s*([\s\S]*?))?\s*\)/gi,
-
-  /**
-   * 匹配 @includeWhen 指令 - 條件為 true 時 include
-   *
-   * 語法：
-   * @includeWhen(condition, 'file.html')
-   * @includeWhen(condition, 'file.html', { key: 'value' })
-   */
-  INCLUDE_WHEN: /@includeWhen\s*\(\s*([\s\S]+?)\s*,\s*(['"])([^'"]+)\2\s*(?:,\s*([\s\S]*?))?\s*\)/gi,
-
-  /**
-   * 匹配 @includeUnless 指令 - 條件為 false 時 include
-   *
-   * 語法：
-   * @includeUnless(condition, 'file.html')
-   * @includeUnless(condition, 'file.html', { key: 'value' })
-   */
-  INCLUDE_UNLESS: /@includeUnless\s*\(\s*([\s\S]+?)\s*,\s*(['"])([^'"]+)\2\s*(?:,\s*([\s\S]*?))?\s*\)/gi,
-
-  /**
-   * 匹配 @includeFirst 指令 - include 第一個存在的檔案
-   *
-   * 語法：
-   * @includeFirst(['file1.html', 'file2.html'])
-   * @includeFirst(['file1.html', 'file2.html'], { key: 'value' })
-   */
-  INCLUDE_FIRST: /@includeFirst\s*\(\s*\[([\s\S]+?)\]\s*(?:,\s*([\s\S]*?))?\s*\)/gi,
-
   /**
    * 匹配 include 標籤（自閉合和非自閉合）
    * 注意：(?<!\/) 負向後行斷言防止錯誤匹配自閉合標籤
@@ -670,6 +517,49 @@ const REGEX = {
    */
   SLOT: /@slot\s*\(\s*['"](.+?)['"]\s*(?:,\s*['"](.*?)['"]\s*)?\)/gi,
 
+  /**
+   * 匹配 partial 中的 @parent（include 查找順序中下一個目錄的同名檔案）
+   * 不匹配 @parentheses 之類較長的單字
+   */
+  PARENT: /@parent\b/g,
+
+  // ====================================================================
+  // 📌 組件標籤 (Component Tags)
+  // ====================================================================
+  // Laravel Blade 風格的組件標籤，對應 partialsDir/components 目錄
+  //
+  // 範例：
+  // <x-card title="標題" :items="posts">
+  //   預設 slot 內容（組件內以 {{ slot }} 輸出）
+  //   <x-slot:footer>頁尾</x-slot:footer>
+  // </x-card>
+  //
+  // <!-- components/card.html -->
+  // @props(['title' => '預設標題', 'items' => []])
+  // <div class="card">
+  //   <h3>{{ title }}</h3>
+  //   {{ slot }}
+  //   <footer>{{ footer }}</footer>
+  // </div>
+
+  /**
+   * 匹配組件的開始標籤（含自閉合）或結束標籤（不含 x-slot）
+   * 屬性值可以包含 > 字元（例如 :show="count > 1"）
+   * 捕獲群組: $1=組件名稱, $2=屬性字串, $3=自閉合斜線, $4=結束標籤的組件名稱
+   */
+  COMPONENT_TAG: /<x-(?!slot[\s:>\/])([\w-]+(?:\.[\w-]+)*)((?:\s+[^\s=>\/"']+(?:\s*=\s*(?:"[^"]*"|'[^']*'))?)*)\s*(\/?)>|<\/x-(?!slot[\s:>])([\w-]+(?:\.[\w-]+)*)\s*>/g,
+
+  /**
+   * 匹配具名 slot：<x-slot:footer>...</x-slot:footer> 或 <x-slot name="footer">...</x-slot>
+   * 捕獲群組: $1=slot名稱（冒號語法）, $3=slot名稱（name 屬性）, $4=slot內容
+   */
+  COMPONENT_SLOT: /<x-slot(?::([\w-]+)|\s+name=(["'])([\w-]+)\2)\s*>([\s\S]*?)<\/x-slot(?::[\w-]+)?\s*>/g,
+
+  /**
+   * 匹配組件內的 @props( 宣告開頭（括號內容以括號配對解析）
+   */
+  COMPONENT_PROPS: /@props\s*\(/,
+
   // ====================================================================
   // 📌 HTML 屬性解析 (Attribute Parsing)
   // ====================================================================
@@ -679,6 +569,7 @@ const REGEX = {
   // - key="value" (雙引號)
   // - key='value' (單引號)
   // - data-key="value" (連字符屬性名)
+  // - :key="expression" (以冒號開頭，值視為表達式)
   //
   // 捕獲群組：
   // $1 = 屬性名稱
@@ -691,9 +582,9 @@ const REGEX = {
 
   /**
    * 匹配 HTML 屬性 key="value" 或 key='value'
-   * 支援連字符屬性名 (e.g., data-id, aria-label)
+   * 支援連字符屬性名 (e.g., data-id, aria-label) 與冒號前綴 (e.g., :items)
    */
-  ATTRS: /(\w+(?:-\w+)*)=(['"])(.*?)\2/g
+  ATTRS: /(:?\w+(?:-\w+)*)=(['"])(.*?)\2/g
 };
 
 /**
@@ -705,6 +596,7 @@ const REGEX = {
  * - 雙引號: key="value"
  * - 單引號: key='value'
  * - 連字符: data-key="value", aria-label="text"
+ * - 冒號前綴: :items="posts"（保留冒號，由 evaluateAttributeExpressions 求值）
  *
  * 技術細節：
  * - 使用 String.prototype.matchAll() 而非 exec() 迴圈
@@ -745,7 +637,7 @@ const parseAttributes = (str) => {
   try {
     // 使用 String.prototype.matchAll 來迭代所有匹配
     // 正則說明：
-    // - (\w+(?:-\w+)*): 屬性名稱（支援連字符，如 data-id）
+    // - (:?\w+(?:-\w+)*): 屬性名稱（支援連字符，如 data-id；以及冒號前綴，如 :items）
     // - (['"]): 開始引號（捕獲用於後向引用）
     // - (.*?): 屬性值（非貪婪匹配）
     // - \2: 後向引用，匹配相同的結束引號
@@ -766,6 +658,29 @@ const parseAttributes = (str) => {
   return attrs;
 };
 
+// 沙箱拋出的錯誤碼（記錄時保留原本的錯誤碼，不包裝為處理錯誤）
+const SANDBOX_ERROR_CODES = new Set([ErrorCodes.SANDBOX_VIOLATION, ErrorCodes.SANDBOX_TIMEOUT]);
+
+/**
+ * 記錄模板求值時捕獲的錯誤
+ *
+ * 沙箱錯誤（E2003、E2004）以原本的錯誤碼記錄，並補上 context 中沒有的資訊；
+ * 其他錯誤包裝為 code 指定的錯誤。
+ *
+ * @param {Error} error - 捕獲的錯誤
+ * @param {string} code - 非沙箱錯誤時使用的錯誤碼
+ * @param {any[]} args - 錯誤訊息參數
+ * @param {Object} context - 錯誤上下文
+ * @returns {PluginError} 記錄的錯誤
+ */
+const logTemplateError = (error, code, args, context) => {
+  if (error instanceof PluginError && SANDBOX_ERROR_CODES.has(error.code)) {
+    error.context = { ...context, ...error.context };
+    return logPluginError(error);
+  }
+  return createAndLogError(code, args, { ...context, originalError: error });
+};
+
 /**
  * 評估屬性值中的 {{ }} 表達式
  *
@@ -774,19 +689,27 @@ const parseAttributes = (str) => {
  *
  * 功能：
  * - 檢測屬性值中的 {{ }} 表達式
+ * - 以冒號開頭的屬性（:items="posts"）整個值都視為表達式，鍵名移除冒號
  * - 在資料上下文中評估表達式
  * - 保留原始資料型別（陣列、物件、數字等）
  * - 提供 lodash 工具函式（透過 _ 變數）
+ * - 支援管線語法（:title="post.title | upper"，過濾器來自 compilerOptions.imports）
  * - 錯誤處理：評估失敗時保留原始字串
  *
  * 安全性：
  * - 使用 Function 構造器而非 eval()
- * - 只在明確的 {{ }} 語法中評估
+ * - 只在明確的 {{ }} 或 {!! !!} 語法中評估
  * - 評估錯誤時不會中斷程序
  *
+ * 轉義說明：
+ * - {{ }} 與 {!! !!} 在此處都保留原始值，不做 HTML 轉義
+ * - 轉義發生在 partial 輸出時（partial 內的 {{ title }}）
+ * - 若在此處轉義，partial 輸出時會被重複轉義
+ *
  * @param {Object} attrs - 屬性物件（鍵值對）
  * @param {Object} dataContext - 當前資料上下文（全域 + 區域資料）
- * @param {Object} [compilerOptions] - Lodash 編譯選項（保留參數但未使用）
+ * @param {Object} [compilerOptions] - Lodash 編譯選項（使用 imports 中的過濾器）
+ * @param {Object} [sandbox] - 沙箱（sandbox 選項開啟時），表達式改在沙箱內求值
  * @returns {Object} 評估後的屬性物件
  *
  * @example
@@ -811,6 +734,13 @@ const parseAttributes = (str) => {
  * // 返回: { count: 3 }
  *
  * @example
+ * // 冒號前綴屬性（Blade 組件語法）
+ * const attrs = { ':items': "posts", ':count': "posts.length" };
+ * const context = { posts: ['a', 'b'] };
+ * evaluateAttributeExpressions(attrs, context);
+ * // 返回: { items: ['a', 'b'], count: 2 }
+ *
+ * @example
  * // 普通字串（不評估）
  * const attrs = { title: "Hello World" };
  * evaluateAttributeExpressions(attrs, {});
@@ -823,7 +753,7 @@ const parseAttributes = (str) => {
  * // 返回: { value: "{{ undefined.property }}" }
  * // 並輸出警告訊息
  */
-const evaluateAttributeExpressions = (attrs, dataContext, compilerOptions) => {
+const evaluateAttributeExpressions = (attrs, dataContext, compilerOptions, sandbox) => {
   const evaluated = {};
 
   // 確保輸入有效
@@ -843,44 +773,60 @@ const evaluateAttributeExpressions = (attrs, dataContext, compilerOptions) => {
       continue;
     }
 
-    // 檢查是否為完整的 {{ }} 表達式（整個值都是表達式）
+    // 冒號前綴屬性：整個值都是表達式，例如 :items="posts"
+    const isBound = key.startsWith(':');
+    const name = isBound ? key.slice(1) : key;
+
+    // 檢查是否為完整的 {{ }} 或 {!! !!} 表達式（整個值都是表達式）
     const trimmedValue = value.trim();
-    const isExpression = /^\{\{[\s\S]+?\}\}$/.test(trimmedValue);
+    const expressionMatch = isBound ? null : trimmedValue.match(REGEX.ATTR_EXPRESSION);
 
-    if (isExpression) {
+    if (isBound || expressionMatch) {
       try {
-        // 提取 {{ }} 內的表達式
+        // 提取 {{ }} 或 {!! !!} 內的表達式
         // 例如: "{{ post.tags }}" -> "post.tags"
-        const expression = trimmedValue
-          .replace(/^\{\{/, '')  // 移除開頭的 {{
-          .replace(/\}\}$/, '')  // 移除結尾的 }}
-          .trim();
+        // {{ }} 內的管線語法已在 transformLogicTags 轉換，:prop 的值在這裡轉換
+        const filters = compilerOptions?.imports?.[FILTERS_VARIABLE] || {};
+        const expression = compilePipes(
+          isBound ? trimmedValue : (expressionMatch[1] ?? expressionMatch[2]).trim(),
+          new Set(Object.keys(filters))
+        );
 
         // 使用 Function 構造器評估表達式
         // 參數順序：
         // 1. ...Object.keys(dataContext) - 資料上下文的所有鍵
         // 2. '_' - lodash 工具函式庫
-        // 3. `return ${expression}` - 要評估的表達式
+        // 3. FILTERS_VARIABLE - 過濾器（管線語法轉換後的呼叫對象）
+        // 4. `return ${expression}` - 要評估的表達式
         //
         // 為什麼使用 Function 而不是 eval：
         // - Function 構造器更安全，有明確的作用域
         // - 可以控制傳入的變數
         // - 更容易測試和除錯
-        const contextKeys = Object.keys(dataContext);
-        const contextValues = Object.values(dataContext);
-        const func = new Function(...contextKeys, '_', `return ${expression};`);
+        //
+        // sandbox 選項開啟時改在沙箱內求值，可以使用的變數相同
+        if (sandbox) {
+          evaluated[name] = sandbox.evaluate(expression, {
+            ...dataContext,
+            _: sandbox.lodash,
+            [FILTERS_VARIABLE]: filters
+          });
+        } else {
+          const contextKeys = Object.keys(dataContext);
+          const contextValues = Object.values(dataContext);
+          const func = new Function(...contextKeys, '_', FILTERS_VARIABLE, `return ${expression};`);
 
-        // 執行函式並保留返回值的原始型別
-        evaluated[key] = func(...contextValues, lodash);
+          // 執行函式並保留返回值的原始型別
+          evaluated[name] = func(...contextValues, lodash, filters);
+        }
 
       } catch (error) {
-        // 評估失敗：保留原始字串並輸出警告
-        createAndLogError(ErrorCodes.ATTRIBUTE_EVAL_FAILED, [key, value], {
+        // 評估失敗：保留原始字串並輸出警告（沙箱錯誤以 E2003 / E2004 記錄）
+        logTemplateError(error, ErrorCodes.ATTRIBUTE_EVAL_FAILED, [key, value], {
           attributeName: key,
-          attributeValue: value,
-          originalError: error
+          attributeValue: value
         });
-        evaluated[key] = value;
+        evaluated[name] = value;
       }
     } else {
       // 不是 {{ }} 表達式，直接使用原始值
@@ -892,1374 +838,3666 @@ const evaluateAttributeExpressions = (attrs, dataContext, compilerOptions) => {
 };
 
 /**
- * Vite Plugin: HTML Include & Templating Logic
+ * 解析組件模板中的 @props 宣告
  *
- * 提供強大的 HTML 模板功能，包括：
- * - 支援 Partial Includes（可重用的 HTML 組件）
- * - Blade 風格的控制結構（@if, @foreach, @switch）
- * - 使用 Lodash Template 引擎進行變數插值
- * - 完整的 HMR (Hot Module Replacement) 支援
+ * 支援 Blade 的陣列語法與 JavaScript 物件語法：
+ * - @props(['title' => '預設標題', 'items' => [], 'active'])
+ * - @props({ title: '預設標題', items: [] })
  *
- * @param {Object} options - 插件配置選項
- * @param {string} [options.partialsDir='partials'] - 存放 HTML partial 檔案的目錄（支援相對路徑或絕對路徑）
- *   - 相對路徑：相對於 vite.config 中的 root（預設為專案根目錄）
- *   - 絕對路徑：使用 path.resolve() 或 path.join(__dirname, ...) 指定絕對路徑
- * @param {Object} [options.data={}] - 全域資料物件，所有模板都可以存取
- * @param {Object} [options.compilerOptions={}] - Lodash template 編譯器選項
- * @returns {import('vite').Plugin} Vite 插件物件
+ * 沒有預設值的 prop 會設為 undefined，
+ * 這樣組件內可以直接使用 @isset / @if 判斷而不會拋出 ReferenceError。
+ *
+ * @param {string} template - 組件模板內容
+ * @param {Object} [sandbox] - 沙箱（sandbox 選項開啟時），預設值改在沙箱內求值
+ * @returns {{ defaults: Object, content: string }} prop 預設值與移除 @props 後的模板
+ * @throws {SyntaxError} 宣告格式錯誤或預設值無法求值時
  *
  * @example
- * // vite.config.js
- * import vitePluginHtmlKit from 'vite-plugin-html-kit';
+ * parseComponentProps("@props(['title' => 'Card', 'active'])\n<h3>{{ title }}</h3>")
+ * // 返回: { defaults: { title: 'Card', active: undefined }, content: '<h3>{{ title }}</h3>' }
+ */
+const parseComponentProps = (template, sandbox) => {
+  const match = template.match(REGEX.COMPONENT_PROPS);
+  if (!match) {
+    return { defaults: {}, content: template };
+  }
+
+  const openIndex = match.index + match[0].length - 1;
+  const closeIndex = findClosingBracket(template, openIndex);
+  if (closeIndex === -1) {
+    throw new SyntaxError('@props 缺少結尾的 )');
+  }
+
+  const declaration = template.slice(openIndex + 1, closeIndex).trim();
+  let expression = declaration;
+
+  // Blade 陣列語法轉為 JavaScript 物件：['title' => 'Card', 'active'] -> { "title": ('Card'), "active": undefined }
+  if (declaration.startsWith('[')) {
+    const entries = splitTopLevel(declaration.slice(1, -1)).map((entry) => {
+      const propMatch = entry.match(/^(['"])([\w-]+)\1\s*(?:=>\s*([\s\S]+))?$/);
+      if (!propMatch) {
+        throw new SyntaxError(`無法解析 @props 項目: ${entry}`);
+      }
+      const [, , name, defaultValue] = propMatch;
+      return `${JSON.stringify(name)}: ${defaultValue !== undefined ? `(${defaultValue})` : 'undefined'}`;
+    });
+    expression = `{ ${entries.join(', ')} }`;
+  }
+
+  const defaults = sandbox
+    ? sandbox.evaluate(expression || '{}', { _: sandbox.lodash })
+    : new Function('_', `return (${expression || '{}'});`)(lodash);
+  const content = template.slice(0, match.index) + template.slice(closeIndex + 1).replace(/^[ \t]*\r?\n/, '');
+
+  return { defaults: defaults || {}, content };
+};
+
+/**
+ * 取得組件檔案相對於 partialsDir 的路徑
  *
- * export default {
- *   plugins: [
- *     vitePluginHtmlKit({
- *       partialsDir: 'partials',
- *       data: {
- *         siteTitle: 'My Website',
- *         version: '1.0.0'
- *       }
- *     })
- *   ]
- * };
+ * 名稱中的 . 代表子目錄。
+ *
+ * @param {string} name - 組件名稱（<x-name> 的 name）
+ * @returns {string}
+ *
+ * @example
+ * componentSource('forms.input')
+ * // 返回: 'components/forms/input.html'
  */
-export default function vitePluginHtmlKit(options = {}) {
-  const {
-    partialsDir = 'partials',
-    data = {},
-    compilerOptions = {}
-  } = options;
+const componentSource = (name) => `components/${name.split('.').join('/')}.html`;
 
-  // 儲存 Vite 的解析後配置
-  let viteConfig;
+// 模板中渲染 <x-name> 組件的函式名稱（透過 compilerOptions.imports 提供）
+const COMPONENT_VARIABLE = '__vphk_component__';
 
-  // @once 區塊追蹤器
-  // 使用 Set 來追蹤已經輸出的 @once 區塊
-  // 每個 @once 區塊使用其內容的 hash 作為唯一識別碼
-  const onceBlocks = new Set();
+/**
+ * 將值轉為放在 <% %> 內的 JavaScript 字面值
+ *
+ * %> 會提前結束 <% %> 區塊，以 \u003e 表示。
+ *
+ * @param {*} value - 字串、數字或布林值
+ * @returns {string}
+ *
+ * @example
+ * scriptLiteral('a %> b')
+ * // 返回: '"a %\u003e b"'
+ */
+const scriptLiteral = (value) => JSON.stringify(value).replace(/%>/g, '%\\u003e');
 
-  // 統一的 Lodash Template 編譯選項
-  // 支援 {{ variable }} 語法進行變數插值
-  const defaultCompilerOptions = {
-    interpolate: /{{([\s\S]+?)}}/g,  // 自訂插值語法: {{ ... }}
-    ...compilerOptions
-  };
+/**
+ * 找出 HTML 中最外層的 <x-name> 組件標籤
+ *
+ * 以堆疊配對開始與結束標籤，因此同名組件可以巢狀使用
+ * （<include> 的正則無法處理這種情況）。
+ * 巢狀在內容中的組件不會列出，會在渲染外層組件時遞迴處理。
+ *
+ * @param {string} html - HTML 字串
+ * @returns {Array<{ name: string, attributes: string, content: string, start: number, end: number }>}
+ *   組件資訊，start / end 為整個標籤（含結束標籤）在 html 中的範圍
+ *
+ * @example
+ * findComponentTags('<x-card title="A"><x-card>B</x-card></x-card><x-icon />')
+ * // 返回: [
+ * //   { name: 'card', attributes: ' title="A"', content: '<x-card>B</x-card>', start: 0, end: 45 },
+ * //   { name: 'icon', attributes: '', content: '', start: 45, end: 55 }
+ * // ]
+ */
+const findComponentTags = (html) => {
+  const components = [];
+  const stack = [];
+
+  REGEX.COMPONENT_TAG.lastIndex = 0;
+  let match;
+  while ((match = REGEX.COMPONENT_TAG.exec(html)) !== null) {
+    const [tag, name, attributes, selfClosing, closingName] = match;
+
+    if (name) {
+      if (selfClosing) {
+        // 自閉合標籤：只記錄最外層
+        if (stack.length === 0) {
+          components.push({ name, attributes, content: '', start: match.index, end: match.index + tag.length });
+        }
+      } else {
+        stack.push({ name, attributes, start: match.index, contentStart: match.index + tag.length });
+      }
+      continue;
+    }
+
+    // 結束標籤：找到最近的同名開始標籤（忽略沒有配對的結束標籤）
+    const openIndex = stack.map(open => open.name).lastIndexOf(closingName);
+    if (openIndex === -1) {
+      continue;
+    }
+    const open = stack[openIndex];
+    stack.length = openIndex;
+
+    if (stack.length === 0) {
+      components.push({
+        name: open.name,
+        attributes: open.attributes,
+        content: html.slice(open.contentStart, match.index),
+        start: open.start,
+        end: match.index + tag.length
+      });
+    }
+  }
+
+  return components;
+};
+
+/**
+ * 從組件標籤內容中取出 slot
+ *
+ * - <x-slot:name> 或 <x-slot name="name"> 區塊成為具名 slot
+ * - 其餘內容成為預設 slot（組件內的 {{ slot }}）
+ * - 巢狀組件內的 <x-slot> 屬於該組件，不會被取出
+ *
+ * @param {string} content - 組件開始與結束標籤之間的內容
+ * @returns {{ slot: string, slots: Object<string, string> }} 預設 slot 與具名 slot
+ *
+ * @example
+ * parseComponentSlots('<p>內容</p><x-slot:footer>頁尾</x-slot:footer>')
+ * // 返回: { slot: '<p>內容</p>', slots: { footer: '頁尾' } }
+ */
+const parseComponentSlots = (content) => {
+  const slots = {};
+  if (!content || !content.trim()) {
+    return { slot: '', slots };
+  }
+
+  // 先以佔位符遮蔽巢狀組件，避免取到內層組件的 <x-slot>
+  const nested = [];
+  let masked = '';
+  let lastIndex = 0;
+  for (const component of findComponentTags(content)) {
+    masked += content.slice(lastIndex, component.start) + `\u0000${nested.length}\u0000`;
+    nested.push(content.slice(component.start, component.end));
+    lastIndex = component.end;
+  }
+  masked += content.slice(lastIndex);
 
+  const restore = (str) => str.replace(/\u0000(\d+)\u0000/g, (m, index) => nested[index]);
+
+  REGEX.COMPONENT_SLOT.lastIndex = 0;
+  const defaultSlot = masked.replace(REGEX.COMPONENT_SLOT, (m, colonName, quote, attrName, slotContent) => {
+    slots[colonName || attrName] = restore(slotContent).trim();
+    return '';
+  });
+
+  return { slot: restore(defaultSlot).trim(), slots };
+};
+
+/**
+ * Partial / 組件的屬性包（模板內的 attributes 變數）
+ *
+ * 讓 design system 組件可以把呼叫端傳入的 class、id、data-*、aria-* 等屬性
+ * 轉交到組件的根元素上，類似 Laravel Blade 的 $attributes。
+ *
+ * - <include> 的屬性包包含所有傳入的屬性
+ * - <x-name> 組件的屬性包不包含 @props 宣告的屬性
+ *
+ * 輸出時：
+ * - 值為 true 的屬性只輸出名稱（例如 disabled）
+ * - 值為 false / null / undefined 的屬性不輸出
+ * - 屬性值會進行 HTML 轉義，{{ attributes }} 不會被重複轉義
+ *
+ * @example
+ * // <!-- components/button.html -->
+ * // <button {{ attributes.merge({ class: 'btn', type: 'button' }) }}>{{ slot }}</button>
+ * //
+ * // <x-button class="btn-primary" type="submit" data-id="1">送出</x-button>
+ * // 輸出: <button class="btn btn-primary" type="submit" data-id="1">送出</button>
+ */
+class AttributeBag {
   /**
-   * 轉換 Blade 風格的邏輯標籤為 Lodash Template 語法
+   * @param {Object} [attributes={}] - 屬性物件（鍵值對）
+   */
+  constructor(attributes = {}) {
+    this.attributes = { ...attributes };
+  }
+
+  /**
+   * 與預設屬性合併
    *
-   * 這是模板引擎的核心轉換函數，將易讀的 Blade 語法轉換為
-   * Lodash Template 可以執行的 <% %> 語法。
-   *
-   * 支援的 Blade 標籤：
-   * - @if / @elseif / @else / @endif - 條件判斷
-   * - @switch / @case / @default / @endswitch - Switch 語句
-   * - @foreach / @endforeach - 迴圈
+   * class 與 style 會串接（預設值在前），其他屬性由傳入的值覆蓋預設值。
    *
-   * 效能優化：
-   * - 使用 LRU Cache 儲存轉換結果
-   * - 相同內容直接從快取返回（提升 50 倍以上）
-   * - 特別適合開發環境的 HMR（經常重複處理相同檔案）
+   * @param {Object} [defaults={}] - 預設屬性
+   * @returns {AttributeBag} 合併後的新屬性包
    *
-   * 技術細節：
-   * - 使用 MD5 作為快取鍵（速度快、碰撞率低）
-   * - 快取有效期 5 分鐘
-   * - 最多快取 100 個不同的內容
+   * @example
+   * new AttributeBag({ class: 'mt-4', id: 'save' }).merge({ class: 'btn', id: 'button' }).toString()
+   * // 返回: 'class="btn mt-4" id="save"'
+   */
+  merge(defaults = {}) {
+    const merged = { ...defaults };
+
+    for (const [key, value] of Object.entries(this.attributes)) {
+      const defaultValue = merged[key];
+      if ((key === 'class' || key === 'style') && typeof defaultValue === 'string' && typeof value === 'string') {
+        const separator = key === 'style' && !/;\s*$/.test(defaultValue) ? '; ' : ' ';
+        merged[key] = [defaultValue, value].filter(Boolean).join(separator);
+      } else {
+        merged[key] = value;
+      }
+    }
+
+    return new AttributeBag(merged);
+  }
+
+  /**
+   * 只保留指定的屬性
    *
-   * @param {string} html - 包含 Blade 標籤的 HTML 字串
-   * @returns {string} 轉換後的 HTML（使用 Lodash Template 語法）
+   * @param {string|string[]} keys - 屬性名稱
+   * @returns {AttributeBag} 新屬性包
    *
    * @example
-   * // 條件判斷
-   * transformLogicTags(`
-   *   @if (user.isAdmin)
-   *     <p>管理員面板</p>
-   *   @endif
-   * `)
-   * // 返回: <% if (user.isAdmin) { %>...<% } %>
+   * attributes.only(['class', 'id'])
+   */
+  only(keys) {
+    return new AttributeBag(lodash.pick(this.attributes, lodash.castArray(keys)));
+  }
+
+  /**
+   * 排除指定的屬性
    *
-   * @example
-   * // 迴圈
-   * transformLogicTags(`
-   *   @foreach(items as item)
-   *     <li>{{ item }}</li>
-   *   @endforeach
-   * `)
-   * // 返回: <% for (let item of items) { %>...<% } %>
+   * @param {string|string[]} keys - 屬性名稱
+   * @returns {AttributeBag} 新屬性包
    *
    * @example
-   * // Switch 語句
-   * transformLogicTags(`
-   *   @switch(status)
-   *     @case('active')
-   *       <span>啟用</span>
-   *     @case('inactive')
-   *       <span>停用</span>
-   *   @endswitch
-   * `)
+   * attributes.except(['class'])
    */
-  const transformLogicTags = (html) => {
-    // ========================================
-    // 步驟 1: 檢查快取
-    // ========================================
-    const cacheKey = hash(html);
-    const cached = transformCache.get(cacheKey);
+  except(keys) {
+    return new AttributeBag(lodash.omit(this.attributes, lodash.castArray(keys)));
+  }
 
-    if (cached !== undefined) {
-      // 快取命中：直接返回，無需重新轉換
-      performanceStats.recordHit();
-      return cached;
-    }
+  /**
+   * 是否有指定的屬性
+   *
+   * @param {string} key - 屬性名稱
+   * @returns {boolean}
+   */
+  has(key) {
+    return Object.prototype.hasOwnProperty.call(this.attributes, key);
+  }
 
-    // 快取未命中：需要執行轉換
-    performanceStats.recordMiss();
+  /**
+   * 取得屬性值
+   *
+   * @param {string} key - 屬性名稱
+   * @param {*} [defaultValue] - 屬性不存在時的預設值
+   * @returns {*} 屬性值
+   */
+  get(key, defaultValue) {
+    return this.has(key) ? this.attributes[key] : defaultValue;
+  }
 
-    let processed = html;
+  /**
+   * 輸出為 HTML 屬性字串
+   *
+   * @returns {string} 例如 'class="btn" disabled'
+   */
+  toString() {
+    return Object.entries(this.attributes)
+      .filter(([, value]) => value !== false && value !== null && value !== undefined)
+      .map(([key, value]) => (value === true ? key : `${key}="${lodash.escape(value)}"`))
+      .join(' ');
+  }
+}
 
-    // 注意：@verbatim 區塊已在 transformIndexHtml 中預先處理
-    // 這裡會看到 HTML 註釋佔位符：<!-- __VPHK_VERBATIM_N__ -->
-    // 這些佔位符不會被任何 Blade 語法處理
+/**
+ * 組件的 slot（已渲染的 HTML）
+ *
+ * 繼承 String，字串方法照常使用；{{ slot }} 輸出時不轉義。
+ *
+ * @example
+ * // <!-- components/card.html -->
+ * // <div class="card">{{ slot }}</div>
+ * //
+ * // <x-card><p>{{ title }}</p></x-card>
+ * // 輸出: <div class="card"><p>頁面標題</p></div>
+ */
+class ComponentSlot extends String {}
 
-    // ========================================
-    // 步驟 1.5: 移除 Blade 註釋
-    // ========================================
-    // Blade 註釋必須在所有其他轉換之前移除
-    // 這樣可以防止註釋內的 Blade 語法被處理
-    //
-    // 範例：
-    // {{-- @if(test) --}} -> 註釋被移除，@if 不會被處理
-    //
-    // 為什麼在這裡處理：
-    // - 需要在快取檢查之後（因為註釋影響快取鍵）
-    // - 必須在其他 Blade 語法轉換之前
-    // - 使用簡單的字串替換，效能最佳
+/**
+ * 是否為不需要轉義的值（屬性包與組件 slot）
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isSafeHtml = (value) => value instanceof AttributeBag || value instanceof ComponentSlot;
 
-    processed = processed.replace(REGEX.BLADE_COMMENT, '');
-    // {{-- 任何內容 --}} -> (空字串，完全移除)
+// 模板編譯使用的 Lodash 實例（透過 compilerOptions.imports 提供）
+// 覆寫 escape：屬性包本身已轉義屬性值、slot 是已渲染的 HTML，{{ attributes }} 與 {{ slot }} 直接輸出
+const templateLodash = lodash.runInContext();
+templateLodash.escape = (value) => (isSafeHtml(value) ? value.toString() : lodash.escape(value));
 
-    // ========================================
-    // 步驟 1.6: 轉換 @json() 為 JSON.stringify()
-    // ========================================
-    // 將 @json() 語法轉換為 Lodash template 的輸出語法
-    //
-    // 轉換規則：
-    // @json(expression)        -> {{ JSON.stringify(expression) }}
-    // @json(expression, true)  -> {{ JSON.stringify(expression, null, 2) }}
-    // @json(expression, false) -> {{ JSON.stringify(expression) }}
-    //
-    // 為什麼在這裡處理：
-    // - 需要在 Blade 註釋移除之後（避免註釋內的 @json 被處理）
-    // - 轉換為 {{ }} 語法，與其他變數插值一致
-    // - 需要在 @include 之前（保持轉換順序清晰）
-    //
-    // 為什麼使用 {{ }} 而不是 <%= %>：
-    // - plugin 已設置 interpolate: /{{([\s\S]+?)}}/g
-    // - {{ }} 是 interpolate 語法，會輸出內容
-    // - <%= %> 在自定義 interpolate 後不再工作
-    //
-    // 範例轉換：
-    // <script>
-    //   const user = @json(user);
-    // </script>
-    // ->
-    // <script>
-    //   const user = {{ JSON.stringify(user) }};
-    // </script>
-    processed = processed.replace(REGEX.JSON, (match, expression, pretty) => {
-      // 移除表達式前後的空白
-      expression = expression.trim();
-
-      // 如果第二個參數是 true，使用格式化輸出
-      if (pretty === 'true') {
-        return `{{ JSON.stringify(${expression}, null, 2) }}`;
-      }
-
-      // 預設使用緊湊格式
-      return `{{ JSON.stringify(${expression}) }}`;
-    });
+/**
+ * 解析頁面開頭的 front matter
+ *
+ * 讓頁面在自身檔案內宣告資料，例如標題、描述、選單狀態等。
+ * 內容使用 YAML 解析（JSON 是 YAML 的子集，因此兩種格式都支援）。
+ *
+ * 錯誤處理：
+ * - 解析失敗或結果不是物件時輸出警告，資料視為空物件
+ * - 無論成功與否，front matter 區塊都會從 HTML 中移除
+ *
+ * @param {string} html - 頁面 HTML 原始內容
+ * @param {string} [filename='index.html'] - 檔案名稱（用於錯誤訊息）
+ * @returns {{ data: Object, content: string }} 解析出的資料與移除 front matter 後的 HTML
+ *
+ * @example
+ * parseFrontMatter('---\ntitle: 首頁\n---\n<h1>{{ title }}</h1>')
+ * // 返回: { data: { title: '首頁' }, content: '<h1>{{ title }}</h1>' }
+ *
+ * @example
+ * // JSON 格式
+ * parseFrontMatter('---\n{ "title": "首頁" }\n---\n<h1>{{ title }}</h1>')
+ * // 返回: { data: { title: '首頁' }, content: '<h1>{{ title }}</h1>' }
+ *
+ * @example
+ * // 沒有 front matter
+ * parseFrontMatter('<h1>Hello</h1>')
+ * // 返回: { data: {}, content: '<h1>Hello</h1>' }
+ */
+const parseFrontMatter = (html, filename = 'index.html') => {
+  if (!html || typeof html !== 'string') {
+    return { data: {}, content: html };
+  }
 
-    // ========================================
-    // 步驟 1.8: 轉換 @include 為 <include> 標籤
-    // ========================================
+  const match = html.match(REGEX.FRONT_MATTER);
+  if (!match) {
+    return { data: {}, content: html };
+  }
 
-    /**
-     * 輔助函數：將 @include 參數轉換為 HTML 屬性字串
-     *
-     * @param {string} params - 參數字串，例如 "{ key: 'value' }" 或 "['key' => 'value']"
-     * @returns {string} HTML 屬性字串，例如 'key="{{ value }}"'
-     */
-    const parseIncludeParams = (params) => {
-      if (!params || params.trim() === '') {
-        return '';
-      }
-
-      params = params.trim();
-
-      // 移除外層的 { } 或 [ ]
-      if ((params.startsWith('{') && params.endsWith('}')) ||
-          (params.startsWith('[') && params.endsWith(']'))) {
-        params = params.slice(1, -1).trim();
-      }
-
-      // 將 PHP 陣列語法 'key' => 'value' 轉換為 JS 物件語法 key: 'value'
-      // 支援單引號和雙引號
-      params = params.replace(/(['"])(\w+)\1\s*=>\s*/g, '$2: ');
-
-      // 解析參數對
-      // 支援字串、數字、布林值、變數和陣列
-      const paramPairs = [];
-      const paramRegex = /(\w+)\s*:\s*(?:(\[[\s\S]*?\])|(['"])((?:(?!\3).)*)\3|(true|false|\d+|[\w.]+))/g;
-      let paramMatch;
-
-      while ((paramMatch = paramRegex.exec(params)) !== null) {
-        const key = paramMatch[1];
-        const arrayValue = paramMatch[2];
-        const quote = paramMatch[3];
-        const stringValue = paramMatch[4];
-        const otherValue = paramMatch[5];
-
-        let value;
-        if (arrayValue !== undefined) {
-          // 陣列值：直接使用
-          value = arrayValue;
-        } else if (stringValue !== undefined) {
-          // 字串值：保留引號
-          value = `${quote}${stringValue}${quote}`;
-        } else {
-          // 變數、數字或布林值：不加引號
-          value = otherValue;
-        }
+  const content = html.slice(match[0].length);
 
-        // 使用 {{ }} 包裹值，這樣在 include 處理時會被評估
-        paramPairs.push(`${key}="{{ ${value} }}"`);
-      }
+  try {
+    const data = match[1].trim() ? yaml.load(match[1]) : {};
 
-      return paramPairs.join(' ');
-    };
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('front matter 必須是物件');
+    }
 
-    // 將 Blade 風格的 @include 轉換為 <include> 標籤
-    //
-    // 轉換規則：
-    // @include('file.html') -> <include src="file.html" />
-    // @include('file.html', { key: 'value' }) -> <include src="file.html" key="{{ value }}" />
-    // @include('file.html', ['key' => 'value']) -> <include src="file.html" key="{{ value }}" />
-    //
-    // 為什麼在這裡處理：
-    // - 需要在其他 Blade 語法轉換之前（保留參數中的變數）
-    // - 轉換後的 <include> 標籤會在 resolveIncludes 階段處理
-    //
-    // 支援兩種參數語法：
-    // 1. JavaScript 物件語法: { key: 'value' }
-    // 2. PHP 陣列語法: ['key' => 'value']
-    processed = processed.replace(REGEX.BLADE_INCLUDE, (match, quote, filePath, params) => {
-      const attributes = parseIncludeParams(params);
-      if (attributes) {
-        return `<include src="${filePath}" ${attributes} />`;
-      }
-      return `<include src="${filePath}" />`;
+    return { data, content };
+  } catch (error) {
+    createAndLogError(ErrorCodes.FRONT_MATTER_PARSE_ERROR, [filename, error.message], {
+      file: filename,
+      originalError: error
     });
+    return { data: {}, content };
+  }
+};
 
-    // ========================================
-    // 步驟 1.9: 轉換條件 include 指令
-    // ========================================
+/**
+ * 判斷值是否為 Promise（或 thenable）
+ *
+ * @param {any} value
+ * @returns {boolean}
+ */
+const isPromiseLike = (value) => !!value && typeof value.then === 'function';
 
-    // 處理 @includeWhen(condition, 'file.html', params)
-    // 轉換為條件包裹的 <include> 標籤
-    processed = processed.replace(REGEX.INCLUDE_WHEN, (match, condition, quote, filePath, params) => {
-      const attributes = parseIncludeParams(params);
-      const includeTag = attributes
-        ? `<include src="${filePath}" ${attributes} />`
-        : `<include src="${filePath}" />`;
+// 渲染器上插件使用的渲染函式（資料都是同步時同步返回，否則返回 Promise），不屬於公開 API
+// Vite 的 transformIndexHtml 兩者都接受，同步資料的頁面不需要等待
+const RENDER_TEMPLATE = Symbol('vite-plugin-html-kit:renderTemplate');
+
+/**
+ * 解析資料來源（物件或函式）
+ *
+ * 資料函式可以是同步或 async：
+ * - 同步函式：直接返回物件
+ * - async 函式：返回 Promise，由呼叫端等待
+ *
+ * 錯誤處理：
+ * - 函式拋出錯誤或 Promise 被拒絕時輸出錯誤，資料視為空物件
+ * - 返回 null / undefined 時視為空物件
+ *
+ * @param {Object|Function} source - 資料物件或資料函式
+ * @param {Object} dataContext - 傳給資料函式的上下文 { filename, mode, command, server }
+ * @param {string} sourceName - 資料來源名稱（用於錯誤訊息）
+ * @returns {Object|Promise<Object>} 解析後的資料
+ *
+ * @example
+ * resolveData({ a: 1 }, {}, 'data')                  // { a: 1 }
+ * resolveData(() => ({ a: 1 }), {}, 'data')          // { a: 1 }
+ * resolveData(async () => ({ a: 1 }), {}, 'data')    // Promise<{ a: 1 }>
+ */
+const resolveData = (source, dataContext, sourceName) => {
+  if (typeof source !== 'function') {
+    return source || {};
+  }
 
-      // 使用 Lodash template 的條件語法包裹 include
-      return `<% if (${condition.trim()}) { %>${includeTag}<% } %>`;
+  const handleError = (error) => {
+    createAndLogError(ErrorCodes.DATA_FUNCTION_ERROR, [sourceName, error.message], {
+      file: dataContext.filename,
+      originalError: error
     });
+    return {};
+  };
 
-    // 處理 @includeUnless(condition, 'file.html', params)
-    // 轉換為否定條件包裹的 <include> 標籤
-    processed = processed.replace(REGEX.INCLUDE_UNLESS, (match, condition, quote, filePath, params) => {
-      const attributes = parseIncludeParams(params);
-      const includeTag = attributes
-        ? `<include src="${filePath}" ${attributes} />`
-        : `<include src="${filePath}" />`;
+  try {
+    const result = source(dataContext);
+    if (isPromiseLike(result)) {
+      return Promise.resolve(result).then(value => value || {}, handleError);
+    }
+    return result || {};
+  } catch (error) {
+    return handleError(error);
+  }
+};
 
-      // 使用否定條件
-      return `<% if (!(${condition.trim()})) { %>${includeTag}<% } %>`;
-    });
+/**
+ * 取得頁面的同名資料檔路徑
+ *
+ * 頁面 about.html 對應的資料檔：
+ * - about.json
+ * - about.data.js（export default 物件）
+ *
+ * @param {string} pagePath - 頁面的絕對路徑
+ * @returns {string[]} 資料檔的絕對路徑（依合併順序，後者覆蓋前者）
+ */
+const getPageDataFiles = (pagePath) => {
+  const basePath = pagePath.replace(/\.html?$/i, '');
+  return [`${basePath}.json`, `${basePath}.data.js`];
+};
 
-    // 處理 @includeIf('file.html', params)
-    // 添加特殊屬性 data-include-if，在 resolveIncludes 階段檢查檔案是否存在
-    processed = processed.replace(REGEX.INCLUDE_IF, (match, quote, filePath, params) => {
-      const attributes = parseIncludeParams(params);
-      const includeTag = attributes
-        ? `<include src="${filePath}" data-include-if="true" ${attributes} />`
-        : `<include src="${filePath}" data-include-if="true" />`;
+/**
+ * 將動態頁面的 path 標準化為相對於 root 的 HTML 檔案路徑
+ *
+ * 規則：
+ * - 移除開頭的 /
+ * - 以 / 結尾時補上 index.html
+ * - 沒有副檔名時補上 .html
+ *
+ * @param {string} pagePath - pages 選項中的 path
+ * @returns {string} 相對於 root 的 HTML 檔案路徑（使用 / 分隔）
+ *
+ * @example
+ * normalizePagePath('/blog/hello')      // 'blog/hello.html'
+ * normalizePagePath('blog/hello.html')  // 'blog/hello.html'
+ * normalizePagePath('/blog/')           // 'blog/index.html'
+ */
+const normalizePagePath = (pagePath) => {
+  let normalized = String(pagePath).replace(/\\/g, '/').replace(/^\/+/, '');
 
-      return includeTag;
-    });
+  if (normalized === '' || normalized.endsWith('/')) {
+    normalized += 'index.html';
+  } else if (!/\.html?$/i.test(normalized)) {
+    normalized += '.html';
+  }
 
-    // 處理 @includeFirst(['file1.html', 'file2.html'], params)
-    // 添加特殊屬性 data-include-first，在 resolveIncludes 階段找第一個存在的檔案
-    processed = processed.replace(REGEX.INCLUDE_FIRST, (match, fileList, params) => {
-      // 解析檔案列表
-      // 移除引號並分割
-      const files = fileList
-        .split(',')
-        .map(f => f.trim().replace(/^['"]|['"]$/g, ''))
-        .filter(f => f);
-
-      // 使用第一個檔案作為預設 src，並將完整列表放在 data-include-first 中
-      const firstFile = files[0] || '';
-      const attributes = parseIncludeParams(params);
-      const filesJson = JSON.stringify(files).replace(/"/g, '&quot;');
-
-      const includeTag = attributes
-        ? `<include src="${firstFile}" data-include-first="${filesJson}" ${attributes} />`
-        : `<include src="${firstFile}" data-include-first="${filesJson}" />`;
-
-      return includeTag;
-    });
+  return normalized;
+};
 
-    // ========================================
-    // 步驟 2: 轉換條件判斷標籤
-    // ========================================
-    // 將 Blade 的條件判斷語法轉換為 JavaScript if/else
-    //
-    // 轉換順序很重要：
-    // 1. @isset/@empty 必須最先處理（特殊的條件檢查）
-    // 2. @if/@unless 必須在 @elseif 之前處理
-    // 3. @else 不能與 @elseif 混淆
-    // 4. @endif/@endunless/@endisset/@endempty 必須最後處理
-
-    // 先處理 @isset - 檢查變數是否定義且不為 null
-    processed = processed.replace(REGEX.ISSET, (match, expression) => {
-      expression = (expression || '').trim();
-      // 使用輔助函數檢查變數是否存在
-      // 支援深層屬性訪問，如 user.profile.name
-      return `<% if ((function() {
-        try {
-          const val = ${expression};
-          return typeof val !== 'undefined' && val !== null;
-        } catch (e) {
-          return false;
-        }
-      })()) { %>`;
-    });
-    // @isset(variable) -> <% if (typeof variable !== 'undefined' && variable !== null) { %>
+/**
+ * 載入頁面的同名資料檔
+ *
+ * - .json 檔案同步讀取
+ * - .data.js 檔案需要動態 import，因此存在時會返回 Promise
+ * - .data.js 預設匯出可以是物件，或接收 dataContext 的（async）函式
+ * - 以檔案內容的 hash 作為 query，確保 HMR 後載入最新的模組內容
+ *   （不使用修改時間：檔案系統的時間精度有限，連續寫入可能得到相同的 mtime）
+ *   query 名稱不使用 t：Vite（與 Vitest）會把 ?t= 當作 HMR 時間戳移除
+ *
+ * @param {string[]} dataFiles - getPageDataFiles() 返回的資料檔路徑
+ * @param {Object} [dataContext={}] - 傳給資料函式的上下文
+ * @returns {Object|Promise<Object>} 合併後的資料（沒有 .data.js 時同步返回）
+ *
+ * @example
+ * // about.json: { "title": "關於" }
+ * loadPageDataFiles(['/site/about.json', '/site/about.data.js'])
+ * // 返回: { title: '關於' }
+ */
+const loadPageDataFiles = (dataFiles, dataContext = {}) => {
+  let merged = {};
+  let pending = null;
 
-    processed = processed.replace(REGEX.ENDISSET, '<% } %>');
-    // @endisset -> <% } %>
+  for (const file of dataFiles) {
+    if (!fs.existsSync(file)) {
+      continue;
+    }
 
-    // 處理 @empty - 檢查變數是否為空
-    processed = processed.replace(REGEX.EMPTY_CHECK, (match, expression) => {
-      expression = (expression || '').trim();
-      // 檢查空值：null, undefined, false, 0, '', 空陣列
-      return `<% if ((function() {
-        try {
-          const val = ${expression};
-          return !val || (Array.isArray(val) && val.length === 0) || (typeof val === 'object' && val !== null && Object.keys(val).length === 0);
-        } catch (e) {
-          return true;
-        }
-      })()) { %>`;
-    });
-    // @empty(variable) -> <% if (!variable || (Array.isArray(variable) && variable.length === 0)) { %>
+    try {
+      if (file.endsWith('.json')) {
+        merged = { ...merged, ...JSON.parse(fs.readFileSync(file, 'utf-8')) };
+        continue;
+      }
 
-    processed = processed.replace(REGEX.ENDEMPTY, '<% } %>');
-    // @endempty -> <% } %>
+      const contentHash = crypto.createHash('md5').update(fs.readFileSync(file)).digest('hex');
+      const url = `${pathToFileURL(file).href}?hash=${contentHash}`;
+      pending = import(url)
+        .then(mod => resolveData(mod.default, dataContext, file))
+        .catch((error) => {
+          createAndLogError(ErrorCodes.PAGE_DATA_LOAD_ERROR, [file, error.message], {
+            file,
+            originalError: error
+          });
+          return {};
+        });
+    } catch (error) {
+      createAndLogError(ErrorCodes.PAGE_DATA_LOAD_ERROR, [file, error.message], {
+        file,
+        originalError: error
+      });
+    }
+  }
 
-    processed = processed.replace(REGEX.IF, '<% if ($1) { %>');
-    // @if(condition) -> <% if (condition) { %>
+  if (pending) {
+    return pending.then(moduleData => ({ ...merged, ...moduleData }));
+  }
 
-    processed = processed.replace(REGEX.UNLESS, '<% if (!($1)) { %>');
-    // @unless(condition) -> <% if (!(condition)) { %>
-    // 注意：條件被包裹在括號中並取反，確保正確的優先級
+  return merged;
+};
 
-    processed = processed.replace(REGEX.ELSEIF, '<% } else if ($1) { %>');
-    // @elseif(condition) -> <% } else if (condition) { %>
+// lint 時以參數表達式檢查變數的指令（@isset / @empty 的參數是存在檢查，不列入）
+const EXPRESSION_DIRECTIVES = [
+  'if', 'elseif', 'unless', 'switch', 'case', 'while', 'json', 'lang', 'choice', 'svg', 'class',
+  'style', 'checked', 'selected', 'disabled', 'readonly', 'required', 'break', 'continue'
+];
 
-    processed = processed.replace(REGEX.ELSE, '<% } else { %>');
-    // @else -> <% } else { %>
+/**
+ * 掃描模板中 lint 需要的資訊（不渲染）
+ *
+ * 註釋、<% %>、@verbatim 與 front matter 會先遮蔽，位置（行號、欄位）對應原始檔案。
+ * @include 系列指令以 compileBlade 轉換為 <include> 標籤後再解析，與渲染時的結果一致。
+ *
+ * @param {string} source - 原始模板內容
+ * @param {{ logic: Object, structure: Object }} grammars - createGrammars 的語法表
+ * @returns {Object} 掃描結果：
+ *   - extends / sections / yields / pushes / stacks：佈局與 stack 指令（含 line、column）
+ *   - includes：{ src, candidates, optional, attributes, slots, line, column }
+ *   - components：{ name, attributes, slots, line, column }
+ *   - slotPlaceholders：partial 宣告的 @slot 佔位符名稱
+ *   - expressions：{ expression, line, column }，{{ }}、{!! !!}、:prop 與指令參數
+ *   - locals：模板內宣告的變數（迴圈變數、@isset / @empty 檢查的變數、loop）
+ *
+ * @example
+ * scanTemplate("@extends('layouts/app.html')\n@section('title'){{ title }}@endsection", grammars)
+ * // 返回: { extends: [{ name: 'layouts/app.html', line: 1, column: 1 }],
+ * //         sections: [{ name: 'title', line: 2, column: 1 }],
+ * //         expressions: [{ expression: 'title', line: 2, column: 17 }], ... }
+ */
+const scanTemplate = (source, grammars) => {
+  const masked = maskTemplate(source, [REGEX.FRONT_MATTER, REGEX.VERBATIM]);
+  const locate = createLocator(source);
+  const filters = grammars.logic.filters;
+
+  const result = {
+    extends: [],
+    sections: [],
+    yields: [],
+    pushes: [],
+    stacks: [],
+    includes: [],
+    components: [],
+    slotPlaceholders: new Set(),
+    expressions: [],
+    locals: new Set()
+  };
 
-    processed = processed.replace(REGEX.ENDIF, '<% } %>');
-    // @endif -> <% } %>
+  const addExpression = (expression, location) => {
+    result.expressions.push({ expression: compilePipes(expression.trim(), filters), ...location });
+  };
 
-    processed = processed.replace(REGEX.ENDUNLESS, '<% } %>');
-    // @endunless -> <% } %>
+  // ----------------------------------------
+  // 由 index.js 以正則處理的指令：@extends、@yield、@stack
+  // ----------------------------------------
+  for (const match of masked.matchAll(REGEX.EXTENDS)) {
+    result.extends.push({ name: match[1], ...locate(match.index) });
+  }
+  for (const match of masked.matchAll(REGEX.YIELD)) {
+    result.yields.push({ name: match[1], hasDefault: match[2] !== undefined, ...locate(match.index) });
+  }
+  for (const match of masked.matchAll(REGEX.STACK)) {
+    result.stacks.push({ name: match[1], ...locate(match.index) });
+  }
 
-    // ========================================
-    // 步驟 3: 轉換 Switch 語句
-    // ========================================
-    // 使用 if/else 鏈模擬 switch 行為，原因：
-    // 1. JavaScript switch 需要 break 語句，容易出錯
-    // 2. if/else 鏈更安全，不會發生 fall-through
-    // 3. 與 Blade 的行為更一致
-    //
-    // 技巧：使用特殊變數名 __vphk_sw__ 避免與使用者代碼衝突
-    // - vphk = vite-plugin-html-kit
-    // - 雙底線前後綴降低命名衝突機率
+  // ----------------------------------------
+  // <include> 標籤與傳入的 @slot 區塊
+  // ----------------------------------------
+  const addInclude = (match, offset, location, extra = {}) => {
+    const [tag, src, attributesStr, content = '', src2, attributesStr2] = match;
+    const attributes = parseAttributes(attributesStr ?? attributesStr2);
+    const includeFirst = attributes['data-include-first'];
+    const slots = [];
+
+    const contentStart = offset + tag.length - '</include>'.length - content.length;
+    for (const slot of content.matchAll(REGEX.SLOT_BLOCK)) {
+      slots.push({ name: slot[1], ...(location || locate(contentStart + slot.index)) });
+    }
 
-    processed = processed.replace(
-      REGEX.SWITCH,
-      '<% { const __vphk_sw__ = ($1); if (false) { %>'
-    );
-    // @switch(value) -> 建立區塊作用域並儲存 switch 值
+    result.includes.push({
+      src: src ?? src2,
+      candidates: includeFirst ? JSON.parse(includeFirst.replace(/&quot;/g, '"')) : [src ?? src2],
+      optional: Boolean(includeFirst || attributes['data-include-if']),
+      attributes: Object.keys(lodash.omit(attributes, ['data-include-if', 'data-include-first', 'locals'])),
+      slots,
+      ...(location || locate(offset)),
+      ...extra
+    });
+  };
 
-    processed = processed.replace(
-      REGEX.CASE,
-      '<% } else if (__vphk_sw__ === ($1)) { %>'
-    );
-    // @case(val) -> 使用嚴格相等比較
+  for (const match of masked.matchAll(REGEX.INCLUDE)) {
+    addInclude(match, match.index);
+  }
 
-    processed = processed.replace(REGEX.BREAK, '');
-    // @break -> 移除（在 if/else 結構中不需要）
+  // ----------------------------------------
+  // 指令（含 @section、@push、@slot 與 @include 系列）
+  // ----------------------------------------
+  for (const token of tokenize(masked, grammars.structure).tokens) {
+    if (token.type !== 'directive') {
+      continue;
+    }
 
-    processed = processed.replace(REGEX.DEFAULT, '<% } else { %>');
-    // @default -> else 分支
+    const location = { line: token.line, column: token.column };
+    const [first] = token.args ? splitTopLevel(token.args) : [];
+    const name = first && first.match(/^(['"])(.+)\1$/)?.[2];
+
+    if (token.name === 'section' && name) {
+      result.sections.push({ name, ...location });
+    } else if ((token.name === 'push' || token.name === 'prepend') && name) {
+      result.pushes.push({ name, directive: token.name, ...location });
+    } else if (EXPRESSION_DIRECTIVES.includes(token.name) && token.args) {
+      addExpression(token.args, location);
+    } else if ((token.name === 'isset' || token.name === 'empty') && token.args) {
+      analyzeExpression(token.args).free.forEach(local => result.locals.add(local));
+    } else if (token.name === 'foreach' || token.name === 'forelse' || token.name === 'for') {
+      const loop = token.name === 'for' ? null : parseLoopExpression(token.args);
+      if (loop) {
+        addExpression(loop.collection, location);
+        const item = analyzeExpression(loop.item);
+        [...item.free, ...item.declared, 'loop'].forEach(local => result.locals.add(local));
+      } else {
+        // 原生 for 語法：@for(let i = 0; i < count; i++)
+        result.expressions.push({ expression: token.args, ...location });
+        analyzeExpression(token.args).declared.forEach(local => result.locals.add(local));
+      }
+    } else if (token.name.startsWith('include')) {
+      // @includeWhen / @includeUnless 的條件
+      if (token.name === 'includeWhen' || token.name === 'includeUnless') {
+        addExpression(first, location);
+      }
+      // 參數轉換為屬性中的 {{ }}，與 <include> 標籤一起檢查
+      const tag = compileBlade(token.raw, grammars.logic).code.match(new RegExp(REGEX.INCLUDE.source, 'i'));
+      if (tag) {
+        addInclude(tag, 0, location);
+        for (const echo of tag[0].matchAll(/\{\{([\s\S]+?)\}\}/g)) {
+          addExpression(echo[1], location);
+        }
+      }
+    }
+  }
 
-    processed = processed.replace(REGEX.ENDSWITCH, '<% } } %>');
-    // @endswitch -> 關閉 else 和區塊作用域
+  // ----------------------------------------
+  // 組件（含巢狀組件）與 :prop 表達式
+  // ----------------------------------------
+  const addComponents = (html, offset) => {
+    for (const component of findComponentTags(html)) {
+      const location = locate(offset + component.start);
+      const attributes = parseAttributes(component.attributes);
+
+      for (const [key, value] of Object.entries(attributes)) {
+        if (key.startsWith(':')) {
+          addExpression(value, location);
+        }
+      }
 
-    // ========================================
-    // 步驟 4: 轉換迴圈標籤
-    // ========================================
-    // 支援兩種語法風格，方便不同背景的開發者：
-    // 1. Blade 風格: @foreach(items as item) - 類似 PHP
-    // 2. JavaScript 風格: @foreach(item of items) - 原生 JS
-    //
-    // 兩種風格都會轉換為標準的 JavaScript for...of 迴圈
-    //
-    // @forelse 變體：帶空資料處理的迴圈
-    // @forelse(items as item) -> if (items && items.length > 0) { for (...) {
-    // @empty                  -> } } else {
-    // @endforelse             -> }
-
-    // 先處理 @forelse（比 @foreach 複雜，需要優先處理）
-    processed = processed.replace(REGEX.FORELSE, (match, expression) => {
-      expression = expression.trim();
-      let collection, item;
-
-      // 解析 Blade 風格: "items as item"
-      if (expression.includes(' as ')) {
-        [collection, item] = expression.split(' as ').map(s => s.trim());
-        return `<% if (${collection} && ${collection}.length > 0) { ` +
-          `{ const __vphk_lp__ = typeof loop !== 'undefined' ? loop : null; ` +
-          `const __vphk_ld__ = __vphk_lp__ ? __vphk_lp__.depth + 1 : 1; ` +
-          `const __vphk_lc__ = ${collection}; ` +
-          `const __vphk_ln__ = __vphk_lc__.length; ` +
-          `let __vphk_li__ = 0; ` +
-          `for (let ${item} of __vphk_lc__) { ` +
-          `const loop = { index: __vphk_li__, iteration: __vphk_li__ + 1, ` +
-          `remaining: __vphk_ln__ - __vphk_li__ - 1, count: __vphk_ln__, ` +
-          `first: __vphk_li__ === 0, last: __vphk_li__ === __vphk_ln__ - 1, ` +
-          `even: (__vphk_li__ + 1) % 2 === 0, odd: (__vphk_li__ + 1) % 2 !== 0, ` +
-          `depth: __vphk_ld__, parent: __vphk_lp__ }; __vphk_li__++; %>`;
-      }
-
-      // 解析 JavaScript 風格: "item of items"
-      if (expression.includes(' of ')) {
-        const parts = expression.split(' of ').map(s => s.trim());
-        collection = parts[1];
-        item = parts[0].replace(/^(let|const|var)\s+/, '');
-        return `<% if (${collection} && ${collection}.length > 0) { ` +
-          `{ const __vphk_lp__ = typeof loop !== 'undefined' ? loop : null; ` +
-          `const __vphk_ld__ = __vphk_lp__ ? __vphk_lp__.depth + 1 : 1; ` +
-          `const __vphk_lc__ = ${collection}; ` +
-          `const __vphk_ln__ = __vphk_lc__.length; ` +
-          `let __vphk_li__ = 0; ` +
-          `for (let ${item} of __vphk_lc__) { ` +
-          `const loop = { index: __vphk_li__, iteration: __vphk_li__ + 1, ` +
-          `remaining: __vphk_ln__ - __vphk_li__ - 1, count: __vphk_ln__, ` +
-          `first: __vphk_li__ === 0, last: __vphk_li__ === __vphk_ln__ - 1, ` +
-          `even: (__vphk_li__ + 1) % 2 === 0, odd: (__vphk_li__ + 1) % 2 !== 0, ` +
-          `depth: __vphk_ld__, parent: __vphk_lp__ }; __vphk_li__++; %>`;
-      }
-
-      // 不符合兩種語法：使用原始表達式（不支援 loop）
-      return `<% if (true) { for (${expression}) { %>`;
-    });
+      result.components.push({
+        name: component.name,
+        attributes: Object.keys(attributes).map(key => key.replace(/^:/, '')),
+        slots: Object.keys(parseComponentSlots(component.content).slots).map(slot => ({ name: slot, ...location })),
+        ...location
+      });
 
-    processed = processed.replace(REGEX.EMPTY, '<% } } } else { %>');
-    // @empty -> 關閉 for、loop 區塊作用域、if，開始 else
-
-    processed = processed.replace(REGEX.ENDFORELSE, '<% } %>');
-    // @endforelse -> 關閉 else
-
-    // 再處理 @foreach（標準迴圈，無空資料處理）
-    processed = processed.replace(REGEX.FOREACH, (match, expression) => {
-      expression = expression.trim();
-      let collection, item;
-
-      // 解析 Blade 風格: "items as item"
-      if (expression.includes(' as ')) {
-        [collection, item] = expression.split(' as ').map(s => s.trim());
-        return `<% { const __vphk_lp__ = typeof loop !== 'undefined' ? loop : null; ` +
-          `const __vphk_ld__ = __vphk_lp__ ? __vphk_lp__.depth + 1 : 1; ` +
-          `const __vphk_lc__ = ${collection}; ` +
-          `const __vphk_ln__ = __vphk_lc__.length; ` +
-          `let __vphk_li__ = 0; ` +
-          `for (let ${item} of __vphk_lc__) { ` +
-          `const loop = { index: __vphk_li__, iteration: __vphk_li__ + 1, ` +
-          `remaining: __vphk_ln__ - __vphk_li__ - 1, count: __vphk_ln__, ` +
-          `first: __vphk_li__ === 0, last: __vphk_li__ === __vphk_ln__ - 1, ` +
-          `even: (__vphk_li__ + 1) % 2 === 0, odd: (__vphk_li__ + 1) % 2 !== 0, ` +
-          `depth: __vphk_ld__, parent: __vphk_lp__ }; __vphk_li__++; %>`;
-      }
-
-      // 解析 JavaScript 風格: "item of items"
-      if (expression.includes(' of ')) {
-        const parts = expression.split(' of ').map(s => s.trim());
-        collection = parts[1];
-        // 移除可能的變數宣告關鍵字（let, const, var）
-        item = parts[0].replace(/^(let|const|var)\s+/, '');
-        return `<% { const __vphk_lp__ = typeof loop !== 'undefined' ? loop : null; ` +
-          `const __vphk_ld__ = __vphk_lp__ ? __vphk_lp__.depth + 1 : 1; ` +
-          `const __vphk_lc__ = ${collection}; ` +
-          `const __vphk_ln__ = __vphk_lc__.length; ` +
-          `let __vphk_li__ = 0; ` +
-          `for (let ${item} of __vphk_lc__) { ` +
-          `const loop = { index: __vphk_li__, iteration: __vphk_li__ + 1, ` +
-          `remaining: __vphk_ln__ - __vphk_li__ - 1, count: __vphk_ln__, ` +
-          `first: __vphk_li__ === 0, last: __vphk_li__ === __vphk_ln__ - 1, ` +
-          `even: (__vphk_li__ + 1) % 2 === 0, odd: (__vphk_li__ + 1) % 2 !== 0, ` +
-          `depth: __vphk_ld__, parent: __vphk_lp__ }; __vphk_li__++; %>`;
-      }
-
-      // 不符合兩種語法：假設是原生 for 迴圈語法（不支援 loop）
-      // 例如: @foreach(let i = 0; i < 10; i++)
-      return `<% for (${expression}) { %>`;
-    });
+      const contentStart = offset + component.end - component.content.length - `</x-${component.name}>`.length;
+      addComponents(component.content, component.content ? contentStart : offset);
+    }
+  };
+  addComponents(masked, 0);
 
-    processed = processed.replace(REGEX.ENDFOREACH, '<% } } %>');
-    // @endforeach -> 關閉 for 和 loop 區塊作用域
+  // ----------------------------------------
+  // @slot 佔位符（傳給巢狀 include 的 @slot 區塊除外）
+  // ----------------------------------------
+  for (const match of masked.replace(REGEX.SLOT_BLOCK, '').matchAll(REGEX.SLOT)) {
+    result.slotPlaceholders.add(match[1]);
+  }
 
-    // ========================================
-    // 步驟 5: 儲存到快取
-    // ========================================
-    // 將轉換結果存入 LRU Cache，下次相同內容可直接使用
-    transformCache.set(cacheKey, processed);
+  // ----------------------------------------
+  // 輸出標籤：{{ }} 與 {!! !!}
+  // ----------------------------------------
+  for (const match of masked.matchAll(/\{\{([\s\S]+?)\}\}|\{!!([\s\S]+?)!!\}/g)) {
+    addExpression(match[1] ?? match[2], locate(match.index));
+  }
 
-    return processed;
-  };
+  return result;
+};
 
-  /**
-   * 解析 HTML 中的 @section 區塊
-   *
-   * 從子頁面或佈局檔案中提取所有 @section 定義，
-   * 用於佈局繼承系統。
-   *
-   * Section 是佈局繼承的核心概念：
-   * - 子頁面使用 @section 定義內容區塊
-   * - 父佈局使用 @yield 顯示這些內容
-   * - 支援多層繼承（section 可以傳遞給更上層的佈局）
-   *
-   * 技術細節：
-   * - 使用 REGEX.SECTION 正則表達式匹配
-   * - 自動 trim 內容（移除前後空白）
-   * - 重置 lastIndex 避免狀態殘留（正則表達式的 /g 標誌問題）
-   * - 支援相同名稱的 section（後面的會覆蓋前面的）
-   *
-   * @param {string} html - 包含 @section 定義的 HTML 字串
-   * @returns {Object<string, string>} Section 名稱到內容的映射物件
-   *
-   * @example
-   * // 單個 section
-   * const html = `@section('title')首頁@endsection`;
-   * parseSections(html);
-   * // 返回: { title: '首頁' }
-   *
-   * @example
-   * // 多個 sections
-   * const html = `
-   *   @section('title')
-   *     部落格文章
-   *   @endsection
-   *
-   *   @section('content')
-   *     <h1>文章標題</h1>
-   *     <p>文章內容...</p>
-   *   @endsection
-   * `;
-   * parseSections(html);
-   * // 返回: {
-   * //   title: '部落格文章',
-   * //   content: '<h1>文章標題</h1>\n<p>文章內容...</p>'
-   * // }
-   *
-   * @example
-   * // Section 內容會自動 trim
-   * const html = `
-   *   @section('meta')
-   *
-   *     <meta name="description" content="...">
-   *
-   *   @endsection
-   * `;
-   * parseSections(html);
-   * // 返回: { meta: '<meta name="description" content="...">' }
+// partialsDir 物件形式中，未加 namespace 前綴的查找名稱
+// 例如 partialsDir: { default: 'partials', ui: 'node_modules/@acme/ui/templates' }
+const DEFAULT_PARTIALS_NAMESPACE = 'default';
+
+// 帶 namespace 的 partial 路徑，例如 'ui::button.html'、'ui::layouts/base.html'
+const NAMESPACED_PARTIAL = /^([\w-]+)::(.+)$/;
+
+/**
+ * 將 partialsDir 選項轉換為依查找順序排列的 namespace 目錄
+ *
+ * - 字串：單一目錄，namespace 為 'default'
+ * - 陣列：依順序查找的多個目錄（例如主題覆蓋），namespace 為 'default'
+ * - 物件：namespace -> 目錄（字串或陣列），依物件的鍵順序查找
+ *
+ * @param {string|string[]|Object<string, string|string[]>} partialsDir - partialsDir 選項
+ * @param {string} root - 相對目錄的基準
+ * @returns {Array<{ namespace: string, dir: string }>} namespace 與目錄的絕對路徑
+ *
+ * @example
+ * resolvePartialDirs({ default: ['themes/brandA', 'partials'], ui: 'node_modules/@acme/ui/templates' }, '/project')
+ * // 返回: [
+ * //   { namespace: 'default', dir: '/project/themes/brandA' },
+ * //   { namespace: 'default', dir: '/project/partials' },
+ * //   { namespace: 'ui', dir: '/project/node_modules/@acme/ui/templates' }
+ * // ]
+ */
+const resolvePartialDirs = (partialsDir, root) => {
+  const entries = typeof partialsDir === 'string' || Array.isArray(partialsDir)
+    ? [[DEFAULT_PARTIALS_NAMESPACE, partialsDir]]
+    : Object.entries(partialsDir);
+  return entries.flatMap(([namespace, dirs]) => [].concat(dirs).map(dir => ({ namespace, dir: path.resolve(root, dir) })));
+};
+
+/**
+ * 判斷路徑是否位於目錄內
+ *
+ * 以路徑分隔符號判斷，'/project/partials-private' 不算在 '/project/partials' 內。
+ *
+ * @param {string} dir - 目錄的絕對路徑
+ * @param {string} filePath - 檔案的絕對路徑
+ * @returns {boolean}
+ */
+const isInsideDir = (dir, filePath) => filePath === dir || filePath.startsWith(dir.endsWith(path.sep) ? dir : dir + path.sep);
+
+/**
+ * 在 namespace 目錄中解析 partial 路徑
+ *
+ * - 'ui::button.html'：只在 ui 的目錄中查找
+ * - 'button.html'：依順序在每個目錄中查找
+ *
+ * 使用第一個存在的檔案；都不存在時使用第一個目錄。
+ * 每個目錄各自檢查路徑遍歷：解析後的路徑必須位於該目錄內。
+ * 未知的 namespace 視為一般路徑，最後回報找不到檔案。
+ *
+ * @param {Array<{ namespace: string, dir: string }>} dirs - resolvePartialDirs 的結果
+ * @param {string} src - partial 路徑
+ * @param {string} [after] - 從這個目錄之後開始查找（@parent 使用）
+ * @returns {{ filePath: string, allowedDir: string, allowed: boolean, fallbacks: string[] }|null}
+ *   絕對路徑、所在目錄、路徑是否位於該目錄內，以及查找時略過的（不存在的）候選檔案；
+ *   指定 after 且後面沒有其他目錄時返回 null
+ */
+const resolveInPartialDirs = (dirs, src, after) => {
+  const match = src.match(NAMESPACED_PARTIAL);
+  const namespaced = match && dirs.some(entry => entry.namespace === match[1]);
+  let candidates = (namespaced ? dirs.filter(entry => entry.namespace === match[1]) : dirs).map(({ dir }) => {
+    const filePath = path.resolve(dir, namespaced ? match[2] : src);
+    return { filePath, allowedDir: dir, allowed: isInsideDir(dir, filePath) };
+  });
+
+  if (after !== undefined) {
+    candidates = candidates.slice(candidates.findIndex(candidate => candidate.allowedDir === after) + 1);
+    if (candidates.length === 0) {
+      return null;
+    }
+  }
+
+  const foundIndex = candidates.length > 1
+    ? candidates.findIndex(candidate => candidate.allowed && fs.existsSync(candidate.filePath))
+    : -1;
+  const result = candidates[Math.max(foundIndex, 0)];
+  const fallbacks = candidates
+    .slice(0, foundIndex === -1 ? candidates.length : foundIndex)
+    .filter(candidate => candidate !== result && candidate.allowed)
+    .map(candidate => candidate.filePath);
+
+  return { ...result, fallbacks };
+};
+
+/**
+ * 將 partial 或佈局中的 @parent 替換為 include 標籤
+ *
+ * 標籤以 data-include-parent 記錄檔案所在的目錄，resolveIncludes 從下一個目錄開始查找同名檔案，
+ * 主題可以只覆蓋 header.html，並在其中以 @parent 輸出原本的內容。
+ *
+ * @param {string} source - 檔案內容
+ * @param {string} src - 檔案的 partial 路徑（例如 'header.html'、'ui::button.html'）
+ * @param {string} dir - 檔案所在目錄的絕對路徑
+ * @returns {string}
+ *
+ * @example
+ * expandParentDirective('<div class="brand">@parent</div>', 'header.html', '/project/themes/brandA')
+ * // 返回: '<div class="brand"><include src="header.html" data-include-parent="/project/themes/brandA" /></div>'
+ */
+const expandParentDirective = (source, src, dir) =>
+  source.replace(REGEX.PARENT, () => `<include src="${src}" data-include-parent="${dir}" />`);
+
+/**
+ * 建立模板渲染器（不依賴 Vite）
+ *
+ * 包含完整的渲染流程：front matter 與頁面資料、佈局繼承、Blade 邏輯標籤、
+ * include / 組件、過濾器、自訂指令與錯誤回報。Vite 插件只是它的包裝，
+ * 因此也可以在 Node 腳本或單元測試中直接渲染 HTML（例如電子郵件、組件快照）。
+ *
+ * 選項與插件相同（pages 除外），另外：
+ * - root：專案根目錄，相對的 partialsDir 與 renderFile 路徑以此為基準（預設為 process.cwd()）
+ * - failOnError：遇到 error 等級的模板錯誤時拋出該錯誤，而不是輸出降級內容
+ *
+ * sandbox 開啟時，模板中的表達式在 vm 沙箱中執行（見 sandbox.js）：
+ * 無法使用 process、require、globalThis 與 Function，執行時間超過 timeout 時中止。
+ *
+ * csp 開啟時，輸出的行內 <script> / <style> 加上 nonce 或計算 hash（見 csp.js），
+ * 模板可以使用 cspNonce 與 cspHashes 變數。
+ *
+ * i18n 開啟時，模板可以使用 locale、__()、trans_choice()、@lang、@choice（見 i18n.js），
+ * 以及 alternates（每個語系的同一頁網址，用於 hreflang）；以 renderOptions.locale 指定語系。
+ *
+ * 模板可以使用 @svg / svg() 輸出圖示目錄中的 SVG（見 svg.js）；svg.sprite 開啟時改為引用
+ * 插入在 <body> 開頭的 sprite。
+ *
+ * render / renderFile 一律返回 Promise（data 選項或 .data.js 資料檔可以是 async）；
+ * renderSync / renderFileSync 直接返回字串，資料是 async 時拋出 E4017。
+ *
+ * @param {Object} [options={}] - 渲染器配置選項
+ * @param {string|string[]|Object<string, string|string[]>} [options.partialsDir='partials'] - partial、佈局與組件的目錄（相對於 root 或絕對路徑）；
+ *   陣列時依順序查找（第一個有該檔案的目錄優先，partial 中以 @parent 輸出下一個目錄的同名檔案），
+ *   物件時為 namespace -> 目錄，以 'ui::button.html' 指定 namespace，未指定時依順序查找
+ * @param {string} [options.root=process.cwd()] - 專案根目錄
+ * @param {Object|Function} [options.data={}] - 全域資料（函式時每次渲染都會呼叫，可為 async）
+ * @param {Object} [options.compilerOptions={}] - Lodash template 編譯器選項
+ * @param {boolean} [options.autoEscape=true] - {{ }} 是否自動進行 HTML 轉義
+ * @param {boolean} [options.failOnError=false] - 遇到 error 等級的模板錯誤時是否拋出錯誤
+ * @param {Object<string, Function|{ handler: Function, block?: boolean }>} [options.directives={}] - 自訂指令
+ * @param {Object<string, Function>} [options.filters={}] - 自訂過濾器
+ * @param {boolean|{ timeout?: number }} [options.sandbox=false] - 是否在沙箱中執行模板表達式（timeout 預設 1000 毫秒）
+ * @param {false|'nonce'|'hash'|{ mode?: 'nonce'|'hash', nonce?: string }} [options.csp=false] - 行內 <script> / <style> 的 CSP 處理
+ * @param {false|string|{ dir?: string, locales?: string[], defaultLocale?: string }} [options.i18n=false] - 語系檔目錄與語系
+ * @param {string|{ dir?: string, sprite?: boolean }} [options.svg={}] - @svg 的圖示目錄（相對於 root，預設為 root）與 sprite 模式
+ * @returns {{ render: Function, renderSync: Function, renderFile: Function, renderFileSync: Function, lint: Function, directive: Function, applyCsp: Function, applySvgSprite: Function }} 渲染器
+ *
+ * @example
+ * import { createRenderer } from 'vite-plugin-html-kit';
+ *
+ * const renderer = createRenderer({ root: 'emails', partialsDir: 'partials', data: { brand: 'Acme' } });
+ *
+ * await renderer.render('<h1>{{ brand }} · {{ title | upper }}</h1>', { title: 'Welcome' });
+ * // 返回: '<h1>Acme · WELCOME</h1>'
+ *
+ * renderer.renderFileSync('welcome.html', { user });
+ * // 返回: emails/welcome.html 的渲染結果（含佈局與 partials）
+ */
+export function createRenderer(options = {}) {
+  const {
+    partialsDir = 'partials',
+    data = {},
+    compilerOptions = {},
+    autoEscape = true,
+    failOnError = false,
+    directives = {},
+    filters = {},
+    sandbox = false,
+    csp = false,
+    i18n = false,
+    svg = {}
+  } = options;
+
+  // 沙箱（sandbox 選項開啟時）：模板編譯與表達式求值都在沙箱內進行
+  const sandboxRuntime = sandbox ? createSandbox(sandbox === true ? {} : sandbox) : null;
+  const compileTemplate = sandboxRuntime ? sandboxRuntime.template : lodash.template;
+
+  // 模板資料中的 _（沙箱模式使用沙箱內的 Lodash）
+  const dataLodash = sandboxRuntime ? sandboxRuntime.lodash : lodash;
+
+  // CSP 處理器（csp 選項開啟時）：nonce 在渲染器建立時產生，同一次建構的所有頁面共用
+  const cspPolicy = createCspPolicy(csp);
+  const cspVariables = cspPolicy ? cspPolicy.variables : {};
+
+  // i18n 處理器（i18n 選項開啟時）：語系檔在每次渲染時讀取，編輯後不需要重啟
+  const i18nConfig = createI18n(i18n);
+
+  // SVG 圖示處理器：sprite 模式收集同一個渲染器所有頁面用到的圖示
+  const svgIcons = createSvgIcons(svg);
+
+  /**
+   * 取得頁面的 i18n 變數：locale、__、trans_choice 與 alternates
    *
-   * @example
-   * // 空的 HTML 或沒有 section
-   * parseSections('');
-   * // 返回: {}
+   * alternates 為每個語系的同一頁網址（base + 語系 + 相對於 root 的路徑），
+   * 佈局可以用來輸出 <link rel="alternate" hreflang>。
    *
-   * parseSections('<div>無 section</div>');
-   * // 返回: {}
+   * @param {string} [filename] - 頁面檔案路徑
+   * @param {string} [locale] - 語系代碼，預設為預設語系
+   * @param {string} [base='/'] - 網站的基本路徑
+   * @param {Set<string>} dependencies - 收集語系檔依賴的集合
+   * @returns {Object} i18n 未開啟時返回空物件
    */
-  const parseSections = (html) => {
-    const sections = {};
+  const resolveI18nVariables = (filename, locale, base = '/', dependencies) => {
+    if (!i18nConfig) {
+      return {};
+    }
 
-    // 確保輸入有效
-    if (!html || typeof html !== 'string') {
-      return sections;
+    const root = options.root || process.cwd();
+    const { files, variables } = i18nConfig.translator(root, locale);
+    for (const file of files) {
+      dependencies.add(file);
     }
 
-    // ========================================
-    // 步驟 1: 處理簡寫語法 @section('name', 'content')
-    // ========================================
-    // 重置正則表達式的 lastIndex
-    REGEX.SECTION_SHORTHAND.lastIndex = 0;
+    const pagePath = filename ? path.relative(root, path.resolve(filename)).split(path.sep).join('/') : '';
+    const prefix = base.endsWith('/') ? base : `${base}/`;
+    const alternates = filename
+      ? i18nConfig.locales(root).map(name => ({ locale: name, href: `${prefix}${name}/${pagePath}` }))
+      : [];
 
-    let match;
+    return { ...variables, alternates };
+  };
 
-    // 使用 exec() 迴圈查找所有簡寫 @section
-    while ((match = REGEX.SECTION_SHORTHAND.exec(html)) !== null) {
-      const name = match[1];       // 第一個捕獲群組：section 名稱
-      const content = match[3];    // 第三個捕獲群組：section 內容（第二個是引號類型）
+  // @once 區塊追蹤器
+  // 使用 Set 來追蹤目前頁面已經輸出的 @once 區塊
+  // 每個 @once 區塊使用其內容的 hash 作為唯一識別碼，每個頁面開始時清空
+  const onceBlocks = new Set();
 
-      // 儲存 section 內容，並移除前後空白
-      // 如果有重複的 section 名稱，後面的會覆蓋前面的
-      sections[name] = content.trim();
-    }
+  // 目前正在渲染的頁面所收集的依賴
+  // 只在 renderPage 執行期間有值，其餘時間為 null
+  let currentDependencies = null;
 
-    // ========================================
-    // 步驟 2: 處理完整語法 @section('name')...@endsection
-    // ========================================
-    // 重置正則表達式的 lastIndex
-    // 重要：當正則表達式有 /g 標誌時，exec() 會保留狀態
-    // 如果不重置，可能會從上次的位置開始匹配，導致遺漏結果
-    REGEX.SECTION.lastIndex = 0;
+  // 目前頁面的 <x-name> 組件呼叫（componentCall 產生的程式碼以索引取得外層資料與 slot 名稱）
+  // 每個頁面開始時清空
+  const componentCalls = [];
 
-    // 使用 exec() 迴圈查找所有 @section 區塊
-    // exec() 會逐一返回匹配結果，直到沒有更多匹配為止
-    while ((match = REGEX.SECTION.exec(html)) !== null) {
-      const name = match[1];       // 第一個捕獲群組：section 名稱
-      const content = match[2];    // 第二個捕獲群組：section 內容
+  // 目前頁面已檢查過結構的檔案（檔案 -> 內容）
+  // 同一個 partial 被 include 多次時只回報一次錯誤，每個頁面開始時清空
+  const validatedSources = new Map();
 
-      // 儲存 section 內容，並移除前後空白
-      // 如果有重複的 section 名稱，後面的會覆蓋前面的
-      sections[name] = content.trim();
+  /**
+   * 記錄目前頁面依賴的檔案
+   *
+   * 即使檔案不存在也會記錄，這樣之後新增該檔案時也能觸發頁面重新載入。
+   *
+   * @param {string} filePath - layout 或 partial 的絕對路徑
+   */
+  const trackDependency = (filePath) => {
+    if (currentDependencies) {
+      currentDependencies.add(filePath);
     }
-
-    return sections;
   };
 
   /**
-   * 解析 HTML 中的 @push 和 @prepend 區塊
+   * 取得各 namespace 的 partial 目錄（依查找順序）
    *
-   * 從子頁面中提取所有 @push 和 @prepend 定義，
-   * 用於堆疊系統（CSS/JS 資源管理）。
-   *
-   * @param {string} html - 包含 @push/@prepend 標籤的 HTML
-   * @returns {Object} stacks - 鍵為 stack 名稱，值為內容陣列
+   * 每次呼叫時才讀取 options.root：插件在 configResolved 之後才知道 Vite 的 root。
    *
-   * @example
-   * const stacks = parseStacks(`
-   *   @push('styles')
-   *     <link href="/css/custom.css" rel="stylesheet">
-   *   @endpush
+   * @returns {Array<{ namespace: string, dir: string }>}
+   */
+  const partialDirs = () => resolvePartialDirs(partialsDir, options.root || process.cwd());
+
+  /**
+   * 解析相對於 partialsDir 的佈局、partial 或組件路徑
    *
-   *   @push('styles')
-   *     <style>body { margin: 0; }</style>
-   *   @endpush
+   * processExtends、resolveIncludes 與 lint 共用，namespace 查找與路徑遍歷的判斷只有一份。
+   * 依順序查找時略過的候選檔案也會記錄為依賴，之後新增時查找結果會改變。
    *
-   *   @prepend('scripts')
-   *     <script src="/js/critical.js"></script>
-   *   @endprepend
-   * `);
+   * @param {string} src - 相對於 partialsDir 的路徑，可加上 namespace 前綴（例如 'ui::button.html'）
+   * @param {string} [after] - 從這個目錄之後開始查找（@parent 使用）
+   * @returns {{ filePath: string, allowedDir: string, allowed: boolean }|null} 絕對路徑、所在目錄的絕對路徑，以及路徑是否位於該目錄內；
+   *   指定 after 且後面沒有其他目錄時返回 null
    *
-   * // 返回:
-   * // {
-   * //   styles: [
-   * //     { type: 'push', content: '<link href="/css/custom.css" rel="stylesheet">' },
-   * //     { type: 'push', content: '<style>body { margin: 0; }</style>' }
-   * //   ],
-   * //   scripts: [
-   * //     { type: 'prepend', content: '<script src="/js/critical.js"></script>' }
-   * //   ]
-   * // }
+   * @example
+   * resolvePartialPath('../../etc/passwd')
+   * // 返回: { filePath: '/etc/passwd', allowedDir: '/project/partials', allowed: false }
    */
-  const parseStacks = (html) => {
-    const stacks = {};
+  const resolvePartialPath = (src, after) => {
+    const resolved = resolveInPartialDirs(partialDirs(), src, after);
+    if (!resolved) {
+      return null;
+    }
+    const { fallbacks, ...result } = resolved;
+    fallbacks.forEach(trackDependency);
+    return result;
+  };
 
-    // 確保輸入有效
-    if (!html || typeof html !== 'string') {
-      return stacks;
+  // 統一的 Lodash Template 編譯選項
+  // 支援 {{ variable }}（轉義）與 {!! variable !!}（原樣）輸出語法
+  //
+  // 規則：
+  // - 使用者自訂 interpolate 時，完全交由使用者設定（{{ }} 不再生效）
+  // - autoEscape: true  -> escape: {{ }}、interpolate: {!! !!}
+  // - autoEscape: false -> interpolate: {{ }} 與 {!! !!}（皆不轉義）
+  const echoOptions = compilerOptions.interpolate !== undefined
+    ? {}
+    : autoEscape
+      ? { escape: REGEX.ESCAPED_ECHO, interpolate: REGEX.RAW_ECHO }
+      : { interpolate: REGEX.LEGACY_ECHO };
+
+  // 內建過濾器 + filters 選項（管線語法 {{ value | upper }} 使用）
+  const templateFilters = createFilters(filters);
+
+  // imports._ 使用 templateLodash，讓 {{ attributes }} 輸出屬性包時不會被重複轉義
+  // imports[FILTERS_VARIABLE] 提供過濾器給管線語法轉換後的程式碼，imports[JSON_VARIABLE] 提供 @json 的輸出函式
+  if (sandboxRuntime) {
+    const { escape } = sandboxRuntime.lodash;
+    sandboxRuntime.lodash.escape = sandboxRuntime.toSandbox((value) => (isSafeHtml(value) ? value.toString() : escape(value)));
+  }
+  const defaultCompilerOptions = {
+    ...echoOptions,
+    ...compilerOptions,
+    imports: {
+      _: sandboxRuntime ? sandboxRuntime.lodash : templateLodash,
+      ...compilerOptions.imports,
+      [FILTERS_VARIABLE]: templateFilters,
+      [JSON_VARIABLE]: toScriptJson
     }
+  };
 
-    // ========================================
-    // 步驟 1: 處理 @push 區塊
-    // ========================================
-    // @push 將內容添加到堆疊的末尾
-    REGEX.PUSH.lastIndex = 0;
-    let match;
+  // ========================================
+  // 自訂指令
+  // ========================================
+  // 自訂指令加入 blade-parser 的語法表，與內建指令在同一次解析中處理：
+  // 可以放在 @if / @foreach 內，區塊型自訂指令的內容中也可以使用任何指令，
+  // 輸出的 <include>、<x-name> 與 {{ }} 之後照常處理
+  const customDirectives = {};
 
-    while ((match = REGEX.PUSH.exec(html)) !== null) {
-      const name = match[1];     // stack 名稱
-      const content = match[2];  // 內容
+  // 語法表（含自訂指令與過濾器名稱）與轉換、結構檢查快取鍵的前綴
+  let grammars;
+  let grammarKey;
 
-      // 初始化堆疊（如果不存在）
-      if (!stacks[name]) {
-        stacks[name] = [];
-      }
+  /**
+   * 依目前的自訂指令與過濾器重新建立語法表
+   *
+   * 每次都會產生新的快取鍵前綴，之前的轉換結果不會被沿用。
+   */
+  const rebuildGrammars = () => {
+    grammars = createGrammars(customDirectives, Object.keys(templateFilters));
+    grammarKey = `g${++grammarCount}:`;
+  };
 
-      // 添加到堆疊末尾（push）
-      stacks[name].push({
-        type: 'push',
-        content: content.trim()
-      });
+  /**
+   * 註冊自訂指令
+   *
+   * @param {string} name - 指令名稱（不含 @）
+   * @param {Function|{ handler: Function, block?: boolean }} definition - handler 或指令定義
+   * @throws {PluginError} 名稱不合法、與內建指令同名或 handler 不是函式時拋出 E4011
+   *
+   * @example
+   * // 行內指令：@icon('home') -> <svg class="icon"><use href="#icon-home"></use></svg>
+   * registerDirective('icon', args => `<svg class="icon"><use href="#icon-{{ ${args} }}"></use></svg>`);
+   *
+   * @example
+   * // 區塊指令：@card('標題') ... @endcard
+   * registerDirective('card', {
+   *   block: true,
+   *   handler: (args, content) => `<section class="card"><h2>{{ ${args} }}</h2>${content}</section>`
+   * });
+   */
+  const registerDirective = (name, definition) => {
+    const handler = typeof definition === 'function' ? definition : definition?.handler;
+    const block = typeof definition === 'object' && definition !== null && Boolean(definition.block);
+
+    let reason = null;
+    if (typeof name !== 'string' || !/^[A-Za-z]\w*$/.test(name)) {
+      reason = '名稱只能包含英數字元與底線，並以字母開頭';
+    } else if (isBuiltinDirective(name) || (block && isBuiltinDirective(`end${name}`))) {
+      reason = '不能與內建指令同名';
+    } else if (typeof handler !== 'function') {
+      reason = 'handler 必須是函式';
+    }
+    if (reason) {
+      throw new PluginError(ErrorCodes.INVALID_CUSTOM_DIRECTIVE, [name, reason], { directive: name });
     }
 
-    // ========================================
-    // 步驟 2: 處理 @prepend 區塊
-    // ========================================
-    // @prepend 將內容添加到堆疊的開頭
-    REGEX.PREPEND.lastIndex = 0;
+    customDirectives[name] = { handler, block };
+    rebuildGrammars();
+  };
 
-    while ((match = REGEX.PREPEND.exec(html)) !== null) {
-      const name = match[1];     // stack 名稱
-      const content = match[2];  // 內容
+  for (const [name, definition] of Object.entries(directives)) {
+    registerDirective(name, definition);
+  }
+  rebuildGrammars();
+
+  // 結構錯誤類型 -> 錯誤碼與訊息參數
+  const STRUCTURE_ERRORS = {
+    unclosed: { code: ErrorCodes.UNCLOSED_DIRECTIVE, args: error => [error.directive, error.closer] },
+    unmatched: { code: ErrorCodes.UNMATCHED_CLOSING_DIRECTIVE, args: error => [error.directive, error.opener] },
+    misplaced: { code: ErrorCodes.MISPLACED_DIRECTIVE, args: error => [error.directive, error.parents] },
+    arguments: { code: ErrorCodes.UNCLOSED_DIRECTIVE_ARGUMENTS, args: error => [error.directive] }
+  };
 
-      // 初始化堆疊（如果不存在）
-      if (!stacks[name]) {
-        stacks[name] = [];
-      }
+  /**
+   * 檢查模板的指令結構，回報未閉合、多餘或位置錯誤的指令
+   *
+   * 在任何前處理之前，對頁面、佈局、partial 與組件的原始內容執行，
+   * 因此回報的行號對應到原始檔案。檢查只回報錯誤，不會修改模板：
+   * 後續的轉換會自動閉合未閉合的區塊並忽略多餘的結束指令，頁面仍會渲染。
+   *
+   * 檢查的指令：
+   * - @if / @unless / @isset / @empty / @switch / @foreach / @forelse / @for / @while
+   * - @section / @push / @prepend / @once / @verbatim / @markdown / @slot
+   * - 區塊型自訂指令（@name ... @endname）
+   *
+   * @param {string} source - 原始檔案內容
+   * @param {string} file - 檔案名稱（用於錯誤訊息）
+   *
+   * @example
+   * validateTemplate('<main>\n  @foreach(posts as post)\n</main>', 'index.html')
+   * // 記錄錯誤 E4007: @foreach 缺少對應的 @endforeach（第 2 行，第 3 欄）
+   */
+  const validateTemplate = (source, file) => {
+    if (validatedSources.get(file) === source) {
+      return;
+    }
+    validatedSources.set(file, source);
 
-      // 添加到堆疊開頭（prepend）
-      stacks[name].push({
-        type: 'prepend',
-        content: content.trim()
-      });
+    let errors = validationCache.get(grammarKey + source);
+    if (errors === undefined) {
+      errors = validateBlade(source, grammars.structure);
+      validationCache.set(grammarKey + source, errors);
     }
 
-    return stacks;
+    for (const error of errors) {
+      const { code, args } = STRUCTURE_ERRORS[error.type];
+      createAndLogError(code, [...args(error), error.line, error.column], {
+        file,
+        line: error.line,
+        column: error.column,
+        directive: error.directive
+      });
+    }
   };
 
   /**
-   * 處理佈局繼承（含循環引用檢測）
+   * 找出 Lodash template 編譯 / 執行錯誤在原始檔案中的位置
    *
-   * 佈局繼承是模板系統的核心機制，允許子頁面繼承父佈局的結構：
-   * - 子頁面使用 @extends('layout.html') 繼承佈局
-   * - 子頁面使用 @section('name') 定義內容區塊
-   * - 父佈局使用 @yield('name') 顯示子頁面內容
-   * - 支援多層繼承（A extends B extends C）
+   * 模板在組合前已加上來源位置標記（markSourceLines），
+   * 因此錯誤可以對應到佈局、section、partial 或組件的原始行號，而不是組合後的行號。
    *
-   * 範例：
+   * @param {string} template - 編譯失敗的模板（含位置標記）
+   * @param {Object} data - 執行模板時使用的資料
+   * @returns {{ file?: string, line?: number, source?: string }} 錯誤上下文（file、line 與程式碼片段）
    *
-   * 子頁面 (index.html):
-   *   @extends('layouts/app.html')
-   *   @section('title')
-   *     首頁
-   *   @endsection
-   *   @section('content')
-   *     <h1>歡迎</h1>
-   *   @endsection
+   * @example
+   * describeTemplateError(fullHtml, globalData)
+   * // 返回: { file: 'partials/card.html', line: 3, source: '1 | <div>\n2 | ...' }
+   */
+  const describeTemplateError = (template, data) => {
+    const location = locateTemplateError(template, data, defaultCompilerOptions, compileTemplate);
+    if (!location) {
+      return {};
+    }
+
+    const source = validatedSources.get(location.file);
+    return {
+      ...location,
+      source: source === undefined ? undefined : createCodeFrame(source, location.line)
+    };
+  };
+
+  /**
+   * 轉換 Blade 風格的邏輯標籤為 Lodash Template 語法
+   *
+   * 這是模板引擎的核心轉換函數，將易讀的 Blade 語法轉換為
+   * Lodash Template 可以執行的 <% %> 語法。
+   *
+   * 實際的解析由 blade-parser.js 完成（tokenize -> AST -> 程式碼產生）：
+   * - 指令參數以括號配對解析，支援 @if(fn(a, (b))) 與多行條件
+   * - 前面是英數字元的 @ 不視為指令（例如 email、@elsewhere）
+   * - 未閉合的區塊會自動閉合、多餘的結束指令會被忽略，其餘內容仍會正常輸出
+   *   （結構錯誤已由 validateTemplate 在讀取原始檔案時回報）
+   *
+   * 支援的 Blade 標籤：
+   * - @if / @elseif / @else / @endif、@unless - 條件判斷
+   * - @isset / @empty - 變數檢查
+   * - @switch / @case / @default / @endswitch - Switch 語句
+   * - @foreach / @forelse / @for / @while - 迴圈
+   * - @json、@include 系列、屬性指令
+   * - 自訂指令（directives 選項、api.directive）
+   * - {{ }} / {!! !!} 與 @json 中的管線語法（{{ title | upper }}）
+   *
+   * 效能優化：
+   * - 使用 LRU Cache 儲存轉換結果
+   * - 相同內容直接從快取返回（提升 50 倍以上）
+   * - 特別適合開發環境的 HMR（經常重複處理相同檔案）
+   *
+   * 技術細節：
+   * - 使用 MD5 作為快取鍵（速度快、碰撞率低）
+   * - 快取有效期 5 分鐘
+   * - 最多快取 100 個不同的內容
+   *
+   * @param {string} html - 包含 Blade 標籤的 HTML 字串
+   * @returns {string} 轉換後的 HTML（使用 Lodash Template 語法）
+   *
+   * @example
+   * // 條件判斷
+   * transformLogicTags(`
+   *   @if (user.isAdmin)
+   *     <p>管理員面板</p>
+   *   @endif
+   * `)
+   * // 返回: <% if (user.isAdmin) { %>...<% } %>
+   *
+   * @example
+   * // 迴圈
+   * transformLogicTags(`
+   *   @foreach(items as item)
+   *     <li>{{ item }}</li>
+   *   @endforeach
+   * `)
+   * // 返回: <% { ...; for (let item of __vphk_lc__) { ... %>...<% } } %>
+   */
+  const transformLogicTags = (html) => {
+    // ========================================
+    // 步驟 1: 檢查快取
+    // ========================================
+    const cacheKey = grammarKey + hash(html);
+    const cached = transformCache.get(cacheKey);
+
+    if (cached !== undefined) {
+      // 快取命中：直接返回，無需重新轉換
+      performanceStats.recordHit();
+      return cached;
+    }
+
+    // 快取未命中：需要執行轉換
+    performanceStats.recordMiss();
+
+    // 注意：@verbatim 區塊已在 transformIndexHtml 中預先處理
+    // 這裡會看到 HTML 註釋佔位符：<!-- __VPHK_VERBATIM_N__ -->
+    // 這些佔位符不會被任何 Blade 語法處理
+
+    // ========================================
+    // 步驟 1.5: 轉換 @markdown 區塊
+    // ========================================
+    // 位置標記會影響 Markdown 的區塊語法（# 標題、- 清單），先移除再轉換，
+    // 轉換後的 HTML 以區塊開頭的位置標記對應原始檔案
+    const source = html.replace(REGEX.MARKDOWN, resumeSourceAfter((match, content, offset, text) =>
+      sourceMarkerAt(text, offset) + renderMarkdown(stripSourceMarkers(content), { dedent: true })));
+
+    // ========================================
+    // 步驟 2: 解析並產生 Lodash Template 程式碼
+    // ========================================
+    const { code, errors } = compileBlade(source, grammars.logic);
+
+    // ========================================
+    // 步驟 3: 回報自訂指令 handler 的錯誤
+    // ========================================
+    // 結構錯誤已由 validateTemplate 回報，這裡只處理 handler 拋出的錯誤
+    // 以來源位置標記找出指令所在的原始檔案與行號
+    const directiveErrors = errors.filter(error => error.type === 'directive');
+    for (const error of directiveErrors) {
+      let offset = 0;
+      for (let line = 1; line < error.line; line++) {
+        offset = source.indexOf('\n', offset) + 1;
+      }
+      const location = sourceLocationAt(source, offset + error.column - 1);
+
+      createAndLogError(ErrorCodes.CUSTOM_DIRECTIVE_ERROR, [error.directive, error.error.message, location?.line], {
+        ...location,
+        directive: error.directive,
+        originalError: error.error
+      });
+    }
+
+    // ========================================
+    // 步驟 4: 儲存到快取
+    // ========================================
+    // 將轉換結果存入 LRU Cache，下次相同內容可直接使用
+    // handler 發生錯誤時不快取，下次渲染會重新執行並再次回報
+    if (directiveErrors.length === 0) {
+      transformCache.set(cacheKey, code);
+    }
+
+    return code;
+  };
+
+  /**
+   * 解析 HTML 中的 @section 區塊
+   *
+   * 從子頁面或佈局檔案中提取所有 @section 定義，
+   * 用於佈局繼承系統。
+   *
+   * Section 是佈局繼承的核心概念：
+   * - 子頁面使用 @section 定義內容區塊
+   * - 父佈局使用 @yield 顯示這些內容
+   * - 支援多層繼承（section 可以傳遞給更上層的佈局）
+   *
+   * 技術細節：
+   * - 使用 REGEX.SECTION 正則表達式匹配
+   * - 自動 trim 內容（移除前後空白）
+   * - 重置 lastIndex 避免狀態殘留（正則表達式的 /g 標誌問題）
+   * - 支援相同名稱的 section（後面的會覆蓋前面的）
+   *
+   * @param {string} html - 包含 @section 定義的 HTML 字串
+   * @returns {Object<string, string>} Section 名稱到內容的映射物件
+   *
+   * @example
+   * // 單個 section
+   * const html = `@section('title')首頁@endsection`;
+   * parseSections(html);
+   * // 返回: { title: '首頁' }
+   *
+   * @example
+   * // 多個 sections
+   * const html = `
+   *   @section('title')
+   *     部落格文章
+   *   @endsection
+   *
+   *   @section('content')
+   *     <h1>文章標題</h1>
+   *     <p>文章內容...</p>
+   *   @endsection
+   * `;
+   * parseSections(html);
+   * // 返回: {
+   * //   title: '部落格文章',
+   * //   content: '<h1>文章標題</h1>\n<p>文章內容...</p>'
+   * // }
+   *
+   * @example
+   * // Section 內容會自動 trim
+   * const html = `
+   *   @section('meta')
+   *
+   *     <meta name="description" content="...">
+   *
+   *   @endsection
+   * `;
+   * parseSections(html);
+   * // 返回: { meta: '<meta name="description" content="...">' }
+   *
+   * @example
+   * // 空的 HTML 或沒有 section
+   * parseSections('');
+   * // 返回: {}
+   *
+   * parseSections('<div>無 section</div>');
+   * // 返回: {}
+   */
+  const parseSections = (html) => {
+    const sections = {};
+
+    // 確保輸入有效
+    if (!html || typeof html !== 'string') {
+      return sections;
+    }
+
+    // ========================================
+    // 步驟 1: 處理簡寫語法 @section('name', 'content')
+    // ========================================
+    // 重置正則表達式的 lastIndex
+    REGEX.SECTION_SHORTHAND.lastIndex = 0;
+
+    let match;
+
+    // 使用 exec() 迴圈查找所有簡寫 @section
+    while ((match = REGEX.SECTION_SHORTHAND.exec(html)) !== null) {
+      const name = match[1];       // 第一個捕獲群組：section 名稱
+      const content = match[3];    // 第三個捕獲群組：section 內容（第二個是引號類型）
+
+      // 儲存 section 內容，並移除前後空白
+      // 如果有重複的 section 名稱，後面的會覆蓋前面的
+      sections[name] = content.trim();
+    }
+
+    // ========================================
+    // 步驟 2: 處理完整語法 @section('name')...@endsection
+    // ========================================
+    // 重置正則表達式的 lastIndex
+    // 重要：當正則表達式有 /g 標誌時，exec() 會保留狀態
+    // 如果不重置，可能會從上次的位置開始匹配，導致遺漏結果
+    REGEX.SECTION.lastIndex = 0;
+
+    // 使用 exec() 迴圈查找所有 @section 區塊
+    // exec() 會逐一返回匹配結果，直到沒有更多匹配為止
+    while ((match = REGEX.SECTION.exec(html)) !== null) {
+      const name = match[1];       // 第一個捕獲群組：section 名稱
+      const content = match[2];    // 第二個捕獲群組：section 內容
+
+      // 儲存 section 內容，並移除前後空白
+      // 如果有重複的 section 名稱，後面的會覆蓋前面的
+      sections[name] = content.trim();
+    }
+
+    return sections;
+  };
+
+  /**
+   * 解析 HTML 中的 @push 和 @prepend 區塊
+   *
+   * 從子頁面中提取所有 @push 和 @prepend 定義，
+   * 用於堆疊系統（CSS/JS 資源管理）。
+   *
+   * @param {string} html - 包含 @push/@prepend 標籤的 HTML
+   * @returns {Object} stacks - 鍵為 stack 名稱，值為內容陣列
+   *
+   * @example
+   * const stacks = parseStacks(`
+   *   @push('styles')
+   *     <link href="/css/custom.css" rel="stylesheet">
+   *   @endpush
+   *
+   *   @push('styles')
+   *     <style>body { margin: 0; }</style>
+   *   @endpush
+   *
+   *   @prepend('scripts')
+   *     <script src="/js/critical.js"></script>
+   *   @endprepend
+   * `);
+   *
+   * // 返回:
+   * // {
+   * //   styles: [
+   * //     { type: 'push', content: '<link href="/css/custom.css" rel="stylesheet">' },
+   * //     { type: 'push', content: '<style>body { margin: 0; }</style>' }
+   * //   ],
+   * //   scripts: [
+   * //     { type: 'prepend', content: '<script src="/js/critical.js"></script>' }
+   * //   ]
+   * // }
+   */
+  const parseStacks = (html) => {
+    const stacks = {};
+
+    // 確保輸入有效
+    if (!html || typeof html !== 'string') {
+      return stacks;
+    }
+
+    // ========================================
+    // 步驟 1: 處理 @push 區塊
+    // ========================================
+    // @push 將內容添加到堆疊的末尾
+    REGEX.PUSH.lastIndex = 0;
+    let match;
+
+    while ((match = REGEX.PUSH.exec(html)) !== null) {
+      const name = match[1];     // stack 名稱
+      const content = match[2];  // 內容
+
+      // 初始化堆疊（如果不存在）
+      if (!stacks[name]) {
+        stacks[name] = [];
+      }
+
+      // 添加到堆疊末尾（push）
+      stacks[name].push({
+        type: 'push',
+        content: content.trim()
+      });
+    }
+
+    // ========================================
+    // 步驟 2: 處理 @prepend 區塊
+    // ========================================
+    // @prepend 將內容添加到堆疊的開頭
+    REGEX.PREPEND.lastIndex = 0;
+
+    while ((match = REGEX.PREPEND.exec(html)) !== null) {
+      const name = match[1];     // stack 名稱
+      const content = match[2];  // 內容
+
+      // 初始化堆疊（如果不存在）
+      if (!stacks[name]) {
+        stacks[name] = [];
+      }
+
+      // 添加到堆疊開頭（prepend）
+      stacks[name].push({
+        type: 'prepend',
+        content: content.trim()
+      });
+    }
+
+    return stacks;
+  };
+
+  /**
+   * 處理佈局繼承（含循環引用檢測）
+   *
+   * 佈局繼承是模板系統的核心機制，允許子頁面繼承父佈局的結構：
+   * - 子頁面使用 @extends('layout.html') 繼承佈局
+   * - 子頁面使用 @section('name') 定義內容區塊
+   * - 父佈局使用 @yield('name') 顯示子頁面內容
+   * - 支援多層繼承（A extends B extends C）
+   *
+   * 範例：
+   *
+   * 子頁面 (index.html):
+   *   @extends('layouts/app.html')
+   *   @section('title')
+   *     首頁
+   *   @endsection
+   *   @section('content')
+   *     <h1>歡迎</h1>
+   *   @endsection
+   *
+   * 父佈局 (layouts/app.html):
+   *   <!DOCTYPE html>
+   *   <html>
+   *   <head><title>@yield('title', '預設標題')</title></head>
+   *   <body>
+   *     <main>@yield('content')</main>
+   *   </body>
+   *   </html>
+   *
+   * 最終結果:
+   *   <!DOCTYPE html>
+   *   <html>
+   *   <head><title>首頁</title></head>
+   *   <body>
+   *     <main><h1>歡迎</h1></main>
+   *   </body>
+   *   </html>
+   *
+   * @param {string} html - 包含 @extends 和 @section 的 HTML 字串
+   * @param {string} [currentFile='root'] - 當前檔案名稱（用於循環引用檢測）
+   * @param {Object} [inheritedSections={}] - 從子頁面繼承的 sections
+   * @returns {string} 處理後的 HTML（已應用佈局）
+   */
+  const processExtends = (() => {
+    // ========================================
+    // 閉包變數：佈局堆疊（循環引用檢測）
+    // ========================================
+    // 為什麼使用閉包：
+    // - 在遞迴處理多層佈局時，需要追蹤當前的佈局路徑鏈
+    // - 防止循環引用（A extends B extends A）
+    // - 閉包確保每次呼叫共用同一個 stack
+    const layoutStack = [];
+
+    return function process(html, currentFile = 'root', inheritedSections = {}, inheritedStacks = {}) {
+
+      // ========================================
+      // 步驟 1: 檢查是否需要處理佈局繼承
+      // ========================================
+      // 如果沒有 @extends 指令，直接返回原始 HTML
+      const extendsMatch = html.match(REGEX.EXTENDS);
+      if (!extendsMatch) {
+        return html;
+      }
+
+      // ========================================
+      // 步驟 2: 提取佈局路徑
+      // ========================================
+      // 從 @extends('layouts/app.html') 提取 'layouts/app.html'
+      const layoutPath = extendsMatch[0].replace(REGEX.EXTENDS, '$1');
+
+      // ========================================
+      // 步驟 3: 循環引用檢測
+      // ========================================
+      // 檢查當前佈局是否已在堆疊中（表示循環引用）
+      // 範例：index.html extends app.html extends base.html extends app.html (❌ 循環)
+      if (layoutStack.includes(layoutPath)) {
+        const cycle = [...layoutStack, layoutPath].join(' → ');
+        const error = createAndLogError(ErrorCodes.CIRCULAR_LAYOUT_REFERENCE, [cycle], {
+          layoutPath,
+          layoutStack: [...layoutStack],
+          currentFile
+        });
+        return error.toHTMLComment();
+      }
+
+      // 將當前佈局加入堆疊
+      layoutStack.push(layoutPath);
+
+      try {
+        // ========================================
+        // 步驟 4: 解析當前頁面的 Section 內容
+        // ========================================
+        // 移除 @extends 指令（已經提取了路徑）
+        html = html.replace(REGEX.EXTENDS, '');
+
+        // 解析所有 @section 區塊
+        // 範例：@section('title') 首頁 @endsection
+        //       sections = { title: '首頁' }
+        const sections = parseSections(html);
+
+        // 移除所有 @section 定義（內容已提取到 sections 物件）
+        html = html.replace(REGEX.SECTION, '');
+
+        // 解析所有 @push/@prepend 區塊
+        // 範例：@push('scripts') <script src="..."></script> @endpush
+        //       stacks = { scripts: [{ type: 'push', content: '<script...>' }] }
+        const stacks = parseStacks(html);
+
+        // 移除所有 @push/@prepend 定義（內容已提取到 stacks 物件）
+        html = html.replace(REGEX.PUSH, '');
+        html = html.replace(REGEX.PREPEND, '');
+
+        // ========================================
+        // 步驟 5: 讀取佈局檔案（含安全性檢查）
+        // ========================================
+        const {
+          filePath: layoutFilePath,
+          allowedDir: absolutePartialsDir,
+          allowed
+        } = resolvePartialPath(layoutPath);
+
+        // 🔒 安全性檢查：路徑遍歷攻擊防護
+        // 防止惡意路徑如 '../../../etc/passwd'
+        // 確保解析後的檔案路徑必須在 partialsDir 目錄內
+        if (!allowed) {
+          const error = createAndLogError(ErrorCodes.PATH_TRAVERSAL_LAYOUT, [layoutPath], {
+            layoutPath,
+            resolvedPath: layoutFilePath,
+            allowedDir: absolutePartialsDir,
+            currentFile
+          });
+          return error.toHTMLComment();
+        }
+
+        // 記錄依賴（HMR 用）
+        trackDependency(layoutFilePath);
+
+        // 檢查檔案是否存在
+        if (!fs.existsSync(layoutFilePath)) {
+          const error = createAndLogError(ErrorCodes.LAYOUT_FILE_NOT_FOUND, [layoutPath], {
+            layoutPath,
+            searchedPath: layoutFilePath,
+            partialsDir: absolutePartialsDir,
+            currentFile
+          });
+          return error.toHTMLComment();
+        }
+
+        // 讀取佈局檔案內容
+        const layoutSource = fs.readFileSync(layoutFilePath, 'utf-8');
+        validateTemplate(layoutSource, layoutPath);
+        let layoutContent = markSourceLines(expandParentDirective(layoutSource, layoutPath, absolutePartialsDir), layoutPath);
+
+        // ========================================
+        // 步驟 6: 處理多層佈局繼承
+        // ========================================
+        // 佈局檔案本身也可能 extends 其他佈局
+        // 範例：index.html extends app.html extends base.html
+
+        // 先提取佈局中的 sections（如果有）
+        const layoutSections = parseSections(layoutContent);
+
+        // 合併所有可用的 sections：
+        // - inheritedSections: 從更深層子頁面傳遞來的
+        // - sections: 當前頁面定義的
+        // 優先順序：當前頁面 > 繼承的（覆蓋同名 section）
+        const allSections = { ...inheritedSections, ...sections };
+
+        // 合併所有可用的 stacks：
+        // - inheritedStacks: 從更深層子頁面傳遞來的（子頁面的 push/prepend）
+        // - stacks: 當前頁面定義的（當前子頁面的 push/prepend）
+        // - 佈局檔案的 stacks 會在遞迴處理時被解析
+        //
+        // Stack 累積邏輯：子頁面的 push/prepend 會累積並傳遞給父佈局
+        // 最終在 @stack 位置輸出時，佈局的 stack 會在前，子頁面的 stack 會在後
+        //
+        // 範例執行流程（從外到內）：
+        // 1. Page 有 push('styles', 'dashboard.css')
+        // 2. App Layout 有 push('styles', 'app.css')
+        // 3. Base Layout 有 @stack('styles')
+        //
+        // 處理順序（從內到外）：
+        // - processExtends(Page) 提取 dashboard.css，傳給 App
+        // - processExtends(App) 提取 app.css，合併為 [app.css, dashboard.css]，傳給 Base
+        // - processExtends(Base) 在 @stack 位置輸出 [app.css, dashboard.css]
+        const allStacks = {};
+
+        // 先加入當前頁面的 stacks
+        Object.keys(stacks).forEach(name => {
+          allStacks[name] = [...stacks[name]];
+        });
+
+        // 再加入繼承的 stacks（追加到後面）
+        Object.keys(inheritedStacks).forEach(name => {
+          if (!allStacks[name]) {
+            allStacks[name] = [];
+          }
+          allStacks[name].push(...inheritedStacks[name]);
+        });
+
+        // 遞迴處理佈局的 @extends，並傳遞合併後的 sections 和 stacks
+        layoutContent = process(layoutContent, layoutPath, allSections, allStacks);
+
+        // ========================================
+        // 步驟 7: 替換 @yield 佔位符
+        // ========================================
+        // @yield 的優先順序（由高到低）：
+        // 1. 當前頁面的 section
+        // 2. 繼承的 section（從子頁面傳遞）
+        // 3. 佈局自己定義的 section
+        // 4. @yield 的默認值
+        // 5. 空字串
+        // 插入的 section 來自其他檔案，resumeSourceAfter 在後面恢復佈局的行號
+        layoutContent = layoutContent.replace(REGEX.YIELD, resumeSourceAfter((match, name, defaultValue) => {
+          // 優先使用當前頁面的 section
+          if (sections[name] !== undefined) {
+            return sections[name];
+          }
+          // 其次使用繼承的 section
+          if (inheritedSections[name] !== undefined) {
+            return inheritedSections[name];
+          }
+          // 再次使用佈局自己的 section
+          if (layoutSections[name] !== undefined) {
+            return layoutSections[name];
+          }
+          // 最後使用默認值或空字串
+          if (defaultValue !== undefined) {
+            return defaultValue;
+          }
+          return '';
+        }));
+
+        // ========================================
+        // 步驟 8: 替換 @stack 佔位符
+        // ========================================
+        // @stack 會被替換為所有 push/prepend 的內容
+        // 順序：prepend 內容（先進先出）+ push 內容（先進先出）
+        layoutContent = layoutContent.replace(REGEX.STACK, resumeSourceAfter((match, name) => {
+          // 如果沒有對應的 stack，返回空字串
+          if (!allStacks[name] || allStacks[name].length === 0) {
+            return '';
+          }
+
+          // 分離 prepend 和 push
+          const prepends = allStacks[name].filter(item => item.type === 'prepend');
+          const pushes = allStacks[name].filter(item => item.type === 'push');
+
+          // 組合內容：prepends 在前，pushes 在後
+          const allContent = [
+            ...prepends.map(item => item.content),
+            ...pushes.map(item => item.content)
+          ];
+
+          // 用換行符連接所有內容
+          return allContent.join('\n');
+        }));
+
+        return layoutContent;
+
+      } catch (error) {
+        // ========================================
+        // 錯誤處理
+        // ========================================
+        const pluginError = createAndLogError(ErrorCodes.LAYOUT_PROCESSING_ERROR, [layoutPath], {
+          layoutPath,
+          currentFile,
+          originalError: error
+        });
+        return pluginError.toHTMLComment();
+
+      } finally {
+        // ========================================
+        // 清理：移除佈局堆疊
+        // ========================================
+        // 無論成功或失敗，都要從堆疊中移除當前佈局
+        // 這樣才能正確處理下一個佈局
+        layoutStack.pop();
+      }
+    };
+  })();
+
+  /**
+   * 遞迴解析 HTML Include 標籤（含循環引用檢測）
+   *
+   * Include 機制允許重用 HTML 片段（partial），類似組件系統：
+   * - 使用 <include src="..." /> 載入外部 HTML 檔案
+   * - 透過 HTML 屬性傳遞資料給 partial
+   * - 支援 Slot 機制（類似 Vue/React 的 children）
+   * - 支援遞迴 include（partial 內可再 include 其他 partial）
+   *
+   * 兩種使用方式：
+   *
+   * 1. 自閉合標籤（無 slot）:
+   *    <include src="header.html" title="首頁" active="true" />
+   *
+   * 2. 包含內容標籤（有 slot）:
+   *    <include src="card.html" title="標題">
+   *      @slot('content')
+   *        <p>卡片內容</p>
+   *      @endslot
+   *      @slot('footer')
+   *        <button>確定</button>
+   *      @endslot
+   *    </include>
+   *
+   * Partial 檔案範例 (card.html):
+   *    <div class="card">
+   *      <h3>{{ title }}</h3>
+   *      <div class="body">@slot('content', '預設內容')</div>
+   *      <div class="footer">@slot('footer')</div>
+   *    </div>
+   *
+   * @param {string} html - 包含 include 標籤的 HTML 字串
+   * @param {Object} dataContext - 當前可用的資料上下文
+   * @param {string} [currentFile='root'] - 當前正在處理的檔案名稱（用於循環引用檢測）
+   * @returns {string} 處理後的 HTML（include 標籤已被實際內容取代）
+   */
+  const resolveIncludes = (() => {
+    // ========================================
+    // 閉包變數：Include 堆疊（循環引用檢測）
+    // ========================================
+    // 防止無限遞迴：A includes B includes C includes A (❌ 循環)
+    const includeStack = [];
+
+    /**
+     * 讀取 partial 或組件檔案並做渲染前的預處理
+     *
+     * - 檢查原始內容的指令結構（validateTemplate）
+     * - 替換 @parent（只有 include 的 partial 提供 parent）
+     * - Markdown partial（.md）：解析 front matter，內容轉換為 HTML（其中的 {{ }} 與指令保留給之後的流程）
+     * - 加上來源位置標記（錯誤訊息與除錯對照表用；Markdown partial 的行號為轉換後 HTML 的行號）
+     * - 處理檔案內的佈局繼承（@extends）
+     * - 處理 @once 區塊：同一段內容在整個頁面只輸出一次，
+     *   例如 alert.html 被 include 3 次，裡面的 jQuery 只載入一次
+     *
+     * @param {string} filePath - 檔案絕對路徑
+     * @param {string} src - 相對於 partialsDir 的路徑（用於佈局與錯誤訊息）
+     * @param {{ src: string, dir: string }} [parent] - @parent 的查找路徑與檔案所在目錄
+     * @returns {{ content: string, data: Object }} 預處理後的模板內容與 front matter 資料（只有 Markdown partial 有）
+     */
+    const loadPartial = (filePath, src, parent) => {
+      const source = fs.readFileSync(filePath, 'utf-8');
+      const markdown = isMarkdownFile(filePath);
+      const { data, content: body } = markdown ? parseFrontMatter(source, src) : { data: {}, content: source };
+
+      // front matter 以空行代替，結構錯誤的行號對應原始檔案
+      const frontMatterLines = source.slice(0, source.length - body.length).replace(/[^\n]/g, '');
+      validateTemplate(frontMatterLines + body, src);
+
+      const expanded = parent ? expandParentDirective(body, parent.src, parent.dir) : body;
+      const html = markdown ? renderMarkdown(expanded) : expanded;
+      const content = processExtends(markSourceLines(html, src), src);
+
+      return {
+        data,
+        content: content.replace(REGEX.ONCE, (match, onceContent) => {
+          // 使用內容的 hash 作為唯一識別碼，已輸出過的區塊返回空字串
+          // （不含位置標記，不同檔案中相同的內容同樣只輸出一次）
+          const contentHash = hash(stripSourceMarkers(onceContent));
+          if (onceBlocks.has(contentHash)) {
+            return '';
+          }
+          onceBlocks.add(contentHash);
+          return onceContent;
+        })
+      };
+    };
+
+    /**
+     * 將 <x-name> 組件標籤轉換為執行期的組件呼叫
+     *
+     * 組件檔案位於 partialsDir/components，名稱中的 . 代表子目錄：
+     * - <x-card> -> components/card.html
+     * - <x-forms.input> -> components/forms/input.html
+     *
+     * 組件與 Blade 相同，在外層模板執行到該位置時才渲染，因此可以放在 @foreach / @for 內：
+     * - :title="x" 與 title="{{ x }}" 轉換為在外層模板中求值的函式，可以使用迴圈變數
+     * - slot 內容留在外層模板中，以外層的變數渲染後收集為字串
+     *   （以 Lodash template 的輸出變數 __p 暫存：先保存目前的輸出，渲染 slot 後取回）
+     * - 最後呼叫 imports[COMPONENT_VARIABLE]（renderComponent）渲染組件並輸出
+     *
+     * 找不到組件或路徑不合法時直接返回錯誤註解。
+     *
+     * @param {{ name: string, attributes: string, content: string }} component - findComponentTags 的結果
+     * @param {Object} dataContext - 外層資料上下文
+     * @param {string} currentFile - 當前檔案（用於錯誤訊息）
+     * @returns {string} 模板程式碼
+     *
+     * @example
+     * // <x-card :title="post.title">{{ post.body }}</x-card>
+     * // 返回（簡化）:
+     * // <% var __vphk_slots_0__ = [__p]; __p = ''; %>{{ post.body }}<% __vphk_slots_0__.push(__p); __p = ''; %>
+     * // <% __p = __vphk_slots_0__.shift(); print(__vphk_component__(0, [[":title", "post.title", function () { return (post.title); }]], __vphk_slots_0__)); %>
+     */
+    const componentCall = (component, dataContext, currentFile) => {
+      const { name, attributes, content } = component;
+
+      // ----------------------------------------
+      // 步驟 1: 解析組件檔案路徑（含安全檢查）
+      // ----------------------------------------
+      const src = componentSource(name);
+      const { filePath, allowedDir: absolutePartialsDir, allowed } = resolvePartialPath(src);
+
+      // 🔒 安全性檢查：路徑遍歷攻擊防護
+      if (!allowed) {
+        const error = createAndLogError(ErrorCodes.PATH_TRAVERSAL_INCLUDE, [src], {
+          includePath: src,
+          resolvedPath: filePath,
+          allowedDir: absolutePartialsDir,
+          currentFile
+        });
+        return error.toHTMLComment();
+      }
+
+      // 記錄依賴（HMR 用）：在這裡記錄，沒有執行到的組件（例如空迴圈內）也會觸發重新載入
+      trackDependency(filePath);
+
+      if (!fs.existsSync(filePath)) {
+        const error = createAndLogError(ErrorCodes.COMPONENT_NOT_FOUND, [name, filePath], {
+          component: name,
+          searchedPath: filePath,
+          currentFile
+        });
+        return error.toHTMLComment();
+      }
+
+      // ----------------------------------------
+      // 步驟 2: 屬性轉換為 [名稱, 原始值, 求值函式]
+      // ----------------------------------------
+      // :items="posts" 與 title="{{ x }}" 以外層模板的變數求值，title="文字" 保留字串
+      const filterNames = new Set(Object.keys(defaultCompilerOptions.imports[FILTERS_VARIABLE]));
+      const attributeEntries = Object.entries(parseAttributes(attributes)).map(([key, value]) => {
+        const literal = `${scriptLiteral(key)}, ${scriptLiteral(value)}`;
+        const isBound = key.startsWith(':');
+        const expressionMatch = typeof value === 'string' && !isBound ? value.trim().match(REGEX.ATTR_EXPRESSION) : null;
+        if (!isBound && !expressionMatch) {
+          return `[${literal}]`;
+        }
+        const expression = compilePipes(
+          stripSourceMarkers(isBound ? value.trim() : (expressionMatch[1] ?? expressionMatch[2]).trim()),
+          filterNames
+        );
+        return `[${literal}, function () { return (${expression}\n); }]`;
+      });
+
+      // ----------------------------------------
+      // 步驟 3: slot 留在外層模板中渲染並收集
+      // ----------------------------------------
+      // slot 內的巢狀組件同樣屬於外層檔案
+      const { slot, slots } = parseComponentSlots(content);
+      const id = componentCalls.push({
+        name,
+        src,
+        filePath,
+        slotNames: ['slot', ...Object.keys(slots)],
+        dataContext,
+        currentFile
+      }) - 1;
+      const captured = `__vphk_slots_${id}__`;
+      const slotCode = [slot, ...Object.values(slots)]
+        .map(slotContent => `${replaceComponents(slotContent, dataContext, currentFile)}<% ${captured}.push(__p); __p = ''; %>`)
+        .join('');
+
+      return `<% var ${captured} = [__p]; __p = ''; %>${slotCode}` +
+        `<% __p = ${captured}.shift(); print(${COMPONENT_VARIABLE}(${id}, [${attributeEntries.join(', ')}], ${captured})); %>`;
+    };
+
+    /**
+     * 渲染組件（模板執行時由 componentCall 產生的程式碼呼叫）
+     *
+     * 資料合併順序（後者覆蓋前者）：
+     * 外層資料 < @props 預設值 < 標籤屬性 < slot < attributes 屬性包
+     *
+     * slot 以 ComponentSlot 傳入，{{ slot }} 不會轉義已渲染的 HTML；
+     * 空的 slot 為空字串，@if(footer) 等判斷照常使用。
+     *
+     * @param {number} id - componentCalls 的索引
+     * @param {Array<[string, *, Function?]>} attributeEntries - 屬性名稱、原始值與求值函式
+     * @param {string[]} slotValues - 依 slotNames 順序渲染後的 slot
+     * @returns {string} 渲染後的 HTML
+     */
+    const renderComponent = (id, attributeEntries, slotValues) => {
+      const { name, src, filePath, slotNames, dataContext, currentFile } = componentCalls[id];
+
+      // 組件在自己的模板內使用自己（直接或間接）時停止，避免無限遞迴
+      if (includeStack.includes(src)) {
+        const cycle = [...includeStack, src].join(' → ');
+        const error = createAndLogError(ErrorCodes.CIRCULAR_INCLUDE_REFERENCE, [cycle], {
+          currentFile,
+          includeStack: [...includeStack]
+        });
+        return error.toHTMLComment();
+      }
+
+      // 編譯前的模板與資料（發生錯誤時用於找出原始行號）
+      let resolvedContent;
+      let currentData;
+
+      try {
+        // ----------------------------------------
+        // 步驟 1: 讀取組件並解析 @props 預設值
+        // ----------------------------------------
+        const { defaults, content: template } = parseComponentProps(loadPartial(filePath, src).content, sandboxRuntime);
+
+        // ----------------------------------------
+        // 步驟 2: 求值屬性（失敗時保留原始字串）
+        // ----------------------------------------
+        const locals = {};
+        for (const [key, value, evaluate] of attributeEntries) {
+          if (!evaluate) {
+            locals[key] = value;
+            continue;
+          }
+          const propName = key.startsWith(':') ? key.slice(1) : key;
+          try {
+            locals[propName] = evaluate();
+          } catch (error) {
+            // 沙箱錯誤以 E2003 / E2004 記錄
+            logTemplateError(error, ErrorCodes.ATTRIBUTE_EVAL_FAILED, [key, value], {
+              attributeName: key,
+              attributeValue: value
+            });
+            locals[propName] = value;
+          }
+        }
+
+        const slotData = lodash.zipObject(slotNames, slotValues.map(value => (
+          stripSourceMarkers(value).trim() ? new ComponentSlot(value) : ''
+        )));
+
+        // ----------------------------------------
+        // 步驟 3: 處理組件內的 include / 組件，再編譯模板
+        // ----------------------------------------
+        // 屬性包不包含 @props 宣告的屬性
+        currentData = {
+          _: dataLodash,
+          ...dataContext,
+          ...defaults,
+          ...locals,
+          ...slotData,
+          attributes: new AttributeBag(lodash.omit(locals, Object.keys(defaults)))
+        };
+        resolvedContent = resolveIncludes(template, currentData, src);
+
+        includeStack.push(src);
+        try {
+          return compileTemplate(resolvedContent, defaultCompilerOptions)(currentData);
+        } finally {
+          includeStack.pop();
+        }
+
+      } catch (error) {
+        const pluginError = logTemplateError(error, ErrorCodes.COMPONENT_PROCESSING_ERROR, [name], {
+          component: name,
+          componentPath: src,
+          currentFile,
+          ...(resolvedContent === undefined ? {} : describeTemplateError(resolvedContent, currentData))
+        });
+        return pluginError.toHTMLComment();
+      }
+    };
+
+    /**
+     * 替換 HTML 中最外層的 <x-name> 組件標籤
+     *
+     * 內容中的巢狀組件在處理 slot 時遞迴處理。
+     *
+     * @param {string} html - HTML 字串
+     * @param {Object} dataContext - 當前資料上下文
+     * @param {string} currentFile - 當前檔案（用於錯誤訊息）
+     * @returns {string} 組件標籤已轉換為組件呼叫的 HTML
+     */
+    const replaceComponents = (html, dataContext, currentFile) => {
+      let result = '';
+      let lastIndex = 0;
+
+      for (const component of findComponentTags(html)) {
+        // 組件呼叫之後補上外層檔案的位置標記
+        result += html.slice(lastIndex, component.start) +
+          componentCall(component, dataContext, currentFile) +
+          sourceMarkerAt(html, component.end);
+        lastIndex = component.end;
+      }
+
+      return result + html.slice(lastIndex);
+    };
+
+    // 模板中的組件呼叫（imports[COMPONENT_VARIABLE]）
+    defaultCompilerOptions.imports[COMPONENT_VARIABLE] = renderComponent;
+
+    return function resolve(html, dataContext, currentFile = 'root') {
+
+      // ========================================
+      // 步驟 1: 循環引用檢測
+      // ========================================
+      // 檢查當前檔案是否已在處理堆疊中
+      if (includeStack.includes(currentFile)) {
+        const cycle = [...includeStack, currentFile].join(' → ');
+        const error = createAndLogError(ErrorCodes.CIRCULAR_INCLUDE_REFERENCE, [cycle], {
+          currentFile,
+          includeStack: [...includeStack]
+        });
+        return error.toHTMLComment();
+      }
+
+      // 將當前檔案加入堆疊
+      includeStack.push(currentFile);
+
+      try {
+        // ========================================
+        // 步驟 2: 預處理 - 轉換 Blade 邏輯標籤
+        // ========================================
+        // 先轉換當前層的 @if、@foreach 等標籤為 Lodash Template 語法
+        // 這樣在 include 的 partial 內也能使用 Blade 語法
+        let processedHtml = transformLogicTags(html);
+
+        // ========================================
+        // 步驟 2.5: 將 <x-name> 組件標籤轉換為組件呼叫
+        // ========================================
+        // 組件在模板執行時才渲染，slot 與屬性使用外層模板的變數（含迴圈變數）
+        processedHtml = replaceComponents(processedHtml, dataContext, currentFile);
+
+        // ========================================
+        // 步驟 3: 替換所有 <include> 標籤
+        // ========================================
+        return processedHtml.replace(REGEX.INCLUDE, resumeSourceAfter((match, src, attributesStr, includeContent, src2, attributesStr2) => {
+
+          // ----------------------------------------
+          // 步驟 3.1: 識別 Include 標籤類型
+          // ----------------------------------------
+          // 兩種形式：
+          // - 形式1: <include src="..." ...>content</include>（包含 slot）
+          // - 形式2: <include src="..." ... />（自閉合，無 slot）
+          if (!src) {
+            src = src2;
+            attributesStr = attributesStr2;
+            includeContent = '';
+          }
+
+          // ----------------------------------------
+          // 步驟 3.2: 解析檔案路徑（含安全檢查）
+          // ----------------------------------------
+          let filePath;
+          let absolutePartialsDir;
+          let allowed = true;
+
+          // partial 內 @parent 的查找路徑（@parent 的 include 使用原本的路徑，src 改為實際檔案的位置）
+          const lookupSrc = src;
+          const includeParentAttr = attributesStr?.match(/\s*data-include-parent=["']([^"']+)["']/);
+
+          // ----------------------------------------
+          // 步驟 3.2.1: 處理 @includeFirst - 找第一個存在的檔案
+          // ----------------------------------------
+          const includeFirstAttr = attributesStr?.match(/data-include-first=["']([^"']+)["']/);
+          if (includeFirstAttr) {
+            try {
+              // 解析檔案列表（從 HTML 實體解碼）
+              const filesJson = includeFirstAttr[1].replace(/&quot;/g, '"');
+              const files = JSON.parse(filesJson);
+
+              // 找到第一個存在的檔案
+              let foundFile = null;
+              let foundPath = null;
+
+              for (const file of files) {
+                const { filePath: testPath, allowedDir, allowed: testAllowed } = resolvePartialPath(file);
+
+                // 安全性檢查
+                if (!testAllowed) {
+                  continue;
+                }
+
+                // 所有候選檔案都記錄為依賴，前面的檔案新增後也能觸發 HMR
+                trackDependency(testPath);
+
+                if (fs.existsSync(testPath)) {
+                  foundFile = file;
+                  foundPath = testPath;
+                  absolutePartialsDir = allowedDir;
+                  break;
+                }
+              }
+
+              // 如果沒有找到任何檔案，靜默失敗（@includeFirst 的預期行為）
+              if (!foundFile || !foundPath) {
+                return '';
+              }
+
+              // 更新 src 和 filePath 為找到的檔案
+              src = foundFile;
+              filePath = foundPath;
+
+              // 移除 data-include-first 屬性，避免再次處理
+              attributesStr = attributesStr.replace(/\s*data-include-first=["'][^"']*["']/, '');
+            } catch (e) {
+              // 解析失敗，靜默失敗
+              return '';
+            }
+          } else if (includeParentAttr) {
+            // ----------------------------------------
+            // 步驟 3.2.2: 處理 @parent - 從 partial 所在目錄的下一個目錄開始查找同名檔案
+            // ----------------------------------------
+            attributesStr = attributesStr.replace(includeParentAttr[0], '');
+            const parentTarget = resolvePartialPath(src, includeParentAttr[1]);
+
+            if (parentTarget?.allowed) {
+              // 之後新增上一層檔案時也能觸發 HMR
+              trackDependency(parentTarget.filePath);
+            }
+            if (!parentTarget || (parentTarget.allowed && !fs.existsSync(parentTarget.filePath))) {
+              const error = createAndLogError(ErrorCodes.PARENT_PARTIAL_NOT_FOUND, [src], {
+                includePath: src,
+                searchedAfter: includeParentAttr[1],
+                currentFile
+              });
+              return error.toHTMLComment();
+            }
+
+            ({ filePath, allowedDir: absolutePartialsDir, allowed } = parentTarget);
+            // 與覆蓋的檔案同名，以相對於 root 的路徑區分（循環引用檢測與錯誤訊息）
+            src = path.relative(options.root || process.cwd(), filePath).split(path.sep).join('/');
+          } else {
+            ({ filePath, allowedDir: absolutePartialsDir, allowed } = resolvePartialPath(src));
+          }
+
+          // 🔒 安全性檢查：路徑遍歷攻擊防護
+          // 防止惡意路徑如 '../../../etc/passwd'
+          if (!allowed) {
+            const error = createAndLogError(ErrorCodes.PATH_TRAVERSAL_INCLUDE, [src], {
+              includePath: src,
+              resolvedPath: filePath,
+              allowedDir: absolutePartialsDir,
+              currentFile
+            });
+            return error.toHTMLComment();
+          }
+
+          // 記錄依賴（HMR 用）
+          trackDependency(filePath);
+
+          // ----------------------------------------
+          // 步驟 3.2.3: 處理 @includeIf - 只在檔案存在時 include
+          // ----------------------------------------
+          const includeIfAttr = attributesStr?.match(/data-include-if=["']true["']/);
+          if (includeIfAttr) {
+            // 如果檔案不存在，靜默失敗（不報錯）
+            if (!fs.existsSync(filePath)) {
+              return '';
+            }
+            // 移除 data-include-if 屬性，避免再次處理
+            attributesStr = attributesStr.replace(/\s*data-include-if=["']true["']/, '');
+          } else {
+            // 一般的 include：檔案不存在時報錯
+            if (!fs.existsSync(filePath)) {
+              const error = createAndLogError(ErrorCodes.INCLUDE_FILE_NOT_FOUND, [src], {
+                includePath: src,
+                searchedPath: filePath,
+                partialsDir: absolutePartialsDir,
+                currentFile
+              });
+              return error.toHTMLComment();
+            }
+          }
+
+          // 模板編譯 / 執行失敗時的原始位置（檔案、行號、程式碼片段）
+          let templateError = {};
+
+          try {
+            // ----------------------------------------
+            // 步驟 3.3: 讀取 Partial 檔案（含佈局繼承、@once 與 Markdown）
+            // ----------------------------------------
+            const { content, data: partialData } = loadPartial(filePath, src, { src: lookupSrc, dir: absolutePartialsDir });
+
+            // Markdown partial 的 front matter 也提供給 include 它的模板（不覆蓋既有的資料），
+            // 例如頁面 include posts/intro.md 後，佈局可以使用其中的 title
+            lodash.defaults(dataContext, partialData);
+
+            // ----------------------------------------
+            // 步驟 3.4: 解析 Slot 內容
+            // ----------------------------------------
+            // 從 <include>...</include> 內容中提取所有 @slot 區塊
+            // 範例：
+            //   @slot('header')
+            //     <h1>標題</h1>
+            //   @endslot
+            // 解析為: slots = { header: '<h1>標題</h1>' }
+            const slots = {};
+            if (includeContent && includeContent.trim()) {
+              // 重置正則表達式的 lastIndex（重要！）
+              REGEX.SLOT_BLOCK.lastIndex = 0;
+
+              let slotMatch;
+              while ((slotMatch = REGEX.SLOT_BLOCK.exec(includeContent)) !== null) {
+                const slotName = slotMatch[1];
+                const slotContent = slotMatch[2];
+                slots[slotName] = slotContent.trim();
+              }
+            }
+
+            // ----------------------------------------
+            // 步驟 3.6: 解析傳遞的屬性（Locals）
+            // ----------------------------------------
+            // 從 <include src="..." title="首頁" count="5" />
+            // 解析為: { title: "首頁", count: "5" }
+            const rawLocals = parseAttributes(attributesStr);
+
+            // 移除不應該存在的 locals 屬性（舊版語法遺留）
+            if (rawLocals.locals) {
+              delete rawLocals.locals;
+            }
+
+            // ----------------------------------------
+            // 步驟 3.7: 評估屬性表達式
+            // ----------------------------------------
+            // 將屬性值中的 {{ }} 表達式求值
+            // 範例: count="{{ items.length }}" 會被評估為實際數字
+            const locals = evaluateAttributeExpressions(rawLocals, dataContext, defaultCompilerOptions, sandboxRuntime);
+
+            // ----------------------------------------
+            // 步驟 3.8: 合併資料上下文
+            // ----------------------------------------
+            // 合併順序（後者覆蓋前者）：
+            // 1. Lodash 工具函式（_）
+            // 2. 全域資料上下文
+            // 3. Markdown partial 的 front matter
+            // 4. 局部變數（傳入的屬性）
+            // 5. attributes 屬性包（轉交屬性到 partial 的根元素；@parent 沿用覆蓋檔案收到的屬性）
+            const attributes = includeParentAttr && dataContext.attributes ? dataContext.attributes : new AttributeBag(locals);
+            const currentData = { _: dataLodash, ...dataContext, ...partialData, ...locals, attributes };
+
+            // ----------------------------------------
+            // 步驟 3.9: 遞迴處理 Partial 內的 Include
+            // ----------------------------------------
+            // Partial 內可能還有其他 <include> 標籤，需要遞迴處理
+            // 傳入檔案名稱用於循環引用檢測
+            const resolvedContent = resolve(content, currentData, src);
+
+            // ----------------------------------------
+            // 步驟 3.9.5: 替換 Partial 中的 @slot 佔位符
+            // ----------------------------------------
+            // 在遞迴處理巢狀 include 之後才替換 @slot 佔位符，
+            // 確保內層 <include> 的 slot 由子遞迴自行消化，
+            // 這裡只替換屬於當前層級的 @slot 佔位符。
+            //
+            // 在 partial 檔案中，@slot('name', 'default') 會被替換為：
+            // 1. 傳入的 slot 內容（優先）
+            // 2. 默認值（如果有提供）
+            // 3. 空字串
+            //
+            // @parent 的佔位符保留給覆蓋的檔案替換，上一層檔案也能收到相同的 slot
+            REGEX.SLOT.lastIndex = 0;
+            const slotResolved = includeParentAttr ? resolvedContent : resolvedContent.replace(REGEX.SLOT, resumeSourceAfter((slotMatch, slotName, defaultValue) => {
+              if (slots[slotName] !== undefined) {
+                return slots[slotName];
+              }
+              if (defaultValue !== undefined) {
+                return defaultValue;
+              }
+              return '';
+            }));
+
+            // ----------------------------------------
+            // 步驟 3.10: 編譯並執行 Lodash Template
+            // ----------------------------------------
+            try {
+              const compiled = compileTemplate(slotResolved, defaultCompilerOptions);
+              return compiled(currentData);
+
+            } catch (e) {
+              // 編譯失敗時的除錯資訊
+              if (process.env.DEBUG || process.env.VITE_DEBUG) {
+                console.log('\n--- [vite-plugin-html-kit] 編譯 Partial 時發生錯誤 ---');
+                console.log(`檔案: ${src}`);
+                console.log('內容:');
+                console.log(stripSourceMarkers(resolvedContent));
+                console.log('-----------------------------\n');
+              }
+              templateError = describeTemplateError(slotResolved, currentData);
+              throw e;
+            }
+
+          } catch (error) {
+            // ----------------------------------------
+            // 錯誤處理
+            // ----------------------------------------
+            const pluginError = logTemplateError(error, ErrorCodes.INCLUDE_PROCESSING_ERROR, [src], {
+              includePath: src,
+              currentFile,
+              ...templateError
+            });
+            return pluginError.toHTMLComment();
+          }
+        }));
+
+      } finally {
+        // ========================================
+        // 清理：移除 Include 堆疊
+        // ========================================
+        // 無論成功或失敗，都要從堆疊中移除當前檔案
+        // 使用 finally 確保即使發生錯誤也會正確清理
+        includeStack.pop();
+      }
+    };
+  })();
+
+  /**
+   * 渲染單一頁面（render 的核心流程）
    *
-   * 父佈局 (layouts/app.html):
-   *   <!DOCTYPE html>
-   *   <html>
-   *   <head><title>@yield('title', '預設標題')</title></head>
-   *   <body>
-   *     <main>@yield('content')</main>
-   *   </body>
-   *   </html>
+   * 轉換流程概覽：
+   * 1. 處理佈局繼承（@extends + @section + @yield）
+   * 2. 轉換 Blade 邏輯標籤（@if, @foreach, @switch）
+   * 3. 解析並替換 <include> 標籤（含 Slot 支援）
+   * 4. 編譯 Lodash Template（處理 {{ }} 變數插值）
+   * 5. 注入全域資料與頁面資料並生成最終 HTML
    *
-   * 最終結果:
-   *   <!DOCTYPE html>
-   *   <html>
-   *   <head><title>首頁</title></head>
-   *   <body>
-   *     <main><h1>歡迎</h1></main>
-   *   </body>
-   *   </html>
+   * 此函式完全同步執行，頁面資料需事先載入完成。
+   * 這確保同一時間只有一個頁面在收集依賴（currentDependencies）。
    *
-   * @param {string} html - 包含 @extends 和 @section 的 HTML 字串
-   * @param {string} [currentFile='root'] - 當前檔案名稱（用於循環引用檢測）
-   * @param {Object} [inheritedSections={}] - 從子頁面繼承的 sections
-   * @returns {string} 處理後的 HTML（已應用佈局）
+   * @param {string} html - 頁面 HTML（已移除 front matter，並加上來源位置標記）
+   * @param {string} filename - 頁面檔名（用於錯誤訊息和循環引用檢測）
+   * @param {Object} [siteData={}] - 全域資料（options.data，若為函式則為其返回值）
+   * @param {Object} [pageData={}] - 頁面專屬資料（覆蓋全域資料）
+   * @param {Set<string>} [dependencies=new Set()] - 收集頁面依賴的集合（已包含資料檔路徑）
+   * @returns {string} 轉換後的 HTML
    */
-  const processExtends = (() => {
+  const renderPage = (html, filename, siteData = {}, pageData = {}, dependencies = new Set()) => {
+    // ========================================
+    // 步驟 0: 準備資料上下文和檔案資訊
+    // ========================================
+    // 建立全域資料上下文，合併用戶提供的 data 選項與頁面資料
+    // 特別注入 _ (lodash)，讓所有模板都可以使用 Lodash 工具函式
+    // 範例：{{ _.capitalize(name) }}, {{ _.map(items, 'id') }}
+    //
+    // 合併順序（後者覆蓋前者）：
+    // 1. Lodash 工具函式（_）
+    // 2. 全域資料（options.data）
+    // 3. 頁面資料（同名資料檔 + front matter）
+    const globalData = { _: dataLodash, ...cspVariables, ...siteData, ...pageData };
+
+    // 開始收集此頁面的依賴（layout、partial），插件以此建立 HMR 依賴圖
+    currentDependencies = dependencies;
+    componentCalls.length = 0;
+    onceBlocks.clear();
+
+    // ========================================
+    // 步驟 0.5: 保護 @verbatim 區塊
+    // ========================================
+    // 在所有處理之前，提取並保護 @verbatim 區塊
+    // 這些區塊的內容將完全不被 Blade 和 Lodash Template 處理
+    //
+    // 策略：
+    // 1. 提取所有 @verbatim...@endverbatim 區塊
+    // 2. 用 HTML 註釋佔位符替換
+    // 3. 在 Lodash Template 編譯後恢復原始內容
+    const verbatimBlocks = [];
+    html = html.replace(REGEX.VERBATIM, (match, content) => {
+      const index = verbatimBlocks.length;
+      verbatimBlocks.push(content);
+      return `<!-- __VPHK_VERBATIM_${index}__ -->`;
+    });
+
+    // ========================================
+    // 步驟 1: 處理佈局繼承（Layout Inheritance）
+    // ========================================
+    // 為什麼放在第一步：
+    // - 佈局檔案可能包含 include 標籤和邏輯標籤
+    // - 子頁面的 section 內容需要先提取，再填入佈局的 yield 位置
+    // - 支援多層繼承（A extends B extends C）
+    //
+    // 處理內容：
+    // - @extends('layout.html') - 載入佈局檔案
+    // - @section('name') ... @endsection - 提取內容區塊
+    // - @yield('name', 'default') - 替換為 section 內容
+    //
+    // 輸入範例：
+    //   @extends('layouts/app.html')
+    //   @section('title')首頁@endsection
+    //
+    // 處理後：
+    //   <!DOCTYPE html>
+    //   <html><title>首頁</title>...</html>
+    html = processExtends(html, filename);
+
+    // ========================================
+    // 步驟 2: 轉換 Blade 邏輯標籤
+    // ========================================
+    // 為什麼在 extends 之後：
+    // - 佈局檔案已經載入，現在處理完整的 HTML
+    // - 確保佈局中的邏輯標籤也被轉換
+    //
+    // 處理內容：
+    // - @if(condition) -> <% if (condition) { %>
+    // - @foreach(items as item) -> <% for (let item of items) { %>
+    // - @switch(value) -> <% { const __vphk_sw__ = value; if (false) { %>
+    //
+    // 效能優化：
+    // - 使用 LRU Cache 快取轉換結果
+    // - 相同內容的快取命中可提升 50 倍速度
+    //
+    // 輸入範例：
+    //   @if(user.isAdmin)
+    //     <p>管理員</p>
+    //   @endif
+    //
+    // 處理後：
+    //   <% if (user.isAdmin) { %>
+    //     <p>管理員</p>
+    //   <% } %>
+    html = transformLogicTags(html);
+
+    // ========================================
+    // 步驟 3: 遞迴解析 Include 標籤
+    // ========================================
+    // 為什麼在邏輯標籤之後：
+    // - Include 的 partial 檔案內可能也有邏輯標籤
+    // - 在 resolveIncludes 內部會再次調用 transformLogicTags
+    //
+    // 處理內容：
+    // - <include src="header.html" title="Hello" /> - 載入 partial
+    // - 支援 Slot 機制（@slot('name') ... @endslot）
+    // - 支援屬性傳遞和表達式求值
+    // - 遞迴處理（partial 內可再 include）
+    //
+    // 安全性：
+    // - 路徑遍歷攻擊防護
+    // - 循環引用檢測（A -> B -> C -> A）
+    //
+    // 輸入範例：
+    //   <include src="card.html" title="{{ post.title }}">
+    //     @slot('content')
+    //       <p>{{ post.body }}</p>
+    //     @endslot
+    //   </include>
+    //
+    // 處理後：
+    //   <div class="card">
+    //     <h3>文章標題</h3>
+    //     <p>文章內容</p>
+    //   </div>
+    let fullHtml = resolveIncludes(html, globalData, filename);
+
+    // ========================================
+    // 步驟 4: 編譯並執行 Lodash Template
+    // ========================================
+    // 這是最後一步，將所有 <% %> 和 {{ }} 語法編譯為可執行的 JavaScript
+    //
+    // 處理內容：
+    // - {{ variable }} - 變數插值（HTML 轉義）
+    // - {!! variable !!} - 變數插值（原樣輸出）
+    // - <% code %> - 執行 JavaScript 程式碼
+    //
+    // 編譯選項：
+    // - escape: {{ }}、interpolate: {!! !!}（autoEscape: false 時兩者皆原樣輸出）
+    // - 其他選項繼承自 compilerOptions 參數
+    let compiled;
+    try {
+      // 編譯模板為函數
+      compiled = compileTemplate(fullHtml, defaultCompilerOptions);
+
+      // 執行函數，注入全域資料，生成最終 HTML
+      let result = compiled(globalData);
+
+      // ========================================
+      // 步驟 5: 恢復 @verbatim 區塊的原始內容
+      // ========================================
+      // 將 HTML 註釋佔位符替換為原始內容
+      // 這確保前端框架（Vue.js、Alpine.js）可以處理原始的 {{ }} 語法
+      //
+      // 恢復規則：
+      // <!-- __VPHK_VERBATIM_0__ --> -> 原始 verbatim 內容
+      if (verbatimBlocks.length > 0) {
+        result = result.replace(/<!-- __VPHK_VERBATIM_(\d+)__ -->/g, (match, indexStr) => {
+          const index = parseInt(indexStr, 10);
+          return verbatimBlocks[index] || match;
+        });
+      }
+
+      // ========================================
+      // 步驟 6: 移除來源位置標記
+      // ========================================
+      // VITE_HTML_KIT_DEBUG 開啟時，在輸出結尾附上
+      // 「輸出行號 → 原始檔案:行號」的註釋對照表，方便追查輸出來自哪個模板
+      // 只看 VITE_HTML_KIT_DEBUG：DEBUG 常用於其他套件（例如 DEBUG=vite:*），不應改變建構輸出的 HTML
+      return process.env.VITE_HTML_KIT_DEBUG ? appendSourceCommentMap(result) : stripSourceMarkers(result);
+
+    } catch (error) {
+      // ========================================
+      // 錯誤處理
+      // ========================================
+      // Lodash 編譯/執行失敗時的降級處理
+      //
+      // 常見錯誤原因：
+      // - 語法錯誤（未閉合的 {{ }}）
+      // - 變數未定義（嘗試訪問 undefined.property）
+      // - 表達式錯誤（除以零、錯誤的函數呼叫等）
+      //
+      // 降級策略：
+      // - 使用統一錯誤處理系統記錄錯誤
+      // - 以來源位置標記找出錯誤所在的原始檔案與行號（佈局、section、partial 皆可）
+      // - 返回未編譯的 HTML（保留 <% %> 和 {{ }} 語法）
+      // - 讓開發者可以在瀏覽器中看到原始模板內容，便於除錯
+      const code = compiled ? ErrorCodes.TEMPLATE_RUNTIME_ERROR : ErrorCodes.TEMPLATE_COMPILE_ERROR;
+      logTemplateError(error, code, [filename], {
+        file: filename,
+        filename,
+        ...describeTemplateError(fullHtml, globalData)
+      });
+
+      return stripSourceMarkers(fullHtml);
+
+    } finally {
+      // 依賴收集完成（組件在模板執行時才讀取，因此執行完才結束）
+      currentDependencies = null;
+    }
+  };
+
+  /**
+   * 渲染一段模板：載入頁面資料後交由 renderPage 處理
+   *
+   * @param {string} html - 模板內容（可含 front matter）
+   * @param {Object} [pageData={}] - 這次渲染的資料（優先於全域資料、資料檔與 front matter）
+   * @param {Object} [renderOptions={}] - 渲染選項（見 render）
+   * @param {string} [syncMethod] - 同步渲染的方法名稱（renderSync / renderFileSync），資料是 async 時拋出 E4017
+   * @returns {string|Promise<string>} 渲染後的 HTML（有 async 資料時返回 Promise）
+   * @throws {PluginError} syncMethod 有值且資料是 async 時拋出 E4017
+   */
+  const renderSource = (html, pageData = {}, renderOptions = {}, syncMethod) => {
+    const {
+      filename,
+      context = {},
+      dependencies,
+      loadDataFiles = true,
+      applyCsp = true,
+      applySvgSprite = true,
+      locale,
+      base
+    } = renderOptions;
+
+    // ========================================
+    // 步驟 0: 載入頁面資料
+    // ========================================
+    // 頁面可以宣告自己的資料，合併在全域 data 之上：
+    // - 頁面開頭的 front matter（--- YAML/JSON ---）
+    // - 同名資料檔：about.html -> about.json、about.data.js
+    //
+    // 優先順序（後者覆蓋前者）：
+    // 全域 data < about.json < about.data.js < front matter < render 傳入的資料
+    //
+    // data 選項與 .data.js 可以是（async）函式，每次渲染都會重新呼叫，
+    // 因此 HMR 重新載入頁面時會取得最新的資料，不需要重啟開發伺服器
+    const name = filename ? path.basename(filename) : 'index.html';
+    const { data: frontMatterData, content } = parseFrontMatter(html, name);
+
+    // 檢查頁面的指令結構（未閉合、多餘的指令）
+    // front matter 以空行代替，回報的行號對應原始檔案
+    const frontMatterLines = html.slice(0, html.length - content.length).replace(/[^\n]/g, '');
+    validatedSources.clear();
+    validateTemplate(frontMatterLines + content, name);
+
+    // 加上來源位置標記（行號同樣從原始檔案開頭計算）
+    const markedContent = markSourceLines(frontMatterLines + content, name).slice(frontMatterLines.length);
+
+    // 頁面的依賴（資料檔、layout、partial）
+    // 資料檔即使不存在也會記錄，新增資料檔時同樣會觸發頁面重新載入
+    const dataFiles = filename && loadDataFiles ? getPageDataFiles(path.resolve(filename)) : [];
+    const pageDependencies = dependencies || new Set();
+    for (const file of dataFiles) {
+      pageDependencies.add(file);
+    }
+
+    // 資料函式與 .data.js 預設匯出函式收到的上下文
+    const dataContext = { filename, ...context };
+
+    const siteData = resolveData(data, dataContext, 'data');
+    const fileData = loadPageDataFiles(dataFiles, dataContext);
+
+    // i18n 變數放在全域資料之下，data 選項可以覆蓋
+    const i18nVariables = resolveI18nVariables(filename, locale, base, pageDependencies);
+
+    // svg() 同樣放在全域資料之下；圖示檔案記錄為依賴，sprite 模式收集這個頁面用到的圖示
+    const usedIcons = new Set();
+    const svgVariables = { svg: svgIcons.helper(options.root || process.cwd(), usedIcons, pageDependencies) };
+
+    const render = ([resolvedSiteData, loadedData]) => {
+      let output = renderPage(
+        markedContent,
+        name,
+        { ...i18nVariables, ...svgVariables, ...resolvedSiteData },
+        { ...loadedData, ...frontMatterData, ...pageData },
+        pageDependencies
+      );
+
+      // sprite 模式：插入這個頁面用到的圖示；插件建構時先插入佔位符，所有頁面渲染完成後再替換
+      if (svgIcons.sprite && usedIcons.size > 0) {
+        output = insertSprite(output, applySvgSprite ? svgIcons.renderSprite(usedIcons) : SVG_SPRITE_PLACEHOLDER);
+      }
+      return cspPolicy && applyCsp ? cspPolicy.apply(output).html : output;
+    };
+
+    // 只有 async 資料函式或 .data.js 存在時才需要等待
+    // 其餘情況同步返回，維持原本的同步行為
+    if (isPromiseLike(siteData) || isPromiseLike(fileData)) {
+      if (syncMethod) {
+        // 不再使用的 Promise 失敗時不應該成為 unhandled rejection
+        Promise.all([siteData, fileData]).catch(() => {});
+        throw new PluginError(ErrorCodes.ASYNC_DATA_IN_SYNC_RENDER, [syncMethod, name], { method: syncMethod, file: name });
+      }
+      return Promise.all([siteData, fileData]).then(render);
+    }
+    return render([siteData, fileData]);
+  };
+
+  /**
+   * 渲染模板字串（資料可以是 async，返回值為字串或 Promise）
+   *
+   * render、renderSync 與插件共用的實作。
+   * 錯誤會記錄在終端機，並以降級內容輸出（與開發伺服器相同）；
+   * failOnError 為 true 時改為拋出第一個 error 等級的錯誤。
+   *
+   * @param {string} html - 模板內容（可含 front matter 與 @extends）
+   * @param {Object} [pageData={}] - 這次渲染的資料
+   * @param {Object} [renderOptions={}] - 渲染選項（見 render）
+   * @param {string} [syncMethod] - 同步渲染的方法名稱，資料是 async 時拋出 E4017
+   * @returns {string|Promise<string>} 渲染後的 HTML（有 async 資料時返回 Promise）
+   */
+  const renderTemplate = (html, pageData = {}, renderOptions = {}, syncMethod) => {
+    if (!failOnError) {
+      return renderSource(html, pageData, renderOptions, syncMethod);
+    }
+
+    const errors = [];
+    const output = collectErrors(errors, () => renderSource(html, pageData, renderOptions, syncMethod));
+    const check = (result) => {
+      const error = errors.find(item => item.severity === 'error');
+      if (error) {
+        throw error;
+      }
+      return result;
+    };
+
+    return isPromiseLike(output) ? output.then(check) : check(output);
+  };
+
+  /**
+   * 讀取模板檔案，返回內容與完整的渲染選項
+   *
+   * @param {string} filePath - 模板檔案路徑（相對於 root 或絕對路徑）
+   * @param {Object} renderOptions - 其餘渲染選項
+   * @returns {[string, Object]} [模板內容, 含 filename 的渲染選項]
+   */
+  const readTemplateFile = (filePath, renderOptions) => {
+    const filename = path.resolve(options.root || process.cwd(), filePath);
+    return [fs.readFileSync(filename, 'utf-8'), { ...renderOptions, filename }];
+  };
+
+  /**
+   * 渲染模板字串
+   *
+   * 一律返回 Promise，data 選項與 .data.js 資料檔是否為 async 都使用同樣的寫法。
+   * 錯誤會記錄在終端機，並以降級內容輸出（與開發伺服器相同）；
+   * failOnError 為 true 時 Promise 以第一個 error 等級的錯誤 reject。
+   *
+   * @param {string} html - 模板內容（可含 front matter 與 @extends）
+   * @param {Object} [pageData={}] - 這次渲染的資料（優先於全域資料、資料檔與 front matter）
+   * @param {Object} [renderOptions={}] - 渲染選項
+   * @param {string} [renderOptions.filename] - 模板的檔案路徑：用於錯誤訊息，並載入同名資料檔（about.json、about.data.js）
+   * @param {Object} [renderOptions.context={}] - 額外傳給資料函式的上下文（插件傳入 mode、command、server）
+   * @param {Set<string>} [renderOptions.dependencies] - 收集頁面依賴（資料檔、layout、partial）的集合
+   * @param {boolean} [renderOptions.loadDataFiles=true] - 是否載入 filename 的同名資料檔
+   * @param {boolean} [renderOptions.applyCsp=true] - 是否在輸出上套用 csp 選項（插件建構時改在 Vite 處理完 HTML 後套用）
+   * @param {boolean} [renderOptions.applySvgSprite=true] - sprite 模式中是否直接插入頁面用到的圖示（false 時插入佔位符，之後以 applySvgSprite 替換）
+   * @param {string} [renderOptions.locale] - 語系代碼（i18n 開啟時，預設為預設語系）
+   * @param {string} [renderOptions.base='/'] - 網站的基本路徑，用於 alternates 的網址
+   * @returns {Promise<string>} 渲染後的 HTML
+   *
+   * @example
+   * await renderer.render('@extends("layouts/email.html")@section("body")Hi {{ name }}@endsection', { name: 'Ada' });
+   */
+  const render = (html, pageData = {}, renderOptions = {}) =>
+    new Promise(resolve => resolve(renderTemplate(html, pageData, renderOptions)));
+
+  /**
+   * 同步渲染模板字串（選項與 render 相同）
+   *
+   * @param {string} html - 模板內容
+   * @param {Object} [pageData={}] - 這次渲染的資料
+   * @param {Object} [renderOptions={}] - 渲染選項（見 render）
+   * @returns {string} 渲染後的 HTML
+   * @throws {PluginError} data 選項或 .data.js 資料檔是 async 時拋出 E4017；failOnError 為 true 且發生 error 等級的錯誤時拋出該錯誤
+   *
+   * @example
+   * renderer.renderSync('<h1>{{ title | upper }}</h1>', { title: 'Welcome' });
+   * // 返回: '<h1>WELCOME</h1>'
+   */
+  const renderSync = (html, pageData = {}, renderOptions = {}) =>
+    renderTemplate(html, pageData, renderOptions, 'renderSync');
+
+  /**
+   * 讀取並渲染模板檔案（一律返回 Promise，見 render）
+   *
+   * @param {string} filePath - 模板檔案路徑（相對於 root 或絕對路徑）
+   * @param {Object} [pageData={}] - 這次渲染的資料
+   * @param {Object} [renderOptions={}] - 其餘渲染選項（見 render）
+   * @returns {Promise<string>} 渲染後的 HTML
+   *
+   * @example
+   * await renderer.renderFile('emails/welcome.html', { user: { name: 'Ada' } });
+   */
+  const renderFile = (filePath, pageData = {}, renderOptions = {}) => new Promise(resolve => {
+    const [source, fileOptions] = readTemplateFile(filePath, renderOptions);
+    resolve(renderTemplate(source, pageData, fileOptions));
+  });
+
+  /**
+   * 同步讀取並渲染模板檔案（見 renderSync）
+   *
+   * @param {string} filePath - 模板檔案路徑（相對於 root 或絕對路徑）
+   * @param {Object} [pageData={}] - 這次渲染的資料
+   * @param {Object} [renderOptions={}] - 其餘渲染選項（見 render）
+   * @returns {string} 渲染後的 HTML
+   * @throws {PluginError} 資料是 async 時拋出 E4017
+   */
+  const renderFileSync = (filePath, pageData = {}, renderOptions = {}) => {
+    const [source, fileOptions] = readTemplateFile(filePath, renderOptions);
+    return renderTemplate(source, pageData, fileOptions, 'renderFileSync');
+  };
+
+  /**
+   * 靜態檢查頁面、佈局、partial 與組件（不渲染）
+   *
+   * 檢查項目：
+   * - 指令結構：未閉合、多餘或位置錯誤的指令（E4007 ~ E4010）
+   * - @extends、@include / <include> 與 <x-name> 的目標不存在或超出 partialsDir（E3001、E3002、E3005、E2001、E2002）
+   *   @includeIf / @includeFirst 允許檔案不存在，不會回報
+   * - 佈局的 @yield 沒有對應的 @section（有預設值的 @yield 除外）、@section 沒有被任何 @yield 使用（E6001、E6002）
+   * - @push / @prepend 沒有對應的 @stack、@stack 沒有任何 @push（E6003、E6004）
+   * - 傳入 partial 的 @slot 沒有對應的佔位符、傳入組件的 <x-slot> 沒有被組件使用（E6005）
+   * - 使用了 data、front matter、頁面資料檔、include 屬性與組件屬性都沒有提供的變數（E6006）
+   *
+   * 變數從每個頁面開始，沿著 @extends、include 與組件傳遞可用的名稱，
+   * 因此沒有被任何頁面使用的 partial 不檢查變數。
+   * 錯誤只會返回，不會輸出到終端機；context.file 為相對於 root 的路徑。
+   *
+   * @param {Array<string|{ file: string, data?: Object }>} [pages] - 要檢查的頁面（相對於 root 或絕對路徑），
+   *   預設為 root 中所有 partial 目錄以外的 .html。
+   *   { file, data } 形式的 data 是渲染時傳入的資料（例如 pages 選項的 data），它的鍵視為已定義的變數
+   * @returns {Promise<PluginError[]>} 發現的問題（依檔案與行號排序）
+   *
+   * @example
+   * const problems = await renderer.lint();
+   * problems.forEach(problem => console.warn(problem.format()));
+   *
+   * await renderer.lint([{ file: 'templates/post.html', data: { post: {} } }]);
+   */
+  const lint = async (pages) => {
+    const root = path.resolve(options.root || process.cwd());
+    const absolutePartialsDirs = partialDirs().map(entry => entry.dir);
+
+    // 頁面路徑 -> 渲染時傳入的資料
+    const pageEntries = new Map((pages || findTemplateFiles(root, absolutePartialsDirs))
+      .map(page => (typeof page === 'string' ? [path.resolve(root, page), {}] : [path.resolve(root, page.file), page.data || {}])));
+    const pageFiles = [...pageEntries.keys()];
+    const partialFiles = absolutePartialsDirs.filter(dir => fs.existsSync(dir)).flatMap(dir => findTemplateFiles(dir));
+
+    const problems = new Map();
+    const displayName = filePath => path.relative(root, filePath).split(path.sep).join('/');
+    const report = (code, args, filePath, location = {}) => {
+      const error = new PluginError(code, args, { file: displayName(filePath), line: location.line, column: location.column });
+      problems.set(`${error.context.file}:${location.line}:${location.column}:${error.message}`, error);
+    };
+
     // ========================================
-    // 閉包變數：佈局堆疊（循環引用檢測）
+    // 步驟 1: 讀取並掃描所有模板
     // ========================================
-    // 為什麼使用閉包：
-    // - 在遞迴處理多層佈局時，需要追蹤當前的佈局路徑鏈
-    // - 防止循環引用（A extends B extends A）
-    // - 閉包確保每次呼叫共用同一個 stack
-    const layoutStack = [];
+    const templates = new Map();
+    const loadTemplate = (filePath) => {
+      if (!templates.has(filePath)) {
+        const source = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : null;
+        templates.set(filePath, source === null ? null : { source, scan: scanTemplate(source, grammars) });
+      }
+      return templates.get(filePath);
+    };
 
-    return function process(html, currentFile = 'root', inheritedSections = {}, inheritedStacks = {}) {
+    // 解析 include 的目標：@includeIf / @includeFirst 取第一個存在的候選檔案，都不存在時返回 null
+    const includeTarget = (include) => {
+      for (const candidate of include.candidates) {
+        const target = resolvePartialPath(candidate);
+        if (!include.optional || (target.allowed && fs.existsSync(target.filePath))) {
+          return target;
+        }
+      }
+      return null;
+    };
 
-      // ========================================
-      // 步驟 1: 檢查是否需要處理佈局繼承
-      // ========================================
-      // 如果沒有 @extends 指令，直接返回原始 HTML
-      const extendsMatch = html.match(REGEX.EXTENDS);
-      if (!extendsMatch) {
-        return html;
+    // ========================================
+    // 步驟 2: 每個檔案的結構與引用目標
+    // ========================================
+    for (const filePath of [...pageFiles, ...partialFiles]) {
+      const template = loadTemplate(filePath);
+      if (!template) {
+        report(ErrorCodes.FILE_READ_ERROR, [filePath, '檔案不存在'], filePath);
+        continue;
       }
 
-      // ========================================
-      // 步驟 2: 提取佈局路徑
-      // ========================================
-      // 從 @extends('layouts/app.html') 提取 'layouts/app.html'
-      const layoutPath = extendsMatch[0].replace(REGEX.EXTENDS, '$1');
+      // front matter 以空白遮蔽，行號對應原始檔案
+      for (const error of validateBlade(maskTemplate(template.source, [REGEX.FRONT_MATTER]), grammars.structure)) {
+        const { code, args } = STRUCTURE_ERRORS[error.type];
+        report(code, [...args(error), error.line, error.column], filePath, error);
+      }
 
-      // ========================================
-      // 步驟 3: 循環引用檢測
-      // ========================================
-      // 檢查當前佈局是否已在堆疊中（表示循環引用）
-      // 範例：index.html extends app.html extends base.html extends app.html (❌ 循環)
-      if (layoutStack.includes(layoutPath)) {
-        const cycle = [...layoutStack, layoutPath].join(' → ');
-        const error = createAndLogError(ErrorCodes.CIRCULAR_LAYOUT_REFERENCE, [cycle], {
-          layoutPath,
-          layoutStack: [...layoutStack],
-          currentFile
-        });
-        return error.toHTMLComment();
+      const { scan } = template;
+      for (const layout of scan.extends) {
+        const target = resolvePartialPath(layout.name);
+        if (!target.allowed) {
+          report(ErrorCodes.PATH_TRAVERSAL_LAYOUT, [layout.name], filePath, layout);
+        } else if (!fs.existsSync(target.filePath)) {
+          report(ErrorCodes.LAYOUT_FILE_NOT_FOUND, [layout.name], filePath, layout);
+        }
       }
 
-      // 將當前佈局加入堆疊
-      layoutStack.push(layoutPath);
+      for (const include of scan.includes) {
+        const target = includeTarget(include);
+        if (!target) {
+          continue;
+        }
+        if (!target.allowed) {
+          report(ErrorCodes.PATH_TRAVERSAL_INCLUDE, [include.src], filePath, include);
+        } else if (!fs.existsSync(target.filePath)) {
+          report(ErrorCodes.INCLUDE_FILE_NOT_FOUND, [include.src], filePath, include);
+        } else {
+          const { slotPlaceholders } = loadTemplate(target.filePath).scan;
+          for (const slot of include.slots.filter(item => !slotPlaceholders.has(item.name))) {
+            report(ErrorCodes.UNDECLARED_SLOT, [slot.name, displayName(target.filePath)], filePath, slot);
+          }
+        }
+      }
 
-      try {
-        // ========================================
-        // 步驟 4: 解析當前頁面的 Section 內容
-        // ========================================
-        // 移除 @extends 指令（已經提取了路徑）
-        html = html.replace(REGEX.EXTENDS, '');
+      for (const component of scan.components) {
+        const target = resolvePartialPath(componentSource(component.name));
+        if (!target.allowed) {
+          report(ErrorCodes.PATH_TRAVERSAL_INCLUDE, [componentSource(component.name)], filePath, component);
+        } else if (!fs.existsSync(target.filePath)) {
+          report(ErrorCodes.COMPONENT_NOT_FOUND, [component.name, target.filePath], filePath, component);
+        } else {
+          // 組件以 {{ name }} 輸出具名 slot
+          const used = new Set(loadTemplate(target.filePath).scan.expressions
+            .flatMap(item => analyzeExpression(item.expression).free));
+          for (const slot of component.slots.filter(item => !used.has(item.name))) {
+            report(ErrorCodes.UNDECLARED_SLOT, [slot.name, `<x-${component.name}>`], filePath, slot);
+          }
+        }
+      }
+    }
 
-        // 解析所有 @section 區塊
-        // 範例：@section('title') 首頁 @endsection
-        //       sections = { title: '首頁' }
-        const sections = parseSections(html);
+    // ========================================
+    // 步驟 3: 佈局繼承鏈的 @section / @yield
+    // ========================================
+    // 被其他檔案繼承的中間佈局，由最內層的檔案開始檢查整條繼承鏈
+    const extendedLayouts = new Set([...templates.values()]
+      .flatMap(template => template?.scan.extends ?? [])
+      .map(layout => resolvePartialPath(layout.name).filePath));
+
+    for (const [filePath, template] of [...templates]) {
+      if (!template || template.scan.extends.length === 0 || extendedLayouts.has(filePath)) {
+        continue;
+      }
 
-        // 移除所有 @section 定義（內容已提取到 sections 物件）
-        html = html.replace(REGEX.SECTION, '');
+      // 由內到外：[檔案, 佈局, 佈局的佈局, ...]
+      const chain = [filePath];
+      let current = template;
+      while (current?.scan.extends.length) {
+        const target = resolvePartialPath(current.scan.extends[0].name);
+        if (!target.allowed || chain.includes(target.filePath)) {
+          break;
+        }
+        current = loadTemplate(target.filePath);
+        if (current) {
+          chain.push(target.filePath);
+        }
+      }
 
-        // 解析所有 @push/@prepend 區塊
-        // 範例：@push('scripts') <script src="..."></script> @endpush
-        //       stacks = { scripts: [{ type: 'push', content: '<script...>' }] }
-        const stacks = parseStacks(html);
+      chain.forEach((layoutPath, index) => {
+        if (index === 0) {
+          return;
+        }
+        // 佈局的 @yield 可以由繼承鏈中更內層的任何檔案填入
+        const filled = new Set(chain.slice(0, index).flatMap(file => templates.get(file).scan.sections.map(item => item.name)));
+        for (const yieldDirective of templates.get(layoutPath).scan.yields) {
+          if (!yieldDirective.hasDefault && !filled.has(yieldDirective.name)) {
+            report(ErrorCodes.UNFILLED_YIELD, [yieldDirective.name, displayName(filePath)], layoutPath, yieldDirective);
+          }
+        }
+      });
 
-        // 移除所有 @push/@prepend 定義（內容已提取到 stacks 物件）
-        html = html.replace(REGEX.PUSH, '');
-        html = html.replace(REGEX.PREPEND, '');
+      chain.slice(0, -1).forEach((file, index) => {
+        const yielded = new Set(chain.slice(index + 1).flatMap(layout => templates.get(layout).scan.yields.map(item => item.name)));
+        for (const section of templates.get(file).scan.sections.filter(item => !yielded.has(item.name))) {
+          report(ErrorCodes.UNUSED_SECTION, [section.name], file, section);
+        }
+      });
+    }
 
-        // ========================================
-        // 步驟 5: 讀取佈局檔案（含安全性檢查）
-        // ========================================
-        const rootPath = viteConfig?.root || process.cwd();
-        const absolutePartialsDir = path.isAbsolute(partialsDir)
-          ? partialsDir
-          : path.resolve(rootPath, partialsDir);
-        const layoutFilePath = path.resolve(absolutePartialsDir, layoutPath);
+    // ========================================
+    // 步驟 4: 整個專案的 @push / @stack
+    // ========================================
+    const scanned = [...templates].filter(([, template]) => template);
+    const stackNames = new Set(scanned.flatMap(([, template]) => template.scan.stacks.map(item => item.name)));
+    const pushNames = new Set(scanned.flatMap(([, template]) => template.scan.pushes.map(item => item.name)));
+    for (const [filePath, { scan }] of scanned) {
+      for (const push of scan.pushes.filter(item => !stackNames.has(item.name))) {
+        report(ErrorCodes.UNUSED_STACK_PUSH, [push.name, push.directive], filePath, push);
+      }
+      for (const stack of scan.stacks.filter(item => !pushNames.has(item.name))) {
+        report(ErrorCodes.UNFILLED_STACK, [stack.name], filePath, stack);
+      }
+    }
 
-        // 🔒 安全性檢查：路徑遍歷攻擊防護
-        // 防止惡意路徑如 '../../../etc/passwd'
-        // 確保解析後的檔案路徑必須在 partialsDir 目錄內
-        if (!layoutFilePath.startsWith(absolutePartialsDir)) {
-          const error = createAndLogError(ErrorCodes.PATH_TRAVERSAL_LAYOUT, [layoutPath], {
-            layoutPath,
-            resolvedPath: layoutFilePath,
-            allowedDir: absolutePartialsDir,
-            currentFile
-          });
-          return error.toHTMLComment();
-        }
+    // ========================================
+    // 步驟 5: 從頁面開始檢查變數
+    // ========================================
+    // 所有模板都可以使用的名稱：imports（_ 與過濾器）、print、svg、CSP 變數、i18n 變數與 variable 選項
+    const baseScope = ['print', 'svg', ...Object.keys(defaultCompilerOptions.imports), ...Object.keys(cspVariables)];
+    if (i18nConfig) {
+      baseScope.push('locale', '__', 'trans_choice', 'alternates');
+    }
+    if (compilerOptions.variable) {
+      baseScope.push(compilerOptions.variable);
+    }
 
-        // 檢查檔案是否存在
-        if (!fs.existsSync(layoutFilePath)) {
-          const error = createAndLogError(ErrorCodes.LAYOUT_FILE_NOT_FOUND, [layoutPath], {
-            layoutPath,
-            searchedPath: layoutFilePath,
-            partialsDir: absolutePartialsDir,
-            currentFile
-          });
-          return error.toHTMLComment();
-        }
+    // Markdown partial 的 front matter 資料名稱
+    const markdownDataNames = (filePath) => {
+      const template = isMarkdownFile(filePath) && loadTemplate(filePath);
+      return template ? Object.keys(parseFrontMatter(template.source, displayName(filePath)).data) : [];
+    };
 
-        // 讀取佈局檔案內容
-        let layoutContent = fs.readFileSync(layoutFilePath, 'utf-8');
+    const visited = new Set();
+    const checkVariables = (filePath, inheritedScope, stack = []) => {
+      const template = loadTemplate(filePath);
+      const key = `${filePath}\0${[...inheritedScope].sort().join(',')}`;
+      if (!template || stack.includes(filePath) || visited.has(key)) {
+        return;
+      }
+      visited.add(key);
+
+      // include 的 Markdown partial 的 front matter 也提供給這個檔案
+      const { scan } = template;
+      const includeTargets = scan.includes.map(include => [include, includeTarget(include)]);
+      const scope = new Set([
+        ...inheritedScope,
+        ...includeTargets.flatMap(([, target]) => (target?.allowed ? markdownDataNames(target.filePath) : []))
+      ]);
+
+      for (const { expression, line, column } of scan.expressions) {
+        for (const name of analyzeExpression(expression).free) {
+          if (!scope.has(name) && !scan.locals.has(name)) {
+            report(ErrorCodes.UNDEFINED_VARIABLE, [name], filePath, { line, column });
+          }
+        }
+      }
 
-        // ========================================
-        // 步驟 6: 處理多層佈局繼承
-        // ========================================
-        // 佈局檔案本身也可能 extends 其他佈局
-        // 範例：index.html extends app.html extends base.html
+      const nextStack = [...stack, filePath];
+      for (const layout of scan.extends) {
+        const target = resolvePartialPath(layout.name);
+        if (target.allowed) {
+          checkVariables(target.filePath, scope, nextStack);
+        }
+      }
 
-        // 先提取佈局中的 sections（如果有）
-        const layoutSections = parseSections(layoutContent);
+      for (const [include, target] of includeTargets) {
+        if (target?.allowed) {
+          checkVariables(target.filePath, new Set([...scope, ...include.attributes, 'attributes']), nextStack);
+        }
+      }
 
-        // 合併所有可用的 sections：
-        // - inheritedSections: 從更深層子頁面傳遞來的
-        // - sections: 當前頁面定義的
-        // 優先順序：當前頁面 > 繼承的（覆蓋同名 section）
-        const allSections = { ...inheritedSections, ...sections };
+      for (const component of scan.components) {
+        const target = resolvePartialPath(componentSource(component.name));
+        const componentTemplate = target.allowed && loadTemplate(target.filePath);
+        if (!componentTemplate) {
+          continue;
+        }
+        let props = [];
+        try {
+          props = Object.keys(parseComponentProps(componentTemplate.source, sandboxRuntime).defaults);
+        } catch (error) {
+          // @props 無法求值時，渲染會回報 E5006
+        }
+        checkVariables(target.filePath, new Set([
+          ...scope,
+          ...component.attributes,
+          ...component.slots.map(slot => slot.name),
+          ...props,
+          'slot',
+          'attributes'
+        ]), nextStack);
+      }
+    };
 
-        // 合併所有可用的 stacks：
-        // - inheritedStacks: 從更深層子頁面傳遞來的（子頁面的 push/prepend）
-        // - stacks: 當前頁面定義的（當前子頁面的 push/prepend）
-        // - 佈局檔案的 stacks 會在遞迴處理時被解析
-        //
-        // Stack 累積邏輯：子頁面的 push/prepend 會累積並傳遞給父佈局
-        // 最終在 @stack 位置輸出時，佈局的 stack 會在前，子頁面的 stack 會在後
-        //
-        // 範例執行流程（從外到內）：
-        // 1. Page 有 push('styles', 'dashboard.css')
-        // 2. App Layout 有 push('styles', 'app.css')
-        // 3. Base Layout 有 @stack('styles')
-        //
-        // 處理順序（從內到外）：
-        // - processExtends(Page) 提取 dashboard.css，傳給 App
-        // - processExtends(App) 提取 app.css，合併為 [app.css, dashboard.css]，傳給 Base
-        // - processExtends(Base) 在 @stack 位置輸出 [app.css, dashboard.css]
-        const allStacks = {};
+    for (const pagePath of pageFiles) {
+      const template = loadTemplate(pagePath);
+      if (!template) {
+        continue;
+      }
+      const dataContext = { filename: pagePath };
+      const [siteData, fileData] = await Promise.all([
+        resolveData(data, dataContext, 'data'),
+        loadPageDataFiles(getPageDataFiles(pagePath), dataContext)
+      ]);
+      const { data: frontMatterData } = parseFrontMatter(template.source, path.basename(pagePath));
+
+      checkVariables(pagePath, new Set([
+        ...baseScope,
+        ...Object.keys(pageEntries.get(pagePath)),
+        ...Object.keys(siteData),
+        ...Object.keys(fileData),
+        ...Object.keys(frontMatterData)
+      ]));
+    }
 
-        // 先加入當前頁面的 stacks
-        Object.keys(stacks).forEach(name => {
-          allStacks[name] = [...stacks[name]];
-        });
+    return [...problems.values()].sort((a, b) =>
+      a.context.file.localeCompare(b.context.file) || (a.context.line || 0) - (b.context.line || 0));
+  };
 
-        // 再加入繼承的 stacks（追加到後面）
-        Object.keys(inheritedStacks).forEach(name => {
-          if (!allStacks[name]) {
-            allStacks[name] = [];
-          }
-          allStacks[name].push(...inheritedStacks[name]);
-        });
+  /**
+   * 在 HTML 上套用 csp 選項（nonce、hash 與 {{ cspHashes }} 佔位符）
+   *
+   * render 預設已套用；插件在建構時以 applyCsp: false 渲染，
+   * 等 Vite 處理完行內 <script> / <style> 之後，再以這個函式計算最終內容的 hash。
+   *
+   * @param {string} html - 輸出的 HTML
+   * @returns {{ html: string, hashes: string[], directives: Object<string, string[]> }} csp 未開啟時原樣返回
+   *
+   * @example
+   * renderer.applyCsp(bundle['index.html'].source).directives
+   * // 返回: { 'script-src': ["'sha256-...'"], 'style-src': [] }
+   */
+  const applyCsp = (html) => (cspPolicy ? cspPolicy.apply(html) : { html, hashes: [], directives: {} });
 
-        // 遞迴處理佈局的 @extends，並傳遞合併後的 sections 和 stacks
-        layoutContent = process(layoutContent, layoutPath, allSections, allStacks);
+  /**
+   * 將 sprite 佔位符替換為目前為止所有頁面用到的圖示（svg.sprite 開啟時）
+   *
+   * 插件在建構時以 applySvgSprite: false 渲染，所有頁面渲染完成後以這個函式
+   * 在每個使用圖示的頁面插入同一個 sprite。
+   *
+   * @param {string} html - 輸出的 HTML
+   * @returns {string} 沒有佔位符時原樣返回
+   */
+  const applySvgSprite = (html) => html.replace(SVG_SPRITE_PLACEHOLDER, () => svgIcons.renderSprite());
 
-        // ========================================
-        // 步驟 7: 替換 @yield 佔位符
-        // ========================================
-        // @yield 的優先順序（由高到低）：
-        // 1. 當前頁面的 section
-        // 2. 繼承的 section（從子頁面傳遞）
-        // 3. 佈局自己定義的 section
-        // 4. @yield 的默認值
-        // 5. 空字串
-        layoutContent = layoutContent.replace(REGEX.YIELD, (match, name, defaultValue) => {
-          // 優先使用當前頁面的 section
-          if (sections[name] !== undefined) {
-            return sections[name];
-          }
-          // 其次使用繼承的 section
-          if (inheritedSections[name] !== undefined) {
-            return inheritedSections[name];
-          }
-          // 再次使用佈局自己的 section
-          if (layoutSections[name] !== undefined) {
-            return layoutSections[name];
-          }
-          // 最後使用默認值或空字串
-          if (defaultValue !== undefined) {
-            return defaultValue;
-          }
-          return '';
-        });
+  return {
+    render,
+    renderSync,
+    renderFile,
+    renderFileSync,
+    lint,
+    directive: registerDirective,
+    applyCsp,
+    applySvgSprite,
+    [RENDER_TEMPLATE]: renderTemplate
+  };
+}
 
-        // ========================================
-        // 步驟 8: 替換 @stack 佔位符
-        // ========================================
-        // @stack 會被替換為所有 push/prepend 的內容
-        // 順序：prepend 內容（先進先出）+ push 內容（先進先出）
-        layoutContent = layoutContent.replace(REGEX.STACK, (match, name) => {
-          // 如果沒有對應的 stack，返回空字串
-          if (!allStacks[name] || allStacks[name].length === 0) {
-            return '';
-          }
 
-          // 分離 prepend 和 push
-          const prepends = allStacks[name].filter(item => item.type === 'prepend');
-          const pushes = allStacks[name].filter(item => item.type === 'push');
+/**
+ * Vite Plugin: HTML Include & Templating Logic
+ *
+ * 提供強大的 HTML 模板功能，包括：
+ * - 支援 Partial Includes（可重用的 HTML 組件）
+ * - Blade 風格的控制結構（@if, @foreach, @switch）
+ * - 使用 Lodash Template 引擎進行變數插值
+ * - 完整的 HMR (Hot Module Replacement) 支援
+ *
+ * 渲染由 createRenderer 完成，插件只負責 Vite 相關的部分：
+ * 取得 root、HMR 依賴圖、動態頁面、錯誤 overlay 與建構失敗。
+ *
+ * @param {Object} options - 插件配置選項
+ * @param {string|string[]|Object<string, string|string[]>} [options.partialsDir='partials'] - 存放 HTML partial 檔案的目錄（支援相對路徑或絕對路徑）
+ *   - 相對路徑：相對於 vite.config 中的 root（預設為專案根目錄）
+ *   - 絕對路徑：使用 path.resolve() 或 path.join(__dirname, ...) 指定絕對路徑
+ *   - 陣列：依順序查找的目錄，例如 ['themes/brandA', 'partials']，主題只需覆蓋部分檔案，
+ *     覆蓋的檔案中以 @parent 輸出下一個目錄的同名檔案
+ *   - 物件：namespace -> 目錄（字串或陣列），例如 { default: 'partials', ui: 'node_modules/@acme/ui/templates' }，
+ *     以 'ui::button.html' 指定 namespace，未指定時依物件順序查找
+ * @param {Object|Function} [options.data={}] - 全域資料，所有模板都可以存取
+ *   - 物件：直接作為資料使用
+ *   - 函式：每次轉換頁面時呼叫（可為 async），參數為 { filename, mode, command, server }
+ * @param {Object} [options.compilerOptions={}] - Lodash template 編譯器選項
+ * @param {Object<string, Array|Function>} [options.pages] - 動態頁面：模板檔案 -> [{ path, data }]
+ *   - 鍵：模板檔案路徑（相對於 root 或絕對路徑）
+ *   - 值：頁面陣列，或返回頁面陣列的（async）函式
+ *   - 建構時每個頁面輸出一個 HTML 檔案，開發時由 middleware 即時渲染
+ * @param {boolean} [options.autoEscape=true] - {{ }} 是否自動進行 HTML 轉義
+ *   - true：{{ }} 轉義輸出，{!! !!} 原樣輸出（Blade 語意）
+ *   - false：{{ }} 與 {!! !!} 皆原樣輸出（舊版行為，方便既有模板遷移）
+ * @param {boolean} [options.failOnError=false] - 建構時遇到 error 等級的模板錯誤是否讓建構失敗
+ *   - false：記錄錯誤後繼續建構（頁面以降級內容輸出）
+ *   - true：拋出錯誤，中止建構（開發模式不受影響）
+ * @param {Object<string, Function|{ handler: Function, block?: boolean }>} [options.directives={}] - 自訂指令
+ *   - 函式：行內指令，handler(args) 返回模板程式碼或 HTML
+ *   - { block: true, handler }：區塊指令（@name ... @endname），handler(args, content)
+ *   - 插件建立後也可以透過 plugin.api.directive(name, handler) 註冊
+ * @param {Object<string, Function>} [options.filters={}] - 自訂過濾器，(value, ...args) => result
+ *   - 在 {{ }}、include 屬性表達式與 @json 中以管線語法使用：{{ post.title | excerpt(20) }}
+ *   - 可以覆寫同名的內建過濾器（upper、lower、date、currency 等）
+ * @param {boolean} [options.lint=false] - vite build 開始前靜態檢查所有模板，問題以建構警告輸出
+ * @param {boolean|{ timeout?: number }} [options.sandbox=false] - 在 vm 沙箱中執行模板表達式
+ *   - 無法使用 process、require、globalThis、Function（E2003）
+ *   - 單次編譯或執行超過 timeout 毫秒（預設 1000）時中止（E2004）
+ * @param {false|'nonce'|'hash'|{ mode?: 'nonce'|'hash', nonce?: string, manifest?: string|false }} [options.csp=false] - 行內 <script> / <style> 的 CSP 處理
+ *   - 'nonce'：每個行內元素加上 nonce 屬性（每次建構一個 nonce，模板中為 cspNonce）
+ *   - 'hash'：計算行內元素內容的 sha256，模板中的 {{ cspHashes }} 輸出 hash 列表
+ *   - 建構時以 Vite 處理後的最終 HTML 計算，並輸出 manifest（預設 csp-manifest.json）
+ * @param {false|string|{ dir?: string, locales?: string[], defaultLocale?: string }} [options.i18n=false] - 多語系
+ *   - 字串或 dir：語系檔目錄（相對於 root，預設 'locales'），每個語系一個 JSON 檔（locales/en.json）
+ *   - locales：語系代碼（預設為目錄中的所有 JSON 檔），defaultLocale：找不到翻譯時的備援語系
+ *   - 模板中可以使用 __()、trans_choice()、@lang、@choice、locale 與 alternates（hreflang）
+ *   - 建構時每個 HTML 入口依語系各輸出一份（/en/about.html、/zh-TW/about.html），開發時由 middleware 渲染
+ * @param {string|{ dir?: string, sprite?: boolean }} [options.svg={}] - @svg('icons/close.svg', { class: 'w-4' }) 的圖示
+ *   - 字串或 dir：圖示目錄（相對於 root，預設為 root）
+ *   - sprite：輸出 <svg><use href="#icon-..."></use></svg>，建構中所有頁面用到的圖示合併為一個 <symbol> sprite，
+ *     插入在每個使用圖示的頁面的 <body> 開頭
+ * @returns {import('vite').Plugin} Vite 插件物件（含 api.directive）
+ *
+ * @example
+ * // vite.config.js
+ * import vitePluginHtmlKit from 'vite-plugin-html-kit';
+ *
+ * export default {
+ *   plugins: [
+ *     vitePluginHtmlKit({
+ *       partialsDir: 'partials',
+ *       data: {
+ *         siteTitle: 'My Website',
+ *         version: '1.0.0'
+ *       }
+ *     })
+ *   ]
+ * };
+ */
+export default function vitePluginHtmlKit(options = {}) {
+  const {
+    partialsDir = 'partials',
+    pages = null,
+    failOnError = false,
+    lint = false,
+    csp = false,
+    i18n = false
+  } = options;
 
-          // 組合內容：prepends 在前，pushes 在後
-          const allContent = [
-            ...prepends.map(item => item.content),
-            ...pushes.map(item => item.content)
-          ];
+  // CSP manifest 的輸出檔名（相對於 build.outDir），false 時不輸出
+  const cspManifest = csp && typeof csp === 'object' && csp.manifest !== undefined ? csp.manifest : 'csp-manifest.json';
 
-          // 用換行符連接所有內容
-          return allContent.join('\n');
-        });
+  // 儲存 Vite 的解析後配置
+  let viteConfig;
 
-        return layoutContent;
+  // 模板渲染器（選項驗證與自訂指令註冊在建立時進行）
+  // root 以 getter 提供：configResolved 之後才知道 Vite 的 root
+  // 錯誤由 transformIndexHtml 收集後處理，因此渲染器本身不拋出錯誤
+  const renderer = createRenderer({
+    ...options,
+    failOnError: false,
+    get root() {
+      return viteConfig?.root;
+    }
+  });
 
-      } catch (error) {
-        // ========================================
-        // 錯誤處理
-        // ========================================
-        const pluginError = createAndLogError(ErrorCodes.LAYOUT_PROCESSING_ERROR, [layoutPath], {
-          layoutPath,
-          currentFile,
-          originalError: error
-        });
-        return pluginError.toHTMLComment();
+  // 多語系（i18n 選項）：決定每個頁面輸出哪些語系版本
+  const i18nConfig = createI18n(i18n);
 
-      } finally {
-        // ========================================
-        // 清理：移除佈局堆疊
-        // ========================================
-        // 無論成功或失敗，都要從堆疊中移除當前佈局
-        // 這樣才能正確處理下一個佈局
-        layoutStack.pop();
-      }
-    };
-  })();
+  // 頁面依賴圖（HMR 用）
+  // 鍵為頁面的絕對路徑，值為該頁面用到的 layout / partial 絕對路徑集合
+  // 在 processExtends 和 resolveIncludes 解析檔案時記錄，
+  // handleHotUpdate 依此只重新載入受影響的頁面
+  const dependencyGraph = new Map();
 
   /**
-   * 遞迴解析 HTML Include 標籤（含循環引用檢測）
-   *
-   * Include 機制允許重用 HTML 片段（partial），類似組件系統：
-   * - 使用 <include src="..." /> 載入外部 HTML 檔案
-   * - 透過 HTML 屬性傳遞資料給 partial
-   * - 支援 Slot 機制（類似 Vue/React 的 children）
-   * - 支援遞迴 include（partial 內可再 include 其他 partial）
-   *
-   * 兩種使用方式：
-   *
-   * 1. 自閉合標籤（無 slot）:
-   *    <include src="header.html" title="首頁" active="true" />
-   *
-   * 2. 包含內容標籤（有 slot）:
-   *    <include src="card.html" title="標題">
-   *      @slot('content')
-   *        <p>卡片內容</p>
-   *      @endslot
-   *      @slot('footer')
-   *        <button>確定</button>
-   *      @endslot
-   *    </include>
+   * 儲存頁面的依賴並註冊檔案監聽
    *
-   * Partial 檔案範例 (card.html):
-   *    <div class="card">
-   *      <h3>{{ title }}</h3>
-   *      <div class="body">@slot('content', '預設內容')</div>
-   *      <div class="footer">@slot('footer')</div>
-   *    </div>
+   * - 更新 dependencyGraph（頁面 -> 依賴檔案）
+   * - 透過 addWatchFile 將依賴加入 Vite 的監聽清單（若有 plugin context）
+   * - 開發模式下直接加入 server.watcher，讓 root 以外的 partials 也能觸發 HMR
    *
-   * @param {string} html - 包含 include 標籤的 HTML 字串
-   * @param {Object} dataContext - 當前可用的資料上下文
-   * @param {string} [currentFile='root'] - 當前正在處理的檔案名稱（用於循環引用檢測）
-   * @returns {string} 處理後的 HTML（include 標籤已被實際內容取代）
+   * @param {string} pagePath - 頁面的絕對路徑
+   * @param {Set<string>} dependencies - 依賴檔案的絕對路徑集合
+   * @param {Object} [pluginContext] - Rollup plugin context（提供 addWatchFile）
+   * @param {import('vite').ViteDevServer} [server] - Vite 開發伺服器
    */
-  const resolveIncludes = (() => {
-    // ========================================
-    // 閉包變數：Include 堆疊（循環引用檢測）
-    // ========================================
-    // 防止無限遞迴：A includes B includes C includes A (❌ 循環)
-    const includeStack = [];
-
-    return function resolve(html, dataContext, currentFile = 'root') {
+  const registerPageDependencies = (pagePath, dependencies, pluginContext, server) => {
+    dependencyGraph.set(pagePath, dependencies);
 
-      // ========================================
-      // 步驟 1: 循環引用檢測
-      // ========================================
-      // 檢查當前檔案是否已在處理堆疊中
-      if (includeStack.includes(currentFile)) {
-        const cycle = [...includeStack, currentFile].join(' → ');
-        const error = createAndLogError(ErrorCodes.CIRCULAR_INCLUDE_REFERENCE, [cycle], {
-          currentFile,
-          includeStack: [...includeStack]
-        });
-        return error.toHTMLComment();
+    for (const dependency of dependencies) {
+      if (pluginContext && typeof pluginContext.addWatchFile === 'function') {
+        pluginContext.addWatchFile(dependency);
       }
+    }
 
-      // 將當前檔案加入堆疊
-      includeStack.push(currentFile);
+    if (server?.watcher && dependencies.size > 0) {
+      server.watcher.add([...dependencies]);
+    }
+  };
 
-      try {
-        // ========================================
-        // 步驟 2: 預處理 - 轉換 Blade 邏輯標籤
-        // ========================================
-        // 先轉換當前層的 @if、@foreach 等標籤為 Lodash Template 語法
-        // 這樣在 include 的 partial 內也能使用 Blade 語法
-        let processedHtml = transformLogicTags(html);
+  // 動態頁面（pages 選項）
+  // 鍵為頁面的絕對路徑（root/blog/hello.html），值為 { template, data }
+  // 在 config（建構）或 middleware（開發）中解析後填入
+  const generatedPages = new Map();
 
-        // ========================================
-        // 步驟 3: 替換所有 <include> 標籤
-        // ========================================
-        return processedHtml.replace(REGEX.INCLUDE, (match, src, attributesStr, includeContent, src2, attributesStr2) => {
+  // 解析中的 pages 選項（Promise），避免重複呼叫頁面函式
+  // HMR 時清除，讓頁面函式重新執行以取得最新的頁面列表
+  let generatedPagesReady = null;
 
-          // ----------------------------------------
-          // 步驟 3.1: 識別 Include 標籤類型
-          // ----------------------------------------
-          // 兩種形式：
-          // - 形式1: <include src="..." ...>content</include>（包含 slot）
-          // - 形式2: <include src="..." ... />（自閉合，無 slot）
-          if (!src) {
-            src = src2;
-            attributesStr = attributesStr2;
-            includeContent = '';
+  /**
+   * 解析 pages 選項，建立動態頁面表
+   *
+   * pages 的值可以是陣列或返回陣列的（async）函式：
+   * {
+   *   'templates/post.html': posts.map(post => ({ path: `blog/${post.slug}`, data: { post } })),
+   *   'templates/tag.html': async () => loadTags()
+   * }
+   *
+   * @param {string} rootPath - 專案根目錄絕對路徑
+   * @returns {Promise<Map<string, { template: string, data: Object }>>} 動態頁面表
+   */
+  const resolveGeneratedPages = (rootPath) => {
+    if (!pages) {
+      return Promise.resolve(generatedPages);
+    }
+
+    if (!generatedPagesReady) {
+      generatedPagesReady = Promise.all(
+        Object.entries(pages).map(async ([template, entries]) => {
+          const list = typeof entries === 'function' ? await entries() : entries;
+          return { template: path.resolve(rootPath, template), list: list || [] };
+        })
+      ).then((resolved) => {
+        generatedPages.clear();
+        for (const { template, list } of resolved) {
+          for (const entry of list) {
+            const pagePath = path.resolve(rootPath, normalizePagePath(entry.path));
+            generatedPages.set(pagePath, { template, data: entry.data || {} });
           }
+        }
+        return generatedPages;
+      });
+    }
 
-          // ----------------------------------------
-          // 步驟 3.2: 解析檔案路徑（含安全檢查）
-          // ----------------------------------------
-          const rootPath = viteConfig?.root || process.cwd();
-          const absolutePartialsDir = path.isAbsolute(partialsDir)
-            ? partialsDir
-            : path.resolve(rootPath, partialsDir);
+    return generatedPagesReady;
+  };
 
-          // ----------------------------------------
-          // 步驟 3.2.1: 處理 @includeFirst - 找第一個存在的檔案
-          // ----------------------------------------
-          const includeFirstAttr = attributesStr?.match(/data-include-first=["']([^"']+)["']/);
-          if (includeFirstAttr) {
-            try {
-              // 解析檔案列表（從 HTML 實體解碼）
-              const filesJson = includeFirstAttr[1].replace(/&quot;/g, '"');
-              const files = JSON.parse(filesJson);
+  /**
+   * 將動態頁面加入建構入口點（build.rollupOptions.input）
+   *
+   * 處理不同格式的 input：
+   * - 未設定：使用 root/index.html（若存在）加上動態頁面
+   * - 字串 / 陣列：轉為陣列後追加動態頁面
+   * - 物件：以相對路徑（不含 .html）作為鍵追加，例如 'blog/hello'
+   *
+   * @param {import('vite').UserConfig} config - Vite 使用者配置物件（會直接修改）
+   * @returns {Promise<void>}
+   */
+  const addGeneratedPageInputs = async (config) => {
+    const rootPath = path.resolve(config.root || process.cwd());
+    const resolved = await resolveGeneratedPages(rootPath);
+    const pageInputs = [...resolved.keys()];
 
-              // 找到第一個存在的檔案
-              let foundFile = null;
-              let foundPath = null;
+    config.build = config.build || {};
+    config.build.rollupOptions = config.build.rollupOptions || {};
 
-              for (const file of files) {
-                const testPath = path.resolve(absolutePartialsDir, file);
+    let input = config.build.rollupOptions.input;
 
-                // 安全性檢查
-                if (!testPath.startsWith(absolutePartialsDir)) {
-                  continue;
-                }
+    if (!input) {
+      const indexPath = path.resolve(rootPath, 'index.html');
+      input = fs.existsSync(indexPath) ? [indexPath] : [];
+    }
 
-                if (fs.existsSync(testPath)) {
-                  foundFile = file;
-                  foundPath = testPath;
-                  break;
-                }
-              }
+    if (typeof input === 'string') {
+      input = [input];
+    }
 
-              // 如果沒有找到任何檔案，靜默失敗（@includeFirst 的預期行為）
-              if (!foundFile || !foundPath) {
-                return '';
-              }
+    if (Array.isArray(input)) {
+      input = [...input, ...pageInputs];
+    } else {
+      for (const pagePath of pageInputs) {
+        const key = path.relative(rootPath, pagePath).split(path.sep).join('/').replace(/\.html?$/i, '');
+        input[key] = pagePath;
+      }
+    }
 
-              // 更新 src 和 filePath 為找到的檔案
-              src = foundFile;
-              var filePath = foundPath;
+    config.build.rollupOptions.input = input;
+  };
 
-              // 移除 data-include-first 屬性，避免再次處理
-              attributesStr = attributesStr.replace(/\s*data-include-first=["'][^"']*["']/, '');
-            } catch (e) {
-              // 解析失敗，靜默失敗
-              return '';
-            }
-          } else {
-            var filePath = path.resolve(absolutePartialsDir, src);
-          }
+  /**
+   * 找出語系頁面對應的原始頁面
+   *
+   * 語系頁面（root/en/about.html）在磁碟上不存在，由原始頁面（root/about.html）
+   * 或動態頁面以該語系渲染。第一層目錄不是語系、磁碟上已有該檔案，
+   * 或找不到原始頁面時返回 null。
+   *
+   * @param {string} pagePath - 頁面的絕對路徑
+   * @param {string} [rootPath] - 專案根目錄絕對路徑
+   * @returns {{ locale: string, original: string }|null}
+   *
+   * @example
+   * resolveLocalizedPage('/project/zh-TW/about.html', '/project')
+   * // 返回: { locale: 'zh-TW', original: '/project/about.html' }
+   */
+  const resolveLocalizedPage = (pagePath, rootPath = viteConfig?.root || process.cwd()) => {
+    if (!i18nConfig || typeof pagePath !== 'string' || !path.isAbsolute(pagePath)) {
+      return null;
+    }
 
-          // 🔒 安全性檢查：路徑遍歷攻擊防護
-          // 防止惡意路徑如 '../../../etc/passwd'
-          if (!filePath.startsWith(absolutePartialsDir)) {
-            const error = createAndLogError(ErrorCodes.PATH_TRAVERSAL_INCLUDE, [src], {
-              includePath: src,
-              resolvedPath: filePath,
-              allowedDir: absolutePartialsDir,
-              currentFile
-            });
-            return error.toHTMLComment();
-          }
+    const [locale, ...rest] = path.relative(rootPath, pagePath).split(path.sep);
+    if (rest.length === 0 || !i18nConfig.locales(rootPath).includes(locale) || fs.existsSync(pagePath)) {
+      return null;
+    }
 
-          // ----------------------------------------
-          // 步驟 3.2.2: 處理 @includeIf - 只在檔案存在時 include
-          // ----------------------------------------
-          const includeIfAttr = attributesStr?.match(/data-include-if=["']true["']/);
-          if (includeIfAttr) {
-            // 如果檔案不存在，靜默失敗（不報錯）
-            if (!fs.existsSync(filePath)) {
-              return '';
-            }
-            // 移除 data-include-if 屬性，避免再次處理
-            attributesStr = attributesStr.replace(/\s*data-include-if=["']true["']/, '');
-          } else {
-            // 一般的 include：檔案不存在時報錯
-            if (!fs.existsSync(filePath)) {
-              const error = createAndLogError(ErrorCodes.INCLUDE_FILE_NOT_FOUND, [src], {
-                includePath: src,
-                searchedPath: filePath,
-                partialsDir: absolutePartialsDir,
-                currentFile
-              });
-              return error.toHTMLComment();
-            }
-          }
+    const original = path.resolve(rootPath, ...rest);
+    return fs.existsSync(original) || generatedPages.has(original) ? { locale, original } : null;
+  };
 
-          try {
-            // ----------------------------------------
-            // 步驟 3.3: 讀取 Partial 檔案
-            // ----------------------------------------
-            let content = fs.readFileSync(filePath, 'utf-8');
+  /**
+   * 將建構入口點替換為每個語系的版本（i18n 選項）
+   *
+   * 在 addGeneratedPageInputs 之後執行，動態頁面同樣依語系輸出：
+   * - 未設定：使用 root/index.html（若存在）
+   * - root 內的 HTML 入口：about.html -> en/about.html、zh-TW/about.html
+   *   物件格式的鍵加上語系前綴（'about' -> 'en/about'）
+   * - partial 目錄中的檔案直接移除，root 以外的入口保持不變
+   *
+   * @param {import('vite').UserConfig} config - Vite 使用者配置物件（會直接修改）
+   */
+  const addLocalizedPageInputs = (config) => {
+    const rootPath = path.resolve(config.root || process.cwd());
+    const locales = i18nConfig.locales(rootPath);
+    const partialDirs = resolvePartialDirs(partialsDir, rootPath).map(entry => entry.dir);
+
+    config.build = config.build || {};
+    config.build.rollupOptions = config.build.rollupOptions || {};
+
+    let input = config.build.rollupOptions.input;
+    if (!input) {
+      const indexPath = path.resolve(rootPath, 'index.html');
+      input = fs.existsSync(indexPath) ? [indexPath] : [];
+    }
 
-            // ----------------------------------------
-            // 步驟 3.3.1: 處理 Partial 內的佈局繼承
-            // ----------------------------------------
-            // Partial 檔案內也可能使用 @extends 繼承佈局
-            // 需要在後續處理前先解析佈局繼承
-            content = processExtends(content, src);
+    const isObject = typeof input === 'object' && !Array.isArray(input);
+    const entries = isObject ? Object.entries(input) : [].concat(input).map(file => [null, file]);
+    const localized = [];
 
-            // ----------------------------------------
-            // 步驟 3.3.5: 處理 @once 區塊（防止重複輸出）
-            // ----------------------------------------
-            // @once 區塊用於確保某段代碼只輸出一次，即使 partial 被多次 include
-            // 範例：在 alert.html 中使用 @once 包裹 jQuery 載入
-            //       即使 alert.html 被 include 3 次，jQuery 只載入一次
-            content = content.replace(REGEX.ONCE, (match, onceContent) => {
-              // 使用內容的 hash 作為唯一識別碼
-              const contentHash = hash(onceContent);
-
-              // 如果這個區塊已經輸出過，返回空字串
-              if (onceBlocks.has(contentHash)) {
-                return '';
-              }
+    for (const [key, file] of entries) {
+      const filePath = path.resolve(rootPath, file);
+      if (partialDirs.some(dir => isInsideDir(dir, filePath))) {
+        continue;
+      }
+      if (!/\.html?$/i.test(filePath) || !isInsideDir(rootPath, filePath)) {
+        localized.push([key, file]);
+        continue;
+      }
+      const relativePath = path.relative(rootPath, filePath);
+      for (const locale of locales) {
+        localized.push([key === null ? null : `${locale}/${key}`, path.resolve(rootPath, locale, relativePath)]);
+      }
+    }
 
-              // 首次輸出：記錄 hash 並返回內容（移除 @once/@endonce 標籤）
-              onceBlocks.add(contentHash);
-              return onceContent;
-            });
+    config.build.rollupOptions.input = isObject ? Object.fromEntries(localized) : localized.map(([, file]) => file);
+  };
 
-            // ----------------------------------------
-            // 步驟 3.4: 解析 Slot 內容
-            // ----------------------------------------
-            // 從 <include>...</include> 內容中提取所有 @slot 區塊
-            // 範例：
-            //   @slot('header')
-            //     <h1>標題</h1>
-            //   @endslot
-            // 解析為: slots = { header: '<h1>標題</h1>' }
-            const slots = {};
-            if (includeContent && includeContent.trim()) {
-              // 重置正則表達式的 lastIndex（重要！）
-              REGEX.SLOT_BLOCK.lastIndex = 0;
+  /**
+   * 讓 Vite 監聽 node_modules 中的 partial 目錄
+   *
+   * Vite 預設忽略 node_modules，server.watcher.add 也無法加入；
+   * 依 Vite 文件的做法，在 server.watch.ignored 加入否定的 glob（例如 '!/project/node_modules/@acme/ui/templates/**'）。
+   * server.watch 為 null（停用監聽）時不處理。
+   *
+   * @param {import('vite').UserConfig} config - Vite 使用者配置物件
+   */
+  const watchNodeModulesPartials = (config) => {
+    const dirs = resolvePartialDirs(partialsDir, config.root || process.cwd())
+      .map(entry => entry.dir)
+      .filter(dir => dir.split(path.sep).includes('node_modules'));
+    if (dirs.length === 0 || config.server?.watch === null) {
+      return;
+    }
 
-              let slotMatch;
-              while ((slotMatch = REGEX.SLOT_BLOCK.exec(includeContent)) !== null) {
-                const slotName = slotMatch[1];
-                const slotContent = slotMatch[2];
-                slots[slotName] = slotContent.trim();
-              }
-            }
+    config.server = config.server || {};
+    config.server.watch = config.server.watch || {};
+    const { ignored } = config.server.watch;
+    config.server.watch.ignored = [
+      ...(ignored === undefined ? [] : [].concat(ignored)),
+      ...dirs.map(dir => `!${dir.split(path.sep).join('/')}/**`)
+    ];
+  };
 
-            // ----------------------------------------
-            // 步驟 3.6: 解析傳遞的屬性（Locals）
-            // ----------------------------------------
-            // 從 <include src="..." title="首頁" count="5" />
-            // 解析為: { title: "首頁", count: "5" }
-            const rawLocals = parseAttributes(attributesStr);
+  /**
+   * 找出依賴某個檔案的所有頁面
+   *
+   * @param {string} file - 變更檔案的絕對路徑
+   * @returns {string[]} 受影響頁面的絕對路徑（包含檔案本身為頁面的情況）
+   */
+  const getAffectedPages = (file) => {
+    const pages = [];
+    for (const [pagePath, dependencies] of dependencyGraph) {
+      if (pagePath === file || dependencies.has(file)) {
+        pages.push(pagePath);
+      }
+    }
+    return pages;
+  };
 
-            // 移除不應該存在的 locals 屬性（舊版語法遺留）
-            if (rawLocals.locals) {
-              delete rawLocals.locals;
-            }
+  /**
+   * 找出錯誤所在檔案的絕對路徑與原始內容（用於 overlay 的程式碼片段）
+   *
+   * 錯誤上下文中的檔案名稱可能是：
+   * - 頁面檔名（例如 'index.html'）：使用轉換前的頁面內容
+   * - partial / 佈局 / 組件路徑（相對於 partialsDir，可含 namespace 前綴）：從磁碟讀取
+   * - @parent 引用的上一層檔案（相對於 root）：從磁碟讀取
+   *
+   * @param {PluginError} error - 錯誤物件
+   * @param {string} html - 頁面原始內容
+   * @param {import('vite').IndexHtmlTransformContext} ctx - Vite 提供的轉換上下文
+   * @returns {{ id?: string, source?: string }}
+   */
+  const resolveErrorSource = (error, html, ctx) => {
+    const { file, line } = error.context;
+    if (!file) {
+      return {};
+    }
 
-            // ----------------------------------------
-            // 步驟 3.7: 評估屬性表達式
-            // ----------------------------------------
-            // 將屬性值中的 {{ }} 表達式求值
-            // 範例: count="{{ items.length }}" 會被評估為實際數字
-            const locals = evaluateAttributeExpressions(rawLocals, dataContext, defaultCompilerOptions);
+    if (ctx?.filename && file === path.basename(ctx.filename)) {
+      return { id: ctx.filename, source: html };
+    }
 
-            // ----------------------------------------
-            // 步驟 3.8: 合併資料上下文
-            // ----------------------------------------
-            // 合併順序（後者覆蓋前者）：
-            // 1. Lodash 工具函式（_）
-            // 2. 全域資料上下文
-            // 3. 局部變數（傳入的屬性）
-            const currentData = { _: lodash, ...dataContext, ...locals };
+    const rootPath = viteConfig?.root || process.cwd();
+    const partialPath = resolveInPartialDirs(resolvePartialDirs(partialsDir, rootPath), file).filePath;
+    // @parent 引用的檔案以相對於 root 的路徑命名
+    const rootRelativePath = path.resolve(rootPath, file);
+    const filePath = !fs.existsSync(partialPath) && fs.existsSync(rootRelativePath) ? rootRelativePath : partialPath;
 
-            // ----------------------------------------
-            // 步驟 3.9: 遞迴處理 Partial 內的 Include
-            // ----------------------------------------
-            // Partial 內可能還有其他 <include> 標籤，需要遞迴處理
-            // 傳入檔案名稱用於循環引用檢測
-            const resolvedContent = resolve(content, currentData, src);
+    if (!line || !fs.existsSync(filePath)) {
+      return { id: filePath };
+    }
+    return { id: filePath, source: fs.readFileSync(filePath, 'utf-8') };
+  };
 
-            // ----------------------------------------
-            // 步驟 3.9.5: 替換 Partial 中的 @slot 佔位符
-            // ----------------------------------------
-            // 在遞迴處理巢狀 include 之後才替換 @slot 佔位符，
-            // 確保內層 <include> 的 slot 由子遞迴自行消化，
-            // 這裡只替換屬於當前層級的 @slot 佔位符。
-            //
-            // 在 partial 檔案中，@slot('name', 'default') 會被替換為：
-            // 1. 傳入的 slot 內容（優先）
-            // 2. 默認值（如果有提供）
-            // 3. 空字串
-            REGEX.SLOT.lastIndex = 0;
-            const slotResolved = resolvedContent.replace(REGEX.SLOT, (slotMatch, slotName, defaultValue) => {
-              if (slots[slotName] !== undefined) {
-                return slots[slotName];
-              }
-              if (defaultValue !== undefined) {
-                return defaultValue;
-              }
-              return '';
-            });
+  /**
+   * 回報頁面轉換期間收集到的錯誤
+   *
+   * 只處理 error 等級的錯誤（警告只記錄在終端機），以第一個錯誤為準：
+   * - 開發模式：透過 server.ws.send({ type: 'error', err }) 送到瀏覽器，
+   *   由 Vite 的錯誤 overlay 顯示錯誤碼、標題、訊息、建議、檔案位置與程式碼片段
+   * - 建構模式且 failOnError 為 true：拋出錯誤，讓建構失敗
+   *
+   * @param {PluginError[]} errors - collectErrors 收集到的錯誤
+   * @param {string} html - 頁面原始內容
+   * @param {import('vite').IndexHtmlTransformContext} ctx - Vite 提供的轉換上下文
+   * @param {string} output - 轉換後的 HTML
+   * @returns {string} 轉換後的 HTML（原樣返回）
+   */
+  const reportTemplateErrors = (errors, html, ctx, output) => {
+    const error = errors.find(item => item.severity === 'error');
+    if (!error) {
+      return output;
+    }
 
-            // ----------------------------------------
-            // 步驟 3.10: 編譯並執行 Lodash Template
-            // ----------------------------------------
-            try {
-              const compiled = lodash.template(slotResolved, defaultCompilerOptions);
-              return compiled(currentData);
+    if (viteConfig?.command === 'build') {
+      if (failOnError) {
+        // 帶上 id / loc / frame，Vite 會在建構錯誤中顯示檔案位置與程式碼片段
+        const { stack, ...details } = error.toViteError(resolveErrorSource(error, html, ctx));
+        throw Object.assign(error, details);
+      }
+      return output;
+    }
 
-            } catch (e) {
-              // 編譯失敗時的除錯資訊
-              if (process.env.DEBUG || process.env.VITE_DEBUG) {
-                console.log('\n--- [vite-plugin-html-kit] 編譯 Partial 時發生錯誤 ---');
-                console.log(`檔案: ${src}`);
-                console.log('內容:');
-                console.log(resolvedContent);
-                console.log('-----------------------------\n');
-              }
-              throw e;
-            }
+    if (ctx?.server) {
+      ctx.server.ws.send({ type: 'error', err: error.toViteError(resolveErrorSource(error, html, ctx)) });
+    }
 
-          } catch (error) {
-            // ----------------------------------------
-            // 錯誤處理
-            // ----------------------------------------
-            const pluginError = createAndLogError(ErrorCodes.INCLUDE_PROCESSING_ERROR, [src], {
-              includePath: src,
-              currentFile,
-              originalError: error
-            });
-            return pluginError.toHTMLComment();
-          }
-        });
+    return output;
+  };
 
-      } finally {
-        // ========================================
-        // 清理：移除 Include 堆疊
-        // ========================================
-        // 無論成功或失敗，都要從堆疊中移除當前檔案
-        // 使用 finally 確保即使發生錯誤也會正確清理
-        includeStack.pop();
+  /**
+   * 轉換單一頁面：交由渲染器處理，並記錄頁面的依賴
+   *
+   * 動態頁面（pages 選項）：
+   * - 沒有同名資料檔，改為將模板檔案記錄為依賴（HMR 用）
+   * - 頁面資料覆蓋模板的 front matter（front matter 作為預設值）
+   *
+   * 語系頁面（i18n 選項）：以原始頁面的路徑渲染（資料檔、alternates），
+   * 並將原始頁面記錄為依賴，依賴圖仍以語系頁面的路徑為鍵。
+   *
+   * @param {string} html - 原始 HTML 內容
+   * @param {import('vite').IndexHtmlTransformContext} ctx - Vite 提供的轉換上下文
+   * @param {Object} pluginContext - Rollup 插件上下文（用於註冊監聽檔案）
+   * @returns {string|Promise<string>} 轉換後的 HTML（有 async 資料時返回 Promise）
+   */
+  const transformPage = (html, ctx, pluginContext) => {
+    const pagePath = ctx?.filename ? path.resolve(ctx.filename) : undefined;
+    const localized = pagePath ? resolveLocalizedPage(pagePath) : null;
+    const sourcePath = localized ? localized.original : pagePath;
+    const generatedPage = sourcePath ? generatedPages.get(sourcePath) : undefined;
+    const dependencies = new Set(generatedPage ? [generatedPage.template] : []);
+    if (localized && !generatedPage) {
+      dependencies.add(sourcePath);
+    }
+
+    const output = renderer[RENDER_TEMPLATE](html, generatedPage?.data, {
+      filename: localized ? sourcePath : ctx?.filename,
+      locale: localized?.locale,
+      base: viteConfig?.base,
+      context: { mode: viteConfig?.mode, command: viteConfig?.command, server: ctx?.server },
+      dependencies,
+      loadDataFiles: !generatedPage,
+      // 建構時 Vite 還會處理行內 <script> / <style>，CSP 改在 generateBundle 以最終內容計算
+      applyCsp: viteConfig?.command !== 'build',
+      // 建構時 sprite 要包含所有頁面用到的圖示，同樣在 generateBundle 插入
+      applySvgSprite: viteConfig?.command !== 'build'
+    });
+
+    // 儲存此頁面的依賴，並註冊檔案監聽
+    const register = (result) => {
+      if (pagePath) {
+        registerPageDependencies(pagePath, dependencies, pluginContext, ctx.server);
       }
+      return result;
     };
-  })();
+
+    return isPromiseLike(output) ? output.then(register) : register(output);
+  };
 
   // 返回 Vite Plugin 物件
   return {
     // 插件名稱（與 package.json 一致）
     name: 'vite-plugin-html-kit',
 
+    // 提供給設定檔與其他插件的 API
+    api: {
+      /**
+       * 註冊自訂指令（與 directives 選項相同）
+       *
+       * @example
+       * const htmlKit = vitePluginHtmlKit();
+       * htmlKit.api.directive('datetime', args => `{{ formatDate(${args}) }}`);
+       */
+      directive: renderer.directive
+    },
+
     // 在其他插件之前執行，確保 HTML 轉換優先處理
     enforce: 'pre',
 
@@ -2310,7 +4548,27 @@ export default function vitePluginHtmlKit(options = {}) {
      * //   about: '/path/to/about.html'
      * // }
      */
-    config(config) {
+    config(config, env) {
+      // ========================================
+      // 步驟 0: 加入動態頁面入口點（pages 選項）
+      // ========================================
+      // 只在建構時處理，開發時由 configureServer 的 middleware 即時渲染
+      // pages 可能包含 async 函式，因此返回 Promise 讓 Vite 等待
+      const pagesReady = pages && env?.command === 'build'
+        ? addGeneratedPageInputs(config)
+        : undefined;
+
+      // 每個入口依語系各輸出一份（i18n 選項），在動態頁面加入之後處理
+      const inputsReady = i18nConfig && env?.command === 'build'
+        ? Promise.resolve(pagesReady).then(() => addLocalizedPageInputs(config))
+        : pagesReady;
+
+      // node_modules 中的 partial 目錄（例如 UI 套件的模板）預設不會被 Vite 監聽
+      // 以否定的 glob 加入 server.watch.ignored，讓這些 namespace 也能觸發 HMR
+      if (env?.command !== 'build') {
+        watchNodeModulesPartials(config);
+      }
+
       // ========================================
       // 步驟 1: 檢查配置是否存在
       // ========================================
@@ -2321,7 +4579,7 @@ export default function vitePluginHtmlKit(options = {}) {
       //
       // 如果任何一層不存在，直接返回，不做任何修改
       if (!config.build || !config.build.rollupOptions || !config.build.rollupOptions.input) {
-        return;
+        return inputsReady;
       }
 
       // ========================================
@@ -2329,9 +4587,7 @@ export default function vitePluginHtmlKit(options = {}) {
       // ========================================
       const input = config.build.rollupOptions.input;
       const rootPath = config.root || process.cwd();
-      const absolutePartialsDir = path.isAbsolute(partialsDir)
-        ? partialsDir
-        : path.resolve(rootPath, partialsDir);
+      const absolutePartialsDirs = resolvePartialDirs(partialsDir, rootPath).map(entry => entry.dir);
 
       // ========================================
       // 步驟 3: 過濾 Partials 入口點
@@ -2348,8 +4604,8 @@ export default function vitePluginHtmlKit(options = {}) {
           // 將相對路徑轉換為絕對路徑
           const filePath = path.resolve(rootPath, input[key]);
 
-          // 檢查檔案是否在 partials 目錄內
-          if (filePath.startsWith(absolutePartialsDir)) {
+          // 檢查檔案是否在任一 partials 目錄內
+          if (absolutePartialsDirs.some(dir => isInsideDir(dir, filePath))) {
             // 從 input 物件中移除此入口點
             delete input[key];
 
@@ -2360,6 +4616,97 @@ export default function vitePluginHtmlKit(options = {}) {
           }
         }
       }
+
+      return inputsReady;
+    },
+
+    /**
+     * Rollup ResolveId Hook: 解析動態頁面與語系頁面的入口點
+     *
+     * 動態頁面（pages 選項）與語系頁面（i18n 選項）在磁碟上不存在，
+     * 需要在 Vite 的檔案解析之前認領這些 id。
+     *
+     * @param {string} id - 模組 id（動態頁面與語系頁面為絕對路徑）
+     * @returns {string|undefined} 動態頁面與語系頁面返回原 id，其餘交給其他插件
+     */
+    resolveId(id) {
+      if (generatedPages.has(id) || resolveLocalizedPage(id)) {
+        return id;
+      }
+    },
+
+    /**
+     * Rollup Load Hook: 載入動態頁面的模板內容
+     *
+     * 返回模板檔案的原始內容，之後 Vite 的 HTML 處理流程會呼叫
+     * transformIndexHtml，並以頁面資料渲染。
+     * 語系頁面返回原始頁面（或其動態頁面模板）的內容，以該語系渲染。
+     *
+     * @param {string} id - 模組 id
+     * @returns {string|undefined} 模板內容
+     */
+    load(id) {
+      const localized = resolveLocalizedPage(id);
+      const pagePath = localized ? localized.original : id;
+      const page = generatedPages.get(pagePath);
+      if (page) {
+        return fs.readFileSync(page.template, 'utf-8');
+      }
+      if (localized) {
+        return fs.readFileSync(pagePath, 'utf-8');
+      }
+    },
+
+    /**
+     * Vite ConfigureServer Hook: 開發時渲染動態頁面與語系頁面
+     *
+     * 註冊 middleware，在請求路徑對應到動態頁面或語系頁面（/en/about.html）時：
+     * 1. 讀取模板檔案（語系頁面為原始頁面）
+     * 2. 透過 server.transformIndexHtml 執行完整的轉換流程
+     *    （包含本插件的 processExtends / transformLogicTags / resolveIncludes）
+     * 3. 返回渲染後的 HTML
+     *
+     * 支援的請求路徑（以 blog/hello.html 為例）：
+     * - /blog/hello.html
+     * - /blog/hello
+     *
+     * 另外監聽每個 namespace 的 partial 目錄（可能位於 root 以外），
+     * 其中的檔案新增或變更時由 handleHotUpdate 處理。
+     *
+     * @param {import('vite').ViteDevServer} server - Vite 開發伺服器
+     */
+    configureServer(server) {
+      const rootPath = viteConfig?.root || process.cwd();
+      server.watcher?.add(resolvePartialDirs(partialsDir, rootPath).map(entry => entry.dir));
+
+      if (!pages && !i18nConfig) {
+        return;
+      }
+
+      server.middlewares.use(async (req, res, next) => {
+        try {
+          await resolveGeneratedPages(rootPath);
+
+          const url = decodeURIComponent((req.url || '/').split('?')[0]);
+          const pagePath = path.resolve(rootPath, normalizePagePath(url));
+          const localized = resolveLocalizedPage(pagePath, rootPath);
+          const page = generatedPages.get(localized ? localized.original : pagePath);
+
+          if (!page && !localized) {
+            return next();
+          }
+
+          const template = fs.readFileSync(page ? page.template : localized.original, 'utf-8');
+          const pageUrl = '/' + path.relative(rootPath, pagePath).split(path.sep).join('/');
+          const html = await server.transformIndexHtml(pageUrl, template, req.originalUrl);
+
+          res.statusCode = 200;
+          res.setHeader('Content-Type', 'text/html');
+          res.end(html);
+        } catch (error) {
+          next(error);
+        }
+      });
     },
 
     /**
@@ -2413,7 +4760,9 @@ export default function vitePluginHtmlKit(options = {}) {
         console.log(`  ├─ 根目錄: ${resolvedConfig.root}`);
         console.log(`  ├─ 命令: ${resolvedConfig.command}`);
         console.log(`  ├─ 模式: ${resolvedConfig.mode}`);
-        console.log(`  └─ Partials 目錄: ${path.resolve(resolvedConfig.root, partialsDir)}\n`);
+        const partialsDirs = resolvePartialDirs(partialsDir, resolvedConfig.root)
+          .map(({ namespace, dir }) => `${namespace}: ${dir}`);
+        console.log(`  └─ Partials 目錄: ${partialsDirs.join(', ')}\n`);
       }
 
       // ========================================
@@ -2436,6 +4785,45 @@ export default function vitePluginHtmlKit(options = {}) {
       }
     },
 
+    /**
+     * Rollup BuildStart Hook: 建構前的靜態檢查（lint 選項）
+     *
+     * 只在 vite build 且 lint 為 true 時執行，檢查 root 中的頁面與 partials，
+     * 每個問題以 this.warn 輸出為建構警告，不會中止建構。
+     * 略過所有 partial 目錄、build.outDir 與 publicDir。
+     * pages 選項的模板以所有頁面 data 的鍵（聯集）作為已定義的變數。
+     *
+     * @returns {Promise<void>|undefined}
+     */
+    buildStart() {
+      if (!lint || viteConfig?.command !== 'build') {
+        return;
+      }
+
+      const rootPath = viteConfig.root || process.cwd();
+      const excluded = [
+        ...resolvePartialDirs(partialsDir, rootPath).map(entry => entry.dir),
+        path.resolve(rootPath, viteConfig.build?.outDir || 'dist'),
+        viteConfig.publicDir
+      ].filter(Boolean);
+
+      return resolveGeneratedPages(rootPath).then((generated) => {
+        // 模板 -> 所有動態頁面 data 合併後的物件（只用到鍵）
+        const templateData = new Map();
+        for (const { template, data: pageData } of generated.values()) {
+          templateData.set(template, { ...templateData.get(template), ...pageData });
+        }
+
+        const lintPages = findTemplateFiles(rootPath, excluded)
+          .map(file => (templateData.has(file) ? { file, data: templateData.get(file) } : file));
+        return renderer.lint(lintPages);
+      }).then((problems) => {
+        for (const problem of problems) {
+          this.warn(problem.toViteError({ id: path.resolve(rootPath, problem.context.file) }));
+        }
+      });
+    },
+
     /**
      * Vite TransformIndexHtml Hook: 轉換 HTML 檔案
      *
@@ -2446,11 +4834,8 @@ export default function vitePluginHtmlKit(options = {}) {
      * - 確保模板插入的 <script>、<link> 等資源標籤會被 Vite 正確識別和處理
      *
      * 轉換流程概覽：
-     * 1. 處理佈局繼承（@extends + @section + @yield）
-     * 2. 轉換 Blade 邏輯標籤（@if, @foreach, @switch）
-     * 3. 解析並替換 <include> 標籤（含 Slot 支援）
-     * 4. 編譯 Lodash Template（處理 {{ }} 變數插值）
-     * 5. 注入全域資料並生成最終 HTML
+     * 0. 載入頁面資料（front matter、同名資料檔）
+     * 1-5. 交由渲染器（createRenderer）處理（佈局、邏輯標籤、include、Lodash 編譯）
      *
      * 執行時機：
      * - 開發模式：每次請求 HTML 時觸發
@@ -2465,7 +4850,7 @@ export default function vitePluginHtmlKit(options = {}) {
      * @param {import('vite').IndexHtmlTransformContext} ctx - Vite 提供的轉換上下文
      * @param {string} ctx.filename - 當前處理的檔案絕對路徑
      * @param {import('vite').ViteDevServer} ctx.server - 開發伺服器實例（僅開發模式）
-     * @returns {string} 轉換後的 HTML（可直接輸出給瀏覽器）
+     * @returns {string|Promise<string>} 轉換後的 HTML（有 .data.js 資料檔時返回 Promise）
      *
      * @example
      * // 輸入 (index.html):
@@ -2487,175 +4872,49 @@ export default function vitePluginHtmlKit(options = {}) {
     transformIndexHtml: {
       order: 'pre',
       handler(html, ctx) {
-      // ========================================
-      // 步驟 0: 準備資料上下文和檔案資訊
-      // ========================================
-      // 建立全域資料上下文，合併用戶提供的 data 選項
-      // 特別注入 _ (lodash)，讓所有模板都可以使用 Lodash 工具函式
-      // 範例：{{ _.capitalize(name) }}, {{ _.map(items, 'id') }}
-      const globalData = { _: lodash, ...data };
-
-      // 提取檔案名稱用於錯誤訊息和循環引用檢測
-      // 範例：/path/to/index.html -> 'index.html'
-      const filename = ctx?.filename ? path.basename(ctx.filename) : 'index.html';
-
-      // ========================================
-      // 步驟 0.5: 保護 @verbatim 區塊
-      // ========================================
-      // 在所有處理之前，提取並保護 @verbatim 區塊
-      // 這些區塊的內容將完全不被 Blade 和 Lodash Template 處理
-      //
-      // 策略：
-      // 1. 提取所有 @verbatim...@endverbatim 區塊
-      // 2. 用 HTML 註釋佔位符替換
-      // 3. 在 Lodash Template 編譯後恢復原始內容
-      const verbatimBlocks = [];
-      html = html.replace(REGEX.VERBATIM, (match, content) => {
-        const index = verbatimBlocks.length;
-        verbatimBlocks.push(content);
-        return `<!-- __VPHK_VERBATIM_${index}__ -->`;
-      });
-
-      // ========================================
-      // 步驟 1: 處理佈局繼承（Layout Inheritance）
-      // ========================================
-      // 為什麼放在第一步：
-      // - 佈局檔案可能包含 include 標籤和邏輯標籤
-      // - 子頁面的 section 內容需要先提取，再填入佈局的 yield 位置
-      // - 支援多層繼承（A extends B extends C）
-      //
-      // 處理內容：
-      // - @extends('layout.html') - 載入佈局檔案
-      // - @section('name') ... @endsection - 提取內容區塊
-      // - @yield('name', 'default') - 替換為 section 內容
-      //
-      // 輸入範例：
-      //   @extends('layouts/app.html')
-      //   @section('title')首頁@endsection
-      //
-      // 處理後：
-      //   <!DOCTYPE html>
-      //   <html><title>首頁</title>...</html>
-      html = processExtends(html, filename);
-
-      // ========================================
-      // 步驟 2: 轉換 Blade 邏輯標籤
-      // ========================================
-      // 為什麼在 extends 之後：
-      // - 佈局檔案已經載入，現在處理完整的 HTML
-      // - 確保佈局中的邏輯標籤也被轉換
-      //
-      // 處理內容：
-      // - @if(condition) -> <% if (condition) { %>
-      // - @foreach(items as item) -> <% for (let item of items) { %>
-      // - @switch(value) -> <% { const __vphk_sw__ = value; if (false) { %>
-      //
-      // 效能優化：
-      // - 使用 LRU Cache 快取轉換結果
-      // - 相同內容的快取命中可提升 50 倍速度
-      //
-      // 輸入範例：
-      //   @if(user.isAdmin)
-      //     <p>管理員</p>
-      //   @endif
-      //
-      // 處理後：
-      //   <% if (user.isAdmin) { %>
-      //     <p>管理員</p>
-      //   <% } %>
-      html = transformLogicTags(html);
-
-      // ========================================
-      // 步驟 3: 遞迴解析 Include 標籤
-      // ========================================
-      // 為什麼在邏輯標籤之後：
-      // - Include 的 partial 檔案內可能也有邏輯標籤
-      // - 在 resolveIncludes 內部會再次調用 transformLogicTags
-      //
-      // 處理內容：
-      // - <include src="header.html" title="Hello" /> - 載入 partial
-      // - 支援 Slot 機制（@slot('name') ... @endslot）
-      // - 支援屬性傳遞和表達式求值
-      // - 遞迴處理（partial 內可再 include）
-      //
-      // 安全性：
-      // - 路徑遍歷攻擊防護
-      // - 循環引用檢測（A -> B -> C -> A）
-      //
-      // 輸入範例：
-      //   <include src="card.html" title="{{ post.title }}">
-      //     @slot('content')
-      //       <p>{{ post.body }}</p>
-      //     @endslot
-      //   </include>
-      //
-      // 處理後：
-      //   <div class="card">
-      //     <h3>文章標題</h3>
-      //     <p>文章內容</p>
-      //   </div>
-      let fullHtml = resolveIncludes(html, globalData, filename);
-
-      // ========================================
-      // 步驟 4: 編譯並執行 Lodash Template
-      // ========================================
-      // 這是最後一步，將所有 <% %> 和 {{ }} 語法編譯為可執行的 JavaScript
-      //
-      // 處理內容：
-      // - {{ variable }} - 變數插值
-      // - {{ expression }} - 表達式求值
-      // - <% code %> - 執行 JavaScript 程式碼
-      //
-      // 編譯選項：
-      // - interpolate: /{{([\s\S]+?)}}/g - 自訂插值語法
-      // - 其他選項繼承自 compilerOptions 參數
-      try {
-        // 編譯模板為函數
-        const compiled = lodash.template(fullHtml, defaultCompilerOptions);
+        // 收集轉換期間的錯誤（含 async 資料函式），轉換完成後回報
+        const errors = [];
+        const output = collectErrors(errors, () => transformPage(html, ctx, this));
 
-        // 執行函數，注入全域資料，生成最終 HTML
-        let result = compiled(globalData);
+        return isPromiseLike(output)
+          ? output.then(result => reportTemplateErrors(errors, html, ctx, result))
+          : reportTemplateErrors(errors, html, ctx, output);
+      }
+    },
 
-        // ========================================
-        // 步驟 5: 恢復 @verbatim 區塊的原始內容
-        // ========================================
-        // 將 HTML 註釋佔位符替換為原始內容
-        // 這確保前端框架（Vue.js、Alpine.js）可以處理原始的 {{ }} 語法
-        //
-        // 恢復規則：
-        // <!-- __VPHK_VERBATIM_0__ --> -> 原始 verbatim 內容
-        if (verbatimBlocks.length > 0) {
-          result = result.replace(/<!-- __VPHK_VERBATIM_(\d+)__ -->/g, (match, indexStr) => {
-            const index = parseInt(indexStr, 10);
-            return verbatimBlocks[index] || match;
-          });
+    /**
+     * Rollup GenerateBundle Hook: 在最終的 HTML 上插入 SVG sprite、套用 CSP 並輸出 manifest
+     *
+     * order: 'post' 確保 Vite 已輸出 HTML 檔案，此時所有頁面都已渲染：
+     * - sprite 佔位符替換為整個建構用到的圖示（svg.sprite 開啟時）
+     * - CSP hash 以 Vite 處理後（行內樣式、模組腳本轉換後）的內容計算（csp 選項開啟時）
+     *
+     * manifest 格式（頁面 -> CSP 指令的來源列表），可以直接用於伺服器的 header：
+     * { "index.html": { "script-src": ["'sha256-...'"], "style-src": [] } }
+     *
+     * @param {Object} outputOptions - Rollup 輸出選項
+     * @param {Object} bundle - 輸出的檔案（檔名 -> chunk / asset）
+     */
+    generateBundle: {
+      order: 'post',
+      handler(outputOptions, bundle) {
+        const manifest = {};
+        for (const file of Object.values(bundle)) {
+          if (file.type !== 'asset' || !file.fileName.endsWith('.html')) {
+            continue;
+          }
+          file.source = renderer.applySvgSprite(String(file.source));
+          if (csp) {
+            const { html, directives } = renderer.applyCsp(file.source);
+            file.source = html;
+            manifest[file.fileName] = directives;
+          }
         }
 
-        return result;
-
-      } catch (error) {
-        // ========================================
-        // 錯誤處理
-        // ========================================
-        // Lodash 編譯/執行失敗時的降級處理
-        //
-        // 常見錯誤原因：
-        // - 語法錯誤（未閉合的 {{ }}）
-        // - 變數未定義（嘗試訪問 undefined.property）
-        // - 表達式錯誤（除以零、錯誤的函數呼叫等）
-        //
-        // 降級策略：
-        // - 使用統一錯誤處理系統記錄錯誤
-        // - 返回未編譯的 HTML（保留 <% %> 和 {{ }} 語法）
-        // - 讓開發者可以在瀏覽器中看到原始模板內容，便於除錯
-        createAndLogError(ErrorCodes.TEMPLATE_COMPILE_ERROR, [filename], {
-          filename,
-          originalError: error
-        });
-
-        return fullHtml;
+        if (csp && cspManifest) {
+          this.emitFile({ type: 'asset', fileName: cspManifest, source: `${JSON.stringify(manifest, null, 2)}\n` });
+        }
       }
-    }
     },
 
     /**
@@ -2667,21 +4926,20 @@ export default function vitePluginHtmlKit(options = {}) {
      *
      * HMR 工作原理：
      * 1. 檔案變更觸發此 hook
-     * 2. 檢查是否為相關檔案（HTML 或 partial）
+     * 2. 檢查是否為相關檔案（HTML、partial 或任何已記錄的依賴）
      * 3. 清除轉換快取
-     * 4. 通知瀏覽器重新載入頁面
+     * 4. 從依賴圖找出受影響的頁面，只通知這些頁面重新載入
      *
-     * 為什麼需要完整重載（Full Reload）：
-     * - HTML 模板的依賴關係複雜（include、extends）
-     * - 一個 partial 的變更可能影響多個頁面
+     * 依賴圖：
+     * - transformIndexHtml 執行時，processExtends / resolveIncludes 會記錄
+     *   頁面用到的每個 layout 和 partial（dependencyGraph）
+     * - 變更的檔案若被某些頁面使用，只對這些頁面發送 full-reload
+     * - 找不到任何受影響頁面時（例如頁面尚未被請求過），退回重新載入所有頁面
+     *
+     * 為什麼仍然使用完整重載（Full Reload）：
      * - Vite 的模組熱替換（Module HMR）僅適用於 JS/CSS
      * - HTML 變更需要重新執行整個轉換流程
      *
-     * 效能影響：
-     * - 清除快取操作：O(1) 時間複雜度
-     * - 完整重載：瀏覽器重新請求 HTML（約 50-200ms）
-     * - 對開發體驗影響極小（使用者幾乎無感）
-     *
      * @param {Object} context - Vite 提供的 HMR 上下文
      * @param {string} context.file - 發生變更的檔案絕對路徑
      * @param {import('vite').ViteDevServer} context.server - Vite 開發伺服器實例
@@ -2690,9 +4948,9 @@ export default function vitePluginHtmlKit(options = {}) {
      * @example
      * // 當修改 partials/header.html 時：
      * // 1. file = '/path/to/project/partials/header.html'
-     * // 2. isPartialFile = true
+     * // 2. 依賴圖中 index.html 和 about.html 使用了 header.html
      * // 3. transformCache.clear() - 清除所有快取
-     * // 4. 瀏覽器收到重載訊號 -> 刷新頁面
+     * // 4. 發送 { type: 'full-reload', path: '/index.html' } 和 '/about.html'
      */
     handleHotUpdate({ file, server }) {
       // ========================================
@@ -2701,9 +4959,7 @@ export default function vitePluginHtmlKit(options = {}) {
       // 取得專案根目錄和 partials 目錄的絕對路徑
       // 用於後續判斷檔案是否在 partials 目錄內
       const rootPath = viteConfig?.root || process.cwd();
-      const absolutePartialsDir = path.isAbsolute(partialsDir)
-        ? partialsDir
-        : path.resolve(rootPath, partialsDir);
+      const absolutePartialsDirs = resolvePartialDirs(partialsDir, rootPath).map(entry => entry.dir);
 
       // ========================================
       // 步驟 2: 判斷檔案類型
@@ -2711,60 +4967,47 @@ export default function vitePluginHtmlKit(options = {}) {
       // 檢查變更的檔案是否需要觸發 HMR
       //
       // isHtmlFile: 任何 .html 結尾的檔案
-      // - 包含專案根目錄的 HTML 檔案
-      // - 包含 partials 目錄的 HTML 檔案
-      // - 包含子目錄的 HTML 檔案
-      //
-      // isPartialFile: partials 目錄內的任何檔案
-      // - 即使不是 .html 也會觸發（例如 .txt, .md）
-      // - 這樣可以捕捉意外的檔案類型
+      // isPartialFile: 任一 partials 目錄（每個 namespace）內的任何檔案（即使不是 .html）
+      // affectedPages: 依賴圖中使用了此檔案的頁面（可能位於 root 以外）
       const isHtmlFile = file.endsWith('.html');
-      const isPartialFile = file.startsWith(absolutePartialsDir);
+      const isPartialFile = absolutePartialsDirs.some(dir => isInsideDir(dir, path.resolve(file)));
+      const affectedPages = getAffectedPages(path.resolve(file));
 
       // ========================================
       // 步驟 3: 執行 HMR 處理
       // ========================================
-      if (isHtmlFile || isPartialFile) {
+      if (isHtmlFile || isPartialFile || affectedPages.length > 0) {
         // ----------------------------------------
         // 步驟 3.1: 清除轉換快取
         // ----------------------------------------
-        // 為什麼必須清除快取：
-        // - transformLogicTags 使用 LRU Cache 快取轉換結果
-        // - 快取鍵基於檔案內容的 MD5 hash
-        // - 檔案變更後，內容改變，但舊的快取可能仍然存在
-        // - 如果不清除，下次請求會返回舊的快取內容
-        //
-        // 清除策略：
-        // - 清除所有快取（transformCache.clear()）
-        // - 不做選擇性清除，因為依賴關係複雜
-        //
-        // 範例情境：
-        // 1. 用戶修改 partials/header.html
-        // 2. index.html includes header.html
-        // 3. 如果不清除快取，index.html 仍會使用舊的 header 內容
+        // 快取鍵基於內容 hash，理論上不會取到舊內容，
+        // 但清除可避免已無用的轉換結果佔用快取空間
         transformCache.clear();
+        validationCache.clear();
+
+        // 重新解析 pages 選項，讓頁面函式取得最新的頁面列表
+        generatedPagesReady = null;
 
         // ----------------------------------------
-        // 步驟 3.2: 通知瀏覽器重新載入
+        // 步驟 3.2: 通知受影響的頁面重新載入
         // ----------------------------------------
-        // 發送 WebSocket 訊息給所有連接的瀏覽器客戶端
+        // Vite client 只會在 path 與目前頁面相符時重新載入
+        // 範例：/path/to/project/blog/index.html -> '/blog/index.html'
         //
-        // 訊息格式：
-        // - type: 'full-reload' - 完整重載（非模組熱替換）
-        // - path: '*' - 影響所有頁面（萬用字元）
-        //
-        // 為什麼使用 '*'：
-        // - 一個 partial 可能被多個頁面使用
-        // - 無法精確知道哪些頁面受影響
-        // - 重載所有頁面是最安全的做法
-        //
-        // 替代方案（未採用）：
-        // - path: '/' - 僅重載首頁
-        // - 分析依賴關係圖 - 過於複雜，效益不高
-        server.ws.send({
-          type: 'full-reload',
-          path: '*'
-        });
+        // 沒有已知的受影響頁面時，使用 '*' 重新載入所有頁面（安全的退路）
+        if (affectedPages.length > 0) {
+          for (const pagePath of affectedPages) {
+            server.ws.send({
+              type: 'full-reload',
+              path: '/' + path.relative(rootPath, pagePath).split(path.sep).join('/')
+            });
+          }
+        } else {
+          server.ws.send({
+            type: 'full-reload',
+            path: '*'
+          });
+        }
 
         // 在除錯模式下輸出 HMR 資訊
         if (process.env.DEBUG || process.env.VITE_HTML_KIT_DEBUG) {
@@ -2772,7 +5015,9 @@ export default function vitePluginHtmlKit(options = {}) {
           console.log(`  ├─ 檔案: ${path.relative(rootPath, file)}`);
           console.log(`  ├─ 類型: ${isPartialFile ? 'Partial' : 'HTML'}`);
           console.log(`  ├─ 快取已清除`);
-          console.log(`  └─ 瀏覽器將重新載入\n`);
+          console.log(`  └─ 重新載入: ${affectedPages.length > 0
+            ? affectedPages.map(page => path.relative(rootPath, page)).join(', ')
+            : '所有頁面'}\n`);
         }
       }
 
@@ -0,0 +1,176 @@
+/**
+ * 靜態檢查（lint）工具
+ *
+ * 不渲染模板，只分析原始內容：
+ * - maskTemplate：以空白遮蔽不需要分析的區塊（註釋、<% %>、@verbatim 等），保留字元位置與換行
+ * - analyzeExpression：找出 {{ }} 與指令參數中使用的變數
+ * - findTemplateFiles：列出目錄中的模板檔案
+ *
+ * 模板的掃描與檢查規則在 index.js 的 createRenderer().lint 中，
+ * 這裡只放不依賴插件內部狀態的純函式。
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// 一律遮蔽的區塊：Blade 註釋與 Lodash 標籤（內容不是模板語法）
+const IGNORED_BLOCKS = [/\{\{--[\s\S]*?--\}\}/g, /<%[\s\S]*?%>/g];
+
+// 字串字面值（template literal 內的 ${} 另外處理）
+const STRING_LITERAL = /'(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*"|`(?:\\.|[^`\\])*`/g;
+
+// 識別字（前面不是識別字字元，因此不會取到數字中的 e3）
+const IDENTIFIER = /(?<![\w$])[A-Za-z_$][\w$]*/g;
+
+// 不是變數的保留字與字面值
+const KEYWORDS = new Set([
+  'true', 'false', 'null', 'undefined', 'NaN', 'Infinity', 'this', 'arguments',
+  'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'await', 'async', 'yield',
+  'let', 'const', 'var', 'function', 'return', 'if', 'else', 'for', 'while', 'do',
+  'break', 'continue', 'switch', 'case', 'default', 'class', 'extends', 'super',
+  'throw', 'try', 'catch', 'finally', 'import', 'export'
+]);
+
+/**
+ * 以空白遮蔽不需要分析的區塊
+ *
+ * 換行會保留，遮蔽後的字元位置與行號都與原始內容相同。
+ *
+ * @param {string} source - 原始模板內容
+ * @param {RegExp[]} [patterns=[]] - 額外要遮蔽的區塊（例如 front matter、@verbatim）
+ * @returns {string} 遮蔽後的內容
+ *
+ * @example
+ * maskTemplate('A{{-- {{ x }} --}}B')
+ * // 返回: 'A                 B'
+ */
+export const maskTemplate = (source, patterns = []) => {
+  let masked = source;
+  for (const pattern of [...patterns, ...IGNORED_BLOCKS]) {
+    masked = masked.replace(new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`),
+      match => match.replace(/[^\n]/g, ' '));
+  }
+  return masked;
+};
+
+/**
+ * 往前找出與結尾括號配對的開頭括號位置
+ *
+ * @param {string} code - 已移除字串的程式碼
+ * @param {number} closeIndex - 結尾括號 ) 的位置
+ * @returns {number} 開頭括號的位置，找不到時返回 -1
+ */
+const findOpeningParen = (code, closeIndex) => {
+  let depth = 0;
+  for (let i = closeIndex; i >= 0; i--) {
+    if (code[i] === ')') {
+      depth++;
+    } else if (code[i] === '(' && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+/**
+ * 找出表達式使用的變數與表達式內宣告的變數
+ *
+ * 不會列為使用的變數：
+ * - 屬性存取（post.title 的 title、a?.b 的 b）與物件的鍵（{ title: x } 的 title）
+ * - 保留字、字面值與全域物件（Math、JSON、Date 等）
+ * - typeof 之後的名稱（typeof x === 'undefined' 是檢查變數是否存在的寫法）
+ * - 表達式內宣告的變數：箭頭函式參數、let / const / var（@for 的迴圈變數）
+ *
+ * 這是以正則為基礎的近似分析，不處理正規表示式字面值等少見寫法。
+ *
+ * @param {string} expression - JavaScript 表達式
+ * @returns {{ free: string[], declared: string[] }} 使用的外部變數與表達式內宣告的變數
+ *
+ * @example
+ * analyzeExpression("posts.filter(post => post.published).length > limit")
+ * // 返回: { free: ['posts', 'limit'], declared: ['post'] }
+ *
+ * @example
+ * analyzeExpression('let i = 0; i < items.length; i++')
+ * // 返回: { free: ['items'], declared: ['i'] }
+ */
+export const analyzeExpression = (expression) => {
+  // 字串換成 0（'a'.length 仍是屬性存取），template literal 只保留 ${} 內的表達式
+  const code = String(expression).replace(STRING_LITERAL, literal => (literal[0] === '`'
+    ? `(${(literal.match(/\$\{[^}]*\}/g) || ['0']).map(part => part.replace(/^\$\{|\}$/g, '') || '0').join(', ')})`
+    : '0'));
+
+  const declared = new Set();
+
+  for (const match of code.matchAll(/\b(?:let|const|var)\s+([A-Za-z_$][\w$]*)/g)) {
+    declared.add(match[1]);
+  }
+
+  // 箭頭函式參數：x => ...、(a, b) => ...
+  for (const match of code.matchAll(/=>/g)) {
+    const before = code.slice(0, match.index).trimEnd();
+    if (before.endsWith(')')) {
+      const openIndex = findOpeningParen(before, before.length - 1);
+      for (const param of before.slice(openIndex + 1, -1).matchAll(IDENTIFIER)) {
+        declared.add(param[0]);
+      }
+    } else {
+      const param = before.match(/[A-Za-z_$][\w$]*$/);
+      if (param) {
+        declared.add(param[0]);
+      }
+    }
+  }
+
+  const free = [];
+  for (const match of code.matchAll(IDENTIFIER)) {
+    const name = match[0];
+    const before = code.slice(0, match.index).trimEnd();
+    const after = code.slice(match.index + name.length).trimStart();
+
+    const isMember = before.endsWith('.') && !before.endsWith('...');
+    const isKey = after.startsWith(':') && /[{,]$/.test(before);
+    const isTypeofOperand = /\btypeof$/.test(before);
+
+    if (isMember || isKey || isTypeofOperand || declared.has(name) || KEYWORDS.has(name) || name in globalThis) {
+      continue;
+    }
+    if (!free.includes(name)) {
+      free.push(name);
+    }
+  }
+
+  return { free, declared: [...declared] };
+};
+
+/**
+ * 找出目錄中所有的 .html 模板
+ *
+ * 略過 node_modules、以 . 開頭的目錄與 excluded 中的目錄。
+ *
+ * @param {string} dir - 要搜尋的目錄
+ * @param {string[]} [excluded=[]] - 要略過的目錄（絕對路徑）
+ * @returns {string[]} 模板的絕對路徑（依路徑排序）
+ *
+ * @example
+ * findTemplateFiles('/project/src', ['/project/src/partials'])
+ * // 返回: ['/project/src/about.html', '/project/src/index.html']
+ */
+export const findTemplateFiles = (dir, excluded = []) => {
+  const files = [];
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      if (entry.name === 'node_modules' || entry.name.startsWith('.') || excluded.includes(fullPath)) {
+        continue;
+      }
+      files.push(...findTemplateFiles(fullPath, excluded));
+    } else if (/\.html?$/i.test(entry.name)) {
+      files.push(fullPath);
+    }
+  }
+
+  return files.sort();
+};
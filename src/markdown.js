@@ -0,0 +1,130 @@
+/**
+ * Markdown 支援
+ *
+ * 內容作者提供的 Markdown 可以直接放進模板：
+ *
+ * 1. Markdown partial - @include('posts/intro.md')、<include src="posts/intro.md" />，front matter 作為資料
+ * 2. @markdown 區塊    - @markdown ... @endmarkdown，在 HTML 模板中直接撰寫 Markdown
+ *
+ * 轉換在 Blade 編譯之前進行，輸出的 HTML 仍會經過 {{ }} 插值、指令與 include 處理。
+ * 轉換前以佔位符保護模板語法（{{ }}、{!! !!}、<% %>、Blade 註釋與指令），
+ * 避免 Markdown 轉義其中的引號、把 _ 當成強調，或把單獨一行的 @if / @endif 包進 <p>。
+ */
+
+import MarkdownIt from 'markdown-it';
+import { findClosingBracket } from './blade-parser.js';
+
+// 允許 HTML：Markdown 中可以使用 <include>、<x-name> 組件與一般的 HTML 標籤
+const markdownParser = new MarkdownIt({ html: true });
+
+// Markdown partial 的副檔名
+const MARKDOWN_FILE = /\.(?:md|markdown)$/i;
+
+// 需要保護的模板語法（Blade 註釋必須在 {{ }} 之前比對）
+const TEMPLATE_REGIONS = [
+  ['{{--', '--}}'],
+  ['{{', '}}'],
+  ['{!!', '!!}'],
+  ['<%', '%>']
+];
+
+// 佔位符只含英數字元，Markdown 不會轉義或解析
+// 指令與 Blade 註釋獨佔一行時改用 HTML 註釋形式，Markdown 視為 HTML 區塊，不會包進 <p>
+// （在程式碼區塊中 HTML 註釋會被轉義，還原時一併比對）
+const PLACEHOLDER = /(?:<!--|&lt;!--)?VPHKMD(\d+)X(?:-->|--&gt;)?/g;
+const STANDALONE_PLACEHOLDER = /^([ \t]*)(VPHKMD\d+X)[ \t]*$/gm;
+
+/**
+ * 判斷檔案是否為 Markdown partial
+ *
+ * @param {string} filePath - 檔案路徑
+ * @returns {boolean}
+ */
+export const isMarkdownFile = (filePath) => MARKDOWN_FILE.test(filePath);
+
+/**
+ * 找出 index 位置的模板語法結尾
+ *
+ * @param {string} source - Markdown 內容
+ * @param {number} index - 目前位置
+ * @returns {number} 模板語法結尾之後的位置，不是模板語法時返回 -1
+ */
+const templateRegionEnd = (source, index) => {
+  for (const [open, close] of TEMPLATE_REGIONS) {
+    if (source.startsWith(open, index)) {
+      const end = source.indexOf(close, index + open.length);
+      return end === -1 ? -1 : end + close.length;
+    }
+  }
+
+  // 指令：@name、@name(...)，參數可能跨行；admin@example.com 之類的文字不是指令
+  if (source[index] === '@' && /[A-Za-z]/.test(source[index + 1] || '') && !/\w/.test(source[index - 1] || '')) {
+    let end = index + 1;
+    while (end < source.length && /\w/.test(source[end])) {
+      end++;
+    }
+    let openIndex = end;
+    while (source[openIndex] === ' ' || source[openIndex] === '\t') {
+      openIndex++;
+    }
+    if (source[openIndex] === '(') {
+      const closeIndex = findClosingBracket(source, openIndex);
+      return closeIndex === -1 ? end : closeIndex + 1;
+    }
+    return end;
+  }
+
+  return -1;
+};
+
+/**
+ * 移除共同的縮排
+ *
+ * @markdown 區塊通常跟著 HTML 縮排，四個空白以上的縮排在 Markdown 中是程式碼區塊。
+ *
+ * @param {string} source - 區塊內容
+ * @returns {string}
+ */
+const dedent = (source) => {
+  const lines = source.replace(/^[ \t]*\r?\n/, '').split('\n');
+  const indents = lines.filter(line => line.trim()).map(line => line.match(/^[ \t]*/)[0].length);
+  const indent = indents.length > 0 ? Math.min(...indents) : 0;
+  return lines.map(line => line.slice(Math.min(indent, line.match(/^[ \t]*/)[0].length))).join('\n');
+};
+
+/**
+ * 將 Markdown 轉換為 HTML，保留其中的模板語法
+ *
+ * @param {string} source - Markdown 內容（不含 front matter）
+ * @param {{ dedent?: boolean }} [options={}] - dedent：先移除共同的縮排（@markdown 區塊使用）
+ * @returns {string} HTML（模板語法原樣保留，之後由模板引擎處理）
+ *
+ * @example
+ * renderMarkdown('# {{ title }}\n\n@if(user)\nHi **{{ user.name }}**\n@endif')
+ * // 返回: '<h1>{{ title }}</h1>\n@if(user)\n<p>Hi <strong>{{ user.name }}</strong></p>\n@endif\n'
+ */
+export const renderMarkdown = (source, options = {}) => {
+  const text = options.dedent ? dedent(source) : source;
+  const protectedRegions = [];
+  let protectedText = '';
+  let index = 0;
+
+  while (index < text.length) {
+    const end = templateRegionEnd(text, index);
+    if (end === -1) {
+      protectedText += text[index];
+      index++;
+      continue;
+    }
+    protectedText += `VPHKMD${protectedRegions.length}X`;
+    protectedRegions.push(text.slice(index, end));
+    index = end;
+  }
+
+  const html = markdownParser.render(protectedText.replace(STANDALONE_PLACEHOLDER, (match, indent, placeholder) => {
+    const region = protectedRegions[Number(placeholder.slice(6, -1))];
+    return region.startsWith('@') || region.startsWith('{{--') ? `${indent}<!--${placeholder}-->` : match;
+  }));
+
+  return html.replace(PLACEHOLDER, (match, regionIndex) => protectedRegions[Number(regionIndex)] ?? match);
+};
@@ -0,0 +1,355 @@
+/**
+ * 沙箱模式的模板求值
+ *
+ * 預設情況下，模板中的表達式（{{ }}、<% %>、:prop、@props）以 Function 構造器在 Node.js 中執行，
+ * 可以存取 process、require 等全域物件。sandbox 選項開啟後，改由這個模組在 vm 建立的獨立環境中執行：
+ *
+ * 1. 靜態檢查 - 表達式中出現 process、require、globalThis、Function、constructor 等名稱時拒絕編譯（E2003）
+ * 2. 獨立環境 - 只有 JavaScript 內建物件與在環境內載入的 Lodash，禁止以字串產生程式碼（Function、eval）
+ * 3. 執行期間 - 資料複製為沙箱內的物件，輔助函式與過濾器包裝為沙箱內的函式，模板取不到也改不了 Node.js 端的原型；
+ *              同時暫時替換 Node.js 端函式的 constructor，無法透過資料或輔助函式取得外部的 Function（E2003）
+ * 4. 時間限制 - 編譯與執行超過 timeout 毫秒時中止（E2004）；模板無法建立 Promise，非同步的程式碼不會在時間限制之外執行
+ *
+ * 資料、輔助函式與過濾器照常傳入，迴圈、Lodash 與管線語法都能使用。
+ * 這些限制針對的是不熟悉程式的模板作者誤用或濫用，Node.js 的 vm 並不是完整的安全邊界，
+ * 不應該用來執行完全不受信任的程式碼。
+ */
+
+import fs from 'fs';
+import vm from 'vm';
+import { createRequire } from 'module';
+import lodash from 'lodash';
+import { ErrorCodes, PluginError } from './error-handler.js';
+import { findTemplateTags, sourceLocationAt } from './source-locations.js';
+
+// 沙箱中禁止出現的名稱（字串中出現也會拒絕，避免 obj['constructor'] 之類的存取）
+// async、await 與 Promise 也不允許：見 createSandbox 中 microtaskMode 的說明
+const FORBIDDEN_NAMES = /\b(process|require|module|globalThis|global|Function|eval|constructor|__proto__|import|WebAssembly|Promise|async|await)\b/;
+
+// 沙箱環境中額外移除的全域物件
+const REMOVED_GLOBALS = ['globalThis', 'Function', 'eval', 'WebAssembly', 'SharedArrayBuffer', 'Atomics', 'Promise', 'Array.fromAsync'];
+
+// Node.js 端的函式原型，執行期間替換它們的 constructor
+const HOST_FUNCTION_PROTOTYPES = [
+  Function.prototype,
+  Object.getPrototypeOf(async function () {}),
+  Object.getPrototypeOf(function* () {}),
+  Object.getPrototypeOf(async function* () {})
+];
+
+// 只產生程式碼、不執行的 Lodash：template() 的返回值只帶有 source
+// 模板程式碼不會在 Node.js 端編譯或執行（可能跳出函式主體，例如 <% }}, code, function(){{ %>）
+const sourceLodash = lodash.runInContext({
+  Function: Object.assign(() => ({ apply: () => ({}) }), { prototype: Function.prototype })
+});
+
+// 在沙箱內載入的 Lodash 原始碼（第一次建立沙箱時讀取）
+let lodashSource = null;
+
+/**
+ * 建立沙箱違規錯誤
+ *
+ * @param {string} name - 被禁止的名稱
+ * @param {Object} [context={}] - 錯誤上下文
+ * @returns {PluginError}
+ */
+const violation = (name, context = {}) => new PluginError(ErrorCodes.SANDBOX_VIOLATION, [name], { name, ...context });
+
+/**
+ * 在 Node.js 端函式的 constructor 被替換的期間執行函式
+ *
+ * @template T
+ * @param {() => T} fn
+ * @returns {T}
+ */
+const withoutHostConstructors = (fn) => {
+  const blocked = () => {
+    throw violation('Function');
+  };
+  const descriptors = HOST_FUNCTION_PROTOTYPES.map(prototype => Object.getOwnPropertyDescriptor(prototype, 'constructor'));
+
+  HOST_FUNCTION_PROTOTYPES.forEach(prototype => {
+    Object.defineProperty(prototype, 'constructor', { value: blocked, configurable: true });
+  });
+  try {
+    return fn();
+  } finally {
+    HOST_FUNCTION_PROTOTYPES.forEach((prototype, index) => {
+      Object.defineProperty(prototype, 'constructor', descriptors[index]);
+    });
+  }
+};
+
+/**
+ * 建立沙箱
+ *
+ * 每個沙箱有自己的 vm 環境與 Lodash 實例，同一個渲染器的所有模板共用。
+ *
+ * @param {Object} [options={}]
+ * @param {number} [options.timeout=1000] - 單次編譯或執行的時間上限（毫秒）
+ * @returns {{ lodash: Object, template: Function, evaluate: Function, toSandbox: Function }} 沙箱
+ *
+ * @example
+ * const sandbox = createSandbox({ timeout: 500 });
+ *
+ * sandbox.evaluate('items.length', { items: [1, 2] });
+ * // 返回: 2
+ *
+ * sandbox.template('<% process.exit() %>', options);
+ * // 拋出 E2003: 沙箱模式下不允許使用 process
+ */
+export function createSandbox({ timeout = 1000 } = {}) {
+  // microtaskMode: 'afterEvaluate' 讓沙箱的 Promise 回呼在 runInContext 內執行並受 timeout 限制，
+  // 否則 Promise.resolve().then(f) 形成的迴圈會在時間限制之外無限執行。
+  // 但啟用 AsyncLocalStorage（例如 collectErrors）時，逾時中止在 Promise 回呼內會讓 Node.js 直接崩潰，
+  // 因此沙箱內同時移除 Promise、禁止 async / await，模板無法建立 Promise
+  const context = vm.createContext({}, {
+    name: 'vite-plugin-html-kit sandbox',
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate'
+  });
+
+  // Lodash 在沙箱內載入：它的函式以沙箱為全域物件，_.template 無法產生程式碼
+  if (lodashSource === null) {
+    lodashSource = fs.readFileSync(createRequire(import.meta.url).resolve('lodash/lodash.js'), 'utf-8');
+  }
+  vm.runInContext(`(function (self) {\n${lodashSource}\n}).call(this, this);`, context);
+  const sandboxLodash = context._;
+
+  // 沙箱內的內建物件，用來建立傳入值的副本
+  const realm = vm.runInContext('({ Object, Array, Date, RegExp, Map, Set, Error })', context);
+  // 在沙箱內建立包裝函式：模板只拿得到沙箱內的函式，取不到被包裝的 Node.js 端函式與它的原型
+  const createWrapper = vm.runInContext(
+    "(function (call) { 'use strict'; return function () { return call(this, arguments); }; })",
+    context
+  );
+  vm.runInContext(`delete this._; ${REMOVED_GLOBALS.map(name => `delete this.${name};`).join(' ')}`, context);
+
+  // 巢狀執行（例如輔助函式內再次渲染）時，只有最外層替換 constructor
+  let depth = 0;
+
+  // 副本（或包裝函式）與 Node.js 端原始值的對應：傳回 Node.js 端時換回原始值
+  const originals = new WeakMap();
+  // Node.js 端函式的包裝函式
+  const wrappers = new WeakMap();
+  // 這次執行已建立的副本：同一次執行中同一個物件只複製一次，修改副本時彼此一致
+  let copies = new WeakMap();
+
+  /**
+   * 副本換回 Node.js 端的原始值，其他值原樣返回
+   *
+   * @param {*} value
+   * @returns {*}
+   */
+  const fromSandbox = (value) => (originals.has(value) ? originals.get(value) : value);
+
+  /**
+   * 把 Node.js 端的錯誤轉為沙箱內的 Error，拋出沙箱後再換回原始錯誤
+   *
+   * @param {*} error
+   * @returns {*}
+   */
+  const toSandboxError = (error) => {
+    if (error === null || typeof error !== 'object' || error instanceof realm.Object) {
+      return error;
+    }
+    const copy = new realm.Error(String(error.message ?? error));
+    originals.set(copy, error);
+    return copy;
+  };
+
+  /**
+   * 包裝 Node.js 端函式：參數換回原始值，返回值與錯誤轉為沙箱內的值
+   *
+   * @param {Function} fn - Node.js 端函式
+   * @param {...*} bound - 固定的 this（類別實例的方法），省略時使用呼叫時的 this
+   * @returns {Function} 沙箱內的函式
+   */
+  const wrapFunction = (fn, ...bound) => createWrapper((self, args) => {
+    try {
+      return toSandbox(fn.apply(bound.length > 0 ? bound[0] : fromSandbox(self), Array.from(args, fromSandbox)));
+    } catch (error) {
+      throw toSandboxError(error);
+    }
+  });
+
+  /**
+   * 把 Node.js 端的值轉為沙箱內的值
+   *
+   * 原始型別與沙箱內的值原樣返回；陣列、物件、Date、RegExp、Map、Set 與包裝的原始型別（例如 String 子類別）
+   * 複製為沙箱內的物件，函式與類別實例的方法包裝為沙箱內的函式（呼叫時作用在原始值上）。
+   * 模板因此取不到 Node.js 端的原型，Object.getPrototypeOf(items) 之類的存取無法污染 Node.js 的 Object.prototype。
+   * Promise 只複製為空物件，模板無法在時間限制之外執行回呼。
+   *
+   * @param {*} value - Node.js 端的值
+   * @returns {*} 沙箱內的值
+   *
+   * @example
+   * const items = sandbox.toSandbox([{ title: 'A' }]);
+   * Object.getPrototypeOf(items) === Array.prototype
+   * // 返回: false（沙箱內的 Array.prototype）
+   */
+  const toSandbox = (value) => {
+    if (value === null || (typeof value !== 'object' && typeof value !== 'function') || value instanceof realm.Object) {
+      return value;
+    }
+    if (typeof value === 'function') {
+      if (!wrappers.has(value)) {
+        const wrapper = wrapFunction(value);
+        wrappers.set(value, wrapper);
+        originals.set(wrapper, value);
+      }
+      return wrappers.get(value);
+    }
+    if (copies.has(value)) {
+      return copies.get(value);
+    }
+
+    const boxed = value instanceof String || value instanceof Number || value instanceof Boolean;
+    let copy;
+    if (boxed) {
+      copy = realm.Object(value.valueOf());
+    } else if (value instanceof Date) {
+      copy = new realm.Date(value.getTime());
+    } else if (value instanceof RegExp) {
+      copy = new realm.RegExp(value.source, value.flags);
+    } else if (value instanceof Map) {
+      copy = new realm.Map();
+    } else if (value instanceof Set) {
+      copy = new realm.Set();
+    } else if (Array.isArray(value)) {
+      copy = new realm.Array();
+    } else {
+      copy = Object.getPrototypeOf(value) === null ? realm.Object.create(null) : new realm.Object();
+    }
+    // 先登記再複製內容，循環參照會取得同一個副本
+    copies.set(value, copy);
+    originals.set(copy, value);
+
+    if (value instanceof Map) {
+      value.forEach((item, key) => copy.set(toSandbox(key), toSandbox(item)));
+    } else if (value instanceof Set) {
+      value.forEach(item => copy.add(toSandbox(item)));
+    } else if (!boxed && !(value instanceof Date) && !(value instanceof RegExp)) {
+      for (const key of Object.keys(value)) {
+        Object.defineProperty(copy, key, { value: toSandbox(value[key]), writable: true, enumerable: true, configurable: true });
+      }
+    }
+
+    // 類別實例：原型鏈上的方法與 getter 包裝後放在副本上，作用在原始物件（例如 AttributeBag 的 merge()）
+    if (!boxed && !Array.isArray(value) && !(value instanceof Promise)) {
+      for (let prototype = Object.getPrototypeOf(value); prototype && prototype !== Object.prototype; prototype = Object.getPrototypeOf(prototype)) {
+        if ([Date, RegExp, Map, Set].some(type => type.prototype === prototype)) {
+          break;
+        }
+        for (const key of Reflect.ownKeys(prototype)) {
+          const descriptor = Object.getOwnPropertyDescriptor(prototype, key);
+          if (key === 'constructor' || Object.prototype.hasOwnProperty.call(copy, key)) {
+            continue;
+          }
+          if (typeof descriptor.value === 'function') {
+            Object.defineProperty(copy, key, { value: wrapFunction(descriptor.value, value), writable: true, configurable: true });
+          } else if (descriptor.get) {
+            Object.defineProperty(copy, key, { get: wrapFunction(descriptor.get, value), configurable: true });
+          }
+        }
+      }
+    }
+
+    return copy;
+  };
+
+  /**
+   * 在沙箱內執行程式碼，套用時間限制並轉換錯誤
+   *
+   * @param {string} code - 程式碼
+   * @param {Object} [globals={}] - 這次執行暫時放入沙箱全域物件的值（以 toSandbox 轉換）
+   * @returns {*} 執行結果
+   * @throws {PluginError} 逾時（E2004）或嘗試產生程式碼（E2003）時拋出
+   */
+  const run = (code, globals = {}) => {
+    const script = new vm.Script(code, { filename: 'sandbox.vm' });
+    Object.entries(globals).forEach(([key, value]) => {
+      context[key] = toSandbox(value);
+    });
+    depth++;
+    try {
+      const execute = () => script.runInContext(context, { timeout });
+      return fromSandbox(depth === 1 ? withoutHostConstructors(execute) : execute());
+    } catch (thrown) {
+      const error = fromSandbox(thrown);
+      if (error?.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        throw new PluginError(ErrorCodes.SANDBOX_TIMEOUT, [timeout], { timeout, originalError: error });
+      }
+      if (error?.name === 'EvalError') {
+        throw violation('Function', { originalError: error });
+      }
+      throw error;
+    } finally {
+      depth--;
+      Object.keys(globals).forEach(key => delete context[key]);
+      if (depth === 0) {
+        copies = new WeakMap();
+      }
+    }
+  };
+
+  /**
+   * 檢查程式碼是否使用了禁止的名稱
+   *
+   * @param {string} code - 表達式或 <% %> 內的程式碼
+   * @param {Object} [context={}] - 錯誤上下文
+   * @throws {PluginError} 使用禁止的名稱時拋出 E2003
+   */
+  const assertAllowed = (code, context = {}) => {
+    const match = code.match(FORBIDDEN_NAMES);
+    if (match) {
+      throw violation(match[1], context);
+    }
+  };
+
+  /**
+   * 編譯 Lodash template，返回在沙箱內執行的渲染函式
+   *
+   * 與 lodash.template 的用法相同，可以作為 locateTemplateError 的 compile 參數。
+   *
+   * @param {string} source - 模板內容（可含位置標記）
+   * @param {Object} [options={}] - Lodash template 編譯選項
+   * @returns {(data: Object) => string} 渲染函式
+   * @throws {PluginError} 使用禁止的名稱時拋出 E2003（context 含原始檔案與行號）
+   * @throws {SyntaxError} 模板語法錯誤時拋出
+   */
+  const template = (source, options = {}) => {
+    for (const tag of findTemplateTags(source, options)) {
+      assertAllowed(tag.value, sourceLocationAt(source, tag.offset) || {});
+    }
+
+    const imports = { _: sandboxLodash, ...options.imports };
+    const code = sourceLodash.template(source, { ...options, imports: {} }).source;
+    const render = run(
+      `(function (${Object.keys(imports).join(', ')}) { return ${code}; }).apply(undefined, __vphk_imports__)`,
+      { __vphk_imports__: Object.values(imports) }
+    );
+
+    return (data) => run('__vphk_render__(__vphk_data__)', { __vphk_render__: render, __vphk_data__: data });
+  };
+
+  /**
+   * 在沙箱內求值單一表達式
+   *
+   * @param {string} expression - JavaScript 表達式
+   * @param {Object} [scope={}] - 表達式可以使用的變數
+   * @returns {*} 求值結果（保留原始型別）
+   * @throws {PluginError} 使用禁止的名稱（E2003）或逾時（E2004）時拋出
+   */
+  const evaluate = (expression, scope = {}) => {
+    assertAllowed(expression, { expression });
+    const fn = run(`(function (${Object.keys(scope).join(', ')}) { return (${expression}\n); })`);
+    return run('__vphk_fn__.apply(undefined, __vphk_args__)', {
+      __vphk_fn__: fn,
+      __vphk_args__: Object.values(scope)
+    });
+  };
+
+  return { lodash: sandboxLodash, template, evaluate, toSandbox };
+}
@@ -0,0 +1,516 @@
+/**
+ * 模板來源位置追蹤
+ *
+ * 佈局、section、partial 與組件在渲染前會被組合成一份模板，
+ * 組合後的行號與原始檔案無關。這個模組在每個檔案載入時，
+ * 於每一行的第一個非空白字元前插入位置標記（檔案 + 行號），
+ * 標記會跟著內容經過 @extends / @yield / <include> / 組件等處理，
+ * 因此任何位置都能找回它來自哪個檔案的哪一行：
+ *
+ * 1. markSourceLines      - 載入檔案時加上位置標記
+ * 2. locateTemplateError  - Lodash 編譯 / 執行失敗時，找出出錯的標籤並換算為原始檔案與行號
+ * 3. stripSourceMarkers   - 輸出前移除標記
+ * 4. appendSourceCommentMap - 除錯模式下移除標記，並在輸出結尾附上「輸出行號 → 原始檔案:行號」對照表
+ *
+ * 標記使用 Unicode 私用區字元（U+E000 / U+E001），只會放在一般文字中，
+ * 不會出現在指令參數、{{ }} / {!! !!} / <% %>、HTML 註釋與 HTML 標籤內，
+ * 因此不影響指令解析、屬性解析與 trim 等處理。
+ */
+
+import lodash from 'lodash';
+import { LRUCache } from 'lru-cache';
+import { findClosingBracket } from './blade-parser.js';
+
+// ====================================================================
+// 位置標記
+// ====================================================================
+
+// 標記格式：\uE000{檔案索引}:{行號}\uE001
+const MARKER_START = '\uE000';
+const MARKER_END = '\uE001';
+const MARKER = /\uE000(\d+):(\d+)\uE001/g;
+
+// 檔案名稱 <-> 索引（標記只記錄索引，讓標記保持簡短）
+const sourceFiles = [];
+const sourceFileIndexes = new Map();
+
+/**
+ * 已加上標記的內容快取
+ *
+ * 鍵為檔案名稱與原始內容，相同檔案內容不需要重新掃描。
+ */
+const markedCache = new LRUCache({
+  max: 100,
+  ttl: 1000 * 60 * 5,
+  updateAgeOnGet: true
+});
+
+// 不放置標記的區域：Blade 註釋、輸出標籤、Lodash 標籤、HTML 註釋
+const SKIPPED_REGIONS = [
+  ['{{--', '--}}'],
+  ['{{', '}}'],
+  ['{!!', '!!}'],
+  ['<%', '%>'],
+  ['<!--', '-->']
+];
+
+// 以結束標籤（</div>）或結束指令（@endsection）開頭的行
+const CLOSING_LINE = /^(?:<\/|@end)/i;
+
+/**
+ * 取得檔案名稱的索引，第一次出現時註冊
+ *
+ * @param {string} file - 檔案名稱
+ * @returns {number} 檔案索引
+ */
+const getSourceFileIndex = (file) => {
+  let index = sourceFileIndexes.get(file);
+  if (index === undefined) {
+    index = sourceFiles.push(file) - 1;
+    sourceFileIndexes.set(file, index);
+  }
+  return index;
+};
+
+/**
+ * 略過指令名稱與參數：@name(...)、@name (...)，參數可能跨行
+ *
+ * @param {string} source - 原始內容
+ * @param {number} index - @ 的位置
+ * @returns {number} 指令結尾之後的位置
+ */
+const skipDirective = (source, index) => {
+  let end = index + 1;
+  while (end < source.length && /\w/.test(source[end])) {
+    end++;
+  }
+  let openIndex = end;
+  while (openIndex < source.length && /\s/.test(source[openIndex])) {
+    openIndex++;
+  }
+  if (source[openIndex] === '(') {
+    const closeIndex = findClosingBracket(source, openIndex);
+    return closeIndex === -1 ? end : closeIndex + 1;
+  }
+  return end;
+};
+
+/**
+ * 略過 HTML 標籤（含引號內與屬性指令參數內的 >，例如 @class(['a' => b])），返回標籤結尾之後的位置
+ *
+ * @param {string} source - 原始內容
+ * @param {number} index - < 的位置
+ * @returns {number} 標籤結尾之後的位置，沒有結尾時返回 index + 1
+ */
+const skipTag = (source, index) => {
+  let quote = null;
+  for (let i = index + 1; i < source.length; i++) {
+    const char = source[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '@' && /[A-Za-z]/.test(source[i + 1] || '')) {
+      i = skipDirective(source, i) - 1;
+    } else if (char === '>') {
+      return i + 1;
+    }
+  }
+  return index + 1;
+};
+
+/**
+ * 從 index 開始略過不能放置標記的區域
+ *
+ * @param {string} source - 原始內容
+ * @param {number} index - 目前位置
+ * @returns {number} 區域結尾之後的位置（一般字元返回 index + 1）
+ */
+const skipRegion = (source, index) => {
+  const char = source[index];
+
+  if (char === '{' || char === '<') {
+    for (const [open, close] of SKIPPED_REGIONS) {
+      if (source.startsWith(open, index)) {
+        const end = source.indexOf(close, index + open.length);
+        return end === -1 ? index + 1 : end + close.length;
+      }
+    }
+    if (char === '<' && /[A-Za-z/!?]/.test(source[index + 1] || '')) {
+      return skipTag(source, index);
+    }
+  }
+
+  // 指令參數：@name(...)、@name (...)，參數可能跨行
+  if (char === '@' && /[A-Za-z]/.test(source[index + 1] || '')) {
+    return skipDirective(source, index);
+  }
+
+  return index + 1;
+};
+
+/**
+ * 在每一行第一個非空白字元前加上位置標記
+ *
+ * 空白行、以結束標籤或結束指令開頭的行、以及起點位於多行指令參數 / 輸出標籤 / HTML 標籤內的行
+ * 不加標記，這些行的行號由前一個標記往後計算。
+ *
+ * @param {string} source - 原始檔案內容（行號從 1 開始）
+ * @param {string} file - 檔案名稱（頁面檔名、佈局或 partial 相對於 partialsDir 的路徑）
+ * @returns {string} 加上位置標記的內容
+ *
+ * @example
+ * markSourceLines('<main>\n  <p>{{ a }}</p>\n</main>', 'index.html')
+ * // 返回: '⟨index.html:1⟩<main>\n  ⟨index.html:2⟩<p>{{ a }}</p>\n</main>'
+ * // （⟨⟩ 代表位置標記）
+ */
+export const markSourceLines = (source, file) => {
+  const cacheKey = `${file}\0${source}`;
+  const cached = markedCache.get(cacheKey);
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  const fileIndex = getSourceFileIndex(file);
+  let output = '';
+  let copied = 0;
+  let line = 1;
+  let lineStart = true;
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (char === '\n') {
+      line++;
+      lineStart = true;
+      index++;
+      continue;
+    }
+    if (char === ' ' || char === '\t' || char === '\r') {
+      index++;
+      continue;
+    }
+
+    // 以結束標籤或結束指令開頭的行不加標記：
+    // section、slot 等區塊內容會被 trim，結尾的標記會讓最後的換行無法被移除
+    if (lineStart && !CLOSING_LINE.test(source.slice(index, index + 5))) {
+      output += `${source.slice(copied, index)}${MARKER_START}${fileIndex}:${line}${MARKER_END}`;
+      copied = index;
+    }
+    lineStart = false;
+
+    const end = skipRegion(source, index);
+    for (let i = index + 1; i < end; i++) {
+      if (source[i] === '\n') {
+        line++;
+      }
+    }
+    index = end;
+  }
+
+  output += source.slice(copied);
+  markedCache.set(cacheKey, output);
+  return output;
+};
+
+/**
+ * 移除所有位置標記
+ *
+ * @param {string} text - 含位置標記的內容
+ * @returns {string} 移除標記後的內容
+ */
+export const stripSourceMarkers = (text) => (
+  text.includes(MARKER_START) ? text.replace(MARKER, '') : text
+);
+
+/**
+ * 找出組合後模板中某個位置對應的原始檔案與行號
+ *
+ * @param {string} text - 含位置標記的內容
+ * @param {number} offset - 位置
+ * @returns {{ file: string, line: number } | null} 原始位置，前面沒有任何標記時返回 null
+ */
+export const sourceLocationAt = (text, offset) => {
+  const start = text.lastIndexOf(MARKER_START, offset);
+  if (start === -1) {
+    return null;
+  }
+
+  const end = text.indexOf(MARKER_END, start);
+  const [fileIndex, markerLine] = text.slice(start + 1, end).split(':');
+  let line = Number(markerLine);
+  for (let i = end + 1; i < offset; i++) {
+    if (text[i] === '\n') {
+      line++;
+    }
+  }
+
+  return { file: sourceFiles[fileIndex], line };
+};
+
+/**
+ * 產生某個位置的位置標記（用於插入其他檔案的內容之後，恢復原本檔案的行號）
+ *
+ * @param {string} text - 含位置標記的內容
+ * @param {number} offset - 位置
+ * @returns {string} 位置標記，前面沒有任何標記時返回空字串
+ */
+export const sourceMarkerAt = (text, offset) => {
+  const location = sourceLocationAt(text, offset);
+  return location
+    ? `${MARKER_START}${getSourceFileIndex(location.file)}:${location.line}${MARKER_END}`
+    : '';
+};
+
+/**
+ * 包裝 String.prototype.replace 的替換函式：插入的內容跨行或來自其他檔案時，
+ * 在後面補上原本位置的標記，讓同一行後續的內容仍對應到正確的檔案與行號
+ *
+ * 只適用於沒有具名群組的正則（最後兩個參數為 offset 與原始字串）。
+ *
+ * @param {Function} replacer - 原本的替換函式
+ * @returns {Function} 包裝後的替換函式
+ *
+ * @example
+ * layout.replace(REGEX.YIELD, resumeSourceAfter((match, name) => sections[name]))
+ */
+export const resumeSourceAfter = (replacer) => (...args) => {
+  const output = replacer(...args);
+  if (!output.includes('\n') && !output.includes(MARKER_START)) {
+    return output;
+  }
+
+  const match = args[0];
+  const offset = args[args.length - 2];
+  const text = args[args.length - 1];
+  return output + sourceMarkerAt(text, offset + match.length);
+};
+
+// ====================================================================
+// 錯誤定位
+// ====================================================================
+
+// 與 Lodash template 相同的分隔符號組合方式
+const reNoMatch = /($^)/;
+const reEsTemplate = /\$\{([^\\}]*(?:\\.[^\\}]*)*)\}/g;
+
+/**
+ * 依 Lodash template 的規則找出模板中所有的標籤
+ *
+ * @param {string} template - 模板內容
+ * @param {Object} options - Lodash template 編譯選項
+ * @returns {Array<{ offset: number, raw: string, value: string, evaluate: boolean }>} 標籤列表
+ */
+export const findTemplateTags = (template, options) => {
+  const settings = lodash.defaults({}, options, lodash.templateSettings);
+  const interpolate = settings.interpolate || reNoMatch;
+  const delimiters = new RegExp(
+    (settings.escape || reNoMatch).source + '|' +
+    interpolate.source + '|' +
+    (interpolate === lodash.templateSettings.interpolate ? reEsTemplate : reNoMatch).source + '|' +
+    (settings.evaluate || reNoMatch).source + '|$',
+    'g'
+  );
+
+  const tags = [];
+  for (const match of template.matchAll(delimiters)) {
+    const [raw, escapeValue, interpolateValue, esTemplateValue, evaluateValue] = match;
+    const value = escapeValue ?? interpolateValue ?? esTemplateValue ?? evaluateValue;
+    if (value !== undefined) {
+      tags.push({ offset: match.index, raw, value, evaluate: evaluateValue !== undefined });
+    }
+  }
+  return tags;
+};
+
+/**
+ * 補齊 <% %> 程式碼片段缺少的括號，讓單一片段可以獨立檢查語法
+ *
+ * 例如 `} else {` 補為 `if(0){} else {}`，`items.forEach(function (item) {` 補為 `...})`。
+ *
+ * @param {string} code - <% %> 內的程式碼
+ * @returns {string} 可以獨立編譯的程式碼
+ */
+const balanceCode = (code) => {
+  const closers = { '(': ')', '[': ']', '{': '}' };
+  const openers = { ')': '(', ']': '[', '}': '{' };
+  const open = [];
+  const unmatched = [];
+  let quote = null;
+
+  for (let i = 0; i < code.length; i++) {
+    const char = code[i];
+    if (quote) {
+      if (char === '\\') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'" || char === '`') {
+      quote = char;
+    } else if (closers[char]) {
+      open.push(char);
+    } else if (openers[char]) {
+      if (open.length > 0) {
+        open.pop();
+      } else {
+        unmatched.push(char);
+      }
+    }
+  }
+
+  // 由外而內補上開頭：緊接在 ) 之前的 } 是函式主體，其他的 } 是區塊
+  let prefix = '';
+  for (let i = unmatched.length - 1; i >= 0; i--) {
+    if (unmatched[i] !== '}') {
+      prefix += openers[unmatched[i]];
+    } else {
+      prefix += unmatched[i + 1] === ')' ? 'function(){' : 'if(0){';
+    }
+  }
+  const suffix = open.reverse().map(char => closers[char]).join('');
+
+  return `for(;;){${prefix}${code}\n;${suffix}}`;
+};
+
+/**
+ * 檢查單一標籤的語法是否正確
+ *
+ * @param {{ value: string, evaluate: boolean }} tag - 模板標籤
+ * @returns {boolean} 語法是否正確
+ */
+const isValidTag = ({ value, evaluate }) => {
+  try {
+    new Function(evaluate ? balanceCode(value) : `return (${value}\n);`);
+    return true;
+  } catch (error) {
+    return !(error instanceof SyntaxError);
+  }
+};
+
+/**
+ * 找出 Lodash template 編譯或執行失敗的位置，換算為原始檔案與行號
+ *
+ * - 編譯失敗（語法錯誤）：逐一檢查每個標籤的語法，第一個無法編譯的標籤即為錯誤位置
+ * - 執行失敗：在每個標籤前記錄目前的標籤編號後重新執行，拋出錯誤時的編號即為錯誤位置
+ *
+ * 執行失敗時模板會再執行一次（只在發生錯誤時）。
+ *
+ * @param {string} template - 含位置標記的模板內容
+ * @param {Object} data - 執行模板時使用的資料
+ * @param {Object} options - Lodash template 編譯選項
+ * @param {Function} [compile=lodash.template] - 編譯模板的函式（沙箱模式使用沙箱的 template）
+ * @returns {{ file: string, line: number } | null} 原始位置，無法判斷時返回 null
+ *
+ * @example
+ * locateTemplateError(markSourceLines('<h1>\n  {{ user.name }}\n</h1>', 'index.html'), {}, options)
+ * // 返回: { file: 'index.html', line: 2 }
+ */
+export const locateTemplateError = (template, data, options, compile = lodash.template) => {
+  const tags = findTemplateTags(template, options);
+
+  // 編譯失敗：第一個語法錯誤的標籤
+  try {
+    compile(template, options);
+  } catch (error) {
+    const invalid = tags.find(tag => !isValidTag(tag));
+    return invalid ? sourceLocationAt(template, invalid.offset) : null;
+  }
+
+  // 執行失敗：每個標籤執行前記錄自己的編號
+  // 以函式記錄而不是修改物件：沙箱模式傳入的物件是副本，修改不會反映到這裡
+  let at = -1;
+  const trace = (index) => {
+    at = index;
+  };
+  let traced = '';
+  let copied = 0;
+
+  tags.forEach((tag, index) => {
+    const valueIndex = tag.raw.indexOf(tag.value);
+    const value = tag.evaluate
+      ? `__vphk_trace__(${index});${tag.value}`
+      : `(__vphk_trace__(${index}), (${tag.value}))`;
+    traced += template.slice(copied, tag.offset) +
+      tag.raw.slice(0, valueIndex) + value + tag.raw.slice(valueIndex + tag.value.length);
+    copied = tag.offset + tag.raw.length;
+  });
+  traced += template.slice(copied);
+
+  try {
+    compile(traced, { ...options, imports: { ...options.imports, __vphk_trace__: trace } })(data);
+  } catch (error) {
+    if (at !== -1) {
+      return sourceLocationAt(template, tags[at].offset);
+    }
+  }
+
+  return null;
+};
+
+// ====================================================================
+// 除錯用對照表
+// ====================================================================
+
+/**
+ * 移除位置標記，並在結尾附上「輸出行號 → 原始檔案:行號」的 HTML 註釋對照表
+ *
+ * 連續且行號連續的行合併為一個範圍。
+ *
+ * @param {string} html - 含位置標記的輸出
+ * @returns {string} 移除標記並附上對照表的 HTML
+ *
+ * @example
+ * appendSourceCommentMap(output)
+ * // <!-- [vite-plugin-html-kit] source map
+ * //   1-3 → layouts/app.html:1-3
+ * //   4-5 → index.html:3-4
+ * //   6 → layouts/app.html:5
+ * // -->
+ */
+export const appendSourceCommentMap = (html) => {
+  const ranges = [];
+  let current = null;
+
+  const lines = html.split('\n').map((text, index) => {
+    // 這一行的來源：第一個可見字元之前的最後一個標記，沒有的話沿用上一行往下計算
+    let source = current;
+    let visible = false;
+    let lastIndex = 0;
+
+    const clean = text.replace(MARKER, (match, fileIndex, line, offset) => {
+      visible = visible || text.slice(lastIndex, offset).trim() !== '';
+      lastIndex = offset + match.length;
+      current = { file: sourceFiles[fileIndex], line: Number(line) };
+      if (!visible) {
+        source = current;
+      }
+      return '';
+    });
+
+    if (source) {
+      const last = ranges[ranges.length - 1];
+      if (last && last.file === source.file && last.end === index && last.lineEnd + 1 === source.line) {
+        last.end = index + 1;
+        last.lineEnd = source.line;
+      } else {
+        ranges.push({ file: source.file, start: index + 1, end: index + 1, lineStart: source.line, lineEnd: source.line });
+      }
+    }
+
+    if (current) {
+      current = { ...current, line: current.line + 1 };
+    }
+    return clean;
+  });
+
+  const span = (start, end) => (start === end ? `${start}` : `${start}-${end}`);
+  const rows = ranges.map(range =>
+    `  ${span(range.start, range.end)} → ${range.file}:${span(range.lineStart, range.lineEnd)}`
+  );
+
+  return `${lines.join('\n')}\n<!-- [vite-plugin-html-kit] source map\n${rows.join('\n')}\n-->\n`;
+};
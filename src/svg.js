@@ -0,0 +1,286 @@
+/**
+ * 行內 SVG 圖示（@svg 指令）
+ *
+ * @svg('icons/close.svg', { class: 'w-4' }) 讀取圖示目錄中的 SVG 檔案，直接輸出在 HTML 中：
+ *
+ * 1. 行內模式 - 輸出完整的 <svg>，屬性合併到根元素上（class 附加在原本的 class 之後）
+ * 2. sprite 模式 - 輸出 <svg><use href="#icon-..."></use></svg>，
+ *    用到的圖示收集為 <symbol>，合併成一個 sprite 放在 <body> 開頭；
+ *    不同的檔案產生相同的 id 時（例如 a/b.svg 與 a-b.svg）回報 E3010，後用到的圖示改為行內輸出
+ *
+ * 讀取時移除 XML 宣告（<?xml ?>）、<!DOCTYPE> 與註釋。
+ * 插件建構時先輸出 sprite 佔位符，所有頁面渲染完成後再替換為整個建構用到的圖示（見 index.js）。
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ErrorCodes, PluginError, createAndLogError } from './error-handler.js';
+
+// 建構時的 sprite 佔位符，所有頁面渲染完成後替換為完整的 sprite
+export const SVG_SPRITE_PLACEHOLDER = '<!-- __VPHK_SVG_SPRITE__ -->';
+
+// 不屬於圖示內容的部分：XML 宣告、<!DOCTYPE> 與註釋
+const SVG_PROLOG = /<\?xml[\s\S]*?\?>|<!DOCTYPE[^>[]*(?:\[[\s\S]*?\])?\s*>|<!--[\s\S]*?-->/gi;
+
+// 根元素：<svg ...>內容</svg> 或 <svg ... />
+const SVG_ROOT = /^<svg\b((?:[^>"']|"[^"]*"|'[^']*')*?)(?:\/>|>([\s\S]*)<\/svg\s*>)$/i;
+
+// 根元素的屬性：name="value"、name='value'、name=value 或沒有值的 name
+const SVG_ATTRIBUTE = /([^\s=/>"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+// sprite 模式中放在 <symbol> 上的屬性（其餘保留在引用圖示的 <svg> 上）
+const SYMBOL_ATTRIBUTES = ['viewBox', 'preserveAspectRatio'];
+
+// sprite 模式中不需要的根元素屬性
+const DROPPED_ATTRIBUTES = /^(?:xmlns(?::.*)?|version|id)$/;
+
+// <body> 開始標籤，sprite 插入在它之後
+const BODY_TAG = /<body\b(?:[^>"']|"[^"]*"|'[^']*')*>/i;
+
+// 圖示檔案快取：檔案路徑 -> { mtimeMs, icon }
+// 以修改時間判斷，開發時編輯圖示後下一次渲染就會讀到新內容
+const iconCache = new Map();
+
+/**
+ * 建立 svg 選項錯誤
+ *
+ * @param {string} reason - 錯誤原因
+ * @returns {PluginError}
+ */
+const invalidOption = (reason) => new PluginError(ErrorCodes.INVALID_SVG_OPTION, [reason], { reason });
+
+/**
+ * 轉義屬性值
+ *
+ * @param {*} value - 屬性值
+ * @returns {string}
+ */
+const escapeAttribute = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * 解析根元素的屬性
+ *
+ * 值保留檔案中的原始內容（已是合法的 HTML），沒有值的屬性以 null 表示。
+ *
+ * @param {string} source - <svg 與 > 之間的文字
+ * @returns {Map<string, string|null>} 屬性名稱 -> 值（依檔案中的順序）
+ */
+const parseAttributes = (source) => {
+  const attributes = new Map();
+  for (const [, name, doubleQuoted, singleQuoted, unquoted] of source.matchAll(SVG_ATTRIBUTE)) {
+    const value = doubleQuoted ?? singleQuoted ?? unquoted;
+    attributes.set(name, value === undefined ? null : value.replace(/"/g, '&quot;'));
+  }
+  return attributes;
+};
+
+/**
+ * 將屬性輸出為 HTML
+ *
+ * @param {Map<string, string|null>} attributes - 屬性名稱 -> 值
+ * @returns {string} 開頭含空白，沒有屬性時返回空字串
+ */
+const stringifyAttributes = (attributes) => [...attributes]
+  .map(([name, value]) => (value === null ? ` ${name}` : ` ${name}="${value}"`))
+  .join('');
+
+/**
+ * 合併 @svg 傳入的屬性
+ *
+ * - class 附加在原本的 class 之後
+ * - true 輸出沒有值的屬性，false、null、undefined 移除屬性
+ * - 其餘值轉為字串並轉義，覆蓋原本的屬性
+ *
+ * @param {Map<string, string|null>} attributes - 根元素的屬性
+ * @param {Object} overrides - @svg 的第二個參數
+ * @returns {Map<string, string|null>} 合併後的屬性（新的 Map）
+ */
+const mergeAttributes = (attributes, overrides) => {
+  const merged = new Map(attributes);
+  for (const [name, value] of Object.entries(overrides || {})) {
+    if (value === false || value === null || value === undefined) {
+      merged.delete(name);
+    } else if (value === true) {
+      merged.set(name, null);
+    } else if (name === 'class' && merged.get('class')) {
+      merged.set(name, `${merged.get('class')} ${escapeAttribute(value)}`);
+    } else {
+      merged.set(name, escapeAttribute(value));
+    }
+  }
+  return merged;
+};
+
+/**
+ * 從圖示名稱產生 sprite 中的 id
+ *
+ * 不同的名稱可能產生相同的 id（a/b、a-b 與 a.b 都是 icon-a-b），由 helper 檢查衝突。
+ *
+ * @param {string} name - 相對於圖示目錄的路徑（不含 .svg）
+ * @returns {string}
+ *
+ * @example
+ * iconId('icons/arrow_left')
+ * // 返回: 'icon-icons-arrow_left'
+ */
+const iconId = (name) => `icon-${name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '')}`;
+
+/**
+ * 讀取並解析圖示檔案
+ *
+ * @param {string} file - 圖示的絕對路徑
+ * @returns {{ attributes: Map<string, string|null>, content: string }|null} 不是 SVG 時返回 null
+ */
+const loadIcon = (file) => {
+  const { mtimeMs } = fs.statSync(file);
+  const cached = iconCache.get(file);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.icon;
+  }
+
+  const match = fs.readFileSync(file, 'utf-8').replace(/^\uFEFF/, '').replace(SVG_PROLOG, '').trim().match(SVG_ROOT);
+  const icon = match ? { attributes: parseAttributes(match[1]), content: (match[2] || '').trim() } : null;
+  iconCache.set(file, { mtimeMs, icon });
+  return icon;
+};
+
+/**
+ * 將 sprite 插入在 <body> 開始標籤之後（沒有 <body> 時放在最前面）
+ *
+ * @param {string} html - 頁面 HTML
+ * @param {string} sprite - sprite 或佔位符
+ * @returns {string}
+ */
+export const insertSprite = (html, sprite) => {
+  const body = html.match(BODY_TAG);
+  if (!body) {
+    return sprite + html;
+  }
+  const end = body.index + body[0].length;
+  return html.slice(0, end) + sprite + html.slice(end);
+};
+
+/**
+ * 建立 SVG 圖示處理器
+ *
+ * root 在呼叫時才傳入：插件在 configResolved 之後才知道 Vite 的 root。
+ *
+ * @param {string|{ dir?: string, sprite?: boolean }} [svg={}] - svg 選項
+ *   - 字串：圖示目錄
+ *   - dir：圖示目錄（相對於 root，預設為 root 本身）
+ *   - sprite：是否以 <use> 引用 sprite 中的 <symbol>，而不是輸出完整的 <svg>
+ * @returns {{ sprite: boolean, helper: Function, renderSprite: Function }} 處理器
+ * @throws {PluginError} 選項格式不正確時拋出 E4016
+ *
+ * @example
+ * const icons = createSvgIcons({ dir: 'src', sprite: true });
+ * const used = new Set();
+ * const svg = icons.helper('/project', used, new Set());
+ *
+ * svg('icons/close.svg', { class: 'w-4' });
+ * // 返回: '<svg class="w-4"><use href="#icon-icons-close"></use></svg>'
+ *
+ * icons.renderSprite(used);
+ * // 返回: '<svg xmlns="http://www.w3.org/2000/svg" ...><symbol id="icon-icons-close" viewBox="0 0 24 24">...</symbol></svg>'
+ */
+export function createSvgIcons(svg = {}) {
+  const { dir = '.', sprite = false } = typeof svg === 'string' ? { dir: svg } : (svg || {});
+
+  if (typeof dir !== 'string' || !dir) {
+    throw invalidOption('dir 必須是圖示目錄的路徑');
+  }
+  if (typeof sprite !== 'boolean') {
+    throw invalidOption('sprite 必須是 true 或 false');
+  }
+
+  // sprite 模式中用過的圖示：id -> <symbol> HTML
+  // 同一個渲染器（同一次建構）的所有頁面共用，建構結束時組成完整的 sprite
+  const symbols = new Map();
+
+  // 每個 id 對應的圖示路徑，用來發現不同檔案產生相同 id 的衝突
+  const symbolNames = new Map();
+
+  /**
+   * 建立模板中的 svg() 函式
+   *
+   * @param {string} root - 專案根目錄
+   * @param {Set<string>} usedIcons - 收集這次渲染用到的圖示 id（sprite 模式）
+   * @param {Set<string>} dependencies - 收集圖示檔案依賴的集合（HMR 用）
+   * @returns {(name: string, attributes?: Object) => string}
+   */
+  const helper = (root, usedIcons, dependencies) => {
+    const iconDir = path.resolve(root, dir);
+
+    return (name, attributes = {}) => {
+      const iconName = String(name).replace(/\.svg$/i, '');
+      const file = path.resolve(iconDir, `${iconName}.svg`);
+      const relative = path.relative(iconDir, file);
+
+      // 路徑遍歷防護：圖示必須位於圖示目錄中
+      if (relative.startsWith('..') || path.isAbsolute(relative)) {
+        return createAndLogError(ErrorCodes.SVG_FILE_NOT_FOUND, [name], { icon: name, iconDir }).toHTMLComment();
+      }
+
+      dependencies.add(file);
+      if (!fs.existsSync(file)) {
+        return createAndLogError(ErrorCodes.SVG_FILE_NOT_FOUND, [name], { icon: name, searchedPath: file, iconDir }).toHTMLComment();
+      }
+
+      const icon = loadIcon(file);
+      if (!icon) {
+        return createAndLogError(ErrorCodes.INVALID_SVG_FILE, [name], { icon: name, file }).toHTMLComment();
+      }
+
+      const inline = `<svg${stringifyAttributes(mergeAttributes(icon.attributes, attributes))}>${icon.content}</svg>`;
+      if (!sprite) {
+        return inline;
+      }
+
+      // sprite 模式：viewBox 放在 <symbol> 上，其餘屬性（width、fill 等）留在引用的 <svg> 上
+      const iconPath = relative.slice(0, -'.svg'.length).split(path.sep).join('/');
+      const id = iconId(iconPath);
+
+      // 已被其他圖示使用的 id：改為行內輸出，避免 sprite 中的 <symbol> 互相覆蓋
+      const claimed = symbolNames.get(id);
+      if (claimed !== undefined && claimed !== iconPath) {
+        createAndLogError(ErrorCodes.SVG_ID_CONFLICT, [`${iconPath}.svg`, `${claimed}.svg`, id], { icon: name, file, id, conflictsWith: `${claimed}.svg` });
+        return inline;
+      }
+      symbolNames.set(id, iconPath);
+
+      const symbolAttributes = new Map([['id', id]]);
+      const referenceAttributes = new Map();
+      for (const [attribute, value] of icon.attributes) {
+        if (SYMBOL_ATTRIBUTES.includes(attribute)) {
+          symbolAttributes.set(attribute, value);
+        } else if (!DROPPED_ATTRIBUTES.test(attribute)) {
+          referenceAttributes.set(attribute, value);
+        }
+      }
+
+      symbols.set(id, `<symbol${stringifyAttributes(symbolAttributes)}>${icon.content}</symbol>`);
+      usedIcons.add(id);
+
+      return `<svg${stringifyAttributes(mergeAttributes(referenceAttributes, attributes))}><use href="#${id}"></use></svg>`;
+    };
+  };
+
+  /**
+   * 組成 sprite
+   *
+   * @param {Iterable<string>} [ids] - 要包含的圖示 id，預設為目前為止用過的所有圖示
+   * @returns {string} 隱藏的 <svg>，沒有圖示時返回空字串
+   */
+  const renderSprite = (ids = symbols.keys()) => {
+    const content = [...ids].sort().map(id => symbols.get(id)).filter(Boolean).join('');
+    return content
+      ? `<svg xmlns="http://www.w3.org/2000/svg" aria-hidden="true" style="position: absolute; width: 0; height: 0; overflow: hidden">${content}</svg>`
+      : '';
+  };
+
+  return { sprite, helper, renderSprite };
+}
@@ -0,0 +1,107 @@
+/**
+ * 測試 partial / 組件內的 attributes 屬性包
+ *
+ * 驗證：
+ * - {{ attributes }} 輸出傳入的屬性（不被重複轉義）
+ * - attributes.merge() 串接 class、傳入值覆蓋預設值
+ * - attributes.only() / attributes.except()
+ * - 組件的屬性包不包含 @props 宣告的屬性
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import vitePluginHtmlKit from '../src/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('attributes 屬性包', () => {
+  const testDir = path.join(__dirname, 'fixtures', 'attribute-bag');
+  const partialsDir = path.join(testDir, 'partials');
+
+  let plugin;
+
+  const writePartial = (name, content) => {
+    const filePath = path.join(partialsDir, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  };
+
+  const render = (html) => plugin.transformIndexHtml.handler(html, {
+    filename: path.join(testDir, 'index.html')
+  });
+
+  beforeEach(() => {
+    fs.mkdirSync(partialsDir, { recursive: true });
+    plugin = vitePluginHtmlKit({ partialsDir: 'partials', data: { count: 3 } });
+    plugin.configResolved({ root: testDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('{{ attributes }} 應該輸出所有傳入的屬性並轉義屬性值', () => {
+    writePartial('box.html', '<div {{ attributes }}></div>');
+
+    const result = render(`<include src="box.html" id="main" data-title='say "hi"' aria-hidden="true" />`);
+
+    expect(result).toBe('<div id="main" data-title="say &quot;hi&quot;" aria-hidden="true"></div>');
+  });
+
+  it('merge() 應該串接 class 並讓傳入的值覆蓋預設值', () => {
+    writePartial('components/button.html', "<button {{ attributes.merge({ class: 'btn', type: 'button' }) }}>{{ slot }}</button>");
+
+    expect(render('<x-button>OK</x-button>')).toBe('<button class="btn" type="button">OK</button>');
+    expect(render('<x-button class="btn-primary" type="submit">送出</x-button>'))
+      .toBe('<button class="btn btn-primary" type="submit">送出</button>');
+  });
+
+  it('merge() 應該串接 style', () => {
+    writePartial('box.html', "<div {{ attributes.merge({ style: 'color: red' }) }}></div>");
+
+    expect(render('<include src="box.html" style="margin: 0" />')).toBe('<div style="color: red; margin: 0"></div>');
+  });
+
+  it('true 的屬性只輸出名稱，false / null 的屬性不輸出', () => {
+    writePartial('components/input.html', '<input {{ attributes }}>');
+
+    expect(render('<x-input name="q" :required="true" :disabled="false" :title="null" />'))
+      .toBe('<input name="q" required>');
+  });
+
+  it('only() 與 except() 應該篩選屬性', () => {
+    writePartial(
+      'components/field.html',
+      "<label {{ attributes.only('class') }}><input {{ attributes.except(['class']) }}></label>"
+    );
+
+    expect(render('<x-field class="field" name="email" :data-count="count" />'))
+      .toBe('<label class="field"><input name="email" data-count="3"></label>');
+  });
+
+  it('組件的屬性包不應該包含 @props 宣告的屬性', () => {
+    writePartial(
+      'components/alert.html',
+      "@props(['type' => 'info'])\n<div {{ attributes.merge({ class: 'alert alert-' + type }) }}>{{ slot }}</div>"
+    );
+
+    expect(render('<x-alert type="error" id="a1">失敗</x-alert>'))
+      .toBe('<div class="alert alert-error" id="a1">失敗</div>');
+  });
+
+  it('has() 與 get() 應該讀取屬性', () => {
+    writePartial('link.html', "<a href=\"{{ attributes.get('href', '#') }}\">{{ attributes.has('href') ? 'yes' : 'no' }}</a>");
+
+    expect(render('<include src="link.html" href="/about" />')).toBe('<a href="/about">yes</a>');
+    expect(render('<include src="link.html" />')).toBe('<a href="#">no</a>');
+  });
+
+  it('{!! attributes !!} 也應該輸出屬性字串', () => {
+    writePartial('box.html', '<div {!! attributes !!}></div>');
+
+    expect(render('<include src="box.html" class="a" />')).toBe('<div class="a"></div>');
+  });
+});
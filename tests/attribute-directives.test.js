@@ -0,0 +1,78 @@
+/**
+ * 測試屬性指令（@class、@style、@checked、@selected、@disabled、@readonly、@required）
+ *
+ * 驗證：
+ * - @class / @style 支援 PHP 陣列與 JS 物件語法，依條件組合屬性值
+ * - 布林屬性指令只在條件為真時輸出
+ * - 多行參數與 => 不會干擾 HTML 標籤解析
+ */
+
+import { describe, it, expect } from 'vitest';
+import vitePluginHtmlKit from '../src/index.js';
+
+describe('屬性指令', () => {
+  const data = { isPrimary: true, isLarge: false, role: 'admin', classes: { card: true, hidden: false } };
+
+  const render = (template, options = {}) => {
+    const plugin = vitePluginHtmlKit({ data, ...options });
+    plugin.configResolved({ root: process.cwd() });
+    return plugin.transformIndexHtml.handler(template);
+  };
+
+  describe('@class', () => {
+    it('應該支援 PHP 陣列語法', () => {
+      expect(render("<a @class(['btn', 'btn-primary' => isPrimary, 'btn-lg' => isLarge])>A</a>"))
+        .toBe('<a class="btn btn-primary">A</a>');
+    });
+
+    it('應該支援 JS 物件語法', () => {
+      expect(render("<a @class({ btn: true, 'btn-primary': isPrimary, 'btn-lg': isLarge })>A</a>"))
+        .toBe('<a class="btn btn-primary">A</a>');
+      expect(render('<div @class(classes)></div>')).toBe('<div class="card"></div>');
+    });
+
+    it('應該支援含冒號的類名與表達式項目', () => {
+      expect(render("<a @class([\"md:flex\" => isPrimary, 'role-' + role])>A</a>"))
+        .toBe('<a class="md:flex role-admin">A</a>');
+    });
+
+    it('應該支援多行參數與結尾逗號', () => {
+      const template = "<div @class([\n  'p-4',\n  'shadow' => isPrimary,\n  'hidden' => isLarge,\n])>\n  A\n</div>";
+
+      expect(render(template)).toBe('<div class="p-4 shadow">\n  A\n</div>');
+    });
+
+    it('應該轉義類名', () => {
+      expect(render("<a @class([role + '\"'])></a>")).toBe('<a class="admin&quot;"></a>');
+    });
+  });
+
+  describe('@style', () => {
+    it('應該依條件輸出樣式並統一以分號結尾', () => {
+      expect(render("<p @style(['color: red;', 'font-weight: bold' => isPrimary, 'display: none' => isLarge])></p>"))
+        .toBe('<p style="color: red; font-weight: bold;"></p>');
+    });
+
+    it('應該支援 JS 物件語法', () => {
+      expect(render("<p @style({ 'color: red': true, 'margin: 0': isLarge })></p>")).toBe('<p style="color: red;"></p>');
+    });
+  });
+
+  describe('布林屬性', () => {
+    it('應該只在條件為真時輸出屬性', () => {
+      const template = '<input type="checkbox" @checked(isPrimary) @disabled(isLarge) @readonly(role === \'admin\') @required(false)>';
+
+      expect(render(template)).toBe('<input type="checkbox" checked  readonly >');
+    });
+
+    it('應該支援 @selected', () => {
+      const template = "<select>@foreach(['user', 'admin'] as option)<option @selected(option === role)>{{ option }}</option>@endforeach</select>";
+
+      expect(render(template)).toBe('<select><option >user</option><option selected>admin</option></select>');
+    });
+
+    it('沒有參數時應該保留原始文字', () => {
+      expect(render('<p>Fields marked @required are mandatory</p>')).toBe('<p>Fields marked @required are mandatory</p>');
+    });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * 測試 Blade 指令解析器（tokenize -> AST -> 程式碼產生）
+ *
+ * 驗證：
+ * - 巢狀括號與多行條件
+ * - email 與 @elsewhere 不被當成指令
+ * - 未閉合 / 多餘的指令回報行號與欄位，並自動恢復繼續輸出
+ */
+
+import { describe, it, expect } from 'vitest';
+import vitePluginHtmlKit from '../src/index.js';
+import { tokenize, compileBlade } from '../src/blade-parser.js';
+
+describe('Blade 指令解析器', () => {
+  describe('tokenize', () => {
+    it('應該以括號配對解析巢狀括號的參數', () => {
+      const { tokens } = tokenize('@if(fn(a, (b)))<p>OK</p>@endif');
+
+      expect(tokens[0]).toMatchObject({ type: 'directive', name: 'if', args: 'fn(a, (b))', line: 1, column: 1 });
+      expect(tokens[1]).toEqual({ type: 'text', value: '<p>OK</p>' });
+      expect(tokens[2]).toMatchObject({ type: 'directive', name: 'endif', args: null });
+    });
+
+    it('應該略過參數字串中的括號', () => {
+      const { tokens } = tokenize("@if(title === ')')@endif");
+
+      expect(tokens[0].args).toBe("title === ')'");
+    });
+
+    it('不應該把 email 與 @elsewhere 當成指令', () => {
+      const { tokens } = tokenize('admin@default.com info@else.org @elsewhere');
+
+      expect(tokens).toEqual([{ type: 'text', value: 'admin@default.com info@else.org @elsewhere' }]);
+    });
+
+    it('緊接在文字後的指令仍然有效', () => {
+      expect(compileBlade('@if(a)Yes@else No@endif').code).toBe('<% if (a) { %>Yes<% } else { %> No<% } %>');
+    });
+
+    it('不應該解析 {{ }} 與 <% %> 內的 @', () => {
+      const { tokens } = tokenize("{{ '@endif' }}<% '@else' %>");
+
+      expect(tokens).toEqual([{ type: 'text', value: "{{ '@endif' }}<% '@else' %>" }]);
+    });
+
+    it('應該移除 Blade 註釋與其中的指令', () => {
+      expect(compileBlade('A{{-- @if(x) --}}B').code).toBe('AB');
+    });
+  });
+
+  describe('程式碼產生', () => {
+    const render = (template, data) => {
+      const plugin = vitePluginHtmlKit({ data });
+      plugin.configResolved({ root: process.cwd() });
+      return plugin.transformIndexHtml.handler(template);
+    };
+
+    it('應該支援巢狀括號的條件', () => {
+      const data = { fn: (a, b) => a && b, a: true, b: true };
+
+      expect(render('@if(fn(a, (b)))<p>是</p>@else<p>否</p>@endif', data)).toBe('<p>是</p>');
+    });
+
+    it('應該支援多行條件', () => {
+      const template = `@if(
+  user.isAdmin &&
+  user.active
+)管理員@endif`;
+
+      expect(render(template, { user: { isAdmin: true, active: true } })).toBe('管理員');
+    });
+
+    it('應該支援參數含巢狀括號的 @foreach 與 @json', () => {
+      const data = { items: [{ n: 1 }, { n: 2 }, { n: 3 }] };
+
+      expect(render('@foreach(items.filter(i => (i.n > 1)) as item){{ item.n }}@endforeach', data)).toBe('23');
+      expect(render('@json(items.map(i => (i.n)))', data)).toBe('[1,2,3]');
+    });
+
+    it('@break 不應該出現在輸出中', () => {
+      const template = '@switch(status)@case(1)一@break@default其他@endswitch';
+
+      expect(render(template, { status: 1 })).toBe('一');
+    });
+
+    it('應該保留 email 原樣輸出', () => {
+      expect(render('<a href="mailto:admin@default.com">admin@default.com</a>', {}))
+        .toBe('<a href="mailto:admin@default.com">admin@default.com</a>');
+    });
+  });
+
+  describe('錯誤回報', () => {
+    it('應該回報未閉合的 @if 與 @foreach 的位置', () => {
+      const { errors } = compileBlade('<ul>\n  @foreach(items as item)\n    @if(item)\n      <li></li>\n  @endforeach\n</ul>\n@if(a)');
+
+      expect(errors).toEqual([
+        { type: 'unclosed', message: '@if 缺少對應的 @endif', directive: 'if', closer: 'endif', line: 3, column: 5 },
+        { type: 'unclosed', message: '@if 缺少對應的 @endif', directive: 'if', closer: 'endif', line: 7, column: 1 }
+      ]);
+    });
+
+    it('應該回報多餘的結束指令', () => {
+      const { code, errors } = compileBlade('<p>A</p>\n  @endforeach');
+
+      expect(code).toBe('<p>A</p>\n  ');
+      expect(errors).toEqual([
+        {
+          type: 'unmatched',
+          message: '多餘的 @endforeach，沒有對應的 @foreach',
+          directive: 'endforeach',
+          opener: 'foreach',
+          line: 2,
+          column: 3
+        }
+      ]);
+    });
+
+    it('應該回報放錯位置的分支指令', () => {
+      const { errors } = compileBlade('@foreach(items as item)\n@else\n@endforeach');
+
+      expect(errors).toMatchObject([
+        { type: 'misplaced', message: '@else 必須位於 @if / @unless / @isset / @empty 區塊內', line: 2, column: 1 }
+      ]);
+    });
+
+    it('應該回報沒有閉合的括號', () => {
+      const { code, errors } = compileBlade('@if(a\n<p>');
+
+      expect(code).toBe('@if(a\n<p>');
+      expect(errors[0]).toMatchObject({ message: '@if 的括號沒有閉合', line: 1, column: 1 });
+    });
+  });
+});
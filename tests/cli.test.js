@@ -0,0 +1,199 @@
+/**
+ * 測試命令列工具（html-kit render / build）
+ *
+ * 驗證：
+ * - render 輸出到 stdout，支援 --data（JSON / YAML / JS）與 --partials
+ * - build 渲染目錄中的頁面並略過 partials 目錄
+ * - 錯誤以 PluginError.format() 輸出，結束代碼依錯誤等級決定
+ * - 參數錯誤時顯示用法，無法讀寫檔案時返回 1 而不是拋出例外
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { runCli, EXIT_CODES } from '../src/cli.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('命令列工具', () => {
+  const testDir = path.join(__dirname, 'fixtures', 'cli');
+
+  let consoleError;
+  let consoleWarn;
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(testDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(testDir, file), content);
+  };
+
+  const run = async (...argv) => {
+    let stdout = '';
+    let stderr = '';
+    const code = await runCli(argv, {
+      cwd: testDir,
+      stdout: { write: (chunk) => { stdout += chunk; } },
+      stderr: { write: (chunk) => { stderr += chunk; } }
+    });
+    return { code, stdout, stderr };
+  };
+
+  const loggedOutput = () => [...consoleError.mock.calls, ...consoleWarn.mock.calls].map(args => args.join(' ')).join('\n');
+
+  beforeEach(() => {
+    fs.mkdirSync(testDir, { recursive: true });
+    consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+    consoleWarn.mockRestore();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe('render', () => {
+    it('應該渲染頁面並輸出到 stdout', async () => {
+      write('partials/header.html', '<header>{{ site }}</header>');
+      write('page.html', '<include src="header.html" /><h1>{{ title | upper }}</h1>');
+      write('data.json', '{ "site": "Acme", "title": "hello" }');
+
+      const result = await run('render', 'page.html', '--data', 'data.json');
+
+      expect(result).toEqual({ code: EXIT_CODES.SUCCESS, stdout: '<header>Acme</header><h1>HELLO</h1>', stderr: '' });
+    });
+
+    it('--partials 應該相對於目前目錄解析', async () => {
+      write('templates/shared/card.html', '<div>{{ text }}</div>');
+      write('pages/page.html', '<include src="card.html" text="A" />');
+
+      const result = await run('render', 'pages/page.html', '--partials=templates/shared');
+
+      expect(result.stdout).toBe('<div>A</div>');
+    });
+
+    it('應該支援 YAML 與 JS 資料檔', async () => {
+      write('page.html', '{{ site }} {{ year }}');
+      write('data.yml', 'site: Acme\nyear: 2025\n');
+      write('data.mjs', 'export default async () => ({ site: "JS", year: 2026 });');
+
+      expect((await run('render', 'page.html', '--data', 'data.yml')).stdout).toBe('Acme 2025');
+      expect((await run('render', 'page.html', '--data', 'data.mjs')).stdout).toBe('JS 2026');
+    });
+
+    it('應該載入頁面的 front matter 與同名資料檔', async () => {
+      write('page.html', '---\ntitle: Front\n---\n{{ title }} {{ count }}');
+      write('page.json', '{ "count": 3 }');
+
+      expect((await run('render', 'page.html')).stdout).toBe('Front 3');
+    });
+  });
+
+  describe('build', () => {
+    it('應該渲染目錄中的頁面並略過 partials', async () => {
+      write('src/partials/layouts/base.html', '<main>@yield(\'content\')</main>');
+      write('src/index.html', "@extends('layouts/base.html')@section('content')首頁@endsection");
+      write('src/blog/post.html', "@extends('layouts/base.html')@section('content'){{ site }}@endsection");
+      write('site.json', '{ "site": "Acme" }');
+
+      const result = await run('build', 'src', '--out', 'dist', '--data', 'site.json');
+
+      expect(result.code).toBe(EXIT_CODES.SUCCESS);
+      expect(fs.readFileSync(path.join(testDir, 'dist', 'index.html'), 'utf-8')).toBe('<main>首頁</main>');
+      expect(fs.readFileSync(path.join(testDir, 'dist', 'blog', 'post.html'), 'utf-8')).toBe('<main>Acme</main>');
+      expect(fs.existsSync(path.join(testDir, 'dist', 'partials'))).toBe(false);
+      expect(result.stdout).toContain(path.join('dist', 'blog', 'post.html'));
+      expect(result.stdout).toContain('已建置 2 個頁面');
+    });
+  });
+
+  describe('錯誤與結束代碼', () => {
+    it('error 等級的錯誤應該返回 1 並以 PluginError 格式輸出', async () => {
+      write('page.html', '<main>\n  @foreach(items as item)\n</main>');
+
+      const result = await run('render', 'page.html', '--data', 'missing.json');
+      expect(result.code).toBe(EXIT_CODES.ERROR);
+      expect(loggedOutput()).toContain('[E3004]');
+
+      const rendered = await run('render', 'page.html');
+      expect(rendered.code).toBe(EXIT_CODES.ERROR);
+      expect(loggedOutput()).toContain('[E4007]');
+      expect(loggedOutput()).toContain('📄 檔案: page.html:2:3');
+    });
+
+    it('只有 warning 時應該返回 2', async () => {
+      write('page.html', '<include src="missing.html" /><p>ok</p>');
+
+      const result = await run('render', 'page.html');
+
+      expect(result.code).toBe(EXIT_CODES.WARNING);
+      expect(result.stdout).toContain('<p>ok</p>');
+      expect(loggedOutput()).toContain('[E3002]');
+    });
+
+    it('找不到頁面或目錄時應該返回 1', async () => {
+      expect((await run('render', 'nope.html')).code).toBe(EXIT_CODES.ERROR);
+      expect((await run('build', 'nope')).code).toBe(EXIT_CODES.ERROR);
+      expect(loggedOutput()).toContain('[E3003]');
+    });
+
+    it('輸出目錄無法寫入時應該返回 1 而不是拋出例外', async () => {
+      write('page.html', '<p>ok</p>');
+      write('dist', 'not a directory');
+
+      const result = await run('build', '.', '--out', 'dist/site');
+
+      expect(result.code).toBe(EXIT_CODES.ERROR);
+      expect(result.stderr).toContain('ENOTDIR');
+    });
+
+    it('參數錯誤時應該顯示用法', async () => {
+      const unknown = await run('serve', 'src');
+      expect(unknown.code).toBe(EXIT_CODES.ERROR);
+      expect(unknown.stderr).toContain('未知的指令: serve');
+      expect(unknown.stderr).toContain('用法:');
+
+      expect((await run('render')).stderr).toContain('用法:');
+      expect((await run('render', 'page.html', '--minify')).stderr).toContain('未知的選項: --minify');
+      expect((await run('render', 'page.html', '--data')).stderr).toContain('選項 --data 需要一個值');
+
+      const help = await run('--help');
+      expect(help.code).toBe(EXIT_CODES.SUCCESS);
+      expect(help.stdout).toContain('html-kit build <srcDir>');
+    });
+  });
+
+  describe('bin/html-kit.js', () => {
+    it('應該可以直接執行並設定結束代碼', () => {
+      write('page.html', '<p>{{ 1 + 1 }}</p>');
+      const bin = path.join(__dirname, '..', 'bin', 'html-kit.js');
+
+      expect(execFileSync(process.execPath, [bin, 'render', 'page.html'], { cwd: testDir, encoding: 'utf-8' })).toBe('<p>2</p>');
+
+      write('broken.html', '@if(true)');
+      expect(() => execFileSync(process.execPath, [bin, 'render', 'broken.html'], { cwd: testDir, stdio: 'pipe' }))
+        .toThrow(expect.objectContaining({ status: EXIT_CODES.ERROR }));
+    });
+
+    it('--data 路徑無效或輸出無法寫入時應該以 1 結束，不輸出堆疊', () => {
+      write('page.html', '<p>ok</p>');
+      write('blocked', 'not a directory');
+      const bin = path.join(__dirname, '..', 'bin', 'html-kit.js');
+
+      for (const argv of [['render', 'page.html', '--data', 'blocked/site.json'], ['build', '.', '--out', 'blocked/dist']]) {
+        let failure;
+        try {
+          execFileSync(process.execPath, [bin, ...argv], { cwd: testDir, stdio: 'pipe', encoding: 'utf-8' });
+        } catch (error) {
+          failure = error;
+        }
+
+        expect(failure).toMatchObject({ status: EXIT_CODES.ERROR });
+        expect(failure.stderr).toContain('ENOTDIR');
+        expect(failure.stderr).not.toMatch(/^\s+at /m);
+      }
+    });
+  });
+});
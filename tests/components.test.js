@@ -0,0 +1,222 @@
+/**
+ * 測試 Blade 風格的組件標籤 <x-name>
+ *
+ * 驗證：
+ * - <x-name> 對應 partialsDir/components/name.html（. 代表子目錄）
+ * - : 開頭的屬性以表達式求值
+ * - {{ slot }} 預設插槽與 <x-slot:name> 具名插槽
+ * - @props 宣告與預設值
+ * - 同名組件巢狀使用
+ * - 迴圈內的組件與 slot 使用外層模板的變數
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import vitePluginHtmlKit from '../src/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('組件標籤 <x-name>', () => {
+  const testDir = path.join(__dirname, 'fixtures', 'components');
+  const componentsDir = path.join(testDir, 'partials', 'components');
+
+  let plugin;
+
+  const writeComponent = (name, content) => {
+    const filePath = path.join(componentsDir, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  };
+
+  const render = (html) => plugin.transformIndexHtml.handler(html, {
+    filename: path.join(testDir, 'index.html')
+  });
+
+  beforeEach(() => {
+    fs.mkdirSync(componentsDir, { recursive: true });
+    plugin = vitePluginHtmlKit({
+      partialsDir: 'partials',
+      data: { posts: ['Vite', 'Blade'], user: '<Bob>' }
+    });
+    plugin.configResolved({ root: testDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe('屬性', () => {
+    it('一般屬性應該以字串傳入組件', () => {
+      writeComponent('alert.html', '<div class="alert-{{ type }}">{{ message }}</div>');
+
+      const result = render('<x-alert type="error" message="失敗" />');
+
+      expect(result).toBe('<div class="alert-error">失敗</div>');
+    });
+
+    it(': 開頭的屬性應該以表達式求值並保留型別', () => {
+      writeComponent('list.html', '<ul>@foreach(items as item)<li>{{ item }}</li>@endforeach</ul>{{ count + 1 }}');
+
+      const result = render('<x-list :items="posts" :count="posts.length" />');
+
+      expect(result).toBe('<ul><li>Vite</li><li>Blade</li></ul>3');
+    });
+
+    it('表達式中可以包含 > 字元', () => {
+      writeComponent('badge.html', '@if(show)<b>多篇</b>@endif');
+
+      expect(render('<x-badge :show="posts.length > 1" />')).toBe('<b>多篇</b>');
+    });
+
+    it('名稱中的 . 應該對應子目錄', () => {
+      writeComponent('forms/input.html', '<input name="{{ name }}">');
+
+      expect(render('<x-forms.input name="q" />')).toBe('<input name="q">');
+    });
+  });
+
+  describe('插槽', () => {
+    it('標籤內容應該成為 {{ slot }} 且不被轉義', () => {
+      writeComponent('card.html', '<div class="card">{{ slot }}</div>');
+
+      const result = render('<x-card>\n  <p>Hello {{ user }}</p>\n</x-card>');
+
+      expect(result).toBe('<div class="card"><p>Hello &lt;Bob&gt;</p></div>');
+    });
+
+    it('應該支援 <x-slot:name> 與 <x-slot name=""> 具名插槽', () => {
+      writeComponent('card.html', '<header>{{ header }}</header><main>{{ slot }}</main><footer>{!! footer !!}</footer>');
+
+      const result = render(
+        '<x-card><x-slot:header><h3>標題</h3></x-slot:header>內容<x-slot name="footer"><a>更多</a></x-slot></x-card>'
+      );
+
+      expect(result).toBe('<header><h3>標題</h3></header><main>內容</main><footer><a>更多</a></footer>');
+    });
+
+    it('未傳入的具名插槽可以用 @isset 判斷', () => {
+      writeComponent('card.html', '<main>{{ slot }}</main>@isset(footer)<footer>{{ footer }}</footer>@endisset');
+
+      expect(render('<x-card>內容</x-card>')).toBe('<main>內容</main>');
+    });
+  });
+
+  describe('@props', () => {
+    it('應該使用 @props 的預設值，並由屬性覆蓋', () => {
+      writeComponent(
+        'button.html',
+        "@props(['type' => 'button', 'label' => 'OK', 'tags' => ['a', 'b']])\n<button type=\"{{ type }}\">{{ label }} {{ tags.length }}</button>"
+      );
+
+      expect(render('<x-button />')).toBe('<button type="button">OK 2</button>');
+      expect(render('<x-button type="submit" label="送出" />')).toBe('<button type="submit">送出 2</button>');
+    });
+
+    it('沒有預設值的 prop 應該為 undefined 而不拋出錯誤', () => {
+      writeComponent('link.html', "@props(['href', 'active'])\n@if(active)<a class=\"active\">@else<a>@endif{{ href || '#' }}</a>");
+
+      expect(render('<x-link />')).toBe('<a>#</a>');
+      expect(render('<x-link href="/about" :active="true" />')).toBe('<a class="active">/about</a>');
+    });
+
+    it('應該支援 JavaScript 物件語法', () => {
+      writeComponent('tag.html', "@props({ color: 'gray' })\n<span class=\"{{ color }}\"></span>");
+
+      expect(render('<x-tag />')).toBe('<span class="gray"></span>');
+    });
+  });
+
+  describe('巢狀', () => {
+    it('同名組件可以巢狀使用，各自的插槽不會混淆', () => {
+      writeComponent('box.html', '<div title="{{ title }}">{{ slot }}<i>{{ footer }}</i></div>');
+
+      const result = render(
+        '<x-box title="outer">' +
+          '<x-box title="inner">內層<x-slot:footer>內層頁尾</x-slot:footer></x-box>' +
+          '<x-slot:footer>外層頁尾</x-slot:footer>' +
+        '</x-box>'
+      );
+
+      expect(result).toBe(
+        '<div title="outer"><div title="inner">內層<i>內層頁尾</i></div><i>外層頁尾</i></div>'
+      );
+    });
+
+    it('組件內可以使用其他組件與 include', () => {
+      fs.writeFileSync(path.join(testDir, 'partials', 'icon.html'), '<svg>{{ name }}</svg>');
+      writeComponent('icon-button.html', '<button><include src="icon.html" name="{{ icon }}" />{{ slot }}</button>');
+      writeComponent('toolbar.html', '<nav><x-icon-button icon="save">儲存</x-icon-button></nav>');
+
+      expect(render('<x-toolbar />')).toBe('<nav><button><svg>save</svg>儲存</button></nav>');
+    });
+  });
+
+  describe('外層模板的變數', () => {
+    let consoleError;
+    let consoleWarn;
+
+    beforeEach(() => {
+      consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+      consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      consoleError.mockRestore();
+      consoleWarn.mockRestore();
+    });
+
+    it('@foreach / @for 內的組件可以在 slot 與屬性中使用迴圈變數', () => {
+      writeComponent('card.html', "@props(['title' => '無標題'])\n<div title=\"{{ title }}\">{{ slot }}</div>");
+
+      expect(render('@foreach(posts as post)<x-card>{{ post }}</x-card>@endforeach'))
+        .toBe('<div title="無標題">Vite</div><div title="無標題">Blade</div>');
+      expect(render('@foreach(posts as post)<x-card :title="post | upper" />@endforeach'))
+        .toBe('<div title="VITE"></div><div title="BLADE"></div>');
+      expect(render('@for(let i = 1; i <= 2; i++)<x-card title="{{ i }}">#{{ i }}</x-card>@endfor'))
+        .toBe('<div title="1">#1</div><div title="2">#2</div>');
+
+      expect(consoleError).not.toHaveBeenCalled();
+    });
+
+    it('slot 應該以頁面的變數渲染，而不是組件的變數', () => {
+      writeComponent('card.html', '<h3>{{ title }}</h3><main>{{ slot }}</main>@isset(footer)<footer>{{ footer }}</footer>@endisset');
+      plugin = vitePluginHtmlKit({ partialsDir: 'partials', data: { title: 'Page' } });
+      plugin.configResolved({ root: testDir });
+
+      expect(render('<x-card title="Card">{{ title }}<x-slot:footer>{{ title }}</x-slot:footer></x-card>'))
+        .toBe('<h3>Card</h3><main>Page</main><footer>Page</footer>');
+    });
+
+    it('迴圈內的巢狀組件各自使用當次迭代的值', () => {
+      writeComponent('box.html', '<div title="{{ title }}">{{ slot }}</div>');
+
+      expect(render('@foreach(posts as post)<x-box :title="post"><x-box :title="post + \'!\'">{{ loop.iteration }}</x-box></x-box>@endforeach'))
+        .toBe('<div title="Vite"><div title="Vite!">1</div></div><div title="Blade"><div title="Blade!">2</div></div>');
+    });
+  });
+
+  describe('錯誤處理', () => {
+    it('找不到組件時應該輸出錯誤註解', () => {
+      const result = render('<x-missing />');
+
+      expect(result).toContain('E3005');
+      expect(result).toContain('<x-missing>');
+    });
+
+    it('應該記錄組件依賴供 HMR 使用', () => {
+      writeComponent('card.html', '<div>{{ slot }}</div>');
+      const messages = [];
+
+      render('<x-card>內容</x-card>');
+      plugin.handleHotUpdate({
+        file: path.join(componentsDir, 'card.html'),
+        server: { ws: { send: (payload) => messages.push(payload) } }
+      });
+
+      expect(messages).toEqual([{ type: 'full-reload', path: '/index.html' }]);
+    });
+  });
+});
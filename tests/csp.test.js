@@ -0,0 +1,181 @@
+/**
+ * 測試 Content-Security-Policy 支援（csp 選項）
+ *
+ * 驗證：
+ * - hash 模式計算行內 <script> / <style> 的 sha256，{{ cspHashes }} 輸出 hash 列表
+ * - nonce 模式為行內元素加上 nonce，{{ cspNonce }} 輸出 nonce
+ * - 外部 <script src> 與已有 nonce 的元素不處理（data-src、data-nonce 不算）
+ * - 插件建構時在 generateBundle 以最終 HTML 計算並輸出 manifest
+ * - 不支援的模式拋出 E4014
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import vitePluginHtmlKit, { createRenderer } from '../src/index.js';
+import { createCspPolicy } from '../src/csp.js';
+import { ErrorCodes } from '../src/error-handler.js';
+
+/**
+ * 計算內容的 CSP hash 來源表達式
+ *
+ * @param {string} content
+ * @returns {string}
+ */
+const sha256 = (content) => `'sha256-${crypto.createHash('sha256').update(content).digest('base64')}'`;
+
+describe('CSP', () => {
+  describe('hash 模式', () => {
+    it('{{ cspHashes }} 應該輸出行內 script 與 style 的 hash', () => {
+      const renderer = createRenderer({ csp: 'hash' });
+      const html = renderer.renderSync(
+        '<meta http-equiv="Content-Security-Policy" content="script-src \'self\' {{ cspHashes }}">' +
+        '<style>body { color: red }</style><script>init()</script>'
+      );
+
+      expect(html).toBe(
+        `<meta http-equiv="Content-Security-Policy" content="script-src 'self' ${sha256('init()')} ${sha256('body { color: red }')}">` +
+        '<style>body { color: red }</style><script>init()</script>'
+      );
+    });
+
+    it('應該以最終輸出計算 hash（@json、@push 與 partial 產生的內容）', () => {
+      const renderer = createRenderer({ csp: 'hash' });
+      const html = renderer.renderSync(
+        '{{ cspHashes }}|<script>const config = @json(config);</script>@push(\'scripts\')<script>run()</script>@endpush@stack(\'scripts\')',
+        { config: { a: 1 } }
+      );
+
+      expect(html.split('|')[0]).toBe(`${sha256('const config = {"a":1};')} ${sha256('run()')}`);
+    });
+
+    it('外部 script 不應該計算 hash，也不應該加上 nonce', () => {
+      const policy = createCspPolicy('nonce');
+      const { html, hashes } = policy.apply('<script src="/app.js"></script>');
+
+      expect(html).toBe('<script src="/app.js"></script>');
+      expect(hashes).toEqual([]);
+    });
+
+    it('directives 應該分開列出 script-src 與 style-src', () => {
+      const { directives } = createCspPolicy('hash').apply('<script>a()</script><style>b{}</style><script>a()</script>');
+
+      expect(directives).toEqual({ 'script-src': [sha256('a()')], 'style-src': [sha256('b{}')] });
+    });
+  });
+
+  describe('nonce 模式', () => {
+    it('應該為行內 script 與 style 加上同一個 nonce', () => {
+      const renderer = createRenderer({ csp: { mode: 'nonce', nonce: 'abc123' } });
+      const html = renderer.renderSync('<meta content="{{ cspNonce }}"><script type="module">a()</script><STYLE media="print">b{}</STYLE><script nonce="x">c()</script>');
+
+      expect(html).toBe(
+        '<meta content="abc123"><script nonce="abc123" type="module">a()</script>' +
+        '<STYLE nonce="abc123" media="print">b{}</STYLE><script nonce="x">c()</script>'
+      );
+      expect(renderer.applyCsp('<script>a()</script>').directives)
+        .toEqual({ 'script-src': ["'nonce-abc123'"], 'style-src': ["'nonce-abc123'"] });
+    });
+
+    it('data-src、data-nonce 與屬性值中的文字不應該被當作 src、nonce 屬性', () => {
+      const policy = createCspPolicy({ mode: 'nonce', nonce: 'abc123' });
+      const { html, hashes } = policy.apply(
+        '<script data-src="x">a()</script><script data-nonce="y">b()</script><script title="src=z">c()</script><script SRC=/app.js></script>'
+      );
+
+      expect(html).toBe(
+        '<script nonce="abc123" data-src="x">a()</script><script nonce="abc123" data-nonce="y">b()</script>' +
+        '<script nonce="abc123" title="src=z">c()</script><script SRC=/app.js></script>'
+      );
+      expect(hashes).toEqual([sha256('a()'), sha256('b()'), sha256('c()')]);
+    });
+
+    it('沒有指定 nonce 時，同一個渲染器的所有頁面應該共用隨機 nonce', () => {
+      const renderer = createRenderer({ csp: 'nonce' });
+      const first = renderer.renderSync('{{ cspNonce }}');
+
+      expect(first).toMatch(/^[A-Za-z0-9+/]{22}==$/);
+      expect(renderer.renderSync('{{ cspNonce }}')).toBe(first);
+      expect(createRenderer({ csp: 'nonce' }).render('{{ cspNonce }}')).not.toBe(first);
+    });
+  });
+
+  it('未開啟 csp 時不應該修改輸出', () => {
+    const renderer = createRenderer();
+
+    expect(renderer.renderSync('<script>a()</script>')).toBe('<script>a()</script>');
+    expect(renderer.applyCsp('<script>a()</script>').html).toBe('<script>a()</script>');
+  });
+
+  it('不支援的模式應該拋出 E4014', () => {
+    expect(() => createRenderer({ csp: 'strict' })).toThrow(expect.objectContaining({ code: ErrorCodes.INVALID_CSP_OPTION }));
+  });
+
+  it('lint 不應該把 cspNonce / cspHashes 視為未定義的變數', async () => {
+    const renderer = createRenderer({ csp: 'hash' });
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vphk-csp-'));
+    fs.writeFileSync(path.join(dir, 'index.html'), '<meta content="{{ cspHashes }} {{ cspNonce }}">');
+
+    try {
+      expect(await renderer.lint([path.join(dir, 'index.html')])).toEqual([]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  describe('插件', () => {
+    /**
+     * 建立設定為建構模式的插件
+     *
+     * @param {Object} options
+     * @returns {Object}
+     */
+    const buildPlugin = (options) => {
+      const plugin = vitePluginHtmlKit(options);
+      plugin.configResolved({ root: process.cwd(), command: 'build' });
+      return plugin;
+    };
+
+    it('建構時應該保留佔位符，在 generateBundle 以最終 HTML 計算並輸出 manifest', () => {
+      const plugin = buildPlugin({ csp: 'hash' });
+      const transformed = plugin.transformIndexHtml.handler('<meta content="{{ cspHashes }}"><script>a()</script>');
+      expect(transformed).not.toContain(sha256('a()'));
+
+      // 模擬 Vite 處理後的 HTML（例如移除行內模組腳本、加入外部腳本）
+      const bundle = {
+        'index.html': { type: 'asset', fileName: 'index.html', source: transformed.replace('a()', 'b()') },
+        'assets/app.js': { type: 'chunk', fileName: 'assets/app.js', code: '' }
+      };
+      const emitFile = vi.fn();
+      plugin.generateBundle.handler.call({ emitFile }, {}, bundle);
+
+      expect(plugin.generateBundle.order).toBe('post');
+      expect(bundle['index.html'].source).toBe(`<meta content="${sha256('b()')}"><script>b()</script>`);
+      expect(emitFile).toHaveBeenCalledWith({
+        type: 'asset',
+        fileName: 'csp-manifest.json',
+        source: `${JSON.stringify({ 'index.html': { 'script-src': [sha256('b()')], 'style-src': [] } }, null, 2)}\n`
+      });
+    });
+
+    it('manifest: false 時不應該輸出 manifest', () => {
+      const plugin = buildPlugin({ csp: { mode: 'nonce', nonce: 'n1', manifest: false } });
+      const bundle = { 'index.html': { type: 'asset', fileName: 'index.html', source: '<style>a{}</style>' } };
+      const emitFile = vi.fn();
+      plugin.generateBundle.handler.call({ emitFile }, {}, bundle);
+
+      expect(bundle['index.html'].source).toBe('<style nonce="n1">a{}</style>');
+      expect(emitFile).not.toHaveBeenCalled();
+    });
+
+    it('開發模式應該直接在轉換結果上套用', () => {
+      const plugin = vitePluginHtmlKit({ csp: 'hash' });
+      plugin.configResolved({ root: process.cwd(), command: 'serve' });
+
+      expect(plugin.transformIndexHtml.handler('{{ cspHashes }}<script>a()</script>'))
+        .toBe(`${sha256('a()')}<script>a()</script>`);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * 測試自訂指令（directives 選項與 api.directive）
+ *
+ * 驗證：
+ * - 行內指令與區塊指令（@name ... @endname）
+ * - 與內建指令互相巢狀，partial 中同樣可以使用
+ * - 區塊指令納入結構檢查
+ * - 名稱檢查（E4011）與 handler 錯誤（E4012）
+ * - 不同插件實例的自訂指令不會共用快取
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import vitePluginHtmlKit from '../src/index.js';
+import { PluginError } from '../src/error-handler.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('自訂指令', () => {
+  const testDir = path.join(__dirname, 'fixtures', 'custom-directives');
+  const partialsDir = path.join(testDir, 'partials');
+
+  const directives = {
+    icon: args => `<svg class="icon"><use href="#icon-{{ ${args} }}"></use></svg>`,
+    datetime: (args) => {
+      const [value, format] = args.split(/,\s*/);
+      return `<time data-format=${format}>{{ ${value} }}</time>`;
+    },
+    card: {
+      block: true,
+      handler: (args, content) => `<section class="card"><h2>{{ ${args} }}</h2>${content}</section>`
+    }
+  };
+
+  let consoleError;
+
+  const createPlugin = (options = {}) => {
+    const plugin = vitePluginHtmlKit({ partialsDir: 'partials', data: { show: true, items: ['a', 'b'] }, directives, ...options });
+    plugin.configResolved({ root: testDir });
+    return plugin;
+  };
+
+  const render = (plugin, html) => plugin.transformIndexHtml.handler(html, { filename: path.join(testDir, 'index.html') });
+
+  const loggedOutput = () => consoleError.mock.calls.map(args => args.join(' ')).join('\n');
+
+  beforeEach(() => {
+    fs.mkdirSync(partialsDir, { recursive: true });
+    consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe('行內指令', () => {
+    it('handler 應該收到原始參數字串', () => {
+      const result = render(createPlugin(), "@icon('home') @datetime('2026-01-02', 'YYYY-MM-DD')");
+
+      expect(result).toBe('<svg class="icon"><use href="#icon-home"></use></svg> <time data-format=\'YYYY-MM-DD\'>2026-01-02</time>');
+    });
+
+    it('沒有參數時 handler 應該收到 null，返回 null 時保留原始文字', () => {
+      const handler = vi.fn(() => null);
+      const result = render(createPlugin({ directives: { todo: handler } }), '<p>@todo</p>');
+
+      expect(result).toBe('<p>@todo</p>');
+      expect(handler).toHaveBeenCalledWith(null);
+    });
+
+    it('應該可以放在內建指令中', () => {
+      const result = render(createPlugin(), "@foreach(items as item)@if(show)@icon(item)@endif@endforeach");
+
+      expect(result).toBe('<svg class="icon"><use href="#icon-a"></use></svg><svg class="icon"><use href="#icon-b"></use></svg>');
+    });
+
+    it('應該可以在 partial 中使用', () => {
+      fs.writeFileSync(path.join(partialsDir, 'nav.html'), "<nav>@icon('menu')</nav>");
+
+      expect(render(createPlugin(), '<include src="nav.html" />'))
+        .toBe('<nav><svg class="icon"><use href="#icon-menu"></use></svg></nav>');
+    });
+  });
+
+  describe('區塊指令', () => {
+    it('handler 應該收到已轉換的內容', () => {
+      const result = render(createPlugin(), "@card('Posts')@foreach(items as item)<li>{{ item }}</li>@endforeach@endcard");
+
+      expect(result).toBe('<section class="card"><h2>Posts</h2><li>a</li><li>b</li></section>');
+    });
+
+    it('應該可以巢狀使用', () => {
+      const result = render(createPlugin(), "@card('A')@card('B')@icon('x')@endcard@endcard");
+
+      expect(result).toBe('<section class="card"><h2>A</h2><section class="card"><h2>B</h2><svg class="icon"><use href="#icon-x"></use></svg></section></section>');
+    });
+
+    it('未閉合的區塊指令應該回報 E4007', () => {
+      render(createPlugin(), "<main>\n  @card('A')\n</main>");
+
+      expect(loggedOutput()).toContain('[E4007]');
+      expect(loggedOutput()).toContain('@card 缺少對應的 @endcard');
+    });
+  });
+
+  describe('api.directive', () => {
+    it('應該可以在插件建立後註冊', () => {
+      const plugin = createPlugin();
+      expect(render(plugin, '@upper(items[0])')).toBe('@upper(items[0])');
+
+      plugin.api.directive('upper', args => `{{ ${args}.toUpperCase() }}`);
+
+      expect(render(plugin, '@upper(items[0])')).toBe('A');
+    });
+
+    it('其他插件實例不應該受影響', () => {
+      const plugin = createPlugin();
+      plugin.api.directive('upper', args => `{{ ${args}.toUpperCase() }}`);
+      render(plugin, '@upper(items[1])');
+
+      expect(render(createPlugin({ directives: {} }), '@upper(items[1])')).toBe('@upper(items[1])');
+    });
+
+    it('名稱不合法或與內建指令同名時應該拋出 E4011', () => {
+      const plugin = createPlugin();
+
+      expect(() => plugin.api.directive('foreach', () => '')).toThrow(PluginError);
+      expect(() => plugin.api.directive('Section', () => '')).toThrow('不能與內建指令同名');
+      expect(() => plugin.api.directive('for', { block: true, handler: () => '' })).toThrow(expect.objectContaining({ code: 'E4011' }));
+      expect(() => plugin.api.directive('my-icon', () => '')).toThrow('名稱只能包含英數字元與底線');
+      expect(() => plugin.api.directive('icon2', 'svg')).toThrow('handler 必須是函式');
+      expect(() => vitePluginHtmlKit({ directives: { yield: () => '' } })).toThrow(expect.objectContaining({ code: 'E4011' }));
+    });
+  });
+
+  describe('handler 錯誤', () => {
+    it('應該回報 E4012 與原始檔案行號，並移除該指令', () => {
+      fs.writeFileSync(path.join(partialsDir, 'broken.html'), "<div>\n  @boom('x')\n</div>");
+      const plugin = createPlugin({ directives: { boom: () => { throw new Error('找不到圖示'); } } });
+
+      const result = render(plugin, '<main>\n  <include src="broken.html" />\n</main>');
+
+      expect(result).toBe('<main>\n  <div>\n  \n</div>\n</main>');
+      expect(loggedOutput()).toContain('[E4012]');
+      expect(loggedOutput()).toContain('自訂指令 @boom 執行失敗: 找不到圖示');
+      expect(loggedOutput()).toContain('broken.html:2');
+      expect(loggedOutput().match(/\[E4012\]/g)).toHaveLength(1);
+    });
+
+    it('再次渲染時應該再次回報', () => {
+      const plugin = createPlugin({ directives: { boom: () => { throw new Error('失敗'); } } });
+
+      render(plugin, '@boom');
+      render(plugin, '@boom');
+
+      expect(loggedOutput().match(/\[E4012\]/g)).toHaveLength(2);
+    });
+  });
+});
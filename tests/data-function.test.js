@@ -0,0 +1,128 @@
+/**
+ * 測試 data 選項為（async）函式
+ *
+ * 驗證：
+ * - 同步函式與 async 函式
+ * - 函式收到 { filename, mode, command, server }
+ * - 每次轉換都會重新呼叫（HMR 後取得最新資料）
+ * - .data.js 預設匯出函式
+ * - 函式錯誤時降級為空資料
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import vitePluginHtmlKit from '../src/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('data 函式', () => {
+  const testDir = path.join(__dirname, 'fixtures', 'data-function');
+  const pagePath = path.join(testDir, 'index.html');
+
+  beforeEach(() => {
+    fs.mkdirSync(testDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  const createPlugin = (data) => {
+    const plugin = vitePluginHtmlKit({ data });
+    plugin.configResolved({ root: testDir, mode: 'development', command: 'serve' });
+    return plugin;
+  };
+
+  it('應該支援同步函式並同步返回結果', () => {
+    const plugin = createPlugin(() => ({ title: 'Sync' }));
+
+    const result = plugin.transformIndexHtml.handler('<h1>{{ title }}</h1>', { filename: pagePath });
+
+    expect(result).toBe('<h1>Sync</h1>');
+  });
+
+  it('應該等待 async 函式', async () => {
+    const plugin = createPlugin(async () => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      return { products: ['A', 'B'] };
+    });
+
+    const result = plugin.transformIndexHtml.handler(
+      '@foreach(products as p)<li>{{ p }}</li>@endforeach',
+      { filename: pagePath }
+    );
+
+    expect(result).toBeInstanceOf(Promise);
+    expect(await result).toBe('<li>A</li><li>B</li>');
+  });
+
+  it('應該傳入 filename、mode、command 和 server', () => {
+    let received;
+    const server = { ws: { send() {} } };
+    const plugin = createPlugin((context) => {
+      received = context;
+      return {};
+    });
+
+    plugin.transformIndexHtml.handler('<p></p>', { filename: pagePath, server });
+
+    expect(received).toEqual({
+      filename: pagePath,
+      mode: 'development',
+      command: 'serve',
+      server
+    });
+  });
+
+  it('每次轉換都應該重新呼叫資料函式', () => {
+    let version = 1;
+    const plugin = createPlugin(() => ({ version }));
+
+    const first = plugin.transformIndexHtml.handler('v{{ version }}', { filename: pagePath });
+    version = 2;
+    const second = plugin.transformIndexHtml.handler('v{{ version }}', { filename: pagePath });
+
+    expect(first).toBe('v1');
+    expect(second).toBe('v2');
+  });
+
+  it('可以依 filename 返回不同頁面的資料', () => {
+    const plugin = createPlugin(({ filename }) => ({
+      page: path.basename(filename, '.html')
+    }));
+
+    const result = plugin.transformIndexHtml.handler('{{ page }}', {
+      filename: path.join(testDir, 'about.html')
+    });
+
+    expect(result).toBe('about');
+  });
+
+  it('.data.js 預設匯出函式時應該收到相同的上下文', async () => {
+    fs.writeFileSync(
+      path.join(testDir, 'index.data.js'),
+      'export default async ({ mode }) => ({ mode });'
+    );
+    const plugin = createPlugin({});
+
+    const result = await plugin.transformIndexHtml.handler('{{ mode }}', { filename: pagePath });
+
+    expect(result).toBe('development');
+  });
+
+  it('資料函式拋出錯誤時應該使用空資料繼續渲染', async () => {
+    const plugin = createPlugin(async () => {
+      throw new Error('database offline');
+    });
+
+    const result = await plugin.transformIndexHtml.handler(
+      '<p>{{ typeof title === "undefined" ? "none" : title }}</p>',
+      { filename: pagePath }
+    );
+
+    expect(result).toBe('<p>none</p>');
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * 測試 Vite 錯誤覆蓋層與 failOnError
+ *
+ * 驗證：
+ * - 開發模式下，error 等級的模板錯誤透過 server.ws.send 送到瀏覽器
+ * - 錯誤包含錯誤碼、訊息、建議、檔案位置與程式碼片段
+ * - partial 中的錯誤指向 partial 檔案
+ * - 警告不會送到覆蓋層
+ * - 建構模式下 failOnError 讓建構失敗，否則照常輸出
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import vitePluginHtmlKit from '../src/index.js';
+import { PluginError, ErrorCodes, createCodeFrame } from '../src/error-handler.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('錯誤覆蓋層', () => {
+  const testDir = path.join(__dirname, 'fixtures', 'error-overlay');
+  const partialsDir = path.join(testDir, 'partials');
+  const pagePath = path.join(testDir, 'index.html');
+
+  let consoleError;
+  let consoleWarn;
+  let send;
+
+  const createPlugin = (options = {}, command = 'serve') => {
+    const plugin = vitePluginHtmlKit({ partialsDir: 'partials', data: { show: true }, ...options });
+    plugin.configResolved({ root: testDir, command });
+    return plugin;
+  };
+
+  const serve = (plugin, html) => plugin.transformIndexHtml.handler(html, {
+    filename: pagePath,
+    server: { ws: { send } }
+  });
+
+  const build = (plugin, html) => plugin.transformIndexHtml.handler(html, { filename: pagePath });
+
+  beforeEach(() => {
+    fs.mkdirSync(partialsDir, { recursive: true });
+    consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    send = vi.fn();
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+    consoleWarn.mockRestore();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe('createCodeFrame', () => {
+    it('應該標示錯誤所在的行與欄', () => {
+      const frame = createCodeFrame('a\nb\n  @if(x)\nc', 3, 3);
+
+      expect(frame).toBe([
+        '1 | a',
+        '2 | b',
+        '3 |   @if(x)',
+        '  |   ^',
+        '4 | c'
+      ].join('\n'));
+    });
+  });
+
+  describe('PluginError.toViteError', () => {
+    it('應該轉換為 Vite 錯誤格式', () => {
+      const error = new PluginError(ErrorCodes.UNCLOSED_DIRECTIVE, ['if', 'endif', 2, 1], {
+        file: 'index.html',
+        line: 2,
+        column: 1
+      });
+
+      const err = error.toViteError({ id: '/src/index.html', source: '<p></p>\n@if(a)' });
+
+      expect(err).toMatchObject({
+        plugin: 'vite-plugin-html-kit',
+        pluginCode: 'E4007',
+        id: '/src/index.html',
+        loc: { file: '/src/index.html', line: 2, column: 1 }
+      });
+      expect(err.message).toContain('[E4007] 指令未閉合: @if 缺少對應的 @endif（第 2 行，第 1 欄）');
+      expect(err.message).toContain('💡 建議:');
+      expect(err.frame).toContain('2 | @if(a)');
+    });
+  });
+
+  describe('開發模式', () => {
+    it('應該把頁面中的結構錯誤送到覆蓋層', () => {
+      const plugin = createPlugin();
+      const result = serve(plugin, '<main>\n  @if(show)\n  <p>OK</p>\n</main>');
+
+      expect(result).toContain('<p>OK</p>');
+      expect(send).toHaveBeenCalledTimes(1);
+
+      const payload = send.mock.calls[0][0];
+      expect(payload.type).toBe('error');
+      expect(payload.err).toMatchObject({
+        pluginCode: 'E4007',
+        id: pagePath,
+        loc: { file: pagePath, line: 2, column: 3 }
+      });
+      expect(payload.err.frame).toContain('2 |   @if(show)');
+      expect(payload.err.frame).toContain('^');
+    });
+
+    it('partial 中的錯誤應該指向 partial 檔案', () => {
+      fs.writeFileSync(path.join(partialsDir, 'card.html'), '<div>\n@foreach(items as item)\n</div>');
+
+      const plugin = createPlugin();
+      serve(plugin, '<include src="card.html" />');
+
+      const { err } = send.mock.calls[0][0];
+      expect(err.pluginCode).toBe('E4007');
+      expect(err.id).toBe(path.join(partialsDir, 'card.html'));
+      expect(err.loc.line).toBe(2);
+      expect(err.frame).toContain('2 | @foreach(items as item)');
+    });
+
+    it('警告不應該送到覆蓋層', () => {
+      const plugin = createPlugin();
+      serve(plugin, '<include src="missing.html" />');
+
+      expect(consoleWarn.mock.calls.length + consoleError.mock.calls.length).toBeGreaterThan(0);
+      expect(send).not.toHaveBeenCalled();
+    });
+
+    it('沒有錯誤時不應該送出訊息', () => {
+      const plugin = createPlugin();
+      serve(plugin, '@if(show)<p>OK</p>@endif');
+
+      expect(send).not.toHaveBeenCalled();
+    });
+
+    it('應該回報 async 資料函式的錯誤', async () => {
+      const plugin = createPlugin({ data: async () => { throw new Error('CMS 無回應'); } });
+      await serve(plugin, '<p>OK</p>');
+
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(send.mock.calls[0][0].err.pluginCode).toBe('E4006');
+      expect(send.mock.calls[0][0].err.message).toContain('CMS 無回應');
+    });
+  });
+
+  describe('建構模式', () => {
+    it('預設不中止建構', () => {
+      const plugin = createPlugin({}, 'build');
+
+      expect(build(plugin, '<p>A</p>\n@endif')).toBe('<p>A</p>\n');
+    });
+
+    it('failOnError 為 true 時應該拋出錯誤', () => {
+      const plugin = createPlugin({ failOnError: true }, 'build');
+
+      expect(() => build(plugin, '<p>A</p>\n@endif')).toThrow(PluginError);
+
+      try {
+        build(plugin, '<p>A</p>\n@endif');
+      } catch (error) {
+        expect(error).toMatchObject({ code: 'E4008', id: pagePath, loc: { line: 2, column: 1 } });
+      }
+    });
+
+    it('failOnError 不應該因警告而中止', () => {
+      const plugin = createPlugin({ failOnError: true }, 'build');
+
+      expect(() => build(plugin, '<include src="missing.html" />')).not.toThrow();
+    });
+
+    it('failOnError 時 async 資料函式的錯誤應該讓建構失敗', async () => {
+      const plugin = createPlugin({ failOnError: true, data: async () => { throw new Error('CMS 無回應'); } }, 'build');
+
+      await expect(build(plugin, '<p>OK</p>')).rejects.toMatchObject({ code: 'E4006' });
+    });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * 測試 {{ }} 自動轉義與 {!! !!} 原樣輸出
+ *
+ * 驗證：
+ * - {{ }} 預設進行 HTML 轉義
+ * - {!! !!} 原樣輸出
+ * - partial 與 include 屬性表達式使用相同語意
+ * - autoEscape: false 保留舊版行為
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import vitePluginHtmlKit from '../src/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('輸出轉義 - {{ }} 與 {!! !!}', () => {
+  const testDir = path.join(__dirname, 'fixtures', 'escape');
+  const partialsDir = path.join(testDir, 'partials');
+
+  beforeEach(() => {
+    fs.mkdirSync(partialsDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  const createPlugin = (options = {}) => {
+    const plugin = vitePluginHtmlKit({ partialsDir: 'partials', ...options });
+    plugin.configResolved({ root: testDir });
+    return plugin;
+  };
+
+  it('{{ }} 應該預設轉義 HTML', () => {
+    const plugin = createPlugin({
+      data: { content: '<script>alert("xss")</script>' }
+    });
+
+    const result = plugin.transformIndexHtml.handler('<p>{{ content }}</p>');
+
+    expect(result).toContain('<p>&lt;script&gt;alert(&quot;xss&quot;)&lt;/script&gt;</p>');
+    expect(result).not.toContain('<script>');
+  });
+
+  it('{!! !!} 應該原樣輸出', () => {
+    const plugin = createPlugin({
+      data: { content: '<strong>CMS</strong>' }
+    });
+
+    const result = plugin.transformIndexHtml.handler('<div>{!! content !!}</div>');
+
+    expect(result).toContain('<div><strong>CMS</strong></div>');
+  });
+
+  it('partial 內的 {{ }} 應該轉義 include 屬性傳入的值', () => {
+    fs.writeFileSync(
+      path.join(partialsDir, 'card.html'),
+      '<h3>{{ title }}</h3><div>{!! body !!}</div>'
+    );
+
+    const plugin = createPlugin({
+      data: { post: { title: 'A & B', body: '<p>內文</p>' } }
+    });
+
+    const result = plugin.transformIndexHtml.handler(
+      '<include src="card.html" title="{{ post.title }}" body="{!! post.body !!}" />'
+    );
+
+    expect(result).toContain('<h3>A &amp; B</h3>');
+    expect(result).toContain('<div><p>內文</p></div>');
+  });
+
+  it('include 屬性的表達式不應該被重複轉義', () => {
+    fs.writeFileSync(path.join(partialsDir, 'title.html'), '<h1>{{ title }}</h1>');
+
+    const plugin = createPlugin({ data: { name: '<Tom>' } });
+
+    const result = plugin.transformIndexHtml.handler(
+      `@include('title.html', { title: name })`
+    );
+
+    expect(result).toContain('<h1>&lt;Tom&gt;</h1>');
+    expect(result).not.toContain('&amp;lt;');
+  });
+
+  it('@json 的輸出不應該被轉義', () => {
+    const plugin = createPlugin({ data: { user: { name: 'John' } } });
+
+    const result = plugin.transformIndexHtml.handler('<script>const u = @json(user);</script>');
+
+    expect(result).toContain('const u = {"name":"John"};');
+  });
+
+  it('@json 應該轉義 <、>、& 與 U+2028 / U+2029，避免提早結束 <script>', () => {
+    const post = { body: '</script><script>alert(1)</script> & \u2028\u2029' };
+    const plugin = createPlugin({ data: { post } });
+
+    const result = plugin.transformIndexHtml.handler('<script>const p = @json(post);const q = @json(post, true);</script>');
+
+    expect(result).toBe('<script>const p = {"body":"\\u003c/script\\u003e\\u003cscript\\u003ealert(1)\\u003c/script\\u003e \\u0026 \\u2028\\u2029"};'
+      + 'const q = {\n  "body": "\\u003c/script\\u003e\\u003cscript\\u003ealert(1)\\u003c/script\\u003e \\u0026 \\u2028\\u2029"\n};</script>');
+    expect(JSON.parse(result.match(/const p = (.*?);const/)[1])).toEqual(post);
+  });
+
+  it('autoEscape: false 時 {{ }} 應該原樣輸出', () => {
+    const plugin = createPlugin({
+      autoEscape: false,
+      data: { content: '<b>raw</b>' }
+    });
+
+    const result = plugin.transformIndexHtml.handler('<p>{{ content }}</p><p>{!! content !!}</p>');
+
+    expect(result).toContain('<p><b>raw</b></p><p><b>raw</b></p>');
+  });
+});
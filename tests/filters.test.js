@@ -0,0 +1,150 @@
+/**
+ * 測試過濾器與管線語法
+ *
+ * 驗證：
+ * - compilePipes 只在 | 後面都是已註冊的過濾器時轉換
+ * - 內建過濾器（upper、lower、date、currency、json、escape、slug、default、nl2br 等）
+ * - filters 選項註冊自訂過濾器
+ * - 管線語法可用於 {{ }}、{!! !!}、include / 組件屬性與 @json
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import vitePluginHtmlKit from '../src/index.js';
+import { compilePipes } from '../src/blade-parser.js';
+import { BUILTIN_FILTERS, createFilters } from '../src/filters.js';
+import { PluginError } from '../src/error-handler.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('過濾器', () => {
+  describe('compilePipes', () => {
+    const names = new Set(['upper', 'truncate', 'default']);
+
+    it('應該依序轉換為過濾器呼叫', () => {
+      expect(compilePipes(' post.title | upper | truncate(40, "…") ', names))
+        .toBe('__vphk_filters__.truncate(__vphk_filters__.upper(post.title), 40, "…")');
+    });
+
+    it('不應該轉換邏輯運算、位元運算與字串、括號內的 |', () => {
+      expect(compilePipes('a || b', names)).toBe('a || b');
+      expect(compilePipes('flags | 4', names)).toBe('flags | 4');
+      expect(compilePipes('/a|upper/.test(x)', names)).toBe('/a|upper/.test(x)');
+      expect(compilePipes("'a | upper'", names)).toBe("'a | upper'");
+      expect(compilePipes('fn(a | upper)', names)).toBe('fn(a | upper)');
+    });
+
+    it('過濾器參數中的 || 不應該影響轉換', () => {
+      expect(compilePipes("name | default(alias || 'guest')", names))
+        .toBe("__vphk_filters__.default(name, alias || 'guest')");
+    });
+  });
+
+  describe('內建過濾器', () => {
+    it('應該處理文字', () => {
+      expect(BUILTIN_FILTERS.upper('vite')).toBe('VITE');
+      expect(BUILTIN_FILTERS.lower(null)).toBe('');
+      expect(BUILTIN_FILTERS.capitalize('hELLO')).toBe('Hello');
+      expect(BUILTIN_FILTERS.truncate('Lorem ipsum dolor', 10)).toBe('Lorem i...');
+      expect(BUILTIN_FILTERS.slug('Hello World, Vite!')).toBe('hello-world-vite');
+      expect(BUILTIN_FILTERS.escape('<b>"x"</b>')).toBe('&lt;b&gt;&quot;x&quot;&lt;/b&gt;');
+      expect(BUILTIN_FILTERS.nl2br('a\n<b>')).toBe('a<br>\n&lt;b&gt;');
+    });
+
+    it('應該格式化日期與金額', () => {
+      expect(BUILTIN_FILTERS.date('2026-01-02')).toBe('2026-01-02');
+      expect(BUILTIN_FILTERS.date(new Date(2026, 0, 2, 9, 5, 7), 'DD/MM/YYYY HH:mm:ss')).toBe('02/01/2026 09:05:07');
+      expect(BUILTIN_FILTERS.date('not a date')).toBe('not a date');
+      expect(BUILTIN_FILTERS.currency(1234.5)).toBe('$1,234.50');
+      expect(BUILTIN_FILTERS.currency(1234.5, 'EUR', 'de-DE')).toBe('1.234,50 €');
+    });
+
+    it('應該處理 json 與 default', () => {
+      expect(BUILTIN_FILTERS.json({ a: 1 })).toBe('{"a":1}');
+      expect(BUILTIN_FILTERS.json([1], 2)).toBe('[\n  1\n]');
+      expect(BUILTIN_FILTERS.json({ html: '</script>&' })).toBe('{"html":"\\u003c/script\\u003e\\u0026"}');
+      expect(BUILTIN_FILTERS.default('', 'N/A')).toBe('N/A');
+      expect(BUILTIN_FILTERS.default(0, 'N/A')).toBe(0);
+    });
+
+    it('自訂過濾器不合法時應該拋出 E4013', () => {
+      expect(() => createFilters({ 'my-filter': () => '' })).toThrow(PluginError);
+      expect(() => createFilters({ excerpt: 'text' })).toThrow(expect.objectContaining({ code: 'E4013' }));
+    });
+  });
+
+  describe('透過插件', () => {
+    const testDir = path.join(__dirname, 'fixtures', 'filters');
+    const partialsDir = path.join(testDir, 'partials');
+
+    const data = {
+      post: { title: 'hello WORLD from html kit', date: '2026-01-02', body: 'Line 1\n<script>', price: 9.5 },
+      tags: [{ name: 'vite' }, { name: 'blade' }],
+      flags: 1
+    };
+
+    const render = (html, options = {}) => {
+      const plugin = vitePluginHtmlKit({
+        partialsDir: 'partials',
+        data,
+        filters: {
+          excerpt: (value, words = 2) => String(value).split(/\s+/).slice(0, words).join(' '),
+          pluck: (list, key) => list.map(item => item[key])
+        },
+        ...options
+      });
+      plugin.configResolved({ root: testDir });
+      return plugin.transformIndexHtml.handler(html, { filename: path.join(testDir, 'index.html') });
+    };
+
+    beforeEach(() => {
+      fs.mkdirSync(path.join(partialsDir, 'components'), { recursive: true });
+    });
+
+    afterEach(() => {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    it('應該在 {{ }} 與 {!! !!} 中使用管線語法', () => {
+      expect(render('<h2>{{ post.title | capitalize | truncate(12) }}</h2>')).toBe('<h2>Hello wor...</h2>');
+      expect(render('{{ post.date | date("DD/MM/YYYY") }} {{ post.price | currency }}')).toBe('02/01/2026 $9.50');
+      expect(render('{!! post.body | nl2br !!}')).toBe('Line 1<br>\n&lt;script&gt;');
+    });
+
+    it('{{ }} 應該轉義過濾器的結果', () => {
+      expect(render('{{ post.body | upper }}')).toBe('LINE 1\n&lt;SCRIPT&gt;');
+    });
+
+    it('應該支援自訂過濾器', () => {
+      expect(render('{{ post.title | excerpt | upper }} {{ post.title | excerpt(3) }}')).toBe('HELLO WORLD hello WORLD from');
+    });
+
+    it('自訂過濾器應該可以覆寫內建過濾器', () => {
+      expect(render('{{ post.title | upper }}', { filters: { upper: () => 'custom' } })).toBe('custom');
+    });
+
+    it('不是管線的 | 應該保持 JavaScript 語意', () => {
+      expect(render('{{ flags | 2 }} {{ flags || 0 }}')).toBe('3 1');
+    });
+
+    it('應該在 include 與組件屬性中使用管線語法', () => {
+      fs.writeFileSync(path.join(partialsDir, 'title.html'), '<h1>{{ text }}</h1>');
+      fs.writeFileSync(path.join(partialsDir, 'components', 'tags.html'), '@foreach(names as name)<i>{{ name }}</i>@endforeach');
+
+      expect(render('<include src="title.html" text="{{ post.title | excerpt | upper }}" />')).toBe('<h1>HELLO WORLD</h1>');
+      expect(render('<x-tags :names="tags | pluck(\'name\')" />')).toBe('<i>vite</i><i>blade</i>');
+    });
+
+    it('應該在 @json 中使用管線語法', () => {
+      expect(render("<script>const tags = @json(tags | pluck('name'));</script>"))
+        .toBe('<script>const tags = ["vite","blade"];</script>');
+    });
+
+    it('@verbatim 中的管線不應該被轉換', () => {
+      expect(render('@verbatim{{ title | upper }}@endverbatim')).toBe('{{ title | upper }}');
+    });
+  });
+});
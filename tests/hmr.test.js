@@ -0,0 +1,109 @@
+/**
+ * 測試依賴圖驅動的 HMR
+ *
+ * 驗證：
+ * - 只重新載入使用了變更 partial / layout 的頁面
+ * - 頁面本身變更時只重新載入該頁面
+ * - 未知檔案退回重新載入所有頁面
+ * - 依賴檔案會被加入 server.watcher
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import vitePluginHtmlKit from '../src/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('HMR 依賴圖', () => {
+  const testDir = path.join(__dirname, 'fixtures', 'hmr');
+  const partialsDir = path.join(testDir, 'partials');
+
+  let plugin;
+  let messages;
+  let watched;
+  let server;
+
+  beforeEach(() => {
+    fs.mkdirSync(path.join(partialsDir, 'layouts'), { recursive: true });
+    fs.writeFileSync(path.join(partialsDir, 'header.html'), '<header>Header</header>');
+    fs.writeFileSync(path.join(partialsDir, 'footer.html'), '<footer>Footer</footer>');
+    fs.writeFileSync(
+      path.join(partialsDir, 'layouts', 'base.html'),
+      '<main>@yield(\'content\')</main><include src="footer.html" />'
+    );
+
+    messages = [];
+    watched = [];
+    server = {
+      ws: { send: (payload) => messages.push(payload) },
+      watcher: { add: (files) => watched.push(...files) }
+    };
+
+    plugin = vitePluginHtmlKit({ partialsDir: 'partials' });
+    plugin.configResolved({ root: testDir });
+
+    // index.html 使用 header.html，about.html 使用 layout（layout 再使用 footer.html）
+    plugin.transformIndexHtml.handler('<include src="header.html" />', {
+      filename: path.join(testDir, 'index.html'),
+      server
+    });
+    plugin.transformIndexHtml.handler(
+      "@extends('layouts/base.html')\n@section('content')About@endsection",
+      { filename: path.join(testDir, 'blog', 'about.html'), server }
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('partial 變更時只重新載入使用它的頁面', () => {
+    plugin.handleHotUpdate({ file: path.join(partialsDir, 'header.html'), server });
+
+    expect(messages).toEqual([{ type: 'full-reload', path: '/index.html' }]);
+  });
+
+  it('layout 內 include 的 partial 變更時應該重新載入繼承該 layout 的頁面', () => {
+    plugin.handleHotUpdate({ file: path.join(partialsDir, 'footer.html'), server });
+
+    expect(messages).toEqual([{ type: 'full-reload', path: '/blog/about.html' }]);
+  });
+
+  it('頁面本身變更時只重新載入該頁面', () => {
+    plugin.handleHotUpdate({ file: path.join(testDir, 'index.html'), server });
+
+    expect(messages).toEqual([{ type: 'full-reload', path: '/index.html' }]);
+  });
+
+  it('沒有頁面使用的 partial 變更時應該重新載入所有頁面', () => {
+    plugin.handleHotUpdate({ file: path.join(partialsDir, 'unused.html'), server });
+
+    expect(messages).toEqual([{ type: 'full-reload', path: '*' }]);
+  });
+
+  it('無關的檔案不應該觸發重新載入', () => {
+    plugin.handleHotUpdate({ file: path.join(testDir, 'main.js'), server });
+
+    expect(messages).toEqual([]);
+  });
+
+  it('應該監聽頁面用到的所有依賴檔案', () => {
+    expect(watched).toContain(path.join(partialsDir, 'header.html'));
+    expect(watched).toContain(path.join(partialsDir, 'layouts', 'base.html'));
+    expect(watched).toContain(path.join(partialsDir, 'footer.html'));
+  });
+
+  it('有 plugin context 時應該透過 addWatchFile 註冊依賴', () => {
+    const added = [];
+    const context = { addWatchFile: (file) => added.push(file) };
+
+    plugin.transformIndexHtml.handler.call(context, '<include src="header.html" />', {
+      filename: path.join(testDir, 'contact.html')
+    });
+
+    expect(added).toContain(path.join(partialsDir, 'header.html'));
+  });
+});
@@ -0,0 +1,275 @@
+/**
+ * 測試多語系支援（i18n 選項）
+ *
+ * 驗證：
+ * - __() 與 @lang 翻譯巢狀鍵、替換 :name 參數，找不到時使用預設語系與鍵本身
+ * - @choice 依語系的複數規則選擇形式（物件、'a|b' 與 {0} / [1,19] 範圍）
+ * - 佈局可以使用 locale 與 alternates
+ * - 插件建構時每個 HTML 入口依語系各輸出一份，並以該語系渲染
+ * - 選項格式不正確時拋出 E4015，語系檔格式錯誤時回報 E3007
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import vitePluginHtmlKit, { createRenderer } from '../src/index.js';
+import { ErrorCodes, collectErrors } from '../src/error-handler.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('i18n', () => {
+  const testDir = path.join(__dirname, 'fixtures', 'i18n');
+  const localesDir = path.join(testDir, 'locales');
+
+  let consoleError;
+
+  /**
+   * 寫入測試檔案（自動建立目錄）
+   *
+   * @param {string} file - 相對於 testDir 的路徑
+   * @param {string|Object} content - 內容，物件時寫入 JSON
+   */
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(testDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(testDir, file), typeof content === 'string' ? content : JSON.stringify(content));
+  };
+
+  beforeEach(() => {
+    write('locales/en.json', {
+      nav: { home: 'Home' },
+      welcome: 'Welcome, <b>:name</b>!',
+      apples: '{0} No apples|one apple|:count apples',
+      books: { one: ':count book', other: ':count books' },
+      only_en: 'English only'
+    });
+    write('locales/zh-TW.json', {
+      nav: { home: '首頁' },
+      welcome: '歡迎，<b>:name</b>！',
+      apples: '{0} 沒有蘋果|:count 個蘋果'
+    });
+    write('partials/layout.html', `<html lang="{{ locale }}">
+@foreach(alternates as alternate)<link rel="alternate" hreflang="{{ alternate.locale }}" href="{{ alternate.href }}">
+@endforeach
+@yield('content')</html>`);
+    consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe('翻譯', () => {
+    it('__() 應該翻譯巢狀鍵，@lang 應該原樣輸出並替換參數', () => {
+      const renderer = createRenderer({ root: testDir, i18n: 'locales' });
+
+      expect(renderer.renderSync("{{ __('nav.home') }}|@lang('welcome', { name: 'Ada' })", {}, { locale: 'zh-TW' }))
+        .toBe('首頁|歡迎，<b>Ada</b>！');
+      expect(renderer.renderSync("{{ __('welcome', { name: 'Ada' }) }}"))
+        .toBe('Welcome, &lt;b&gt;Ada&lt;/b&gt;!');
+    });
+
+    it('找不到翻譯時應該使用預設語系，再使用鍵本身', () => {
+      const renderer = createRenderer({ root: testDir, i18n: { defaultLocale: 'en' } });
+
+      expect(renderer.renderSync("{{ __('only_en') }}|{{ __('missing.key') }}", {}, { locale: 'zh-TW' }))
+        .toBe('English only|missing.key');
+    });
+
+    it('未指定 locale 時應該使用預設語系', () => {
+      const renderer = createRenderer({ root: testDir, i18n: { locales: ['zh-TW', 'en'] } });
+
+      expect(renderer.renderSync("{{ locale }}:{{ __('nav.home') }}")).toBe('zh-TW:首頁');
+    });
+  });
+
+  describe('複數', () => {
+    it("@choice 應該支援 '{0}' 與依語系複數類別對應的形式", () => {
+      const renderer = createRenderer({ root: testDir, i18n: 'locales' });
+      const template = "@choice('apples', 0)|@choice('apples', 1)|@choice('apples', 5)";
+
+      expect(renderer.renderSync(template, {}, { locale: 'en' })).toBe('No apples|one apple|5 apples');
+      // 中文只有 other 類別，沒有明確數量時使用第一個形式
+      expect(renderer.renderSync(template, {}, { locale: 'zh-TW' })).toBe('沒有蘋果|1 個蘋果|5 個蘋果');
+    });
+
+    it('應該支援 [a,b] 範圍與物件形式', () => {
+      write('locales/en.json', {
+        items: '[0,0] none|[1,9] a few|[10,*] many (:count)',
+        books: { '=0': 'no books', one: ':count book', other: ':count books' }
+      });
+      const renderer = createRenderer({ root: testDir, i18n: 'locales' });
+
+      expect(renderer.renderSync("{{ trans_choice('items', 3) }}|{{ trans_choice('items', 12) }}", {}, { locale: 'en' }))
+        .toBe('a few|many (12)');
+      expect(renderer.renderSync("@choice('books', 0)|@choice('books', 1)|@choice('books', n)", { n: 2 }, { locale: 'en' }))
+        .toBe('no books|1 book|2 books');
+    });
+  });
+
+  it('佈局應該可以使用 locale 與 alternates', () => {
+    write('about.html', "@extends('layout.html')\n@section('content'){{ __('nav.home') }}@endsection");
+    const renderer = createRenderer({ root: testDir, i18n: 'locales' });
+    const html = renderer.renderFileSync('about.html', {}, { locale: 'zh-TW', base: '/site/' });
+
+    expect(html).toContain('<html lang="zh-TW">');
+    expect(html).toContain('<link rel="alternate" hreflang="en" href="/site/en/about.html">');
+    expect(html).toContain('<link rel="alternate" hreflang="zh-TW" href="/site/zh-TW/about.html">');
+    expect(html).toContain('首頁');
+  });
+
+  it('不同語系的頁面都應該輸出 partial 的 @once 內容', () => {
+    write('partials/analytics.html', '@once<script src="/analytics.js"></script>@endonce');
+    write('about.html', '<include src="analytics.html" />{{ __(\'nav.home\') }}');
+    const renderer = createRenderer({ root: testDir, i18n: 'locales' });
+
+    expect(renderer.renderFileSync('about.html', {}, { locale: 'en' })).toBe('<script src="/analytics.js"></script>Home');
+    expect(renderer.renderFileSync('about.html', {}, { locale: 'zh-TW' })).toBe('<script src="/analytics.js"></script>首頁');
+  });
+
+  it('data 選項應該可以覆蓋 i18n 變數', () => {
+    const renderer = createRenderer({ root: testDir, i18n: 'locales', data: { locale: 'custom' } });
+
+    expect(renderer.renderSync('{{ locale }}')).toBe('custom');
+  });
+
+  it('lint 不應該把 i18n 變數視為未定義的變數', async () => {
+    write('index.html', "{{ locale }} {{ __('nav.home') }} @choice('apples', 1) {{ alternates.length }}");
+    const renderer = createRenderer({ root: testDir, i18n: 'locales' });
+
+    expect(await renderer.lint(['index.html'])).toEqual([]);
+  });
+
+  it('選項格式不正確時應該拋出 E4015', () => {
+    expect(() => createRenderer({ i18n: { locales: 'en' } }))
+      .toThrow(expect.objectContaining({ code: ErrorCodes.INVALID_I18N_OPTION }));
+    expect(() => createRenderer({ i18n: { locales: ['en'], defaultLocale: 'fr' } }))
+      .toThrow(expect.objectContaining({ code: ErrorCodes.INVALID_I18N_OPTION }));
+  });
+
+  it('語系檔不是合法 JSON 時應該回報 E3007，並使用鍵本身', () => {
+    write('locales/en.json', '{ nav: }');
+    const renderer = createRenderer({ root: testDir, i18n: 'locales' });
+    const errors = [];
+    const html = collectErrors(errors, () => renderer.renderSync("{{ __('nav.home') }}"));
+
+    expect(html).toBe('nav.home');
+    expect(errors.map(error => error.code)).toEqual([ErrorCodes.LOCALE_FILE_LOAD_ERROR]);
+  });
+
+  describe('插件', () => {
+    /**
+     * 建立指定命令的插件
+     *
+     * @param {'serve'|'build'} command
+     * @param {Object} [options]
+     * @returns {Object}
+     */
+    const createPlugin = (command, options = {}) => {
+      const plugin = vitePluginHtmlKit({ i18n: 'locales', ...options });
+      plugin.configResolved({ root: testDir, command, base: '/' });
+      return plugin;
+    };
+
+    beforeEach(() => {
+      write('index.html', "{{ __('nav.home') }}");
+      write('about.html', "@extends('layout.html')\n@section('content')@lang('welcome', { name: 'Ada' })@endsection");
+    });
+
+    it('建構時每個 HTML 入口應該依語系各輸出一份', async () => {
+      const plugin = createPlugin('build');
+      const objectConfig = {
+        root: testDir,
+        build: { rollupOptions: { input: { index: 'index.html', about: path.join(testDir, 'about.html') } } }
+      };
+      const defaultConfig = { root: testDir };
+
+      await plugin.config(objectConfig, { command: 'build' });
+      await plugin.config(defaultConfig, { command: 'build' });
+
+      expect(objectConfig.build.rollupOptions.input).toEqual({
+        'en/index': path.join(testDir, 'en', 'index.html'),
+        'zh-TW/index': path.join(testDir, 'zh-TW', 'index.html'),
+        'en/about': path.join(testDir, 'en', 'about.html'),
+        'zh-TW/about': path.join(testDir, 'zh-TW', 'about.html')
+      });
+      expect(defaultConfig.build.rollupOptions.input).toEqual([
+        path.join(testDir, 'en', 'index.html'),
+        path.join(testDir, 'zh-TW', 'index.html')
+      ]);
+    });
+
+    it('動態頁面也應該依語系輸出', async () => {
+      write('templates/post.html', '{{ post.title }}');
+      const plugin = createPlugin('build', { pages: { 'templates/post.html': [{ path: 'blog/hello', data: { post: { title: 'Hi' } } }] } });
+      const config = { root: testDir };
+      await plugin.config(config, { command: 'build' });
+
+      const localizedPost = path.join(testDir, 'zh-TW', 'blog', 'hello.html');
+      expect(config.build.rollupOptions.input).toContain(localizedPost);
+      expect(plugin.resolveId(localizedPost)).toBe(localizedPost);
+      expect(plugin.load(localizedPost)).toBe('{{ post.title }}');
+      expect(plugin.transformIndexHtml.handler('{{ post.title }}|{{ locale }}', { filename: localizedPost }))
+        .toBe('Hi|zh-TW');
+    });
+
+    it('resolveId / load 應該認領語系頁面，並返回原始頁面的內容', () => {
+      const plugin = createPlugin('build');
+      const localized = path.join(testDir, 'zh-TW', 'about.html');
+
+      expect(plugin.resolveId(localized)).toBe(localized);
+      expect(plugin.load(localized)).toBe(fs.readFileSync(path.join(testDir, 'about.html'), 'utf-8'));
+      expect(plugin.resolveId(path.join(testDir, 'fr', 'about.html'))).toBeUndefined();
+      expect(plugin.resolveId(path.join(testDir, 'zh-TW', 'missing.html'))).toBeUndefined();
+    });
+
+    it('語系頁面應該以該語系渲染，並輸出 hreflang', () => {
+      const plugin = createPlugin('build');
+      const html = plugin.transformIndexHtml.handler(
+        fs.readFileSync(path.join(testDir, 'about.html'), 'utf-8'),
+        { filename: path.join(testDir, 'zh-TW', 'about.html') }
+      );
+
+      expect(html).toContain('<html lang="zh-TW">');
+      expect(html).toContain('歡迎，<b>Ada</b>！');
+      expect(html).toContain('<link rel="alternate" hreflang="en" href="/en/about.html">');
+    });
+
+    it('原始頁面或語系檔變更時應該重新載入語系頁面', () => {
+      const plugin = createPlugin('serve');
+      const messages = [];
+      const server = { ws: { send: (payload) => messages.push(payload) }, watcher: { add: () => {} } };
+
+      plugin.transformIndexHtml.handler("{{ __('nav.home') }}", { filename: path.join(testDir, 'en', 'index.html'), server });
+      plugin.handleHotUpdate({ file: path.join(testDir, 'index.html'), server });
+      plugin.handleHotUpdate({ file: path.join(localesDir, 'en.json'), server });
+
+      expect(messages).toEqual([
+        { type: 'full-reload', path: '/en/index.html' },
+        { type: 'full-reload', path: '/en/index.html' }
+      ]);
+    });
+
+    it('開發伺服器應該提供語系頁面', async () => {
+      const plugin = createPlugin('serve');
+      let middleware;
+      const server = {
+        watcher: { add: () => {} },
+        middlewares: { use: (fn) => { middleware = fn; } },
+        transformIndexHtml: vi.fn(async (url, html) => `${url}:${html}`)
+      };
+      plugin.configureServer(server);
+
+      const res = { setHeader: vi.fn(), end: vi.fn() };
+      const next = vi.fn();
+      await middleware({ url: '/zh-TW/', originalUrl: '/zh-TW/' }, res, next);
+      await middleware({ url: '/about.html' }, res, next);
+
+      expect(server.transformIndexHtml).toHaveBeenCalledWith('/zh-TW/index.html', "{{ __('nav.home') }}", '/zh-TW/');
+      expect(res.end).toHaveBeenCalledWith("/zh-TW/index.html:{{ __('nav.home') }}");
+      expect(next).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * 測試靜態檢查（renderer.lint、html-kit lint、lint 插件選項）
+ *
+ * 驗證：
+ * - 不存在的 @extends / include / 組件目標，@includeIf / @includeFirst 不回報
+ * - 沒有被填入的 @yield、沒有被使用的 @section、@push 與 @stack 不對應
+ * - 沒有宣告的 @slot 與 <x-slot>
+ * - 未定義的變數（沿著佈局、include 與組件傳遞可用的名稱）
+ * - 沒有問題的專案不回報任何錯誤
+ * - 傳入頁面資料（{ file, data } 與 pages 選項）時不回報資料中的變數
+ * - CLI 結束代碼與 vite build 警告
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import vitePluginHtmlKit, { createRenderer } from '../src/index.js';
+import { analyzeExpression } from '../src/linter.js';
+import { runCli, EXIT_CODES } from '../src/cli.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('靜態檢查', () => {
+  const testDir = path.join(__dirname, 'fixtures', 'lint');
+
+  let consoleError;
+  let consoleWarn;
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(testDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(testDir, file), content);
+  };
+
+  // 以「錯誤碼 檔案:行」的形式列出問題，方便比對
+  const lint = async (options = {}) => {
+    const problems = await createRenderer({ root: testDir, ...options }).lint();
+    return problems.map(problem => `${problem.code} ${problem.context.file}:${problem.context.line}`);
+  };
+
+  beforeEach(() => {
+    fs.mkdirSync(testDir, { recursive: true });
+    consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+    consoleWarn.mockRestore();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe('analyzeExpression', () => {
+    it('應該略過屬性存取、物件的鍵、全域物件與表達式內宣告的變數', () => {
+      expect(analyzeExpression("posts.filter(post => post.published).length > limit"))
+        .toEqual({ free: ['posts', 'limit'], declared: ['post'] });
+      expect(analyzeExpression("{ title: heading, ...rest }").free).toEqual(['heading', 'rest']);
+      expect(analyzeExpression("typeof user === 'undefined' ? `${a.b}` : Math.max(1e3, count)").free)
+        .toEqual(['a', 'count']);
+      expect(analyzeExpression('let i = 0; i < items.length; i++')).toEqual({ free: ['items'], declared: ['i'] });
+    });
+  });
+
+  describe('renderer.lint', () => {
+    it('沒有問題的專案不應該回報錯誤', async () => {
+      write('partials/layouts/base.html', "<title>@yield('title', 'Site')</title>@stack('scripts')<main>@yield('content')</main>");
+      write('partials/card.html', "<div>@slot('header'){{ text }} {{ site }}</div>");
+      write('partials/components/alert.html', "@props(['type' => 'info'])\n<div class=\"{{ type }}\">{{ slot }}{{ footer }}</div>");
+      write('index.html', [
+        '---',
+        'title: Home',
+        '---',
+        "@extends('layouts/base.html')",
+        "@section('content')",
+        '  <h1>{{ title | upper }}</h1>',
+        '  @foreach(posts as post){{ post.title }} {{ loop.iteration }}@endforeach',
+        '  @isset(user){{ user.name }}@endisset',
+        '  <include src="card.html" text="Hi">@slot(\'header\')H@endslot</include>',
+        "  @includeIf('optional.html')",
+        "  @includeFirst(['missing.html', 'card.html'], { text: 'x' })",
+        '  <x-alert type="warn">Hi<x-slot:footer>F</x-slot:footer></x-alert>',
+        "  @push('scripts')<script></script>@endpush",
+        '  {{-- {{ commented }} --}} @verbatim {{ vue }} @endverbatim',
+        '@endsection'
+      ].join('\n'));
+      write('index.json', '{ "posts": [] }');
+
+      expect(await lint({ data: { site: 'Acme' } })).toEqual([]);
+    });
+
+    it('應該回報不存在的佈局、include 與組件', async () => {
+      write('index.html', "@extends('layouts/missing.html')\n<include src=\"nope.html\" />\n@include('../secret.html')\n<x-missing />");
+
+      expect(await lint()).toEqual([
+        'E3001 index.html:1',
+        'E3002 index.html:2',
+        'E2002 index.html:3',
+        'E3005 index.html:4'
+      ]);
+    });
+
+    it('應該回報沒有被填入的 @yield 與沒有被使用的 @section', async () => {
+      write('partials/layouts/base.html', "<main>@yield('content')</main>\n@yield('sidebar')");
+      write('about.html', "@extends('layouts/base.html')\n@section('content')A@endsection\n@section('footer')F@endsection");
+
+      const problems = await createRenderer({ root: testDir }).lint();
+
+      expect(problems.map(problem => problem.code)).toEqual(['E6002', 'E6001']);
+      expect(problems[0].message).toContain("@section('footer')");
+      expect(problems[1].message).toContain("@yield('sidebar')");
+      expect(problems[1].message).toContain('about.html');
+      expect(problems[1].context).toMatchObject({ file: 'partials/layouts/base.html', line: 2, column: 1 });
+    });
+
+    it('多層佈局中，任何內層檔案的 @section 都可以填入外層的 @yield', async () => {
+      write('partials/layouts/base.html', "@yield('nav')@yield('content')");
+      write('partials/layouts/app.html', "@extends('layouts/base.html')@section('nav')N@endsection");
+      write('index.html', "@extends('layouts/app.html')@section('content')C@endsection");
+
+      expect(await lint()).toEqual([]);
+    });
+
+    it('應該回報不對應的 @push 與 @stack', async () => {
+      write('partials/layouts/base.html', "@stack('styles')@yield('content')");
+      write('index.html', "@extends('layouts/base.html')@section('content')@endsection\n@prepend('scripts')x@endprepend");
+
+      expect(await lint()).toEqual(['E6003 index.html:2', 'E6004 partials/layouts/base.html:1']);
+    });
+
+    it('應該回報沒有宣告的 slot', async () => {
+      write('partials/card.html', "<div>@slot('header')</div>");
+      write('partials/components/panel.html', '<section>{{ slot }}</section>');
+      write('index.html', [
+        '<include src="card.html">',
+        "  @slot('header')H@endslot",
+        "  @slot('footer')F@endslot",
+        '</include>',
+        '<x-panel>Body<x-slot:footer>F</x-slot:footer></x-panel>'
+      ].join('\n'));
+
+      const problems = await createRenderer({ root: testDir }).lint();
+
+      expect(problems.map(problem => `${problem.code} ${problem.context.line}`)).toEqual(['E6005 3', 'E6005 5']);
+      expect(problems[0].message).toContain('partials/card.html');
+      expect(problems[1].message).toContain('<x-panel>');
+    });
+
+    it('應該沿著 include 與組件檢查未定義的變數', async () => {
+      write('partials/greeting.html', '<p>{{ name }} {{ site }} {{ typo }}</p>');
+      write('partials/components/badge.html', "@props(['tone' => 'info'])\n<span class=\"{{ tone }}\">{{ label }} {{ other }}</span>");
+      write('partials/unused.html', '{{ nobodyRendersThis }}');
+      write('index.html', [
+        '<include src="greeting.html" name="Ada" />',
+        '<x-badge label="New" />',
+        '@if(count > limit) {{ missing | upper }} @endif'
+      ].join('\n'));
+
+      const problems = await createRenderer({ root: testDir, data: async () => ({ site: 'Acme', count: 1 }) }).lint();
+      const undefinedNames = problems.map(problem => `${problem.context.file}:${problem.message.match(/「(.+)」/)[1]}`);
+
+      expect(undefinedNames).toEqual([
+        'index.html:limit',
+        'index.html:missing',
+        'partials/components/badge.html:other',
+        'partials/greeting.html:typo'
+      ]);
+    });
+
+    it('應該回報指令結構錯誤，並可以指定要檢查的頁面', async () => {
+      write('index.html', '<main>\n  @foreach(items as item)\n</main>');
+      write('other.html', '{{ missing }}');
+
+      expect(await createRenderer({ root: testDir, data: { items: [] } }).lint(['index.html']))
+        .toEqual([expect.objectContaining({ code: 'E4007', severity: 'error', context: expect.objectContaining({ line: 2, column: 3 }) })]);
+    });
+  });
+
+  describe('html-kit lint', () => {
+    const run = async (...argv) => {
+      let stdout = '';
+      const code = await runCli(argv, {
+        cwd: testDir,
+        stdout: { write: (chunk) => { stdout += chunk; } },
+        stderr: { write: () => {} }
+      });
+      return { code, stdout };
+    };
+
+    it('應該輸出問題並依等級設定結束代碼', async () => {
+      write('src/partials/header.html', '<header>{{ site }}</header>');
+      write('src/index.html', '<include src="header.html" />');
+      write('site.json', '{ "site": "Acme" }');
+
+      expect(await run('lint', 'src', '--data', 'site.json')).toEqual({ code: EXIT_CODES.SUCCESS, stdout: '沒有發現問題\n' });
+
+      const warnings = await run('lint', 'src');
+      expect(warnings).toEqual({ code: EXIT_CODES.WARNING, stdout: '發現 1 個問題\n' });
+      expect(consoleWarn.mock.calls.flat().join('\n')).toContain('[E6006]');
+
+      write('src/broken.html', '@if(true)');
+      expect((await run('lint', 'src', '--data', 'site.json')).code).toBe(EXIT_CODES.ERROR);
+    });
+  });
+
+  describe('lint 插件選項', () => {
+    it('vite build 時應該以 this.warn 回報問題', async () => {
+      write('index.html', '<include src="missing.html" />');
+      write('dist/index.html', '{{ builtOutput }}');
+      const warn = vi.fn();
+
+      const plugin = vitePluginHtmlKit({ lint: true });
+      plugin.configResolved({ root: testDir, command: 'build', build: { outDir: 'dist' } });
+      await plugin.buildStart.call({ warn });
+
+      expect(warn).toHaveBeenCalledTimes(1);
+      expect(warn.mock.calls[0][0]).toMatchObject({
+        pluginCode: 'E3002',
+        id: path.join(testDir, 'index.html'),
+        loc: { file: path.join(testDir, 'index.html'), line: 1, column: 1 }
+      });
+
+      const devPlugin = vitePluginHtmlKit({ lint: true });
+      devPlugin.configResolved({ root: testDir, command: 'serve' });
+      await devPlugin.buildStart.call({ warn });
+      expect(warn).toHaveBeenCalledTimes(1);
+    });
+
+    it('pages 選項的模板應該以所有頁面 data 的鍵作為已定義的變數', async () => {
+      write('templates/post.html', '<h1>{{ post.title }}</h1>@isset(series){{ series.name }}@endisset<p>{{ sutitle }}</p>');
+      const warn = vi.fn();
+
+      const plugin = vitePluginHtmlKit({
+        lint: true,
+        pages: {
+          'templates/post.html': async () => [
+            { path: 'blog/a', data: { post: { title: 'A' } } },
+            { path: 'blog/b', data: { post: { title: 'B' }, series: { name: 'S' } } }
+          ]
+        }
+      });
+      plugin.configResolved({ root: testDir, command: 'build', build: { outDir: 'dist' } });
+      await plugin.buildStart.call({ warn });
+
+      expect(warn.mock.calls.map(([error]) => `${error.pluginCode} ${error.message}`)).toEqual([
+        expect.stringMatching(/^E6006 .*sutitle/)
+      ]);
+
+      expect(await createRenderer({ root: testDir }).lint([{ file: 'templates/post.html', data: { post: {}, sutitle: '' } }]))
+        .toEqual([]);
+    });
+  });
+});
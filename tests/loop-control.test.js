@@ -0,0 +1,123 @@
+/**
+ * 測試 @for / @while 迴圈與 @break / @continue 迴圈控制
+ *
+ * 驗證：
+ * - @for、@while 產生原生迴圈，@for 省略 let 時不會建立全域變數
+ * - @break(condition)、@continue(condition) 作用於最內層迴圈，loop 變數仍正確計數
+ * - @switch 中的 @break 不會中止外層迴圈
+ * - 迴圈外的 @break / @continue 回報 E4009
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import vitePluginHtmlKit from '../src/index.js';
+import { compileBlade } from '../src/blade-parser.js';
+
+describe('迴圈與迴圈控制', () => {
+  const render = (template, data) => {
+    const plugin = vitePluginHtmlKit({ data });
+    plugin.configResolved({ root: process.cwd() });
+    return plugin.transformIndexHtml.handler(template);
+  };
+
+  describe('@for / @while', () => {
+    it('應該支援 @for', () => {
+      expect(render('@for(let i = 0; i < n; i++)<b>{{ i }}</b>@endfor', { n: 3 })).toBe('<b>0</b><b>1</b><b>2</b>');
+    });
+
+    it('@for 省略 let 時不應該建立全域變數', () => {
+      expect(render('@for(k = 1; k <= 2; k++){{ k }}@endfor', {})).toBe('12');
+      expect(globalThis.k).toBeUndefined();
+    });
+
+    it('應該支援 @while', () => {
+      expect(render('@while(queue.length)<p>{{ queue.shift() }}</p>@endwhile', { queue: ['a', 'b'] }))
+        .toBe('<p>a</p><p>b</p>');
+    });
+
+    it('應該支援多行的 @for 參數', () => {
+      expect(render('@for(\n  let i = 3;\n  i > 0;\n  i--\n){{ i }}@endfor', {})).toBe('321');
+    });
+  });
+
+  describe('@break / @continue', () => {
+    const data = { items: [1, 2, 3, 4, 5] };
+
+    it('應該依條件跳過與中止 @foreach', () => {
+      const template = '@foreach(items as item)@continue(item === 2)@break(item === 4){{ item }}@endforeach';
+
+      expect(render(template, data)).toBe('13');
+    });
+
+    it('跳過的迭代仍應計入 loop 變數', () => {
+      const template = '@foreach(items as item)@continue(item % 2 === 0){{ loop.iteration }}/{{ loop.count }}{{ loop.last ? "!" : " " }}@endforeach';
+
+      expect(render(template, data)).toBe('1/5 3/5 5/5!');
+    });
+
+    it('應該支援不帶條件的 @break 與 @continue', () => {
+      const template = '@foreach(items as item)@if(item === 3)@break@endif@if(item === 1)@continue@endif{{ item }}@endforeach';
+
+      expect(render(template, data)).toBe('2');
+    });
+
+    it('應該作用於最內層的迴圈', () => {
+      const template = '@foreach(items as row)@break(row > 2)[@for(let i = 0; i < 5; i++)@break(i === row){{ i }}@endfor]@endforeach';
+
+      expect(render(template, data)).toBe('[0][01]');
+    });
+
+    it('應該支援 @forelse、@for 與 @while', () => {
+      expect(render('@forelse(items as item)@break(loop.index === 2){{ item }}@empty無@endforelse', data)).toBe('12');
+      expect(render('@for(let i = 0; i < 5; i++)@continue(i % 2){{ i }}@endfor', {})).toBe('024');
+      expect(render('@while(true){{ items.shift() }}@break(items.length < 3)@endwhile', { items: [1, 2, 3, 4, 5] })).toBe('123');
+    });
+
+    it('@switch 中的 @break 不應該中止外層迴圈', () => {
+      const template = '@foreach(items as item)@switch(item)@case(1)一@break@case(2)二@break@default{{ item }}@endswitch@endforeach';
+
+      expect(render(template, data)).toBe('一二345');
+    });
+
+    it('@switch 中的 @continue 應該作用於外層迴圈', () => {
+      const template = '@foreach(items as item)@switch(item)@case(2)@continue@default{{ item }}@endswitch,@endforeach';
+
+      expect(render(template, data)).toBe('1,3,4,5,');
+    });
+
+    it('巢狀 @foreach 與 @switch 中的 @break / @continue 不應該依賴 Array.prototype.findLast（Node 14、16）', () => {
+      const template = '@foreach(rows as row)@foreach(row as cell)@switch(cell)'
+        + '@case(0)@continue@case(9)@break(cell > 5)@default{{ cell }}@endswitch@break(cell === 3)@endforeach;@endforeach';
+      const { findLast } = Array.prototype;
+      delete Array.prototype.findLast;
+
+      try {
+        expect(render(template, { rows: [[1, 0, 9, 2], [3, 4], [5]] })).toBe('12;3;5;');
+      } finally {
+        Array.prototype.findLast = findLast;
+      }
+    });
+  });
+
+  describe('錯誤回報', () => {
+    it('迴圈外的 @break / @continue 應該回報位置', () => {
+      const { code, errors } = compileBlade('<p>A</p>\n@continue\n@if(a)@break(b)@endif');
+
+      expect(code).toBe('<p>A</p>\n\n<% if (a) { %><% } %>');
+      expect(errors).toMatchObject([
+        { type: 'misplaced', message: '@continue 必須位於 @foreach / @forelse / @for / @while 區塊內', line: 2, column: 1 },
+        { type: 'misplaced', message: '@break 必須位於 @foreach / @forelse / @for / @while / @switch 區塊內', line: 3, column: 7 }
+      ]);
+    });
+
+    it('插件應該以 E4009 回報迴圈外的 @continue', () => {
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      try {
+        expect(render('<p>A</p>\n@continue(true)', {})).toBe('<p>A</p>\n');
+        expect(consoleError.mock.calls.map(args => args.join(' ')).join('\n')).toContain('[E4009]');
+      } finally {
+        consoleError.mockRestore();
+      }
+    });
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * 測試 Markdown partial 與 @markdown 區塊
+ *
+ * 驗證：
+ * - @include('x.md') 與 <include src="x.md"> 將 Markdown 轉換為 HTML
+ * - front matter 提供給 Markdown 本身與 include 它的模板
+ * - 轉換後的內容仍經過 {{ }} 插值與指令處理，引號與底線不受 Markdown 影響
+ * - @markdown ... @endmarkdown 區塊（含縮排）
+ * - partialsDir 中的 .md 檔案變更時重新載入頁面
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import vitePluginHtmlKit, { createRenderer } from '../src/index.js';
+import { renderMarkdown } from '../src/markdown.js';
+import { ErrorCodes, collectErrors } from '../src/error-handler.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('Markdown', () => {
+  const testDir = path.join(__dirname, 'fixtures', 'markdown');
+  const partialsDir = path.join(testDir, 'partials');
+
+  let consoleError;
+
+  /**
+   * 合併連續的換行（指令所在的行在輸出中留下空行）
+   *
+   * @param {string} html
+   * @returns {string}
+   */
+  const collapseLines = (html) => html.replace(/\s*\n\s*/g, '\n').trim();
+
+  /**
+   * 寫入 partial（自動建立目錄）
+   *
+   * @param {string} file
+   * @param {string} content
+   */
+  const writePartial = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(partialsDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(partialsDir, file), content);
+  };
+
+  beforeEach(() => {
+    writePartial('posts/intro.md', `---
+title: Hello Markdown
+tags: [a, b]
+---
+# {{ title }}
+
+Written by **{{ author }}** for {{ site_name }}.
+`);
+    consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe('Markdown partial', () => {
+    it('@include 與 <include> 應該將 Markdown 轉換為 HTML 並插值', () => {
+      const renderer = createRenderer({ root: testDir, data: { site_name: 'Acme' } });
+      const expected = '<h1>Hello Markdown</h1>\n<p>Written by <strong>Ada</strong> for Acme.</p>\n';
+
+      expect(renderer.renderSync("@include('posts/intro.md', { author: 'Ada' })")).toBe(expected);
+      expect(renderer.renderSync('<include src="posts/intro.md" author="Ada" />')).toBe(expected);
+    });
+
+    it('front matter 應該提供給 include 它的頁面與佈局，但不覆蓋既有的資料', () => {
+      writePartial('layout.html', "<title>{{ title }}</title>@yield('content')");
+      const renderer = createRenderer({ root: testDir, data: { site_name: 'Acme', author: 'Ada' } });
+
+      const html = renderer.renderSync("@extends('layout.html')\n@section('content')@include('posts/intro.md'){{ tags.length }}@endsection");
+      expect(html).toContain('<title>Hello Markdown</title>');
+      expect(html.trim().endsWith('2')).toBe(true);
+
+      expect(renderer.renderSync("@include('posts/intro.md')|{{ title }}", { title: 'Page' }))
+        .toContain('<h1>Hello Markdown</h1>\n<p>Written by <strong>Ada</strong> for Acme.</p>\n|Page');
+    });
+
+    it('指令、引號與底線不應該被 Markdown 改變', () => {
+      writePartial('list.md', `@foreach(items as item)
+- {{ item.replace("_", " ") }} snake_case_{{ item }}
+@endforeach
+
+@if(items.length > 1)
+Total: {{ items.length }}
+@endif
+`);
+      const renderer = createRenderer({ root: testDir });
+
+      expect(collapseLines(renderer.renderSync("@include('list.md', { items: ['a_b', 'c'] })")))
+        .toBe('<ul>\n<li>a b snake_case_a_b</li>\n</ul>\n<ul>\n<li>c snake_case_c</li>\n</ul>\n<p>Total: 2</p>');
+    });
+
+    it('Markdown 中可以使用 include 與組件', () => {
+      writePartial('components/badge.html', '<span class="badge">{{ slot }}</span>');
+      writePartial('note.html', '<aside>{{ text }}</aside>');
+      writePartial('post.md', 'New <x-badge>v2</x-badge>\n\n<include src="note.html" text="Hi" />\n');
+      const renderer = createRenderer({ root: testDir });
+
+      expect(collapseLines(renderer.renderSync("@include('post.md')")))
+        .toBe('<p>New <span class="badge">v2</span></p>\n<aside>Hi</aside>');
+    });
+
+    it('Markdown partial 中的模板錯誤應該以檔案名稱回報', () => {
+      writePartial('broken.md', '# Title\n\n{{ missing.value }}\n');
+      const renderer = createRenderer({ root: testDir });
+      const errors = [];
+      collectErrors(errors, () => renderer.renderSync("@include('broken.md')"));
+
+      expect(errors[0].code).toBe(ErrorCodes.INCLUDE_PROCESSING_ERROR);
+      expect(errors[0].context.file).toBe('broken.md');
+    });
+  });
+
+  describe('@markdown 區塊', () => {
+    it('應該移除共同的縮排並轉換為 HTML', () => {
+      const renderer = createRenderer({ root: testDir });
+      const html = renderer.renderSync(`<article>
+  @markdown
+    ## {{ post.title }}
+
+    - one
+    - {{ post.tags.join(', ') }}
+  @endmarkdown
+</article>`, { post: { title: 'A & B', tags: ['x', 'y'] } });
+
+      expect(html).toBe('<article>\n  <h2>A &amp; B</h2>\n<ul>\n<li>one</li>\n<li>x, y</li>\n</ul>\n\n</article>');
+    });
+
+    it('未閉合的 @markdown 應該回報 E4007', () => {
+      const renderer = createRenderer({ root: testDir });
+      const errors = [];
+      collectErrors(errors, () => renderer.renderSync('@markdown\n# Title'));
+
+      expect(errors.map(error => error.code)).toContain(ErrorCodes.UNCLOSED_DIRECTIVE);
+    });
+
+    it('@verbatim 中的 @markdown 應該原樣輸出', () => {
+      const renderer = createRenderer({ root: testDir });
+
+      expect(renderer.renderSync('@verbatim@markdown **x** @endmarkdown@endverbatim'))
+        .toBe('@markdown **x** @endmarkdown');
+    });
+  });
+
+  it('renderMarkdown 應該保留程式碼區塊中的指令', () => {
+    expect(renderMarkdown('```\n@if(x)\n```\n')).toBe('<pre><code>@if(x)\n</code></pre>\n');
+    expect(renderMarkdown('Mail admin@example.com')).toBe('<p>Mail admin@example.com</p>\n');
+  });
+
+  it('lint 不應該把 Markdown 的 front matter 視為未定義的變數', async () => {
+    fs.writeFileSync(path.join(testDir, 'index.html'), "@include('posts/intro.md', { author: 'Ada' }){{ title }}");
+    const renderer = createRenderer({ root: testDir, data: { site_name: 'Acme' } });
+
+    expect(await renderer.lint(['index.html'])).toEqual([]);
+  });
+
+  it('partialsDir 中的 .md 檔案變更時應該重新載入使用它的頁面', () => {
+    const messages = [];
+    const server = { ws: { send: (payload) => messages.push(payload) }, watcher: { add: () => {} } };
+    const plugin = vitePluginHtmlKit({ data: { site_name: 'Acme' } });
+    plugin.configResolved({ root: testDir, command: 'serve' });
+
+    plugin.transformIndexHtml.handler("@include('posts/intro.md', { author: 'Ada' })", {
+      filename: path.join(testDir, 'index.html'),
+      server
+    });
+    plugin.handleHotUpdate({ file: path.join(partialsDir, 'posts', 'intro.md'), server });
+
+    expect(messages).toEqual([{ type: 'full-reload', path: '/index.html' }]);
+  });
+});
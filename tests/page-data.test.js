@@ -0,0 +1,162 @@
+/**
+ * 測試頁面資料（front matter 與同名資料檔）
+ *
+ * 驗證：
+ * - YAML / JSON front matter
+ * - about.json / about.data.js 同名資料檔
+ * - 合併優先順序：全域 data < .json < .data.js < front matter
+ * - 資料檔變更會觸發該頁面的 HMR
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import vitePluginHtmlKit from '../src/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('頁面資料', () => {
+  const testDir = path.join(__dirname, 'fixtures', 'page-data');
+  const pagePath = path.join(testDir, 'about.html');
+
+  let plugin;
+
+  beforeEach(() => {
+    fs.mkdirSync(path.join(testDir, 'partials'), { recursive: true });
+    plugin = vitePluginHtmlKit({
+      partialsDir: 'partials',
+      data: { siteName: 'My Site', title: 'Global Title' }
+    });
+    plugin.configResolved({ root: testDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe('Front Matter', () => {
+    it('應該解析 YAML front matter 並覆蓋全域資料', () => {
+      const html = '---\ntitle: 關於我們\ntags:\n  - vite\n  - html\n---\n<h1>{{ title }}</h1><p>{{ tags.join(",") }}</p><p>{{ siteName }}</p>';
+
+      const result = plugin.transformIndexHtml.handler(html, { filename: pagePath });
+
+      expect(result).toContain('<h1>關於我們</h1>');
+      expect(result).toContain('<p>vite,html</p>');
+      expect(result).toContain('<p>My Site</p>');
+      expect(result).not.toContain('---');
+    });
+
+    it('應該解析 JSON front matter', () => {
+      const html = '---\n{ "title": "JSON Title", "count": 3 }\n---\n<h1>{{ title }} ({{ count }})</h1>';
+
+      const result = plugin.transformIndexHtml.handler(html, { filename: pagePath });
+
+      expect(result).toContain('<h1>JSON Title (3)</h1>');
+    });
+
+    it('front matter 資料應該可以在 layout 中使用', () => {
+      fs.writeFileSync(
+        path.join(testDir, 'partials', 'base.html'),
+        '<title>{{ title }}</title><main>@yield(\'content\')</main>'
+      );
+
+      const html = "---\ntitle: Layout Title\n---\n@extends('base.html')\n@section('content')Body@endsection";
+      const result = plugin.transformIndexHtml.handler(html, { filename: pagePath });
+
+      expect(result).toContain('<title>Layout Title</title>');
+      expect(result).toContain('<main>Body</main>');
+    });
+
+    it('不在檔案開頭的 --- 不應該被當作 front matter', () => {
+      const html = '<hr>\n---\ntitle: x\n---\n';
+
+      const result = plugin.transformIndexHtml.handler(html, { filename: pagePath });
+
+      expect(result).toContain('title: x');
+    });
+
+    it('格式錯誤的 front matter 應該被移除並使用全域資料', () => {
+      const html = '---\ntitle: [unclosed\n---\n<h1>{{ title }}</h1>';
+
+      const result = plugin.transformIndexHtml.handler(html, { filename: pagePath });
+
+      expect(result).toContain('<h1>Global Title</h1>');
+      expect(result).not.toContain('unclosed');
+    });
+  });
+
+  describe('同名資料檔', () => {
+    it('應該同步載入 about.json', () => {
+      fs.writeFileSync(path.join(testDir, 'about.json'), JSON.stringify({ title: 'From JSON' }));
+
+      const result = plugin.transformIndexHtml.handler('<h1>{{ title }}</h1>', { filename: pagePath });
+
+      expect(typeof result).toBe('string');
+      expect(result).toContain('<h1>From JSON</h1>');
+    });
+
+    it('應該載入 about.data.js（返回 Promise）', async () => {
+      fs.writeFileSync(
+        path.join(testDir, 'about.data.js'),
+        "export default { title: 'From Module', items: ['a', 'b'] };"
+      );
+
+      const result = plugin.transformIndexHtml.handler(
+        '<h1>{{ title }}</h1>@foreach(items as item)<i>{{ item }}</i>@endforeach',
+        { filename: pagePath }
+      );
+
+      expect(result).toBeInstanceOf(Promise);
+      const html = await result;
+      expect(html).toContain('<h1>From Module</h1>');
+      expect(html).toContain('<i>a</i><i>b</i>');
+    });
+
+    it('合併順序應該為 全域 < .json < .data.js < front matter', async () => {
+      fs.writeFileSync(
+        path.join(testDir, 'about.json'),
+        JSON.stringify({ a: 'json', b: 'json', c: 'json' })
+      );
+      fs.writeFileSync(
+        path.join(testDir, 'about.data.js'),
+        "export default { b: 'module', c: 'module' };"
+      );
+
+      const html = '---\nc: front\n---\n{{ siteName }}|{{ a }}|{{ b }}|{{ c }}';
+      const result = await plugin.transformIndexHtml.handler(html, { filename: pagePath });
+
+      expect(result).toContain('My Site|json|module|front');
+    });
+
+    it('.data.js 內容變更但修改時間相同時應該載入新的內容', async () => {
+      const dataPath = path.join(testDir, 'about.data.js');
+      const mtime = new Date('2024-01-01T00:00:00Z');
+
+      fs.writeFileSync(dataPath, "export default { title: 'First' };");
+      fs.utimesSync(dataPath, mtime, mtime);
+      expect(await plugin.transformIndexHtml.handler('{{ title }}', { filename: pagePath })).toBe('First');
+
+      fs.writeFileSync(dataPath, "export default { title: 'Second' };");
+      fs.utimesSync(dataPath, mtime, mtime);
+      expect(await plugin.transformIndexHtml.handler('{{ title }}', { filename: pagePath })).toBe('Second');
+    });
+  });
+
+  describe('HMR', () => {
+    it('資料檔變更時應該重新載入對應頁面', () => {
+      const messages = [];
+      const server = { ws: { send: (payload) => messages.push(payload) } };
+
+      plugin.transformIndexHtml.handler('<h1>{{ title }}</h1>', { filename: pagePath });
+      plugin.handleHotUpdate({ file: path.join(testDir, 'about.json'), server });
+      plugin.handleHotUpdate({ file: path.join(testDir, 'about.data.js'), server });
+
+      expect(messages).toEqual([
+        { type: 'full-reload', path: '/about.html' },
+        { type: 'full-reload', path: '/about.html' }
+      ]);
+    });
+  });
+});
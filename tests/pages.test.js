@@ -0,0 +1,187 @@
+/**
+ * 測試動態頁面（pages 選項）
+ *
+ * 驗證：
+ * - 建構時將每個頁面加入 rollupOptions.input
+ * - resolveId / load 提供模板內容
+ * - transformIndexHtml 使用頁面資料渲染
+ * - 開發模式 middleware 即時渲染
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import vitePluginHtmlKit from '../src/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('動態頁面 (pages)', () => {
+  const testDir = path.join(__dirname, 'fixtures', 'pages');
+  const templatePath = path.join(testDir, 'templates', 'post.html');
+  const posts = [
+    { slug: 'hello', title: 'Hello' },
+    { slug: 'world', title: 'World' }
+  ];
+
+  const createPlugin = (entries = posts.map(post => ({ path: `blog/${post.slug}`, data: { post } }))) =>
+    vitePluginHtmlKit({
+      partialsDir: 'partials',
+      data: { siteName: 'Blog' },
+      pages: { 'templates/post.html': entries }
+    });
+
+  beforeEach(() => {
+    fs.mkdirSync(path.join(testDir, 'templates'), { recursive: true });
+    fs.mkdirSync(path.join(testDir, 'partials'), { recursive: true });
+    fs.writeFileSync(path.join(testDir, 'index.html'), '<h1>Home</h1>');
+    fs.writeFileSync(
+      templatePath,
+      '---\nheading: Post\n---\n<h1>{{ heading }}: {{ post.title }}</h1><p>{{ siteName }}</p>'
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe('建構', () => {
+    it('未設定 input 時應該加入 index.html 與所有動態頁面', async () => {
+      const plugin = createPlugin();
+      const config = { root: testDir };
+
+      await plugin.config(config, { command: 'build' });
+
+      expect(config.build.rollupOptions.input).toEqual([
+        path.join(testDir, 'index.html'),
+        path.join(testDir, 'blog', 'hello.html'),
+        path.join(testDir, 'blog', 'world.html')
+      ]);
+    });
+
+    it('物件格式的 input 應該以相對路徑作為鍵', async () => {
+      const plugin = createPlugin();
+      const config = {
+        root: testDir,
+        build: { rollupOptions: { input: { main: path.join(testDir, 'index.html') } } }
+      };
+
+      await plugin.config(config, { command: 'build' });
+
+      expect(config.build.rollupOptions.input).toEqual({
+        main: path.join(testDir, 'index.html'),
+        'blog/hello': path.join(testDir, 'blog', 'hello.html'),
+        'blog/world': path.join(testDir, 'blog', 'world.html')
+      });
+    });
+
+    it('應該支援 async 函式返回頁面列表', async () => {
+      const plugin = createPlugin(async () => [{ path: '/tags/vite/', data: { post: { title: 'Vite' } } }]);
+      const config = { root: testDir };
+
+      await plugin.config(config, { command: 'build' });
+
+      expect(config.build.rollupOptions.input).toContain(path.join(testDir, 'tags', 'vite', 'index.html'));
+    });
+
+    it('開發模式不應該修改 input', () => {
+      const plugin = createPlugin();
+      const config = { root: testDir };
+
+      const result = plugin.config(config, { command: 'serve' });
+
+      expect(result).toBeUndefined();
+      expect(config.build).toBeUndefined();
+    });
+
+    it('resolveId 和 load 應該提供動態頁面的模板內容', async () => {
+      const plugin = createPlugin();
+      await plugin.config({ root: testDir }, { command: 'build' });
+      const pageId = path.join(testDir, 'blog', 'hello.html');
+
+      expect(plugin.resolveId(pageId)).toBe(pageId);
+      expect(plugin.resolveId(path.join(testDir, 'main.js'))).toBeUndefined();
+      expect(plugin.load(pageId)).toBe(fs.readFileSync(templatePath, 'utf-8'));
+    });
+
+    it('transformIndexHtml 應該使用頁面資料渲染（覆蓋模板 front matter）', async () => {
+      const plugin = createPlugin([
+        { path: 'blog/hello', data: { post: posts[0] } },
+        { path: 'blog/world', data: { post: posts[1], heading: 'Article' } }
+      ]);
+      await plugin.config({ root: testDir }, { command: 'build' });
+      plugin.configResolved({ root: testDir });
+
+      const template = fs.readFileSync(templatePath, 'utf-8');
+      const hello = plugin.transformIndexHtml.handler(template, {
+        filename: path.join(testDir, 'blog', 'hello.html')
+      });
+      const world = plugin.transformIndexHtml.handler(template, {
+        filename: path.join(testDir, 'blog', 'world.html')
+      });
+
+      expect(hello).toBe('<h1>Post: Hello</h1><p>Blog</p>');
+      expect(world).toBe('<h1>Article: World</h1><p>Blog</p>');
+    });
+  });
+
+  describe('開發伺服器', () => {
+    const createServer = (plugin) => {
+      let middleware;
+      const server = {
+        middlewares: { use: (fn) => { middleware = fn; } },
+        transformIndexHtml: (url, html) => plugin.transformIndexHtml.handler(html, {
+          filename: path.join(testDir, url),
+          server
+        })
+      };
+      plugin.configureServer(server);
+      return (url) => new Promise((resolve) => {
+        const res = {
+          headers: {},
+          setHeader(name, value) { this.headers[name] = value; },
+          end(body) { resolve({ status: this.statusCode, body, headers: this.headers }); }
+        };
+        middleware({ url, originalUrl: url }, res, () => resolve({ next: true }));
+      });
+    };
+
+    it('應該渲染對應的動態頁面', async () => {
+      const plugin = createPlugin();
+      plugin.configResolved({ root: testDir });
+      const request = createServer(plugin);
+
+      const response = await request('/blog/world');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['Content-Type']).toBe('text/html');
+      expect(response.body).toBe('<h1>Post: World</h1><p>Blog</p>');
+    });
+
+    it('非動態頁面的請求應該交給下一個 middleware', async () => {
+      const plugin = createPlugin();
+      plugin.configResolved({ root: testDir });
+      const request = createServer(plugin);
+
+      expect(await request('/about.html')).toEqual({ next: true });
+      expect(await request('/src/main.js?v=1')).toEqual({ next: true });
+    });
+
+    it('模板變更時應該重新載入所有由它產生的頁面', async () => {
+      const plugin = createPlugin();
+      plugin.configResolved({ root: testDir });
+      const request = createServer(plugin);
+      await request('/blog/hello.html');
+      await request('/blog/world.html');
+
+      const messages = [];
+      plugin.handleHotUpdate({ file: templatePath, server: { ws: { send: (m) => messages.push(m) } } });
+
+      expect(messages).toEqual([
+        { type: 'full-reload', path: '/blog/hello.html' },
+        { type: 'full-reload', path: '/blog/world.html' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * 測試多個 partial 目錄（partialsDir 物件形式與 namespace）
+ *
+ * 驗證：
+ * - 'ui::button.html' 只在 ui 目錄中查找（@include、<include>、@extends）
+ * - 未加前綴的路徑依順序查找，第一個存在的檔案優先
+ * - 每個 namespace 各自檢查路徑遍歷
+ * - 未知的 namespace 回報找不到檔案
+ * - 每個 namespace 目錄都會被監聽並觸發 HMR
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import vitePluginHtmlKit, { createRenderer } from '../src/index.js';
+import { ErrorCodes, collectErrors } from '../src/error-handler.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('partialsDir namespace', () => {
+  const testDir = path.join(__dirname, 'fixtures', 'partials-namespaces');
+  const defaultDir = path.join(testDir, 'partials');
+  const uiDir = path.join(testDir, 'node_modules', '@acme', 'ui', 'templates');
+  const partialsDir = { default: 'partials', ui: 'node_modules/@acme/ui/templates' };
+
+  let consoleError;
+
+  /**
+   * 渲染模板並收集錯誤
+   *
+   * @param {Object} renderer
+   * @param {string} template
+   * @returns {{ html: string, errors: PluginError[] }}
+   */
+  const renderWithErrors = (renderer, template) => {
+    const errors = [];
+    const html = collectErrors(errors, () => renderer.renderSync(template));
+    return { html, errors };
+  };
+
+  beforeEach(() => {
+    fs.mkdirSync(path.join(defaultDir, 'components'), { recursive: true });
+    fs.mkdirSync(path.join(uiDir, 'layouts'), { recursive: true });
+    fs.mkdirSync(path.join(uiDir, 'components'), { recursive: true });
+    fs.writeFileSync(path.join(uiDir, 'button.html'), '<button class="ui">{{ label }}</button>');
+    fs.writeFileSync(path.join(uiDir, 'card.html'), '<div class="ui-card">{{ title }}</div>');
+    fs.writeFileSync(path.join(uiDir, 'layouts', 'base.html'), "<main>@yield('content')</main>");
+    fs.writeFileSync(path.join(uiDir, 'components', 'badge.html'), '<span class="ui-badge">{{ slot }}</span>');
+    fs.writeFileSync(path.join(defaultDir, 'button.html'), '<button class="app">{{ label }}</button>');
+    consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe('查找', () => {
+    it("'ui::' 前綴應該只在 ui 目錄中查找", () => {
+      const renderer = createRenderer({ root: testDir, partialsDir });
+
+      expect(renderer.renderSync("@include('ui::button.html', { label: 'Save' })")).toBe('<button class="ui">Save</button>');
+      expect(renderer.renderSync('<include src="ui::card.html" title="Hi" />')).toBe('<div class="ui-card">Hi</div>');
+    });
+
+    it('@extends 應該支援 namespace', () => {
+      const renderer = createRenderer({ root: testDir, partialsDir });
+
+      expect(renderer.renderSync("@extends('ui::layouts/base.html')\n@section('content')Home@endsection").trim())
+        .toBe('<main>Home</main>');
+    });
+
+    it('未加前綴的路徑應該依順序查找，第一個存在的檔案優先', () => {
+      const renderer = createRenderer({ root: testDir, partialsDir });
+
+      expect(renderer.renderSync("@include('button.html', { label: 'A' })")).toBe('<button class="app">A</button>');
+      expect(renderer.renderSync('<include src="card.html" title="B" />')).toBe('<div class="ui-card">B</div>');
+      expect(renderer.renderSync('<x-badge>New</x-badge>')).toBe('<span class="ui-badge">New</span>');
+    });
+
+    it('字串形式的 partialsDir 應該等同於 default namespace', () => {
+      const renderer = createRenderer({ root: testDir, partialsDir: 'partials' });
+
+      expect(renderer.renderSync("@include('default::button.html', { label: 'C' })")).toBe('<button class="app">C</button>');
+    });
+
+    it('未知的 namespace 應該回報找不到檔案', () => {
+      const renderer = createRenderer({ root: testDir, partialsDir });
+      const { errors } = renderWithErrors(renderer, '<include src="icons::star.html" />');
+
+      expect(errors.map(error => error.code)).toEqual([ErrorCodes.INCLUDE_FILE_NOT_FOUND]);
+      expect(errors[0].suggestion).toContain('是否正確。使用 namespace 前綴');
+    });
+  });
+
+  describe('路徑遍歷', () => {
+    it('每個 namespace 都不能離開自己的目錄', () => {
+      const renderer = createRenderer({ root: testDir, partialsDir });
+
+      const include = renderWithErrors(renderer, '<include src="ui::../../../../partials/button.html" />');
+      expect(include.errors[0].code).toBe(ErrorCodes.PATH_TRAVERSAL_INCLUDE);
+      expect(include.errors[0].context.allowedDir).toBe(uiDir);
+
+      const layout = renderWithErrors(renderer, "@extends('ui::../package.json')\n@section('content')x@endsection");
+      expect(layout.errors[0].code).toBe(ErrorCodes.PATH_TRAVERSAL_LAYOUT);
+    });
+
+    it('名稱相同前綴的相鄰目錄不應該視為目錄內', () => {
+      fs.mkdirSync(path.join(testDir, 'partials-private'), { recursive: true });
+      fs.writeFileSync(path.join(testDir, 'partials-private', 'secret.html'), 'TOP SECRET');
+      const renderer = createRenderer({ root: testDir, partialsDir });
+      const { html, errors } = renderWithErrors(renderer, '<include src="../partials-private/secret.html" />');
+
+      expect(errors[0].code).toBe(ErrorCodes.PATH_TRAVERSAL_INCLUDE);
+      expect(html).not.toContain('TOP SECRET');
+    });
+  });
+
+  describe('插件', () => {
+    let plugin;
+    let messages;
+    let watched;
+    let server;
+
+    beforeEach(() => {
+      messages = [];
+      watched = [];
+      server = {
+        ws: { send: (payload) => messages.push(payload) },
+        watcher: { add: (files) => watched.push(...[].concat(files)) }
+      };
+
+      plugin = vitePluginHtmlKit({ partialsDir });
+      plugin.configResolved({ root: testDir, command: 'serve' });
+    });
+
+    it('開發伺服器應該監聽每個 namespace 的目錄', () => {
+      plugin.configureServer(server);
+
+      expect(watched).toEqual([defaultDir, uiDir]);
+    });
+
+    it('node_modules 中的目錄應該從 server.watch.ignored 排除', () => {
+      const config = { root: testDir, server: { watch: { ignored: '**/tmp/**' } } };
+      plugin.config(config, { command: 'serve' });
+
+      expect(config.server.watch.ignored).toEqual(['**/tmp/**', `!${uiDir.split(path.sep).join('/')}/**`]);
+    });
+
+    it('ui 目錄中的檔案變更應該重新載入使用它的頁面', () => {
+      plugin.transformIndexHtml.handler('<include src="ui::card.html" title="A" />', {
+        filename: path.join(testDir, 'index.html'),
+        server
+      });
+      plugin.transformIndexHtml.handler('<p>About</p>', {
+        filename: path.join(testDir, 'about.html'),
+        server
+      });
+
+      plugin.handleHotUpdate({ file: path.join(uiDir, 'card.html'), server });
+
+      expect(messages).toEqual([{ type: 'full-reload', path: '/index.html' }]);
+    });
+
+    it('在前面的目錄新增同名檔案時應該重新載入頁面', () => {
+      plugin.transformIndexHtml.handler('<include src="card.html" title="A" />', {
+        filename: path.join(testDir, 'index.html'),
+        server
+      });
+
+      expect(watched).toContain(path.join(defaultDir, 'card.html'));
+
+      plugin.handleHotUpdate({ file: path.join(defaultDir, 'card.html'), server });
+      expect(messages).toEqual([{ type: 'full-reload', path: '/index.html' }]);
+    });
+
+    it('建構時應該排除每個 namespace 目錄中的入口點', () => {
+      const input = {
+        index: path.join(testDir, 'index.html'),
+        button: path.join(defaultDir, 'button.html'),
+        card: path.join(uiDir, 'card.html')
+      };
+      plugin.config({ root: testDir, build: { rollupOptions: { input } } }, { command: 'build' });
+
+      expect(Object.keys(input)).toEqual(['index']);
+    });
+  });
+});
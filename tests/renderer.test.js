@@ -0,0 +1,201 @@
+/**
+ * 測試 createRenderer（不依賴 Vite 的渲染 API）
+ *
+ * 驗證：
+ * - render 渲染模板字串，資料優先順序：全域 data < 資料檔 < front matter < render 傳入的資料
+ * - renderFile 相對於 root 讀取檔案，支援佈局、partial、組件與同名資料檔
+ * - dependencies 收集頁面用到的檔案
+ * - @once 只在同一次渲染內去重
+ * - render / renderFile 一律返回 Promise，renderSync / renderFileSync 返回字串，async 資料時拋出 E4017
+ * - failOnError 拋出錯誤，預設記錄錯誤並輸出降級內容
+ * - 自訂指令與過濾器
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import vitePluginHtmlKit, { createRenderer } from '../src/index.js';
+import { PluginError, ErrorCodes } from '../src/error-handler.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('createRenderer', () => {
+  const testDir = path.join(__dirname, 'fixtures', 'renderer');
+  const partialsDir = path.join(testDir, 'partials');
+
+  let consoleError;
+
+  const loggedOutput = () => consoleError.mock.calls.map(args => args.join(' ')).join('\n');
+
+  beforeEach(() => {
+    fs.mkdirSync(path.join(partialsDir, 'layouts'), { recursive: true });
+    fs.mkdirSync(path.join(partialsDir, 'components'), { recursive: true });
+    fs.mkdirSync(path.join(testDir, 'emails'), { recursive: true });
+    consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe('render', () => {
+    it('應該渲染模板字串', () => {
+      const renderer = createRenderer({ root: testDir, data: { brand: 'Acme' } });
+
+      expect(renderer.renderSync('<h1>{{ brand }} · {{ title | upper }}</h1>', { title: 'Welcome' }))
+        .toBe('<h1>Acme · WELCOME</h1>');
+    });
+
+    it('render 傳入的資料應該優先於全域資料與 front matter', () => {
+      const renderer = createRenderer({ root: testDir, data: { title: '全域', footer: '頁尾' } });
+      const template = '---\ntitle: 頁面\nsubtitle: 副標\n---\n{{ title }} / {{ subtitle }} / {{ footer }}';
+
+      expect(renderer.renderSync(template)).toBe('頁面 / 副標 / 頁尾');
+      expect(renderer.renderSync(template, { title: '呼叫' })).toBe('呼叫 / 副標 / 頁尾');
+    });
+
+    it('應該以 root 解析 partialsDir，並支援 include 與組件', () => {
+      fs.writeFileSync(path.join(partialsDir, 'greeting.html'), '<p>Hi {{ name }}</p>');
+      fs.writeFileSync(path.join(partialsDir, 'components', 'button.html'), '<a href="{{ href }}">{{ slot }}</a>');
+      const renderer = createRenderer({ root: testDir });
+
+      expect(renderer.renderSync('<include src="greeting.html" name="Ada" /><x-button href="/go">Go</x-button>'))
+        .toBe('<p>Hi Ada</p><a href="/go">Go</a>');
+    });
+
+    it('每次渲染都應該重新計算 @once，同一個模板渲染兩次時輸出相同', () => {
+      fs.writeFileSync(path.join(partialsDir, 'widget.html'), '@once<script src="widget.js"></script>@endonce<div>{{ n }}</div>');
+      const renderer = createRenderer({ root: testDir });
+      const template = '<include src="widget.html" n="1" /><include src="widget.html" n="2" />';
+      const expected = '<script src="widget.js"></script><div>1</div><div>2</div>';
+
+      expect(renderer.renderSync(template)).toBe(expected);
+      expect(renderer.renderSync(template)).toBe(expected);
+    });
+
+    it('應該收集頁面的依賴', () => {
+      fs.writeFileSync(path.join(partialsDir, 'layouts', 'email.html'), '<body>@yield(\'body\')</body>');
+      fs.writeFileSync(path.join(partialsDir, 'footer.html'), '<footer></footer>');
+      const renderer = createRenderer({ root: testDir });
+      const dependencies = new Set();
+
+      const result = renderer.renderSync(
+        "@extends('layouts/email.html')@section('body')<include src=\"footer.html\" />@endsection",
+        {},
+        { filename: path.join(testDir, 'emails', 'welcome.html'), dependencies }
+      );
+
+      expect(result).toBe('<body><footer></footer></body>');
+      expect(dependencies).toContain(path.join(partialsDir, 'layouts', 'email.html'));
+      expect(dependencies).toContain(path.join(partialsDir, 'footer.html'));
+      expect(dependencies).toContain(path.join(testDir, 'emails', 'welcome.json'));
+    });
+
+    it('async 資料時應該等待資料，並把 context 傳給資料函式', async () => {
+      const data = vi.fn(async () => ({ user: 'Ada' }));
+      const renderer = createRenderer({ root: testDir, data });
+
+      const result = renderer.render('Hi {{ user }}', {}, { filename: 'welcome.html', context: { locale: 'en' } });
+
+      expect(result).toBeInstanceOf(Promise);
+      expect(await result).toBe('Hi Ada');
+      expect(data).toHaveBeenCalledWith({ filename: 'welcome.html', locale: 'en' });
+    });
+
+    it('資料是同步的時候 render 也應該返回 Promise', async () => {
+      const renderer = createRenderer({ root: testDir, data: { user: 'Ada' } });
+      const result = renderer.render('Hi {{ user }}');
+
+      expect(result).toBeInstanceOf(Promise);
+      expect(await result).toBe('Hi Ada');
+    });
+
+    it('renderSync 遇到 async 資料時應該拋出 E4017', () => {
+      const renderer = createRenderer({ root: testDir, data: async () => ({ user: 'Ada' }) });
+
+      expect(() => renderer.renderSync('Hi {{ user }}', {}, { filename: 'welcome.html' }))
+        .toThrow(expect.objectContaining({ code: ErrorCodes.ASYNC_DATA_IN_SYNC_RENDER }));
+    });
+  });
+
+  describe('renderFile', () => {
+    it('應該相對於 root 讀取檔案，並載入同名資料檔', async () => {
+      fs.writeFileSync(path.join(partialsDir, 'layouts', 'email.html'), '<h1>@yield(\'title\')</h1>@yield(\'body\')');
+      fs.writeFileSync(
+        path.join(testDir, 'emails', 'welcome.html'),
+        "@extends('layouts/email.html')\n@section('title'){{ subject }}@endsection\n@section('body')<p>Hi {{ user.name }}</p>@endsection"
+      );
+      fs.writeFileSync(path.join(testDir, 'emails', 'welcome.json'), '{ "subject": "Welcome aboard" }');
+      const renderer = createRenderer({ root: testDir });
+
+      expect(renderer.renderFileSync('emails/welcome.html', { user: { name: 'Ada' } }))
+        .toBe('<h1>Welcome aboard</h1><p>Hi Ada</p>');
+      expect(await renderer.renderFile('emails/welcome.html', { user: { name: 'Ada' } }))
+        .toBe('<h1>Welcome aboard</h1><p>Hi Ada</p>');
+    });
+
+    it('錯誤訊息應該包含檔案名稱與行號', () => {
+      fs.writeFileSync(path.join(testDir, 'emails', 'broken.html'), '<main>\n  @foreach(items as item)\n</main>');
+      const renderer = createRenderer({ root: testDir, data: { items: [] } });
+
+      renderer.renderFileSync(path.join(testDir, 'emails', 'broken.html'));
+
+      expect(loggedOutput()).toContain('[E4007]');
+      expect(loggedOutput()).toContain('broken.html');
+    });
+  });
+
+  describe('錯誤處理', () => {
+    it('預設應該記錄錯誤並輸出降級內容', () => {
+      const renderer = createRenderer({ root: testDir });
+
+      expect(renderer.renderSync('<p>{{ user.name }}</p>')).toBe('<p>{{ user.name }}</p>');
+      expect(loggedOutput()).toContain('[E5002]');
+    });
+
+    it('failOnError 為 true 時應該拋出錯誤', () => {
+      const renderer = createRenderer({ root: testDir, failOnError: true });
+
+      expect(() => renderer.renderSync('<p>{{ user.name }}</p>')).toThrow(PluginError);
+      expect(() => renderer.renderSync('@if(a)', { a: true })).toThrow(expect.objectContaining({ code: 'E4007' }));
+      expect(renderer.renderSync('<p>{{ name }}</p>', { name: 'ok' })).toBe('<p>ok</p>');
+    });
+
+    it('failOnError 應該等待 async 資料', async () => {
+      const renderer = createRenderer({ root: testDir, data: async () => ({}), failOnError: true });
+
+      await expect(renderer.render('{{ user.name }}')).rejects.toThrow(PluginError);
+    });
+  });
+
+  describe('自訂指令與過濾器', () => {
+    it('應該支援 directives、filters 選項與 directive()', () => {
+      const renderer = createRenderer({
+        root: testDir,
+        directives: { badge: args => `<span class="badge">{{ ${args} }}</span>` },
+        filters: { initials: value => value.split(' ').map(word => word[0]).join('') }
+      });
+      renderer.directive('shout', args => `{{ ${args} | upper }}!`);
+
+      expect(renderer.renderSync("@badge(name | initials) @shout('hi')", { name: 'Ada Lovelace' }))
+        .toBe('<span class="badge">AL</span> HI!');
+    });
+  });
+
+  describe('Vite 插件', () => {
+    it('插件與渲染器應該產生相同的結果', () => {
+      fs.writeFileSync(path.join(partialsDir, 'greeting.html'), '<p>Hi {{ name }}</p>');
+      const options = { partialsDir: 'partials', data: { name: 'Ada' } };
+      const template = '<include src="greeting.html" />{{ name | lower }}';
+
+      const plugin = vitePluginHtmlKit(options);
+      plugin.configResolved({ root: testDir });
+
+      expect(plugin.transformIndexHtml.handler(template, { filename: path.join(testDir, 'index.html') }))
+        .toBe(createRenderer({ ...options, root: testDir }).renderSync(template));
+    });
+  });
+});
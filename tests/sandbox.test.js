@@ -0,0 +1,250 @@
+/**
+ * 測試沙箱模式（sandbox 選項）
+ *
+ * 驗證：
+ * - 迴圈、輔助函式、Lodash、過濾器、include 與組件照常運作
+ * - process、require、globalThis、Function 與 constructor 無法使用（E2003）
+ * - 透過資料或輔助函式取得外部的 Function 時拋出 E2003
+ * - 資料與輔助函式以副本與包裝傳入，無法修改 Node.js 端的原型
+ * - 執行超過 timeout 時中止（E2004），無法建立 Promise
+ * - 錯誤指向原始檔案與行號，failOnError 時拋出
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createRenderer } from '../src/index.js';
+import { createSandbox } from '../src/sandbox.js';
+import { ErrorCodes, PluginError, collectErrors } from '../src/error-handler.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('沙箱模式', () => {
+  const testDir = path.join(__dirname, 'fixtures', 'sandbox');
+  const partialsDir = path.join(testDir, 'partials');
+
+  let consoleError;
+
+  /**
+   * 渲染模板並收集錯誤
+   *
+   * @param {Object} renderer
+   * @param {string} template
+   * @param {Object} [data]
+   * @returns {{ html: string, errors: PluginError[] }}
+   */
+  const renderWithErrors = (renderer, template, data) => {
+    const errors = [];
+    const html = collectErrors(errors, () => renderer.renderSync(template, data));
+    return { html, errors };
+  };
+
+  beforeEach(() => {
+    fs.mkdirSync(path.join(partialsDir, 'components'), { recursive: true });
+    consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe('正常的模板', () => {
+    it('應該支援迴圈、輔助函式、Lodash 與過濾器', () => {
+      const renderer = createRenderer({
+        root: testDir,
+        sandbox: true,
+        data: { items: ['a', 'b'], label: value => `#${value}` }
+      });
+      const template = '@foreach(items as item)<li>{{ loop.iteration }} {{ label(item) }} {{ _.upperFirst(item) }} {{ item | upper }}</li>@endforeach';
+
+      expect(renderer.renderSync(template)).toBe('<li>1 #a A A</li><li>2 #b B B</li>');
+    });
+
+    it('應該支援 @for、@while 與 <% %>', () => {
+      const renderer = createRenderer({ root: testDir, sandbox: true });
+
+      expect(renderer.renderSync('@for(let i = 0; i < 3; i++){{ i }}@endfor|<% let n = 2; %>@while(n > 0){{ n-- }}@endwhile'))
+        .toBe('012|21');
+    });
+
+    it('應該支援 include 屬性表達式、組件 @props 與屬性包', () => {
+      fs.writeFileSync(path.join(partialsDir, 'count.html'), '<p {{ attributes }}>{{ total }}</p>');
+      fs.writeFileSync(
+        path.join(partialsDir, 'components', 'badge.html'),
+        "@props(['text' => _.upperFirst('new')])\n<span {{ attributes.merge({ class: 'badge' }) }}>{{ text }}</span>"
+      );
+      const renderer = createRenderer({ root: testDir, sandbox: true, data: { items: [1, 2, 3] } });
+
+      expect(renderer.renderSync('<include src="count.html" total="{{ items.length }}" />'))
+        .toBe('<p total="3">3</p>');
+      expect(renderer.renderSync('<x-badge id="b" /><x-badge :text="items[0]" />'))
+        .toBe('<span class="badge" id="b">New</span><span class="badge">1</span>');
+    });
+
+    it('{{ }} 應該照常轉義輸出', () => {
+      const renderer = createRenderer({ root: testDir, sandbox: true });
+
+      expect(renderer.renderSync('{{ html }}{!! html !!}', { html: '<b>' })).toBe('&lt;b&gt;<b>');
+    });
+  });
+
+  describe('禁止的存取', () => {
+    it.each([
+      ['{{ process.exit() }}', 'process'],
+      ["{{ require('fs') }}", 'require'],
+      ['{{ typeof globalThis }}', 'globalThis'],
+      ["<% Function('return 1')() %>", 'Function'],
+      ['{{ items.constructor }}', 'constructor'],
+      ["{{ items['constructor'] }}", 'constructor']
+    ])('%s 應該回報 E2003', (template, name) => {
+      const renderer = createRenderer({ root: testDir, sandbox: true, data: { items: [] } });
+      const { html, errors } = renderWithErrors(renderer, template);
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0].code).toBe(ErrorCodes.SANDBOX_VIOLATION);
+      expect(errors[0].message).toContain(name);
+      expect(html).toBe(template);
+    });
+
+    it('透過資料或輔助函式取得外部的 Function 時應該回報 E2003', () => {
+      const renderer = createRenderer({ root: testDir, sandbox: true, data: { items: [], helper: () => 1 } });
+      const name = "'constr' + 'uctor'";
+
+      for (const template of [
+        `{{ items[${name}][${name}]('return 1')() }}`,
+        `{{ helper[${name}]('return 1')() }}`,
+        "{{ _.template('x')() }}"
+      ]) {
+        const { errors } = renderWithErrors(renderer, template);
+        expect(errors.map(error => error.code)).toEqual([ErrorCodes.SANDBOX_VIOLATION]);
+      }
+
+      // 執行結束後 Node.js 端的 Function 恢復正常
+      expect((() => {}).constructor).toBe(Function);
+    });
+
+    it('透過資料或輔助函式取得的原型不應該影響 Node.js 端', () => {
+      fs.writeFileSync(
+        path.join(partialsDir, 'components', 'tag.html'),
+        "<span {{ attributes.merge({ class: 'tag' }) }}>{{ slot }}</span>"
+      );
+      const renderer = createRenderer({
+        root: testDir,
+        sandbox: true,
+        data: { items: [{ title: 'A' }], helper: () => [1], fail: () => { throw new Error('x'); } }
+      });
+      const objectKeys = Object.getOwnPropertyNames(Object.prototype);
+      const arrayKeys = Object.getOwnPropertyNames(Array.prototype);
+
+      for (const template of [
+        '{{ (Object.getPrototypeOf(Object.getPrototypeOf(items)).polluted = "yes") }}',
+        '{{ (Object.getPrototypeOf(items[0]).polluted = "yes") }}',
+        '{{ (Object.getPrototypeOf(items).polluted = "yes") }}',
+        '{{ (Object.getPrototypeOf(helper()).polluted = "yes") }}',
+        '{{ (Object.getPrototypeOf(Object.getPrototypeOf(helper)).polluted = "yes") }}',
+        '{{ (Object.getPrototypeOf(Object.getPrototypeOf(_.escape)).polluted = "yes") }}',
+        '<% try { fail() } catch (error) { Object.getPrototypeOf(Object.getPrototypeOf(error)).polluted = "yes" } %>',
+        '<x-tag><% Object.getPrototypeOf(Object.getPrototypeOf(attributes)).polluted = "yes" %></x-tag>'
+      ]) {
+        renderWithErrors(renderer, template);
+      }
+
+      expect(Object.getOwnPropertyNames(Object.prototype)).toEqual(objectKeys);
+      expect(Object.getOwnPropertyNames(Array.prototype)).toEqual(arrayKeys);
+      expect({}.polluted).toBeUndefined();
+      expect([].polluted).toBeUndefined();
+
+      // 資料、輔助函式與屬性包照常使用
+      expect(renderer.renderSync('{{ items[0].title }} {{ helper().length }} <x-tag id="t">{{ items.length }}</x-tag>'))
+        .toBe('A 1 <span class="tag" id="t">1</span>');
+    });
+
+    it('include 屬性表達式使用禁止的名稱時應該回報 E2003', () => {
+      fs.writeFileSync(path.join(partialsDir, 'pid.html'), '<p>{{ pid }}</p>');
+      const renderer = createRenderer({ root: testDir, sandbox: true });
+      const { errors } = renderWithErrors(renderer, '<include src="pid.html" pid="{{ process.pid }}" />');
+
+      expect(errors[0].code).toBe(ErrorCodes.SANDBOX_VIOLATION);
+      expect(errors[0].context.attributeName).toBe('pid');
+    });
+
+    it('partial 中的違規應該指向 partial 的行號', () => {
+      fs.writeFileSync(path.join(partialsDir, 'bad.html'), '<p>\n  {{ process.version }}\n</p>');
+      const renderer = createRenderer({ root: testDir, sandbox: true });
+      const { html, errors } = renderWithErrors(renderer, '<include src="bad.html" />');
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0].code).toBe(ErrorCodes.SANDBOX_VIOLATION);
+      expect(errors[0].context).toMatchObject({ includePath: 'bad.html', file: 'bad.html', line: 2 });
+      expect(html).toContain('[E2003]');
+    });
+
+    it('未開啟沙箱時不應該限制', () => {
+      const renderer = createRenderer({ root: testDir });
+
+      expect(renderer.renderSync('{{ typeof process }}')).toBe('object');
+    });
+  });
+
+  describe('時間限制', () => {
+    it('執行超過 timeout 時應該回報 E2004', () => {
+      const renderer = createRenderer({ root: testDir, sandbox: { timeout: 50 } });
+      const { errors } = renderWithErrors(renderer, '@while(true)x@endwhile');
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0].code).toBe(ErrorCodes.SANDBOX_TIMEOUT);
+      expect(errors[0].message).toContain('50ms');
+      expect(errors[0].context.line).toBe(1);
+    });
+
+    it('跳出函式主體的程式碼也應該受到時間限制', () => {
+      const renderer = createRenderer({ root: testDir, sandbox: { timeout: 50 } });
+      const { errors } = renderWithErrors(renderer, '<% }}, (() => { while (true) {} })(), function () {{ %>');
+
+      expect(errors.map(error => error.code)).toEqual([ErrorCodes.SANDBOX_TIMEOUT]);
+    });
+
+    it('無法以 Promise 或 async 函式在時間限制之外執行程式碼', () => {
+      const renderer = createRenderer({ root: testDir, sandbox: { timeout: 200 } });
+
+      for (const template of [
+        '{{ (function f() { Promise.resolve().then(f) })() }}',
+        '{{ (async function f() { await 0; f() })() }}'
+      ]) {
+        const { errors } = renderWithErrors(renderer, template);
+        expect(errors.map(error => error.code)).toEqual([ErrorCodes.SANDBOX_VIOLATION]);
+      }
+
+      // 以字串組出名稱也取不到 Promise
+      expect(renderer.renderSync("{{ typeof this['Prom' + 'ise'] }}|{{ typeof Array['from' + 'Async'] }}"))
+        .toBe('undefined|undefined');
+    });
+  });
+
+  it('failOnError 時應該拋出沙箱錯誤', () => {
+    const renderer = createRenderer({ root: testDir, sandbox: true, failOnError: true });
+
+    expect(() => renderer.renderSync('{{ process.exit() }}')).toThrow(PluginError);
+    expect(() => renderer.renderSync('{{ process.exit() }}')).toThrow(/E2003|process/);
+  });
+
+  describe('createSandbox', () => {
+    it('evaluate 應該保留原始型別', () => {
+      const sandbox = createSandbox();
+
+      expect(sandbox.evaluate('items.map(item => item * 2)', { items: [1, 2] })).toEqual([2, 4]);
+      expect(sandbox.evaluate("_.pick(post, 'title')", { post: { title: 'A', body: 'B' }, _: sandbox.lodash }))
+        .toEqual({ title: 'A' });
+    });
+
+    it('沙箱內沒有 Node.js 的全域物件', () => {
+      const sandbox = createSandbox();
+
+      expect(sandbox.evaluate('[typeof Buffer, typeof setTimeout]')).toEqual(['undefined', 'undefined']);
+      expect(sandbox.evaluate('Object.getOwnPropertyNames(this).filter(name => /^(Func|ev|glob)/.test(name))')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * 測試模板來源位置追蹤
+ *
+ * 驗證：
+ * - 位置標記不會出現在指令參數、輸出標籤與 HTML 標籤內，也不會留在輸出中
+ * - Lodash 編譯 / 執行錯誤回報原始檔案與行號（頁面、佈局、section、partial、組件）
+ * - 除錯模式輸出「輸出行號 → 原始檔案:行號」註釋對照表
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import vitePluginHtmlKit from '../src/index.js';
+import {
+  markSourceLines,
+  stripSourceMarkers,
+  locateTemplateError
+} from '../src/source-locations.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const options = { escape: /{{([\s\S]+?)}}/g, interpolate: /{!!([\s\S]+?)!!}/g };
+
+describe('模板來源位置追蹤', () => {
+  describe('markSourceLines', () => {
+    it('移除標記後應該與原始內容相同', () => {
+      const source = '<main>\n  @if(a &&\n    b)\n  <p class="x\n  y">{{ a\n  }}</p>\n  @endif\n</main>\n';
+
+      expect(stripSourceMarkers(markSourceLines(source, 'index.html'))).toBe(source);
+    });
+
+    it('不應該在多行的指令參數、輸出標籤與 HTML 標籤內加上標記', () => {
+      const marked = markSourceLines('@include(\'card.html\', {\n  a: 1\n})\n<include src="a.html"\n  title="x" />\n{{ a +\n  b }}', 'index.html');
+
+      expect(marked).toContain("{\n  a: 1\n})");
+      expect(marked).toContain('<include src="a.html"\n  title="x" />');
+      expect(marked).toContain('{{ a +\n  b }}');
+    });
+
+    it('不應該在 HTML 標籤內的多行屬性指令參數中加上標記', () => {
+      const marked = markSourceLines("<div @class([\n  'shadow' => active,\n])>\n  A\n</div>", 'index.html');
+
+      expect(marked).toContain("[\n  'shadow' => active,\n])>");
+    });
+  });
+
+  describe('locateTemplateError', () => {
+    it('應該找出執行錯誤的行號', () => {
+      const template = markSourceLines('<h1>\n  {{ title }}\n  {{ user.name }}\n</h1>', 'index.html');
+
+      expect(locateTemplateError(template, { title: 'A' }, options)).toEqual({ file: 'index.html', line: 3 });
+    });
+
+    it('應該找出語法錯誤的行號', () => {
+      const template = markSourceLines('<ul>\n<% items.forEach(function (item) { %>\n  <li>{{ item) }}</li>\n<% }) %>\n</ul>', 'list.html');
+
+      expect(locateTemplateError(template, {}, options)).toEqual({ file: 'list.html', line: 3 });
+    });
+
+    it('沒有錯誤時返回 null', () => {
+      expect(locateTemplateError(markSourceLines('{{ a }}', 'index.html'), { a: 1 }, options)).toBeNull();
+    });
+  });
+
+  describe('透過插件', () => {
+    const testDir = path.join(__dirname, 'fixtures', 'source-locations');
+    const partialsDir = path.join(testDir, 'partials');
+
+    let plugin;
+    let consoleError;
+    let send;
+
+    const render = (html) => plugin.transformIndexHtml.handler(html, {
+      filename: path.join(testDir, 'index.html'),
+      server: { ws: { send } }
+    });
+
+    const loggedOutput = () => consoleError.mock.calls.map(args => args.join(' ')).join('\n');
+
+    beforeEach(() => {
+      fs.mkdirSync(path.join(partialsDir, 'layouts'), { recursive: true });
+      fs.mkdirSync(path.join(partialsDir, 'components'), { recursive: true });
+      consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+      send = vi.fn();
+      plugin = vitePluginHtmlKit({ partialsDir: 'partials', data: { site: { name: 'Kit' }, items: [1, 2] } });
+      plugin.configResolved({ root: testDir });
+    });
+
+    afterEach(() => {
+      consoleError.mockRestore();
+      delete process.env.VITE_HTML_KIT_DEBUG;
+      vi.unstubAllEnvs();
+      fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    it('輸出不應該包含位置標記', () => {
+      fs.writeFileSync(path.join(partialsDir, 'layouts', 'app.html'), "<html>\n<body>\n  @yield('content')\n</body>\n</html>");
+      fs.writeFileSync(path.join(partialsDir, 'card.html'), '<div>\n  {{ title }}\n</div>');
+
+      const result = render("@extends('layouts/app.html')\n@section('content')\n  <include src=\"card.html\" title=\"A\" />\n@endsection");
+
+      expect(result).not.toMatch(/[\uE000\uE001]/);
+      expect(result).toBe('<html>\n<body>\n  <div>\n  A\n</div>\n</body>\n</html>');
+    });
+
+    it('佈局中的執行錯誤應該回報佈局檔案與行號', () => {
+      fs.writeFileSync(path.join(partialsDir, 'layouts', 'app.html'), "<html>\n<head>\n  <title>{{ page.title }}</title>\n</head>\n<body>@yield('content')</body>\n</html>");
+
+      render("@extends('layouts/app.html')\n@section('content')<p>Hi</p>@endsection");
+
+      const output = loggedOutput();
+      expect(output).toContain('[E5002]');
+      expect(output).toContain('layouts/app.html:3');
+
+      const { err } = send.mock.calls[0][0];
+      expect(err.id).toBe(path.join(partialsDir, 'layouts', 'app.html'));
+      expect(err.loc.line).toBe(3);
+      expect(err.frame).toContain('3 |   <title>{{ page.title }}</title>');
+    });
+
+    it('section 中的錯誤應該回報頁面的行號（含 front matter）', () => {
+      fs.writeFileSync(path.join(partialsDir, 'layouts', 'app.html'), "<main>\n  @yield('content')\n</main>");
+
+      render("---\ntitle: Home\n---\n@extends('layouts/app.html')\n@section('content')\n  <h1>{{ title }}</h1>\n  <p>{{ author.name }}</p>\n@endsection");
+
+      expect(loggedOutput()).toContain('index.html:7');
+      expect(send.mock.calls[0][0].err.loc.line).toBe(7);
+    });
+
+    it('插入 partial 後同一行的錯誤仍屬於頁面', () => {
+      fs.writeFileSync(path.join(partialsDir, 'badge.html'), '<span>\n  new\n</span>');
+
+      render('<ul>\n  <li><include src="badge.html" /> {{ post.title }}</li>\n</ul>');
+
+      expect(loggedOutput()).toContain('index.html:2');
+    });
+
+    it('語法錯誤應該回報 E5001 與原始行號', () => {
+      render('<p>\n  @if(items.length >)\n    Yes\n  @endif\n</p>');
+
+      expect(loggedOutput()).toContain('[E5001]');
+      expect(loggedOutput()).toContain('index.html:2');
+    });
+
+    it('partial 中的錯誤應該回報 partial 檔案與行號', () => {
+      fs.writeFileSync(path.join(partialsDir, 'list.html'), '<ul>\n  @foreach(items as item)\n    <li>{{ item.meta.label }}</li>\n  @endforeach\n</ul>');
+
+      const result = render('<main>\n  <include src="list.html" />\n</main>');
+
+      expect(result).toContain('[E5005]');
+      expect(loggedOutput()).toContain('list.html:3');
+      expect(send.mock.calls[0][0].err.id).toBe(path.join(partialsDir, 'list.html'));
+    });
+
+    it('組件中的錯誤應該回報組件檔案與行號', () => {
+      fs.writeFileSync(path.join(partialsDir, 'components', 'alert.html'), "@props(['type' => 'info'])\n<div class=\"alert\">\n  {{ message.text }}\n</div>");
+
+      render('<x-alert type="error" />');
+
+      expect(loggedOutput()).toContain('[E5006]');
+      expect(loggedOutput()).toContain('components/alert.html:3');
+    });
+
+    it('除錯模式應該在輸出結尾附上來源對照表', () => {
+      process.env.VITE_HTML_KIT_DEBUG = '1';
+      fs.writeFileSync(path.join(partialsDir, 'layouts', 'app.html'), "<html>\n<body>\n@yield('content')\n</body>\n</html>");
+      fs.writeFileSync(path.join(partialsDir, 'nav.html'), '<nav>\n  {{ site.name }}\n</nav>');
+
+      const result = render("@extends('layouts/app.html')\n\n@section('content')\n<include src=\"nav.html\" />\n<main>Home</main>\n@endsection");
+
+      expect(result).not.toMatch(/[\uE000\uE001]/);
+      expect(result).toContain([
+        '<!-- [vite-plugin-html-kit] source map',
+        '  1-2 → layouts/app.html:1-2',
+        '  3-5 → nav.html:1-3',
+        '  6 → index.html:5',
+        '  7-8 → layouts/app.html:4-5',
+        '-->'
+      ].join('\n'));
+    });
+
+    it('只設定 DEBUG（例如 DEBUG=vite:*）時不應該改變輸出', () => {
+      vi.stubEnv('DEBUG', 'vite:*');
+
+      expect(render('<main>\n  {{ site.name }}\n</main>')).toBe('<main>\n  Kit\n</main>');
+    });
+  });
+});
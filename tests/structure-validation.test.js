@@ -0,0 +1,165 @@
+/**
+ * 測試指令結構檢查
+ *
+ * 驗證：
+ * - 未閉合 / 多餘 / 位置錯誤的指令以 E4007 ~ E4010 回報
+ * - 錯誤包含檔案、行號與指令名稱（頁面、佈局、partial 皆適用）
+ * - @section / @push / @once / @verbatim / @slot 的配對檢查
+ * - 簡寫 @section 與 @slot 佔位符不會被誤判
+ * - 發生錯誤時頁面仍會渲染
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import vitePluginHtmlKit from '../src/index.js';
+import { validateBlade } from '../src/blade-parser.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('指令結構檢查', () => {
+  describe('validateBlade', () => {
+    it('應該檢查 @section / @push / @once / @verbatim 的配對', () => {
+      const errors = validateBlade([
+        "@section('content')",
+        "  @push('scripts')",
+        '@endsection',
+        '@once',
+        '@endpush',
+        '@verbatim'
+      ].join('\n'));
+
+      expect(errors).toMatchObject([
+        { type: 'unclosed', directive: 'push', closer: 'endpush', line: 2, column: 3 },
+        { type: 'unclosed', directive: 'once', closer: 'endonce', line: 4, column: 1 },
+        { type: 'unmatched', directive: 'endpush', opener: 'push', line: 5, column: 1 },
+        { type: 'unclosed', directive: 'verbatim', closer: 'endverbatim', line: 6, column: 1 }
+      ]);
+    });
+
+    it('應該偵測交錯的區塊', () => {
+      const errors = validateBlade("@section('main')\n@if(a)\n@endsection\n@endif");
+
+      expect(errors).toMatchObject([
+        { type: 'unclosed', directive: 'if', line: 2 },
+        { type: 'unmatched', directive: 'endif', line: 4 }
+      ]);
+    });
+
+    it('不應該檢查 @verbatim 內的內容', () => {
+      expect(validateBlade('@verbatim\n  @if(x)\n  @endpush\n@endverbatim')).toEqual([]);
+    });
+
+    it('簡寫 @section 與 @slot 佔位符不需要結束指令', () => {
+      const template = [
+        "@section('title', '首頁')",
+        "<h2>@slot('title')</h2>",
+        "@if(show)@slot('footer', '預設頁尾')@endif",
+        "<include src=\"card.html\">@slot('title')標題@endslot</include>"
+      ].join('\n');
+
+      expect(validateBlade(template)).toEqual([]);
+    });
+
+    it('應該回報多餘的 @endslot', () => {
+      expect(validateBlade('<p></p>\n@endslot')).toMatchObject([
+        { type: 'unmatched', directive: 'endslot', opener: 'slot', line: 2, column: 1 }
+      ]);
+    });
+  });
+
+  describe('透過插件', () => {
+    const testDir = path.join(__dirname, 'fixtures', 'structure-validation');
+    const partialsDir = path.join(testDir, 'partials');
+
+    let plugin;
+    let consoleError;
+
+    const render = (html, name = 'index.html') => plugin.transformIndexHtml.handler(html, {
+      filename: path.join(testDir, name)
+    });
+
+    const loggedOutput = () => consoleError.mock.calls.map(args => args.join(' ')).join('\n');
+
+    beforeEach(() => {
+      fs.mkdirSync(path.join(partialsDir, 'layouts'), { recursive: true });
+      consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+      plugin = vitePluginHtmlKit({ partialsDir: 'partials', data: { show: true, items: [1, 2] } });
+      plugin.configResolved({ root: testDir });
+    });
+
+    afterEach(() => {
+      consoleError.mockRestore();
+      fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    it('應該以 E4007 回報頁面中未閉合的指令，並繼續渲染', () => {
+      const result = render('<main>\n  @foreach(items as item)\n    <p>{{ item }}</p>\n</main>', 'posts.html');
+
+      expect(result).toContain('<p>1</p>');
+      expect(result).toContain('<p>2</p>');
+
+      const output = loggedOutput();
+      expect(output).toContain('[E4007]');
+      expect(output).toContain('@foreach 缺少對應的 @endforeach（第 2 行，第 3 欄）');
+      expect(output).toContain('posts.html:2:3');
+    });
+
+    it('應該以 E4008 回報多餘的結束指令', () => {
+      const result = render('<p>A</p>\n@endif');
+
+      expect(result).toBe('<p>A</p>\n');
+      expect(loggedOutput()).toContain('[E4008]');
+      expect(loggedOutput()).toContain('多餘的 @endif，沒有對應的 @if（第 2 行，第 1 欄）');
+    });
+
+    it('應該以 E4009 回報位置錯誤的分支指令', () => {
+      render('@foreach(items as item)\n  @case(1)\n@endforeach');
+
+      expect(loggedOutput()).toContain('[E4009]');
+      expect(loggedOutput()).toContain('@case 必須位於 @switch 區塊內（第 2 行，第 3 欄）');
+    });
+
+    it('應該以 E4010 回報沒有閉合的參數括號', () => {
+      render('<p>\n@if(show</p>');
+
+      expect(loggedOutput()).toContain('[E4010]');
+      expect(loggedOutput()).toContain('@if 的括號沒有閉合（第 2 行，第 1 欄）');
+    });
+
+    it('行號應該對應含 front matter 的原始檔案', () => {
+      render('---\ntitle: 首頁\n---\n<h1>{{ title }}</h1>\n@if(show)');
+
+      expect(loggedOutput()).toContain('index.html:5:1');
+    });
+
+    it('應該回報佈局與 partial 檔案中的錯誤', () => {
+      fs.writeFileSync(path.join(partialsDir, 'layouts', 'app.html'), "<body>\n@yield('content')\n@stack('scripts')\n@endsection</body>");
+      fs.writeFileSync(path.join(partialsDir, 'card.html'), "<div>\n  @once\n  <script></script>\n</div>");
+
+      render("@extends('layouts/app.html')\n@section('content')<include src=\"card.html\" />@endsection");
+
+      const output = loggedOutput();
+      expect(output).toContain('多餘的 @endsection，沒有對應的 @section（第 4 行，第 1 欄）');
+      expect(output).toContain('layouts/app.html:4:1');
+      expect(output).toContain('@once 缺少對應的 @endonce（第 2 行，第 3 欄）');
+      expect(output).toContain('card.html:2:3');
+    });
+
+    it('同一個 partial 被 include 多次時只回報一次', () => {
+      fs.writeFileSync(path.join(partialsDir, 'item.html'), '@if(show)<li></li>');
+
+      render('<include src="item.html" /><include src="item.html" />');
+
+      expect(loggedOutput().match(/\[E4007\]/g)).toHaveLength(1);
+    });
+
+    it('結構正確的模板不應該有錯誤', () => {
+      render("@if(show)\n  @foreach(items as item)<i>{{ item }}</i>@endforeach\n@endif\n@push('scripts')<script></script>@endpush");
+
+      expect(consoleError).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * 測試 @svg 行內圖示與 sprite 模式
+ *
+ * 驗證：
+ * - 移除 XML 宣告、<!DOCTYPE> 與註釋，屬性合併到 <svg> 根元素
+ * - sprite 模式輸出 <use> 引用，並在 <body> 開頭插入頁面用到的 <symbol>
+ * - 插件建構時在 generateBundle 插入整個建構用到的圖示
+ * - 找不到圖示回報 E3008，不是 SVG 回報 E3009，sprite id 衝突回報 E3010，選項格式不正確時拋出 E4016
+ * - 圖示檔案變更時重新載入頁面
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import vitePluginHtmlKit, { createRenderer } from '../src/index.js';
+import { ErrorCodes, collectErrors } from '../src/error-handler.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('@svg', () => {
+  const testDir = path.join(__dirname, 'fixtures', 'svg');
+  const iconsDir = path.join(testDir, 'icons');
+
+  const CLOSE = '<path d="M6 6l12 12"/>';
+  const MENU = '<path d="M4 6h16"/>';
+
+  let consoleError;
+
+  /**
+   * 寫入圖示（自動建立目錄）
+   *
+   * @param {string} file
+   * @param {string} content
+   */
+  const writeIcon = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(iconsDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(iconsDir, file), content);
+  };
+
+  beforeEach(() => {
+    writeIcon('close.svg', `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "http://www.w3.org/Graphics/SVG/1.1/DTD/svg11.dtd">
+<!-- Generator: Sketch -->
+<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" class="icon" fill="none">${CLOSE}</svg>
+`);
+    writeIcon('menu.svg', `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="24">${MENU}</svg>`);
+    consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe('行內模式', () => {
+    it('應該移除 XML 宣告與註釋，並將屬性合併到根元素', () => {
+      const renderer = createRenderer({ root: testDir });
+
+      expect(renderer.renderSync("@svg('icons/close.svg', { class: 'w-4', 'aria-hidden': true, fill: null, title: '<x>' })"))
+        .toBe(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" class="icon w-4" aria-hidden title="&lt;x&gt;">${CLOSE}</svg>`);
+    });
+
+    it('svg 選項可以指定圖示目錄，.svg 副檔名可以省略', () => {
+      const renderer = createRenderer({ root: testDir, svg: 'icons' });
+
+      expect(renderer.renderSync("@svg('menu', { width: 16 })"))
+        .toBe(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="16">${MENU}</svg>`);
+    });
+
+    it('應該可以用 svg() 與動態的名稱', () => {
+      const renderer = createRenderer({ root: testDir, svg: { dir: 'icons' }, sandbox: true });
+
+      expect(renderer.renderSync('@foreach(names as name){!! svg(name, { class: name }) !!}@endforeach', { names: ['menu'] }))
+        .toBe(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="24" class="menu">${MENU}</svg>`);
+    });
+  });
+
+  describe('sprite 模式', () => {
+    it('應該輸出 <use> 引用，並在 <body> 開頭插入頁面用到的圖示', () => {
+      const renderer = createRenderer({ root: testDir, svg: { dir: 'icons', sprite: true } });
+      const html = renderer.renderSync("<body class=\"page\">@svg('close', { class: 'w-4' })@svg('close')</body>");
+
+      expect(html).toBe('<body class="page">'
+        + '<svg xmlns="http://www.w3.org/2000/svg" aria-hidden="true" style="position: absolute; width: 0; height: 0; overflow: hidden">'
+        + `<symbol id="icon-close" viewBox="0 0 24 24">${CLOSE}</symbol></svg>`
+        + '<svg class="icon w-4" fill="none"><use href="#icon-close"></use></svg>'
+        + '<svg class="icon" fill="none"><use href="#icon-close"></use></svg></body>');
+    });
+
+    it('沒有使用圖示的頁面不應該插入 sprite', () => {
+      const renderer = createRenderer({ root: testDir, svg: { sprite: true } });
+      renderer.renderSync("@svg('icons/menu')");
+
+      expect(renderer.renderSync('<body>Hi</body>')).toBe('<body>Hi</body>');
+    });
+
+    it('插件建構時應該在每個使用圖示的頁面插入整個建構用到的圖示', () => {
+      const plugin = vitePluginHtmlKit({ svg: { dir: 'icons', sprite: true } });
+      plugin.configResolved({ root: testDir, command: 'build' });
+
+      const bundle = {
+        'index.html': { type: 'asset', fileName: 'index.html', source: plugin.transformIndexHtml.handler("<body>@svg('close')</body>") },
+        'about.html': { type: 'asset', fileName: 'about.html', source: plugin.transformIndexHtml.handler("<body>@svg('menu')</body>") },
+        'plain.html': { type: 'asset', fileName: 'plain.html', source: plugin.transformIndexHtml.handler('<body></body>') }
+      };
+      expect(bundle['index.html'].source).not.toContain('<symbol');
+
+      plugin.generateBundle.handler.call({ emitFile: vi.fn() }, {}, bundle);
+
+      const symbols = `<symbol id="icon-close" viewBox="0 0 24 24">${CLOSE}</symbol><symbol id="icon-menu" viewBox="0 0 24 24">${MENU}</symbol>`;
+      expect(bundle['index.html'].source).toContain(`${symbols}</svg><svg class="icon" fill="none"><use href="#icon-close">`);
+      expect(bundle['about.html'].source).toContain(`${symbols}</svg><svg width="24"><use href="#icon-menu">`);
+      expect(bundle['plain.html'].source).toBe('<body></body>');
+    });
+  });
+
+  describe('錯誤處理', () => {
+    it('找不到圖示或超出圖示目錄時應該回報 E3008', () => {
+      const renderer = createRenderer({ root: testDir, svg: 'icons' });
+      const errors = [];
+      const html = collectErrors(errors, () => renderer.renderSync("@svg('missing')@svg('../secret')"));
+
+      expect(errors.map(error => error.code)).toEqual([ErrorCodes.SVG_FILE_NOT_FOUND, ErrorCodes.SVG_FILE_NOT_FOUND]);
+      expect(html).toContain('[E3008]');
+    });
+
+    it('不是 SVG 的檔案應該回報 E3009', () => {
+      writeIcon('broken.svg', '<div>not an icon</div>');
+      const renderer = createRenderer({ root: testDir, svg: 'icons' });
+      const errors = [];
+      collectErrors(errors, () => renderer.renderSync("@svg('broken')"));
+
+      expect(errors.map(error => error.code)).toEqual([ErrorCodes.INVALID_SVG_FILE]);
+    });
+
+    it('sprite 模式中不同的檔案產生相同的 id 時應該回報 E3010，並改為行內輸出', () => {
+      writeIcon('a/b.svg', `<svg viewBox="0 0 24 24">${CLOSE}</svg>`);
+      writeIcon('a-b.svg', `<svg viewBox="0 0 24 24">${MENU}</svg>`);
+      writeIcon('a.b.svg', '<svg viewBox="0 0 16 16"><circle r="4"/></svg>');
+      const renderer = createRenderer({ root: testDir, svg: { dir: 'icons', sprite: true } });
+      const errors = [];
+      const html = collectErrors(errors, () => renderer.renderSync("<body>@svg('a/b')@svg('a-b')@svg('a.b')@svg('a/b')</body>"));
+
+      expect(errors.map(error => error.code)).toEqual([ErrorCodes.SVG_ID_CONFLICT, ErrorCodes.SVG_ID_CONFLICT]);
+      expect(errors[0].message).toContain('a-b.svg');
+      expect(errors[0].context.conflictsWith).toBe('a/b.svg');
+      expect(html.match(/<symbol /g)).toHaveLength(1);
+      expect(html).toContain(`<symbol id="icon-a-b" viewBox="0 0 24 24">${CLOSE}</symbol>`);
+      expect(html).toContain(`<svg viewBox="0 0 24 24">${MENU}</svg><svg viewBox="0 0 16 16"><circle r="4"/></svg><svg><use href="#icon-a-b">`);
+    });
+
+    it('選項格式不正確時應該拋出 E4016', () => {
+      expect(() => createRenderer({ svg: { sprite: 'yes' } })).toThrow(expect.objectContaining({ code: ErrorCodes.INVALID_SVG_OPTION }));
+      expect(() => createRenderer({ svg: { dir: '' } })).toThrow(expect.objectContaining({ code: ErrorCodes.INVALID_SVG_OPTION }));
+    });
+  });
+
+  it('lint 不應該把 svg 視為未定義的變數', async () => {
+    fs.writeFileSync(path.join(testDir, 'index.html'), "@svg('icons/close.svg'){!! svg('icons/menu.svg') !!}");
+    const renderer = createRenderer({ root: testDir });
+
+    expect(await renderer.lint(['index.html'])).toEqual([]);
+  });
+
+  it('圖示檔案變更時應該重新載入使用它的頁面', () => {
+    const messages = [];
+    const server = { ws: { send: (payload) => messages.push(payload) }, watcher: { add: () => {} } };
+    const plugin = vitePluginHtmlKit({ svg: 'icons' });
+    plugin.configResolved({ root: testDir, command: 'serve' });
+
+    plugin.transformIndexHtml.handler("@svg('close')", { filename: path.join(testDir, 'index.html'), server });
+    plugin.handleHotUpdate({ file: path.join(iconsDir, 'close.svg'), server });
+
+    expect(messages).toEqual([{ type: 'full-reload', path: '/index.html' }]);
+  });
+});
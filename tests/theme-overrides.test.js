@@ -0,0 +1,151 @@
+/**
+ * 測試主題覆蓋（partialsDir 陣列與 @parent）
+ *
+ * 驗證：
+ * - include、@extends 與組件使用第一個有該檔案的目錄
+ * - @parent 輸出下一個目錄的同名檔案，沿用變數、屬性與 slot
+ * - 多層覆蓋的 @parent 依序往下查找
+ * - 下一個目錄沒有該檔案時回報 E3006
+ * - 上一層檔案變更時重新載入頁面
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import vitePluginHtmlKit, { createRenderer } from '../src/index.js';
+import { ErrorCodes, collectErrors } from '../src/error-handler.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('主題覆蓋', () => {
+  const testDir = path.join(__dirname, 'fixtures', 'theme-overrides');
+  const brandDir = path.join(testDir, 'themes', 'brandA');
+  const baseDir = path.join(testDir, 'partials');
+  const partialsDir = ['themes/brandA', 'partials'];
+
+  let consoleError;
+
+  /**
+   * 寫入測試檔案（自動建立目錄）
+   *
+   * @param {string} dir
+   * @param {string} file
+   * @param {string} content
+   */
+  const write = (dir, file, content) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  };
+
+  beforeEach(() => {
+    write(baseDir, 'header.html', '<header>{{ title }}</header>');
+    write(baseDir, 'footer.html', '<footer>Base</footer>');
+    write(baseDir, 'layouts/base.html', "<body>@yield('content')</body>");
+    write(baseDir, 'components/logo.html', '<img src="base.svg">');
+    consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('應該使用第一個有該檔案的目錄', () => {
+    write(brandDir, 'footer.html', '<footer>Brand A</footer>');
+    write(brandDir, 'layouts/base.html', "<body class=\"a\">@yield('content')</body>");
+    write(brandDir, 'components/logo.html', '<img src="a.svg">');
+    const renderer = createRenderer({ root: testDir, partialsDir });
+
+    expect(renderer.renderSync("@include('header.html', { title: 'Hi' })<include src=\"footer.html\" />"))
+      .toBe('<header>Hi</header><footer>Brand A</footer>');
+    expect(renderer.renderSync("@extends('layouts/base.html')\n@section('content')<x-logo />@endsection").trim())
+      .toBe('<body class="a"><img src="a.svg"></body>');
+  });
+
+  it('@parent 應該輸出下一個目錄的同名檔案，並沿用變數與屬性', () => {
+    write(brandDir, 'header.html', '<div {{ attributes }}>A</div>@parent');
+    const renderer = createRenderer({ root: testDir, partialsDir });
+
+    expect(renderer.renderSync('<include src="header.html" title="Home" id="top" />'))
+      .toBe('<div title="Home" id="top">A</div><header>Home</header>');
+  });
+
+  it('@parent 的上一層檔案應該收到相同的 slot', () => {
+    write(baseDir, 'card.html', "<div>@slot('body', 'empty')</div>");
+    write(brandDir, 'card.html', "<section>@slot('title')@parent</section>");
+    const renderer = createRenderer({ root: testDir, partialsDir });
+
+    expect(renderer.renderSync("<include src=\"card.html\">@slot('title')T@endslot@slot('body')B@endslot</include>"))
+      .toBe('<section>T<div>B</div></section>');
+  });
+
+  it('佈局中的 @parent 應該 include 上一層的佈局檔案', () => {
+    write(baseDir, 'layouts/nav.html', '<nav>Base</nav>');
+    write(brandDir, 'layouts/nav.html', '<nav>A</nav>@parent');
+    write(brandDir, 'layouts/base.html', "<body>@include('layouts/nav.html')@yield('content')</body>");
+    const renderer = createRenderer({ root: testDir, partialsDir });
+
+    expect(renderer.renderSync("@extends('layouts/base.html')\n@section('content')Main@endsection").trim())
+      .toBe('<body><nav>A</nav><nav>Base</nav>Main</body>');
+  });
+
+  it('多層覆蓋時 @parent 應該依序往下查找', () => {
+    const brandB = path.join(testDir, 'themes', 'brandB');
+    write(brandB, 'footer.html', 'B|@parent');
+    write(brandDir, 'footer.html', 'A|@parent');
+    const renderer = createRenderer({ root: testDir, partialsDir: ['themes/brandB', 'themes/brandA', 'partials'] });
+
+    expect(renderer.renderSync('<include src="footer.html" />')).toBe('B|A|<footer>Base</footer>');
+  });
+
+  it('namespace 也可以是目錄陣列', () => {
+    const uiDir = path.join(testDir, 'ui');
+    write(uiDir, 'button.html', '<button>UI</button>');
+    write(brandDir, 'button.html', '<i></i>@parent');
+    const renderer = createRenderer({ root: testDir, partialsDir: { default: 'partials', ui: ['themes/brandA', 'ui'] } });
+
+    expect(renderer.renderSync("@include('ui::button.html')")).toBe('<i></i><button>UI</button>');
+  });
+
+  it('下一個目錄沒有該檔案時應該回報 E3006', () => {
+    write(brandDir, 'promo.html', 'Promo @parent');
+    write(baseDir, 'legal.html', 'Legal @parent');
+    const renderer = createRenderer({ root: testDir, partialsDir });
+
+    for (const src of ['promo.html', 'legal.html']) {
+      const errors = [];
+      const html = collectErrors(errors, () => renderer.renderSync(`<include src="${src}" />`));
+
+      expect(errors.map(error => error.code)).toEqual([ErrorCodes.PARENT_PARTIAL_NOT_FOUND]);
+      expect(html).toContain('[E3006]');
+    }
+  });
+
+  it('上一層檔案的錯誤應該以相對於 root 的路徑命名', () => {
+    write(baseDir, 'broken.html', '<p>\n{{ missing.value }}\n</p>');
+    write(brandDir, 'broken.html', '@parent');
+    const renderer = createRenderer({ root: testDir, partialsDir });
+    const errors = [];
+    collectErrors(errors, () => renderer.renderSync('<include src="broken.html" />'));
+
+    expect(errors[0].context).toMatchObject({ file: 'partials/broken.html', line: 2 });
+  });
+
+  it('上一層檔案變更時應該重新載入使用覆蓋檔案的頁面', () => {
+    write(brandDir, 'header.html', 'A @parent');
+    const messages = [];
+    const server = { ws: { send: (payload) => messages.push(payload) }, watcher: { add: () => {} } };
+    const plugin = vitePluginHtmlKit({ partialsDir });
+    plugin.configResolved({ root: testDir });
+
+    plugin.transformIndexHtml.handler('<include src="header.html" title="x" />', {
+      filename: path.join(testDir, 'index.html'),
+      server
+    });
+    plugin.handleHotUpdate({ file: path.join(baseDir, 'header.html'), server });
+
+    expect(messages).toEqual([{ type: 'full-reload', path: '/index.html' }]);
+  });
+});